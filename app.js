@@ -0,0 +1,7330 @@
+// Built from app.jsx by build.js; edit that file and run `npm run build`.
+"use strict";
+
+function _defineProperty(e, r, t) { return (r = _toPropertyKey(r)) in e ? Object.defineProperty(e, r, { value: t, enumerable: !0, configurable: !0, writable: !0 }) : e[r] = t, e; }
+function _toPropertyKey(t) { var i = _toPrimitive(t, "string"); return "symbol" == _typeof(i) ? i : i + ""; }
+function _toPrimitive(t, r) { if ("object" != _typeof(t) || !t) return t; var e = t[Symbol.toPrimitive]; if (void 0 !== e) { var i = e.call(t, r || "default"); if ("object" != _typeof(i)) return i; throw new TypeError("@@toPrimitive must return a primitive value."); } return ("string" === r ? String : Number)(t); }
+function _typeof(o) { "@babel/helpers - typeof"; return _typeof = "function" == typeof Symbol && "symbol" == typeof Symbol.iterator ? function (o) { return typeof o; } : function (o) { return o && "function" == typeof Symbol && o.constructor === Symbol && o !== Symbol.prototype ? "symbol" : typeof o; }, _typeof(o); }
+function _createForOfIteratorHelper(r, e) { var t = "undefined" != typeof Symbol && r[Symbol.iterator] || r["@@iterator"]; if (!t) { if (Array.isArray(r) || (t = _unsupportedIterableToArray(r)) || e && r && "number" == typeof r.length) { t && (r = t); var _n2 = 0, F = function F() {}; return { s: F, n: function n() { return _n2 >= r.length ? { done: !0 } : { done: !1, value: r[_n2++] }; }, e: function e(r) { throw r; }, f: F }; } throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); } var o, a = !0, u = !1; return { s: function s() { t = t.call(r); }, n: function n() { var r = t.next(); return a = r.done, r; }, e: function e(r) { u = !0, o = r; }, f: function f() { try { a || null == t["return"] || t["return"](); } finally { if (u) throw o; } } }; }
+function _slicedToArray(r, e) { return _arrayWithHoles(r) || _iterableToArrayLimit(r, e) || _unsupportedIterableToArray(r, e) || _nonIterableRest(); }
+function _nonIterableRest() { throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); }
+function _unsupportedIterableToArray(r, a) { if (r) { if ("string" == typeof r) return _arrayLikeToArray(r, a); var t = {}.toString.call(r).slice(8, -1); return "Object" === t && r.constructor && (t = r.constructor.name), "Map" === t || "Set" === t ? Array.from(r) : "Arguments" === t || /^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(t) ? _arrayLikeToArray(r, a) : void 0; } }
+function _arrayLikeToArray(r, a) { (null == a || a > r.length) && (a = r.length); for (var e = 0, n = Array(a); e < a; e++) n[e] = r[e]; return n; }
+function _iterableToArrayLimit(r, l) { var t = null == r ? null : "undefined" != typeof Symbol && r[Symbol.iterator] || r["@@iterator"]; if (null != t) { var e, n, i, u, a = [], f = !0, o = !1; try { if (i = (t = t.call(r)).next, 0 === l) { if (Object(t) !== t) return; f = !1; } else for (; !(f = (e = i.call(t)).done) && (a.push(e.value), a.length !== l); f = !0); } catch (r) { o = !0, n = r; } finally { try { if (!f && null != t["return"] && (u = t["return"](), Object(u) !== u)) return; } finally { if (o) throw n; } } return a; } }
+function _arrayWithHoles(r) { if (Array.isArray(r)) return r; }
+var _React = React,
+  useEffect = _React.useEffect,
+  useMemo = _React.useMemo,
+  useRef = _React.useRef,
+  useState = _React.useState;
+function defaultDailySeed() {
+  return dailySeed(dayYYYYMMDD());
+}
+function seedFromText(raw) {
+  return /^[0-9]+$/.test(String(raw)) ? Number(raw) >>> 0 : hashStringToInt(String(raw));
+}
+function levelFromText(raw) {
+  var n = Number(raw);
+  return isFinite(n) ? Math.max(0, Math.min(14, Math.round(n))) : null;
+}
+function readQuery() {
+  var q = new URLSearchParams(window.location.search);
+  var seedRaw = q.get('seed');
+  var levelRaw = q.get('level');
+  var topicRaw = q.get('topic');
+  var deckRaw = q.get('deck');
+  var diffRaw = q.get('diff');
+  var seed = seedRaw && seedRaw.length ? seedFromText(seedRaw) : null;
+  var level = levelRaw !== null ? levelFromText(levelRaw) : null;
+  var topics = topicRaw ? parseTopicList(topicRaw) : null;
+  var deck = deckRaw && /^[a-z0-9]+$/i.test(deckRaw) ? deckRaw : null;
+  var diff = isDifficulty(diffRaw) ? diffRaw : null;
+  return {
+    seed: seed,
+    level: level,
+    topics: topics,
+    deck: deck,
+    diff: diff
+  };
+}
+function setSourceParams(url, source) {
+  var topics = source && source.topics;
+  if (topics && topics.length) url.searchParams.set('topic', topics.join(','));else url.searchParams["delete"]('topic');
+  if (source && source.deck) url.searchParams.set('deck', source.deck);else url.searchParams["delete"]('deck');
+  if (source && source.diff) url.searchParams.set('diff', source.diff);else url.searchParams["delete"]('diff');
+}
+function permalink(seed, level, source) {
+  var url = new URL(window.location.href);
+  url.searchParams.set('seed', String(seed >>> 0));
+  url.searchParams.set('level', String(level));
+  setSourceParams(url, source);
+  return url.toString();
+}
+function writeQuery(seed, level) {
+  var replace = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : true;
+  var source = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : null;
+  var url = new URL(window.location.href);
+  url.searchParams.set('seed', String(seed >>> 0));
+  url.searchParams.set('level', String(level));
+  setSourceParams(url, source);
+  if (readFixedHash()) url.hash = '';
+  if (replace) history.replaceState(null, '', url);else history.pushState(null, '', url);
+}
+function newRandomSeed() {
+  try {
+    if (window.crypto && window.crypto.getRandomValues) {
+      var a = new Uint32Array(1);
+      window.crypto.getRandomValues(a);
+      return a[0] >>> 0;
+    }
+  } catch (_) {}
+  return Math.random() * 0xFFFFFFFF >>> 0;
+}
+function copyText(text, inputEl) {
+  var fallback = function fallback() {
+    if (inputEl) {
+      inputEl.select();
+      try {
+        document.execCommand('copy');
+      } catch (_) {}
+    }
+  };
+  try {
+    if (navigator.clipboard && navigator.clipboard.writeText) navigator.clipboard.writeText(text)["catch"](fallback);else fallback();
+  } catch (_) {
+    fallback();
+  }
+}
+function formatMs(ms) {
+  if (!isFinite(ms) || ms < 0) ms = 0;
+  var total = Math.floor(ms / 1000);
+  var s = total % 60;
+  var m = Math.floor(total / 60) % 60;
+  var h = Math.floor(total / 3600);
+  var pad = function pad(n) {
+    return String(n).padStart(2, '0');
+  };
+  return h > 0 ? "".concat(h, ":").concat(pad(m), ":").concat(pad(s)) : "".concat(m, ":").concat(pad(s));
+}
+function downloadFile(filename, data, type) {
+  var blob = new Blob([data], {
+    type: type || 'text/plain'
+  });
+  var url = URL.createObjectURL(blob);
+  var a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(function () {
+    return URL.revokeObjectURL(url);
+  }, 1000);
+}
+function printDocument(html) {
+  var frame = document.createElement('iframe');
+  frame.setAttribute('aria-hidden', 'true');
+  frame.style.cssText = 'position:fixed; right:0; bottom:0; width:0; height:0; border:0';
+  frame.onload = function () {
+    var win = frame.contentWindow;
+    win.addEventListener('afterprint', function () {
+      return setTimeout(function () {
+        return frame.remove();
+      }, 0);
+    });
+    win.focus();
+    win.print();
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+}
+var BANK_ISSUES = {
+  duplicate: 'Duplicate answer',
+  "short": 'Shorter than 3 letters',
+  "long": 'Longer than ' + MAX_GRID + ' letters',
+  selfref: 'Answer appears in its clue'
+};
+function answerInClue(answer, clue) {
+  var words = String(clue || '').toUpperCase().replace(/[^A-Z]+/g, ' ').trim();
+  if (!answer || !words) return false;
+  if ((' ' + words).indexOf(' ' + answer) !== -1) return true;
+  return answer.length >= 8 && words.replace(/ /g, '').indexOf(answer) !== -1;
+}
+function findBankIssues(entries) {
+  var byAnswer = {};
+  entries.forEach(function (x) {
+    byAnswer[x.answer] = (byAnswer[x.answer] || 0) + 1;
+  });
+  return entries.map(function (x) {
+    var out = [];
+    if (byAnswer[x.answer] > 1) out.push('duplicate');
+    if (x.answer.length < 3) out.push('short');
+    if (x.answer.length > MAX_GRID) out.push('long');
+    if (answerInClue(x.answer, x.clue)) out.push('selfref');
+    return out;
+  });
+}
+var DECK_DB = 'neuroxcw';
+var DECK_STORE = 'decks';
+function deckIdFor(text) {
+  return 'd' + hashStringToInt(String(text).replace(/\r\n/g, '\n').trim()).toString(36);
+}
+function openDeckDB() {
+  return new Promise(function (resolve, reject) {
+    if (!window.indexedDB) {
+      reject(new Error('This browser cannot store custom decks (IndexedDB unavailable).'));
+      return;
+    }
+    var req = indexedDB.open(DECK_DB, 1);
+    req.onupgradeneeded = function () {
+      req.result.createObjectStore(DECK_STORE, {
+        keyPath: 'id'
+      });
+    };
+    req.onsuccess = function () {
+      return resolve(req.result);
+    };
+    req.onerror = function () {
+      return reject(req.error || new Error('Could not open deck storage'));
+    };
+  });
+}
+function deckRequest(mode, fn) {
+  return openDeckDB().then(function (db) {
+    return new Promise(function (resolve, reject) {
+      var tx = db.transaction(DECK_STORE, mode);
+      var req = fn(tx.objectStore(DECK_STORE));
+      tx.oncomplete = function () {
+        db.close();
+        resolve(req.result);
+      };
+      tx.onerror = function () {
+        db.close();
+        reject(tx.error);
+      };
+    });
+  });
+}
+function listDecks() {
+  return deckRequest('readonly', function (st) {
+    return st.getAll();
+  }).then(function (all) {
+    return (all || []).map(function (d) {
+      return {
+        id: d.id,
+        name: d.name,
+        count: d.count,
+        ts: d.ts
+      };
+    }).sort(function (a, b) {
+      return b.ts - a.ts;
+    });
+  });
+}
+function getDeck(id) {
+  return deckRequest('readonly', function (st) {
+    return st.get(id);
+  });
+}
+function putDeck(deck) {
+  return deckRequest('readwrite', function (st) {
+    return st.put(deck);
+  });
+}
+function deleteDeck(id) {
+  return deckRequest('readwrite', function (st) {
+    return st["delete"](id);
+  });
+}
+var NOTES_FILE = 'crosswordclues.notes.json';
+function readNotes(text, from) {
+  try {
+    return parseClueNotes(text);
+  } catch (e) {
+    console.warn('ignoring teaching notes in ' + from + ': ' + e.message);
+    return {};
+  }
+}
+function useClueBank(deckId) {
+  var _useState = useState([]),
+    _useState2 = _slicedToArray(_useState, 2),
+    bank = _useState2[0],
+    setBank = _useState2[1];
+  var _useState3 = useState({}),
+    _useState4 = _slicedToArray(_useState3, 2),
+    notes = _useState4[0],
+    setNotes = _useState4[1];
+  var _useState5 = useState(true),
+    _useState6 = _slicedToArray(_useState5, 2),
+    loading = _useState6[0],
+    setLoading = _useState6[1];
+  var _useState7 = useState(null),
+    _useState8 = _slicedToArray(_useState7, 2),
+    error = _useState8[0],
+    setError = _useState8[1];
+  var _useState9 = useState(null),
+    _useState0 = _slicedToArray(_useState9, 2),
+    deck = _useState0[0],
+    setDeck = _useState0[1];
+  useEffect(function () {
+    var cancelled = false;
+    setLoading(true);
+    setError(null);
+    setDeck(null);
+    setNotes({});
+    if (!deckId) fetch(NOTES_FILE).then(function (r) {
+      return r.ok ? r.text() : null;
+    }).then(function (t) {
+      if (t && !cancelled) setNotes(readNotes(t, NOTES_FILE));
+    }, function () {});
+    var source = deckId ? getDeck(deckId).then(function (d) {
+      if (!d) throw new Error('This puzzle uses a custom deck (' + deckId + ') that is not saved in this browser. Load the same deck file to open it.');
+      if (!cancelled) {
+        setDeck(d);
+        if (d.notes) setNotes(readNotes(d.notes, d.name));
+      }
+      return d.text;
+    }) : fetch('crosswordclues.csv').then(function (r) {
+      if (!r.ok) throw new Error('CSV not found');
+      return r.text();
+    });
+    source.then(function (txt) {
+      if (cancelled) return;
+      var parsed = parseDeckText(txt);
+      if (parsed.length) {
+        setBank(parsed.map(function (x) {
+          return Object.assign({}, x, {
+            answer: x.answer.replace(/[^A-Z]/g, "").toUpperCase(),
+            tags: x.tags || []
+          });
+        }));
+      } else {
+        setBank([]);
+        setError('CSV parsed but no valid rows.');
+      }
+    })["catch"](function (e) {
+      if (!cancelled) {
+        setBank([]);
+        setError(e && e.message ? e.message : 'Failed to load crosswordclues.csv');
+      }
+    })["finally"](function () {
+      if (!cancelled) setLoading(false);
+    });
+    return function () {
+      cancelled = true;
+    };
+  }, [deckId]);
+  return {
+    bank: bank,
+    loading: loading,
+    error: error,
+    deck: deck,
+    notes: notes
+  };
+}
+function useServiceWorker() {
+  var _useState1 = useState(null),
+    _useState10 = _slicedToArray(_useState1, 2),
+    waiting = _useState10[0],
+    setWaiting = _useState10[1];
+  var _useState11 = useState(false),
+    _useState12 = _slicedToArray(_useState11, 2),
+    bankPending = _useState12[0],
+    setBankPending = _useState12[1];
+  var _useState13 = useState(null),
+    _useState14 = _slicedToArray(_useState13, 2),
+    installPrompt = _useState14[0],
+    setInstallPrompt = _useState14[1];
+  useEffect(function () {
+    var onPrompt = function onPrompt(e) {
+      e.preventDefault();
+      setInstallPrompt(e);
+    };
+    var onInstalled = function onInstalled() {
+      return setInstallPrompt(null);
+    };
+    window.addEventListener('beforeinstallprompt', onPrompt);
+    window.addEventListener('appinstalled', onInstalled);
+    var sw = !window.NEUROXCW_DEV && navigator.serviceWorker;
+    var onMessage = function onMessage(e) {
+      var type = e.data && e.data.type;
+      if (type === 'bank-pending') setBankPending(true);else if (type === 'bank-applied') window.location.reload();
+    };
+    if (sw) {
+      sw.addEventListener('message', onMessage);
+      sw.register('sw.js').then(function (reg) {
+        var track = function track(w) {
+          if (!w) return;
+          var check = function check() {
+            if (w.state === 'installed' && sw.controller) setWaiting(w);
+          };
+          w.addEventListener('statechange', check);
+          check();
+        };
+        track(reg.waiting || reg.installing);
+        reg.addEventListener('updatefound', function () {
+          return track(reg.installing);
+        });
+        if (sw.controller) sw.controller.postMessage({
+          type: 'bank-status'
+        });
+      })["catch"](function (e) {
+        return console.warn('service worker registration failed', e);
+      });
+    }
+    return function () {
+      window.removeEventListener('beforeinstallprompt', onPrompt);
+      window.removeEventListener('appinstalled', onInstalled);
+      if (sw) sw.removeEventListener('message', onMessage);
+    };
+  }, []);
+  function updateApp() {
+    if (!waiting) return;
+    navigator.serviceWorker.addEventListener('controllerchange', function () {
+      return window.location.reload();
+    });
+    waiting.postMessage({
+      type: 'skip-waiting'
+    });
+  }
+  function updateBank() {
+    var ctl = navigator.serviceWorker && navigator.serviceWorker.controller;
+    if (ctl) ctl.postMessage({
+      type: 'apply-bank'
+    });else window.location.reload();
+  }
+  function install() {
+    if (!installPrompt) return;
+    installPrompt.prompt();
+    installPrompt.userChoice.then(function () {
+      return setInstallPrompt(null);
+    }, function () {
+      return setInstallPrompt(null);
+    });
+  }
+  return {
+    appUpdate: !!waiting,
+    updateApp: updateApp,
+    bankPending: bankPending,
+    updateBank: updateBank,
+    dismissBank: function dismissBank() {
+      return setBankPending(false);
+    },
+    canInstall: !!installPrompt,
+    install: install
+  };
+}
+function startConfetti() {
+  if (window.__confettiCtl && window.__confettiCtl.running) return;
+  var canvas = document.createElement('canvas');
+  canvas.className = 'confettiCanvas';
+  document.body.appendChild(canvas);
+  var ctx = canvas.getContext('2d');
+  var W = canvas.width = window.innerWidth;
+  var H = canvas.height = window.innerHeight;
+  var onResize = function onResize() {
+    W = canvas.width = window.innerWidth;
+    H = canvas.height = window.innerHeight;
+  };
+  window.addEventListener('resize', onResize);
+  var colors = ['#E74C3C', '#F1C40F', '#2ECC71', '#3498DB', '#9B59B6', '#E67E22'];
+  var N = 180;
+  var parts = Array.from({
+    length: N
+  }, function (_, i) {
+    return {
+      x: Math.random() * W,
+      y: -10 - Math.random() * H * 0.3,
+      r: 2 + Math.random() * 4,
+      vx: (Math.random() - 0.5) * 2,
+      vy: 2 + Math.random() * 3,
+      c: colors[i % colors.length],
+      a: 0.9
+    };
+  });
+  var running = true;
+  window.__confettiCtl = {
+    running: true,
+    stop: function stop() {
+      running = false;
+      this.running = false;
+      try {
+        document.body.removeChild(canvas);
+      } catch (_unused) {}
+      window.removeEventListener('resize', onResize);
+      window.__confettiCtl = null;
+    }
+  };
+  function frame() {
+    if (!running) return;
+    ctx.clearRect(0, 0, W, H);
+    var _iterator = _createForOfIteratorHelper(parts),
+      _step;
+    try {
+      for (_iterator.s(); !(_step = _iterator.n()).done;) {
+        var p = _step.value;
+        p.x += p.vx;
+        p.y += p.vy;
+        p.vy += 0.03;
+        if (p.y > H + 10) {
+          p.y = -10;
+          p.vy = 2 + Math.random() * 3;
+          p.x = Math.random() * W;
+        }
+        ctx.globalAlpha = p.a;
+        ctx.fillStyle = p.c;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, p.r, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    } catch (err) {
+      _iterator.e(err);
+    } finally {
+      _iterator.f();
+    }
+    requestAnimationFrame(frame);
+  }
+  requestAnimationFrame(frame);
+}
+function stopConfetti() {
+  if (window.__confettiCtl && window.__confettiCtl.stop) {
+    window.__confettiCtl.stop();
+  }
+}
+var DAY_ZONE_KEY = 'neuroxcw.dayzone.v1';
+var DEFAULT_DAY_ZONE = 'America/Phoenix';
+var ARCHIVE_DAYS = 730;
+function isTimeZone(zone) {
+  try {
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: zone
+    });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+function deviceTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  } catch (_) {
+    return null;
+  }
+}
+function loadDayZone() {
+  try {
+    var z = localStorage.getItem(DAY_ZONE_KEY);
+    return z === 'local' || z && isTimeZone(z) ? z : DEFAULT_DAY_ZONE;
+  } catch (_) {
+    return DEFAULT_DAY_ZONE;
+  }
+}
+var dayZone = loadDayZone();
+function setDayZone(zone) {
+  dayZone = zone;
+  try {
+    if (zone === DEFAULT_DAY_ZONE) localStorage.removeItem(DAY_ZONE_KEY);else localStorage.setItem(DAY_ZONE_KEY, zone);
+  } catch (_) {}
+}
+function dayZoneChoices(current) {
+  var device = deviceTimeZone();
+  var out = [[DEFAULT_DAY_ZONE, 'Phoenix (shared default)'], ['local', 'This device' + (device ? ' (' + device.replace(/_/g, ' ') + ')' : '')]];
+  var zones = ['UTC'];
+  try {
+    if (Intl.supportedValuesOf) zones = zones.concat(Intl.supportedValuesOf('timeZone'));
+  } catch (_) {}
+  if (current !== 'local' && zones.indexOf(current) === -1) zones.push(current);
+  zones.filter(function (z) {
+    return z !== DEFAULT_DAY_ZONE;
+  }).forEach(function (z) {
+    return out.push([z, z.replace(/_/g, ' ')]);
+  });
+  return out;
+}
+function dayYYYYMMDD() {
+  var date = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : new Date();
+  var zone = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : dayZone;
+  try {
+    var opts = {
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    };
+    if (zone !== 'local') opts.timeZone = zone;
+    var parts = new Intl.DateTimeFormat('en-CA', opts).formatToParts(date);
+    var y = null,
+      m = null,
+      d = null;
+    for (var i = 0; i < parts.length; i++) {
+      var p = parts[i];
+      if (p.type === 'year') y = p.value;else if (p.type === 'month') m = p.value;else if (p.type === 'day') d = p.value;
+    }
+    return y + '-' + m + '-' + d;
+  } catch (e) {
+    var _y = date.getFullYear(),
+      _m = String(date.getMonth() + 1).padStart(2, '0'),
+      _d = String(date.getDate()).padStart(2, '0');
+    return _y + '-' + _m + '-' + _d;
+  }
+}
+function ymdAddDays(ymd, days) {
+  return new Date((dayNumber(ymd) + days) * DAY_MS).toISOString().slice(0, 10);
+}
+function dailyDateOf(seed, today) {
+  seed = seed >>> 0;
+  for (var i = 0; i <= ARCHIVE_DAYS; i++) {
+    var ymd = ymdAddDays(today, -i);
+    if (dailySeed(ymd) === seed) return ymd;
+  }
+  return null;
+}
+function archiveStatus(history, saves) {
+  var out = {};
+  Object.keys(saves).forEach(function (k) {
+    var s = saves[k];
+    if (s.fixedCode) return;
+    if (s.completed) out[s.seed >>> 0] = 'solved';else if (s.filled > 0 && !out[s.seed >>> 0]) out[s.seed >>> 0] = 'progress';
+  });
+  history.forEach(function (h) {
+    if (!h.fixed && !h.review) out[h.seed >>> 0] = 'solved';
+  });
+  return out;
+}
+function cellInPlacement(p, r, c) {
+  if (!p) return false;
+  if (p.dir === DIRS.ACROSS) return r === p.row && c >= p.col && c < p.col + p.answer.length;
+  if (p.dir === DIRS.DOWN) return c === p.col && r >= p.row && r < p.row + p.answer.length;
+  return false;
+}
+function studyNotes(note) {
+  return note ? {
+    explanation: note.explanation,
+    reference: note.reference
+  } : null;
+}
+function writtenAnswer(x) {
+  return (x.display || x.answer).toUpperCase();
+}
+function wordBreakCells(placements) {
+  var out = {
+    across: {},
+    down: {}
+  };
+  var _iterator2 = _createForOfIteratorHelper(placements),
+    _step2;
+  try {
+    var _loop = function _loop() {
+      var p = _step2.value;
+      if (!p.display) return 1;
+      answerBreaks(p.display).forEach(function (at) {
+        if (p.dir === DIRS.ACROSS) out.across[p.row + ':' + (p.col + at - 1)] = true;else out.down[p.row + at - 1 + ':' + p.col] = true;
+      });
+    };
+    for (_iterator2.s(); !(_step2 = _iterator2.n()).done;) {
+      if (_loop()) continue;
+    }
+  } catch (err) {
+    _iterator2.e(err);
+  } finally {
+    _iterator2.f();
+  }
+  return out;
+}
+function wordPattern(p, userGrid) {
+  var out = [];
+  for (var i = 0; i < p.answer.length; i++) {
+    var r = p.dir === DIRS.ACROSS ? p.row : p.row + i;
+    var c = p.dir === DIRS.ACROSS ? p.col + i : p.col;
+    out.push(userGrid[r] && userGrid[r][c] || '_');
+  }
+  return out.join(' ');
+}
+function clueAnnouncement(p, userGrid) {
+  var words = p.display ? enumeration(p.display) : '';
+  return p.number + ' ' + (p.dir === DIRS.ACROSS ? 'Across' : 'Down') + ', ' + p.answer.length + ' letters' + (words ? ' ' + words : '') + ', ' + wordPattern(p, userGrid) + ': ' + p.clue;
+}
+function revealPlacement(p, grid, setUserGrid, setRevealed) {
+  if (!p) return;
+  setUserGrid(function (prev) {
+    var copy = prev.map(function (row) {
+      return row.slice();
+    });
+    if (p.dir === DIRS.ACROSS) {
+      var r = p.row;
+      for (var c = p.col; c < p.col + p.answer.length; c++) {
+        copy[r][c] = grid[r][c];
+      }
+    } else {
+      var _c = p.col;
+      for (var _r = p.row; _r < p.row + p.answer.length; _r++) {
+        copy[_r][_c] = grid[_r][_c];
+      }
+    }
+    return copy;
+  });
+  setRevealed(function (prev) {
+    var nn = new Set(prev);
+    if (p.dir === DIRS.ACROSS) {
+      var r = p.row;
+      for (var c = p.col; c < p.col + p.answer.length; c++) {
+        nn.add(r + ':' + c);
+      }
+    } else {
+      var _c2 = p.col;
+      for (var _r2 = p.row; _r2 < p.row + p.answer.length; _r2++) {
+        nn.add(_r2 + ':' + _c2);
+      }
+    }
+    return nn;
+  });
+}
+var HINT_STEPS = 3;
+var HINT_RANK = {
+  letter: 1,
+  word: 2
+};
+var HINT_PENALTY = {
+  peek: 2,
+  letter: 3,
+  word: 5
+};
+var WORD_POINTS = 10;
+function clueId(p) {
+  return (p.dir === DIRS.ACROSS ? 'A' : 'D') + p.number;
+}
+function placementCellKeys(p) {
+  var out = [];
+  for (var i = 0; i < p.answer.length; i++) out.push(p.dir === DIRS.ACROSS ? p.row + ':' + (p.col + i) : p.row + i + ':' + p.col);
+  return out;
+}
+function addHints(hints, keys, kind) {
+  var next = Object.assign({}, hints);
+  var _iterator3 = _createForOfIteratorHelper(keys),
+    _step3;
+  try {
+    for (_iterator3.s(); !(_step3 = _iterator3.n()).done;) {
+      var k = _step3.value;
+      if (!next[k] || HINT_RANK[next[k]] < HINT_RANK[kind]) next[k] = kind;
+    }
+  } catch (err) {
+    _iterator3.e(err);
+  } finally {
+    _iterator3.f();
+  }
+  return next;
+}
+function wordHelp(p, hints, hintSteps) {
+  var keys = placementCellKeys(p);
+  var given = keys.filter(function (k) {
+    return hints[k];
+  }).length;
+  var step = hintSteps[clueId(p)] || 0;
+  if (step >= HINT_STEPS || given && given === keys.length) return {
+    kind: 'word',
+    letters: given
+  };
+  if (given) return {
+    kind: 'letter',
+    letters: given
+  };
+  if (step >= 1) return {
+    kind: 'peek',
+    letters: 0
+  };
+  return null;
+}
+function scoreSolve(placements, hints, hintSteps) {
+  var score = 0;
+  var _iterator4 = _createForOfIteratorHelper(placements),
+    _step4;
+  try {
+    for (_iterator4.s(); !(_step4 = _iterator4.n()).done;) {
+      var p = _step4.value;
+      var pts = WORD_POINTS;
+      if (hintSteps[clueId(p)]) pts -= HINT_PENALTY.peek;
+      var _iterator5 = _createForOfIteratorHelper(placementCellKeys(p)),
+        _step5;
+      try {
+        for (_iterator5.s(); !(_step5 = _iterator5.n()).done;) {
+          var k = _step5.value;
+          if (hints[k]) pts -= HINT_PENALTY[hints[k]];
+        }
+      } catch (err) {
+        _iterator5.e(err);
+      } finally {
+        _iterator5.f();
+      }
+      score += Math.max(0, pts);
+    }
+  } catch (err) {
+    _iterator4.e(err);
+  } finally {
+    _iterator4.f();
+  }
+  return {
+    score: score,
+    max: placements.length * WORD_POINTS
+  };
+}
+function helpLabel(help) {
+  if (!help) return 'Wrong letter checked';
+  if (help.kind === 'word') return 'Revealed';
+  if (help.kind === 'letter') return help.letters + (help.letters === 1 ? ' letter' : ' letters') + ' revealed';
+  return 'First letter shown';
+}
+function isPlacementFilled(p, user) {
+  if (!p || !Array.isArray(user) || user.length === 0) return false;
+  var H = user.length;
+  var W = Array.isArray(user[0]) ? user[0].length : 0;
+  if (p.dir === DIRS.ACROSS) {
+    var r = p.row;
+    if (r < 0 || r >= H) return false;
+    for (var c = p.col; c < p.col + (p.answer ? p.answer.length : 0); c++) {
+      if (c < 0 || c >= W) return false;
+      if (!user[r] || !user[r][c]) return false;
+    }
+  } else {
+    var _c3 = p.col;
+    if (_c3 < 0 || _c3 >= W) return false;
+    for (var _r3 = p.row; _r3 < p.row + (p.answer ? p.answer.length : 0); _r3++) {
+      if (_r3 < 0 || _r3 >= H) return false;
+      if (!user[_r3] || !user[_r3][_c3]) return false;
+    }
+  }
+  return true;
+}
+function isPlacementCorrect(p, user) {
+  if (!p || !Array.isArray(user) || user.length === 0) return false;
+  var H = user.length;
+  var W = Array.isArray(user[0]) ? user[0].length : 0;
+  var ans = p && p.answer ? String(p.answer).toUpperCase() : "";
+  if (!ans) return false;
+  if (p.dir === DIRS.ACROSS) {
+    var r = p.row;
+    if (r < 0 || r >= H) return false;
+    for (var i = 0; i < ans.length; i++) {
+      var c = p.col + i;
+      if (c < 0 || c >= W) return false;
+      var ch = user[r] && user[r][c] ? String(user[r][c]).toUpperCase() : '';
+      if (ch !== ans[i]) return false;
+    }
+  } else {
+    var _c4 = p.col;
+    if (_c4 < 0 || _c4 >= W) return false;
+    for (var _i = 0; _i < ans.length; _i++) {
+      var _r4 = p.row + _i;
+      if (_r4 < 0 || _r4 >= H) return false;
+      var _ch = user[_r4] && user[_r4][_c4] ? String(user[_r4][_c4]).toUpperCase() : '';
+      if (_ch !== ans[_i]) return false;
+    }
+  }
+  return true;
+}
+var generatorWorkerFailed = false;
+function buildCrossword(job, onProgress) {
+  var worker = null,
+    timer = null,
+    cancelled = false;
+  var promise = new Promise(function (resolve, reject) {
+    var runHere = function runHere() {
+      timer = setTimeout(function () {
+        if (cancelled) return;
+        try {
+          resolve(generateCrossword(job.words, job.seed, job.size, job.opts));
+        } catch (e) {
+          reject(e);
+        }
+      }, 0);
+    };
+    if (generatorWorkerFailed || typeof Worker === 'undefined') {
+      runHere();
+      return;
+    }
+    try {
+      worker = new Worker('generator-worker.js');
+    } catch (_) {
+      generatorWorkerFailed = true;
+      runHere();
+      return;
+    }
+    worker.onmessage = function (e) {
+      var m = e.data || {};
+      if (m.type === 'progress') {
+        if (onProgress && !cancelled) onProgress(m.value);
+      } else if (m.type === 'done') {
+        worker.terminate();
+        resolve(m.layout);
+      } else if (m.type === 'error') {
+        worker.terminate();
+        reject(new Error(m.message));
+      }
+    };
+    worker.onerror = function (e) {
+      if (e && e.preventDefault) e.preventDefault();
+      worker.terminate();
+      generatorWorkerFailed = true;
+      if (!cancelled) runHere();
+    };
+    worker.postMessage(job);
+  });
+  return {
+    promise: promise,
+    cancel: function cancel() {
+      cancelled = true;
+      if (worker) worker.terminate();
+      if (timer) clearTimeout(timer);
+    }
+  };
+}
+var LAYOUT_CACHE_MAX = 8;
+var layoutCache = new Map();
+function layoutCacheKey(words, seed, size, opts) {
+  return (seed >>> 0) + '|' + size + '|' + opts.density + '|' + words.map(function (w) {
+    return w.answer + "\x01" + w.clue;
+  }).join("\x02");
+}
+function rememberLayout(key, layout) {
+  layoutCache["delete"](key);
+  layoutCache.set(key, layout);
+  while (layoutCache.size > LAYOUT_CACHE_MAX) layoutCache["delete"](layoutCache.keys().next().value);
+}
+var FIXED_PARAM = 'xw';
+function bytesToB64url(bytes) {
+  var bin = '';
+  for (var i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+function b64urlToBytes(str) {
+  var bin = atob(str.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((str.length + 3) % 4));
+  var out = new Uint8Array(bin.length);
+  for (var i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+function pipeBytes(bytes, transform) {
+  return new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer().then(function (buf) {
+    return new Uint8Array(buf);
+  });
+}
+function encodeFixedPuzzle(placements, bounds, title) {
+  return Promise.resolve().then(function () {
+    var payload = {
+      v: 1,
+      p: placements.map(function (p) {
+        var entry = [p.row - bounds.minR, p.col - bounds.minC, p.dir === DIRS.ACROSS ? 'a' : 'd', p.answer, p.clue];
+        if (p.display) entry.push(p.display);
+        return entry;
+      })
+    };
+    if (title) payload.t = String(title);
+    var bytes = new TextEncoder().encode(JSON.stringify(payload));
+    if (typeof CompressionStream === 'undefined') return 'j.' + bytesToB64url(bytes);
+    return pipeBytes(bytes, new CompressionStream('deflate-raw')).then(function (z) {
+      return 'z.' + bytesToB64url(z);
+    });
+  });
+}
+function decodeFixedPuzzle(code) {
+  var BROKEN = 'Puzzle link is damaged or incomplete.';
+  return Promise.resolve().then(function () {
+    var m = /^([zj])\.([A-Za-z0-9_-]+)$/.exec(code || '');
+    if (!m) throw new Error(BROKEN);
+    if (m[1] === 'z' && typeof DecompressionStream === 'undefined') throw new Error('This browser cannot open compressed puzzle links.');
+    return Promise.resolve().then(function () {
+      var bytes = b64urlToBytes(m[2]);
+      return m[1] === 'j' ? bytes : pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+    }).then(function (bytes) {
+      return JSON.parse(new TextDecoder().decode(bytes));
+    })["catch"](function () {
+      throw new Error(BROKEN);
+    });
+  }).then(function (payload) {
+    if (!payload || payload.v !== 1 || !Array.isArray(payload.p)) throw new Error('Unsupported puzzle link.');
+    var layout = layoutFromPlacements(payload.p.map(function (x) {
+      var answer = answerLetters(x[3]);
+      var display = typeof x[5] === 'string' && answerLetters(x[5]) === answer ? answerDisplay(x[5], answer) : null;
+      return Object.assign({
+        row: x[0] | 0,
+        col: x[1] | 0,
+        dir: x[2] === 'd' ? DIRS.DOWN : DIRS.ACROSS,
+        answer: answer,
+        clue: String(x[4] || '')
+      }, display ? {
+        display: display
+      } : null);
+    }));
+    layout.title = payload.t ? String(payload.t) : '';
+    return layout;
+  });
+}
+function layoutFromPlacements(list) {
+  var size = 0;
+  var _iterator6 = _createForOfIteratorHelper(list),
+    _step6;
+  try {
+    for (_iterator6.s(); !(_step6 = _iterator6.n()).done;) {
+      var p = _step6.value;
+      if (p.answer.length < 2 || p.row < 0 || p.col < 0) throw new Error('Puzzle link has an invalid entry.');
+      size = Math.max(size, p.dir === DIRS.ACROSS ? Math.max(p.row + 1, p.col + p.answer.length) : Math.max(p.row + p.answer.length, p.col + 1));
+    }
+  } catch (err) {
+    _iterator6.e(err);
+  } finally {
+    _iterator6.f();
+  }
+  if (!list.length || size > MAX_GRID) throw new Error('Puzzle link does not fit a ' + MAX_GRID + '×' + MAX_GRID + ' grid.');
+  var grid = makeEmptyGrid(size);
+  var placements = [];
+  var _iterator7 = _createForOfIteratorHelper(list),
+    _step7;
+  try {
+    for (_iterator7.s(); !(_step7 = _iterator7.n()).done;) {
+      var _p = _step7.value;
+      for (var i = 0; i < _p.answer.length; i++) {
+        var r = _p.dir === DIRS.ACROSS ? _p.row : _p.row + i,
+          c = _p.dir === DIRS.ACROSS ? _p.col + i : _p.col;
+        if (grid[r][c] !== null && grid[r][c] !== _p.answer[i]) throw new Error('Puzzle link has conflicting letters.');
+        grid[r][c] = _p.answer[i];
+      }
+      placements.push(Object.assign({
+        answer: _p.answer,
+        clue: _p.clue,
+        row: _p.row,
+        col: _p.col,
+        dir: _p.dir
+      }, _p.display ? {
+        display: _p.display
+      } : null));
+    }
+  } catch (err) {
+    _iterator7.e(err);
+  } finally {
+    _iterator7.f();
+  }
+  return finalizeLayout(grid, placements);
+}
+function readFixedHash() {
+  var m = new RegExp('[#&]' + FIXED_PARAM + '=([^&]+)').exec(window.location.hash || '');
+  return m ? m[1] : null;
+}
+function fixedLink(code) {
+  var url = new URL(window.location.href);
+  url.search = '';
+  url.hash = FIXED_PARAM + '=' + code;
+  return url.toString();
+}
+function layoutClueRuns(layout) {
+  var b = layout.bounds;
+  var H = b.maxR - b.minR + 1,
+    W = b.maxC - b.minC + 1;
+  var cells = [];
+  for (var r = 0; r < H; r++) {
+    var row = [];
+    for (var c = 0; c < W; c++) row.push(layout.grid[b.minR + r][b.minC + c]);
+    cells.push(row);
+  }
+  var clueAt = {},
+    enumAt = {};
+  layout.placements.forEach(function (p) {
+    var k = p.dir + ':' + (p.row - b.minR) + ':' + (p.col - b.minC);
+    clueAt[k] = p.clue;
+    if (p.display) enumAt[k] = enumeration(p.display).slice(1, -1);
+  });
+  var isLetter = function isLetter(r, c) {
+    return r >= 0 && c >= 0 && r < H && c < W && cells[r][c] !== null;
+  };
+  var numbers = Array.from({
+    length: H
+  }, function () {
+    return Array(W).fill(0);
+  });
+  var across = [],
+    down = [];
+  var num = 1;
+  for (var _r5 = 0; _r5 < H; _r5++) {
+    for (var _c5 = 0; _c5 < W; _c5++) {
+      if (!isLetter(_r5, _c5)) continue;
+      var sa = !isLetter(_r5, _c5 - 1) && isLetter(_r5, _c5 + 1);
+      var sd = !isLetter(_r5 - 1, _c5) && isLetter(_r5 + 1, _c5);
+      if (!sa && !sd) continue;
+      numbers[_r5][_c5] = num;
+      if (sa) {
+        var n = 0;
+        while (isLetter(_r5, _c5 + n)) n++;
+        across.push({
+          number: num,
+          row: _r5,
+          col: _c5,
+          len: n,
+          clue: clueAt[DIRS.ACROSS + ':' + _r5 + ':' + _c5] || '',
+          enumeration: enumAt[DIRS.ACROSS + ':' + _r5 + ':' + _c5] || ''
+        });
+      }
+      if (sd) {
+        var _n = 0;
+        while (isLetter(_r5 + _n, _c5)) _n++;
+        down.push({
+          number: num,
+          row: _r5,
+          col: _c5,
+          len: _n,
+          clue: clueAt[DIRS.DOWN + ':' + _r5 + ':' + _c5] || '',
+          enumeration: enumAt[DIRS.DOWN + ':' + _r5 + ':' + _c5] || ''
+        });
+      }
+      num++;
+    }
+  }
+  return {
+    width: W,
+    height: H,
+    cells: cells,
+    numbers: numbers,
+    across: across,
+    down: down
+  };
+}
+function toLatin1(str) {
+  return String(str || '').replace(/[‘’]/g, "'").replace(/[“”]/g, '"').replace(/[–—]/g, '-').replace(/…/g, '...').replace(/[^\x00-\xFF]/g, '?');
+}
+function puzChecksum(bytes, seed) {
+  var ck = seed & 0xFFFF;
+  for (var i = 0; i < bytes.length; i++) {
+    ck = ck & 1 ? (ck >> 1) + 0x8000 : ck >> 1;
+    ck = ck + bytes[i] & 0xFFFF;
+  }
+  return ck;
+}
+function latin1Bytes(str) {
+  var s = toLatin1(str);
+  var out = new Uint8Array(s.length);
+  for (var i = 0; i < s.length; i++) out[i] = s.charCodeAt(i);
+  return out;
+}
+function withNul(str) {
+  var b = latin1Bytes(str);
+  var out = new Uint8Array(b.length + 1);
+  out.set(b);
+  return out;
+}
+function toPuz(layout, meta) {
+  var runs = layoutClueRuns(layout);
+  var W = runs.width,
+    H = runs.height;
+  if (W > 255 || H > 255) throw new Error('Grid too large for .puz');
+  var withEnum = function withEnum(x) {
+    return x.enumeration ? x.clue + ' (' + x.enumeration + ')' : x.clue;
+  };
+  var clues = runs.across.map(function (x) {
+    return {
+      n: x.number,
+      d: 0,
+      clue: withEnum(x)
+    };
+  }).concat(runs.down.map(function (x) {
+    return {
+      n: x.number,
+      d: 1,
+      clue: withEnum(x)
+    };
+  })).sort(function (a, b) {
+    return a.n - b.n || a.d - b.d;
+  }).map(function (x) {
+    return x.clue;
+  });
+  var solution = new Uint8Array(W * H),
+    state = new Uint8Array(W * H);
+  for (var r = 0; r < H; r++) for (var c = 0; c < W; c++) {
+    var ch = runs.cells[r][c];
+    solution[r * W + c] = ch === null ? 0x2E : ch.charCodeAt(0);
+    state[r * W + c] = ch === null ? 0x2E : 0x2D;
+  }
+  var title = meta.title || '',
+    author = meta.author || '',
+    copyright = meta.copyright || '',
+    notes = meta.notes || '';
+  var strings = [withNul(title), withNul(author), withNul(copyright)].concat(clues.map(withNul), [withNul(notes)]);
+  var strLen = strings.reduce(function (n, b) {
+    return n + b.length;
+  }, 0);
+  var out = new Uint8Array(0x34 + 2 * W * H + strLen);
+  var dv = new DataView(out.buffer);
+  out.set(latin1Bytes('ACROSS&DOWN'), 0x02);
+  out.set(latin1Bytes('1.3'), 0x18);
+  out[0x2C] = W;
+  out[0x2D] = H;
+  dv.setUint16(0x2E, clues.length, true);
+  dv.setUint16(0x30, 0x0001, true);
+  dv.setUint16(0x32, 0x0000, true);
+  out.set(solution, 0x34);
+  out.set(state, 0x34 + W * H);
+  var off = 0x34 + 2 * W * H;
+  strings.forEach(function (b) {
+    out.set(b, off);
+    off += b.length;
+  });
+  var textSum = function textSum(seed) {
+    var ck = seed;
+    if (title) ck = puzChecksum(withNul(title), ck);
+    if (author) ck = puzChecksum(withNul(author), ck);
+    if (copyright) ck = puzChecksum(withNul(copyright), ck);
+    clues.forEach(function (cl) {
+      ck = puzChecksum(latin1Bytes(cl), ck);
+    });
+    if (notes) ck = puzChecksum(withNul(notes), ck);
+    return ck;
+  };
+  var cib = puzChecksum(out.subarray(0x2C, 0x34), 0);
+  dv.setUint16(0x0E, cib, true);
+  dv.setUint16(0x00, textSum(puzChecksum(state, puzChecksum(solution, cib))), true);
+  var sums = [cib, puzChecksum(solution, 0), puzChecksum(state, 0), textSum(0)];
+  var lo = 'ICHE',
+    hi = 'ATED';
+  for (var i = 0; i < 4; i++) {
+    out[0x10 + i] = lo.charCodeAt(i) ^ sums[i] & 0xFF;
+    out[0x14 + i] = hi.charCodeAt(i) ^ sums[i] >> 8;
+  }
+  return out;
+}
+function ipuzClue(x) {
+  return x.enumeration ? {
+    number: x.number,
+    clue: x.clue,
+    enumeration: x.enumeration
+  } : [x.number, x.clue];
+}
+var IPUZ_SOLVE_LOG = 'https://neurologycrossword.me/ipuz/solvelog';
+function toIpuz(layout, meta) {
+  var runs = layoutClueRuns(layout);
+  var b = layout.bounds;
+  var doc = {
+    version: 'http://ipuz.org/v2',
+    kind: ['http://ipuz.org/crossword#1'],
+    title: meta.title || '',
+    author: meta.author || '',
+    notes: meta.notes || '',
+    origin: 'Neurology Crossword Puzzler',
+    dimensions: {
+      width: runs.width,
+      height: runs.height
+    },
+    block: '#',
+    empty: 0,
+    puzzle: runs.cells.map(function (row, r) {
+      return row.map(function (ch, c) {
+        return ch === null ? '#' : runs.numbers[r][c] || 0;
+      });
+    }),
+    solution: runs.cells.map(function (row) {
+      return row.map(function (ch) {
+        return ch === null ? '#' : ch;
+      });
+    }),
+    clues: {
+      Across: runs.across.map(ipuzClue),
+      Down: runs.down.map(ipuzClue)
+    }
+  };
+  if (meta.userGrid) doc.saved = runs.cells.map(function (row, r) {
+    return row.map(function (ch, c) {
+      return ch === null ? '#' : meta.userGrid[b.minR + r][b.minC + c] || 0;
+    });
+  });
+  if (meta.solveLog) doc[IPUZ_SOLVE_LOG] = shiftSolveLog(meta.solveLog, -b.minR, -b.minC);
+  return JSON.stringify(doc, null, 1);
+}
+function xmlEscape(s) {
+  return String(s || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+function toJpz(layout, meta) {
+  var runs = layoutClueRuns(layout);
+  var x = [];
+  x.push('<?xml version="1.0" encoding="UTF-8"?>');
+  x.push('<crossword-compiler-applet xmlns="http://crossword.info/xml/crossword-compiler">');
+  x.push('<rectangular-puzzle xmlns="http://crossword.info/xml/rectangular-puzzle" alphabet="ABCDEFGHIJKLMNOPQRSTUVWXYZ">');
+  x.push('<metadata><title>' + xmlEscape(meta.title) + '</title><creator>' + xmlEscape(meta.author) + '</creator><description>' + xmlEscape(meta.notes) + '</description></metadata>');
+  x.push('<crossword>');
+  x.push('<grid width="' + runs.width + '" height="' + runs.height + '"><grid-look numbering-scheme="normal"/>');
+  for (var r = 0; r < runs.height; r++) for (var c = 0; c < runs.width; c++) {
+    var ch = runs.cells[r][c];
+    if (ch === null) x.push('<cell x="' + (c + 1) + '" y="' + (r + 1) + '" type="block"/>');else x.push('<cell x="' + (c + 1) + '" y="' + (r + 1) + '" solution="' + ch + '"' + (runs.numbers[r][c] ? ' number="' + runs.numbers[r][c] + '"' : '') + '/>');
+  }
+  x.push('</grid>');
+  var id = 1;
+  var words = [];
+  runs.across.forEach(function (w) {
+    words.push({
+      id: id++,
+      w: w,
+      across: true
+    });
+  });
+  runs.down.forEach(function (w) {
+    words.push({
+      id: id++,
+      w: w,
+      across: false
+    });
+  });
+  words.forEach(function (o) {
+    var w = o.w;
+    var xs = o.across ? w.col + 1 + '-' + (w.col + w.len) : String(w.col + 1);
+    var ys = o.across ? String(w.row + 1) : w.row + 1 + '-' + (w.row + w.len);
+    x.push('<word id="' + o.id + '" x="' + xs + '" y="' + ys + '"/>');
+  });
+  [['Across', true], ['Down', false]].forEach(function (pair) {
+    x.push('<clues ordering="normal"><title><b>' + pair[0] + '</b></title>');
+    words.filter(function (o) {
+      return o.across === pair[1];
+    }).forEach(function (o) {
+      x.push('<clue word="' + o.id + '" number="' + o.w.number + '" format="' + (o.w.enumeration || o.w.len) + '">' + xmlEscape(o.w.clue) + '</clue>');
+    });
+    x.push('</clues>');
+  });
+  x.push('</crossword></rectangular-puzzle></crossword-compiler-applet>');
+  return x.join('\n');
+}
+function enumeratedAnswer(letters, enumText) {
+  var parts = String(enumText || '').replace(/[()\s]/g, '').split(/([,-])/);
+  if (parts.length < 3) return null;
+  var out = '',
+    at = 0;
+  for (var i = 0; i < parts.length; i += 2) {
+    var n = Number(parts[i]);
+    if (!(n > 0)) return null;
+    out += letters.slice(at, at + n) + (parts[i + 1] === ',' ? ' ' : parts[i + 1] || '');
+    at += n;
+  }
+  return at === letters.length ? out : null;
+}
+function ipuzCellValue(v) {
+  if (v && _typeof(v) === 'object') v = 'value' in v ? v.value : v.cell;
+  return v;
+}
+function fromIpuz(text) {
+  var src = String(text || '').trim();
+  var jsonp = /^ipuz\(([\s\S]*)\)\s*;?$/.exec(src);
+  if (jsonp) src = jsonp[1];
+  var doc;
+  try {
+    doc = JSON.parse(src);
+  } catch (_) {
+    throw new Error('Not a valid .ipuz file.');
+  }
+  var kinds = [].concat(doc.kind || []);
+  if (!kinds.some(function (k) {
+    return /crossword/i.test(String(k));
+  })) throw new Error('Only crossword .ipuz files are supported.');
+  var W = doc.dimensions && doc.dimensions.width | 0,
+    H = doc.dimensions && doc.dimensions.height | 0;
+  if (!W || !H || !Array.isArray(doc.solution)) throw new Error('The .ipuz file has no solution grid.');
+  if (W > MAX_GRID || H > MAX_GRID) throw new Error('Grids larger than ' + MAX_GRID + '×' + MAX_GRID + ' are not supported.');
+  var block = 'block' in doc ? doc.block : '#';
+  var cells = [];
+  for (var r = 0; r < H; r++) {
+    var row = [];
+    for (var c = 0; c < W; c++) {
+      var pv = ipuzCellValue(doc.puzzle && doc.puzzle[r] ? doc.puzzle[r][c] : 0);
+      var sv = ipuzCellValue(doc.solution[r] ? doc.solution[r][c] : null);
+      if (pv === block || pv === null || sv === block || sv === null || sv === undefined) {
+        row.push(null);
+        continue;
+      }
+      var ch = String(sv).toUpperCase();
+      if (!/^[A-Z]$/.test(ch)) throw new Error('Rebus or non-letter answers are not supported (' + String(sv) + ').');
+      row.push(ch);
+    }
+    cells.push(row);
+  }
+  var clueMap = {},
+    enumMap = {};
+  var readClues = function readClues(list, dir) {
+    (list || []).forEach(function (item) {
+      var num = null,
+        txt = '';
+      if (Array.isArray(item)) {
+        num = item[0];
+        txt = item[1];
+      } else if (item && _typeof(item) === 'object') {
+        num = item.number;
+        txt = item.clue;
+        if (item.enumeration) enumMap[dir + ':' + String(num)] = String(item.enumeration);
+      } else if (typeof item === 'string') {
+        var m = /^(\d+)\s+(.*)$/.exec(item);
+        if (m) {
+          num = m[1];
+          txt = m[2];
+        }
+      }
+      if (num !== null) clueMap[dir + ':' + String(num)] = String(txt == null ? '' : txt);
+    });
+  };
+  var clues = doc.clues || {};
+  Object.keys(clues).forEach(function (k) {
+    if (/^across/i.test(k)) readClues(clues[k], DIRS.ACROSS);else if (/^down/i.test(k)) readClues(clues[k], DIRS.DOWN);
+  });
+  var runs = layoutClueRuns({
+    grid: cells,
+    placements: [],
+    bounds: {
+      minR: 0,
+      maxR: H - 1,
+      minC: 0,
+      maxC: W - 1
+    }
+  });
+  var covered = cells.map(function (row) {
+    return row.map(function () {
+      return false;
+    });
+  });
+  var list = [];
+  var entry = function entry(x, dir, a) {
+    var display = enumeratedAnswer(a, enumMap[dir + ':' + x.number]);
+    return Object.assign({
+      row: x.row,
+      col: x.col,
+      dir: dir,
+      answer: a,
+      clue: clueMap[dir + ':' + x.number] || ''
+    }, display ? {
+      display: display
+    } : null);
+  };
+  runs.across.forEach(function (x) {
+    var a = '';
+    for (var i = 0; i < x.len; i++) {
+      a += cells[x.row][x.col + i];
+      covered[x.row][x.col + i] = true;
+    }
+    list.push(entry(x, DIRS.ACROSS, a));
+  });
+  runs.down.forEach(function (x) {
+    var a = '';
+    for (var i = 0; i < x.len; i++) {
+      a += cells[x.row + i][x.col];
+      covered[x.row + i][x.col] = true;
+    }
+    list.push(entry(x, DIRS.DOWN, a));
+  });
+  for (var _r6 = 0; _r6 < H; _r6++) for (var _c6 = 0; _c6 < W; _c6++) {
+    if (cells[_r6][_c6] !== null && !covered[_r6][_c6]) throw new Error('Unchecked single-letter cells are not supported.');
+  }
+  if (!list.length) throw new Error('The .ipuz file has no words.');
+  var solveLog = readSolveLog(doc[IPUZ_SOLVE_LOG]);
+  return {
+    title: doc.title ? String(doc.title) : '',
+    placements: list,
+    solveLog: solveLog && solveLog.events.length ? solveLog : null
+  };
+}
+var REVIEW_KEY = 'neuroxcw.review.v1';
+var REVIEW_INTERVALS_DAYS = [0, 1, 3, 7, 14, 30, 60];
+var DAY_MS = 24 * 60 * 60 * 1000;
+function reviewKey(item) {
+  return item.answer + '|' + item.clue;
+}
+function loadReviewDeck() {
+  try {
+    var obj = JSON.parse(localStorage.getItem(REVIEW_KEY) || '{}');
+    return obj && _typeof(obj) === 'object' ? obj : {};
+  } catch (_) {
+    return {};
+  }
+}
+function saveReviewDeck(deck) {
+  try {
+    localStorage.setItem(REVIEW_KEY, JSON.stringify(deck));
+  } catch (_) {}
+}
+function scheduleReview(deck, placements, missed, now) {
+  var next = Object.assign({}, deck);
+  var missedKeys = new Set(missed.map(reviewKey));
+  var _iterator8 = _createForOfIteratorHelper(placements),
+    _step8;
+  try {
+    for (_iterator8.s(); !(_step8 = _iterator8.n()).done;) {
+      var p = _step8.value;
+      var key = reviewKey(p);
+      var prev = next[key];
+      if (missedKeys.has(key)) {
+        next[key] = {
+          answer: p.answer,
+          clue: p.clue,
+          box: 1,
+          due: now + REVIEW_INTERVALS_DAYS[1] * DAY_MS,
+          lapses: (prev ? prev.lapses || 0 : 0) + 1,
+          seen: now
+        };
+        if (p.display) next[key].display = p.display;
+      } else if (prev && prev.due <= now) {
+        var box = Math.min(REVIEW_INTERVALS_DAYS.length - 1, (prev.box || 1) + 1);
+        next[key] = Object.assign({}, prev, {
+          box: box,
+          due: now + REVIEW_INTERVALS_DAYS[box] * DAY_MS,
+          seen: now
+        });
+      }
+    }
+  } catch (err) {
+    _iterator8.e(err);
+  } finally {
+    _iterator8.f();
+  }
+  return next;
+}
+function dueReviewItems(deck, now) {
+  return Object.keys(deck).map(function (k) {
+    return deck[k];
+  }).filter(function (x) {
+    return x && x.answer && x.due <= now;
+  }).sort(function (a, b) {
+    return a.box - b.box || a.due - b.due;
+  });
+}
+function buildReviewWords(due, bank, rng, preset) {
+  var chosen = due.slice(0, preset.maxClues).map(function (x) {
+    return Object.assign({
+      answer: x.answer,
+      clue: x.clue
+    }, x.display ? {
+      display: x.display
+    } : null);
+  });
+  var seen = {};
+  chosen.forEach(function (x) {
+    seen[x.answer] = 1;
+  });
+  if (chosen.length < preset.minPlaced) {
+    var fill = pickDailyWords(bank, rng, preset);
+    for (var i = 0; i < fill.length && chosen.length < preset.minPlaced; i++) {
+      if (seen[fill[i].answer]) continue;
+      chosen.push(fill[i]);
+      seen[fill[i].answer] = 1;
+    }
+  }
+  return chosen;
+}
+var CLUE_STATS_KEY = 'neuroxcw.cluestats.v1';
+var DIFFICULTY_KEY = 'neuroxcw.difficulty.v1';
+var DIFFICULTY_OPTIONS = [['', 'Any'], ['easy', 'Easy'], ['medium', 'Medium'], ['hard', 'Hard'], ['adaptive', 'Adaptive']];
+function isDifficulty(d) {
+  return d === 'adaptive' || DIFFICULTY_TARGETS.hasOwnProperty(d);
+}
+function loadDifficulty() {
+  try {
+    var d = localStorage.getItem(DIFFICULTY_KEY);
+    return isDifficulty(d) ? d : null;
+  } catch (_) {
+    return null;
+  }
+}
+function saveDifficulty(d) {
+  try {
+    if (d) localStorage.setItem(DIFFICULTY_KEY, d);else localStorage.removeItem(DIFFICULTY_KEY);
+  } catch (_) {}
+}
+function loadClueStats() {
+  try {
+    var obj = JSON.parse(localStorage.getItem(CLUE_STATS_KEY) || '{}');
+    return obj && _typeof(obj) === 'object' ? obj : {};
+  } catch (_) {
+    return {};
+  }
+}
+function saveClueStats(stats) {
+  try {
+    localStorage.setItem(CLUE_STATS_KEY, JSON.stringify(stats));
+  } catch (_) {}
+}
+function historyResults(history) {
+  return history.filter(function (h) {
+    return typeof h.rating === 'number';
+  }).map(function (h) {
+    return {
+      rating: h.rating,
+      perf: h.maxScore ? h.score / h.maxScore : 1 - (h.missed || []).length / Math.max(1, h.words || 0)
+    };
+  });
+}
+function difficultyPick(diff, bank, stats, history) {
+  if (diff === 'adaptive') {
+    var statFor = function statFor(x) {
+      return stats[reviewKey(x)];
+    };
+    var weak = weakTopics(bank, statFor, 3);
+    return {
+      target: adaptiveTarget(historyResults(history)),
+      rate: function rate(x) {
+        return clueDifficulty(x, statFor(x));
+      },
+      favor: function favor(x) {
+        return (x.tags || []).some(function (t) {
+          return weak.indexOf(t) !== -1;
+        });
+      }
+    };
+  }
+  return DIFFICULTY_TARGETS[diff] ? {
+    target: DIFFICULTY_TARGETS[diff],
+    rate: baseDifficulty
+  } : null;
+}
+function savedPick(bank, keys) {
+  if (!Array.isArray(keys) || !keys.length) return null;
+  var byKey = new Map(bank.map(function (x) {
+    return [reviewKey(x), x];
+  }));
+  var out = keys.map(function (k) {
+    return byKey.get(k);
+  });
+  return out.every(Boolean) ? out : null;
+}
+var COOP_KEY = 'neuroxcw.coop.v1';
+var COOP_DEFAULT_RELAY = 'ws://localhost:8787';
+var COOP_PEER_TIMEOUT_MS = 45000;
+var COOP_HEARTBEAT_MS = 15000;
+function loadCoopPrefs() {
+  try {
+    var p = JSON.parse(localStorage.getItem(COOP_KEY) || '{}') || {};
+    return {
+      name: p.name || 'Player',
+      kind: p.kind === 'relay' ? 'relay' : 'tabs',
+      relayUrl: p.relayUrl || COOP_DEFAULT_RELAY
+    };
+  } catch (_) {
+    return {
+      name: 'Player',
+      kind: 'tabs',
+      relayUrl: COOP_DEFAULT_RELAY
+    };
+  }
+}
+function saveCoopPrefs(p) {
+  try {
+    localStorage.setItem(COOP_KEY, JSON.stringify({
+      name: p.name,
+      kind: p.kind,
+      relayUrl: p.relayUrl
+    }));
+  } catch (_) {}
+}
+function readCoopHash() {
+  var m = /[#&]coop=([^&]+)/.exec(window.location.hash || '');
+  if (!m) return null;
+  if (m[1] === 'tabs') return {
+    kind: 'tabs'
+  };
+  var url = '';
+  try {
+    url = decodeURIComponent(m[1]);
+  } catch (_) {}
+  return /^wss?:\/\//i.test(url) ? {
+    kind: 'relay',
+    relayUrl: url
+  } : null;
+}
+function stripCoopHash() {
+  var hash = (window.location.hash || '').replace(/^#/, '').split('&').filter(function (p) {
+    return p && !/^coop=/.test(p);
+  }).join('&');
+  history.replaceState(null, '', window.location.pathname + window.location.search + (hash ? '#' + hash : ''));
+}
+function withHashParam(link, name, value) {
+  var url = new URL(link);
+  var hash = url.hash.replace(/^#/, '');
+  url.hash = (hash ? hash + '&' : '') + name + '=' + value;
+  return url.toString();
+}
+function coopInviteLink(link, session) {
+  return withHashParam(link, 'coop', session.kind === 'relay' ? encodeURIComponent(session.relayUrl) : 'tabs');
+}
+function gridCellWrites(userGrid, clocks) {
+  return Object.keys(clocks).map(function (k) {
+    var parts = k.split(':'),
+      row = userGrid[+parts[0]];
+    return [k, row && row[+parts[1]] || '', clocks[k].ts, clocks[k].peer];
+  });
+}
+var ASSIGN_PARAM = 'assign';
+var ASSIGNMENTS_KEY = 'neuroxcw.assignments.v1';
+var STUDENT_NAME_KEY = 'neuroxcw.student.v1';
+var RESULT_CODE_RE = /XR1\.([A-Za-z0-9_-]+)\.([A-Za-z0-9_-]+)/g;
+function encodeAssignment(a) {
+  var payload = {
+    v: 1,
+    id: a.id,
+    t: a.title,
+    nr: a.noReveal ? 1 : 0,
+    tm: a.forceTimer ? 1 : 0,
+    tl: a.limitMin || 0,
+    k: a.key
+  };
+  return bytesToB64url(new TextEncoder().encode(JSON.stringify(payload)));
+}
+function decodeAssignment(code) {
+  try {
+    var o = JSON.parse(new TextDecoder().decode(b64urlToBytes(code)));
+    if (!o || o.v !== 1 || !o.id || !o.k) return null;
+    return {
+      id: String(o.id),
+      title: String(o.t || 'Assignment'),
+      noReveal: !!o.nr,
+      forceTimer: !!o.tm,
+      limitMin: Math.max(0, Number(o.tl) || 0),
+      key: String(o.k)
+    };
+  } catch (_) {
+    return null;
+  }
+}
+function readAssignment(link) {
+  var m = new RegExp('[#&]' + ASSIGN_PARAM + '=([A-Za-z0-9_-]+)').exec(link || '');
+  return m ? decodeAssignment(m[1]) : null;
+}
+function assignmentLink(puzzleLink, a) {
+  return withHashParam(puzzleLink, ASSIGN_PARAM, encodeAssignment(a));
+}
+function newAssignment(opts) {
+  var bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  return Object.assign({
+    id: newRandomSeed().toString(36),
+    key: bytesToB64url(bytes)
+  }, opts);
+}
+function loadAssignments() {
+  try {
+    var arr = JSON.parse(localStorage.getItem(ASSIGNMENTS_KEY) || '[]');
+    return Array.isArray(arr) ? arr : [];
+  } catch (_) {
+    return [];
+  }
+}
+function rememberAssignment(a, link) {
+  var next = loadAssignments().filter(function (x) {
+    return x.id !== a.id;
+  }).concat([Object.assign({}, a, {
+    link: link,
+    created: Date.now()
+  })]);
+  try {
+    localStorage.setItem(ASSIGNMENTS_KEY, JSON.stringify(next));
+  } catch (_) {}
+  return next;
+}
+function hmacB64url(key, text) {
+  if (!window.crypto || !crypto.subtle) return Promise.reject(new Error('Result codes need a secure (https or localhost) page.'));
+  var enc = new TextEncoder();
+  return crypto.subtle.importKey('raw', enc.encode(key), {
+    name: 'HMAC',
+    hash: 'SHA-256'
+  }, false, ['sign']).then(function (k) {
+    return crypto.subtle.sign('HMAC', k, enc.encode(text));
+  }).then(function (buf) {
+    return bytesToB64url(new Uint8Array(buf).slice(0, 16));
+  });
+}
+function signResult(assignment, result) {
+  var body = bytesToB64url(new TextEncoder().encode(JSON.stringify(result)));
+  return hmacB64url(assignment.key, body).then(function (sig) {
+    return 'XR1.' + body + '.' + sig;
+  });
+}
+function readResultCodes(text, keysById) {
+  var found = [];
+  String(text || '').replace(RESULT_CODE_RE, function (code, body, sig) {
+    found.push({
+      code: code,
+      body: body,
+      sig: sig
+    });
+    return code;
+  });
+  return Promise.all(found.map(function (f) {
+    var result = null;
+    try {
+      result = JSON.parse(new TextDecoder().decode(b64urlToBytes(f.body)));
+    } catch (_) {}
+    if (!result || _typeof(result) !== 'object') return {
+      code: f.code,
+      result: null,
+      check: 'damaged'
+    };
+    var key = keysById[result.a];
+    if (!key) return {
+      code: f.code,
+      result: result,
+      check: 'unknown'
+    };
+    return hmacB64url(key, f.body).then(function (sig) {
+      return {
+        code: f.code,
+        result: result,
+        check: sig === f.sig ? 'valid' : 'invalid'
+      };
+    });
+  }));
+}
+var AUTOCHECK_KEY = 'neuroxcw.autocheck.v1';
+function loadAutocheck() {
+  try {
+    return localStorage.getItem(AUTOCHECK_KEY) !== '0';
+  } catch (_) {
+    return true;
+  }
+}
+function saveAutocheck(on) {
+  try {
+    localStorage.setItem(AUTOCHECK_KEY, on ? '1' : '0');
+  } catch (_) {}
+}
+var REPLAY_SPEEDS = [1, 2, 4, 8];
+var REPLAY_TICK_MS = 50;
+var DISPLAY_KEY = 'neuroxcw.display.v1';
+var FONT_SCALES = [1, 1.25, 1.5, 2];
+function loadDisplay() {
+  var saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(DISPLAY_KEY));
+  } catch (_) {}
+  var systemContrast = false;
+  try {
+    systemContrast = !!(window.matchMedia && window.matchMedia('(prefers-contrast: more)').matches);
+  } catch (_) {}
+  return {
+    contrast: saved && typeof saved.contrast === 'boolean' ? saved.contrast : systemContrast,
+    fontScale: saved && FONT_SCALES.indexOf(saved.fontScale) !== -1 ? saved.fontScale : 1
+  };
+}
+function saveDisplay(d) {
+  try {
+    localStorage.setItem(DISPLAY_KEY, JSON.stringify(d));
+  } catch (_) {}
+}
+function applyDisplay(d) {
+  var root = document.documentElement;
+  root.classList.toggle('hc', !!d.contrast);
+  root.style.setProperty('--font-scale', String(d.fontScale));
+}
+var SAVES_KEY = 'neuroxcw.saves.v2';
+var LEGACY_SAVE_KEY = 'neuroxcw.save.v1';
+var MAX_SAVES = 50;
+function wordSourceKey(source) {
+  var topics = source && source.topics;
+  return (source && source.deck ? source.deck + ':' : '') + (topics && topics.length ? 'topic:' + topics.join(',') : 'all') + (source && source.diff ? '@' + source.diff : '');
+}
+function saveSlotKey(seed, level, source) {
+  return (seed >>> 0) + '|' + level + '|' + wordSourceKey(source);
+}
+function loadSaves() {
+  try {
+    var obj = JSON.parse(localStorage.getItem(SAVES_KEY) || '{}');
+    return obj && _typeof(obj) === 'object' ? obj : {};
+  } catch (_) {
+    return {};
+  }
+}
+function writeSaves(saves) {
+  var keys = Object.keys(saves).sort(function (a, b) {
+    return (saves[b].ts || 0) - (saves[a].ts || 0);
+  });
+  var kept = {};
+  keys.slice(0, MAX_SAVES).forEach(function (k) {
+    kept[k] = saves[k];
+  });
+  try {
+    localStorage.setItem(SAVES_KEY, JSON.stringify(kept));
+  } catch (_) {}
+  return kept;
+}
+function migrateLegacySave() {
+  try {
+    var raw = localStorage.getItem(LEGACY_SAVE_KEY);
+    if (!raw) return;
+    var obj = JSON.parse(raw);
+    if (obj && _typeof(obj) === 'object' && obj.seed && Array.isArray(obj.userGrid)) {
+      var saves = loadSaves();
+      var key = saveSlotKey(obj.seed, typeof obj.sizeLevel === 'number' ? obj.sizeLevel : 5, {
+        topics: obj.topics || []
+      });
+      if (!saves[key]) saves[key] = Object.assign({}, obj, {
+        topics: obj.topics || [],
+        filled: gridFillPercent(obj.userGrid)
+      });
+      writeSaves(saves);
+    }
+    localStorage.removeItem(LEGACY_SAVE_KEY);
+  } catch (_) {}
+}
+function gridFillPercent(user) {
+  var open = 0,
+    filled = 0;
+  (user || []).forEach(function (row) {
+    return (row || []).forEach(function (ch) {
+      if (ch !== null) {
+        open++;
+        if (ch) filled++;
+      }
+    });
+  });
+  return open ? Math.round(100 * filled / open) : 0;
+}
+function inProgressSaves(saves) {
+  return Object.keys(saves).map(function (k) {
+    return Object.assign({
+      key: k
+    }, saves[k]);
+  }).filter(function (x) {
+    return !x.completed && x.filled > 0;
+  }).sort(function (a, b) {
+    return (b.ts || 0) - (a.ts || 0);
+  });
+}
+function initialPuzzle() {
+  migrateLegacySave();
+  var q = readQuery();
+  var fixed = readFixedHash();
+  if (fixed) return {
+    seed: defaultDailySeed(),
+    level: 5,
+    topics: [],
+    deck: null,
+    diff: null,
+    fixed: fixed
+  };
+  if (q.seed !== null || q.level !== null) {
+    return {
+      seed: q.seed !== null ? q.seed >>> 0 : defaultDailySeed(),
+      level: q.level !== null ? q.level : 5,
+      topics: q.topics || [],
+      deck: q.deck,
+      diff: q.diff
+    };
+  }
+  var last = readEmbedOptions(window.location.search) ? null : inProgressSaves(loadSaves())[0];
+  if (last) return {
+    seed: last.seed >>> 0,
+    level: last.sizeLevel,
+    topics: last.topics || [],
+    deck: last.deck || null,
+    diff: last.diff || null,
+    fixed: last.fixedCode || null
+  };
+  return {
+    seed: defaultDailySeed(),
+    level: 5,
+    topics: q.topics || [],
+    deck: q.deck,
+    diff: q.diff || loadDifficulty()
+  };
+}
+function timeAgo(ts) {
+  var s = Math.max(0, Math.round((Date.now() - ts) / 1000));
+  if (s < 60) return 'just now';
+  if (s < 3600) return Math.floor(s / 60) + ' min ago';
+  if (s < 86400) return Math.floor(s / 3600) + ' h ago';
+  return Math.floor(s / 86400) + ' d ago';
+}
+var HISTORY_KEY = 'neuroxcw.history.v1';
+function loadHistory() {
+  try {
+    var arr = JSON.parse(localStorage.getItem(HISTORY_KEY) || '[]');
+    return Array.isArray(arr) ? arr : [];
+  } catch (_) {
+    return [];
+  }
+}
+function appendHistory(history, entry) {
+  var same = function same(h) {
+    return h.seed === entry.seed && h.level === entry.level && wordSourceKey(h) === wordSourceKey(entry) && (h.fixed || null) === (entry.fixed || null) && h.date === entry.date;
+  };
+  var next = history.filter(function (h) {
+    return !same(h);
+  }).concat([entry]);
+  try {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(next));
+  } catch (_) {}
+  return next;
+}
+function dayNumber(ymd) {
+  var m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(ymd || '');
+  return m ? Math.round(Date.UTC(+m[1], +m[2] - 1, +m[3]) / DAY_MS) : null;
+}
+function computeStreaks(history, todayYMD) {
+  var days = Array.from(new Set(history.filter(function (h) {
+    return h.daily;
+  }).map(function (h) {
+    return dayNumber(h.date);
+  }).filter(function (n) {
+    return n !== null;
+  }))).sort(function (a, b) {
+    return a - b;
+  });
+  var longest = 0,
+    run = 0;
+  for (var i = 0; i < days.length; i++) {
+    run = i > 0 && days[i] === days[i - 1] + 1 ? run + 1 : 1;
+    if (run > longest) longest = run;
+  }
+  var today = dayNumber(todayYMD);
+  var have = new Set(days);
+  var d = have.has(today) ? today : today - 1;
+  var current = 0;
+  while (have.has(d)) {
+    current++;
+    d--;
+  }
+  return {
+    current: current,
+    longest: longest,
+    days: days.length
+  };
+}
+function averageTimesByLevel(history) {
+  var acc = {};
+  var _iterator9 = _createForOfIteratorHelper(history),
+    _step9;
+  try {
+    for (_iterator9.s(); !(_step9 = _iterator9.n()).done;) {
+      var h = _step9.value;
+      if (typeof h.ms !== 'number' || !(h.ms > 0)) continue;
+      var a = acc[h.level] || (acc[h.level] = {
+        level: h.level,
+        total: 0,
+        count: 0,
+        best: Infinity
+      });
+      a.total += h.ms;
+      a.count++;
+      if (h.ms < a.best) a.best = h.ms;
+    }
+  } catch (err) {
+    _iterator9.e(err);
+  } finally {
+    _iterator9.f();
+  }
+  return Object.keys(acc).map(function (k) {
+    return acc[k];
+  }).map(function (a) {
+    return {
+      level: a.level,
+      count: a.count,
+      avg: a.total / a.count,
+      best: a.best
+    };
+  }).sort(function (a, b) {
+    return a.level - b.level;
+  });
+}
+function topMissed(history, limit) {
+  var acc = {};
+  var _iterator0 = _createForOfIteratorHelper(history),
+    _step0;
+  try {
+    for (_iterator0.s(); !(_step0 = _iterator0.n()).done;) {
+      var h = _step0.value;
+      var _iterator1 = _createForOfIteratorHelper(h.missed || []),
+        _step1;
+      try {
+        for (_iterator1.s(); !(_step1 = _iterator1.n()).done;) {
+          var m = _step1.value;
+          var key = m.answer + '|' + m.clue;
+          var a = acc[key] || (acc[key] = {
+            answer: m.answer,
+            display: m.display,
+            clue: m.clue,
+            count: 0
+          });
+          a.count++;
+        }
+      } catch (err) {
+        _iterator1.e(err);
+      } finally {
+        _iterator1.f();
+      }
+    }
+  } catch (err) {
+    _iterator0.e(err);
+  } finally {
+    _iterator0.f();
+  }
+  return Object.keys(acc).map(function (k) {
+    return acc[k];
+  }).sort(function (a, b) {
+    return b.count - a.count || a.answer.localeCompare(b.answer);
+  }).slice(0, limit || 10);
+}
+function fireConfetti(count) {
+  count = typeof count === 'number' && isFinite(count) ? count : 8;
+  var container = document.createElement('div');
+  container.style.position = 'fixed';
+  container.style.inset = '0';
+  container.style.pointerEvents = 'none';
+  container.style.zIndex = '1000';
+  document.body.appendChild(container);
+  var EMOJIS = ['🎉', '✨', '⭐'];
+  var N = Math.max(1, Math.min(40, Math.floor(count)));
+  var _loop2 = function _loop2() {
+    var span = document.createElement('span');
+    span.textContent = EMOJIS[Math.floor(Math.random() * EMOJIS.length)];
+    span.style.position = 'absolute';
+    span.style.left = Math.random() * 100 + 'vw';
+    span.style.top = '-10px';
+    span.style.fontSize = 12 + Math.random() * 12 + 'px';
+    span.style.opacity = '0.9';
+    span.style.transition = 'transform 1s ease-out, opacity 1s ease-out';
+    container.appendChild(span);
+    requestAnimationFrame(function () {
+      span.style.transform = 'translateY(' + (70 + Math.random() * 80) + 'vh) rotate(' + (Math.random() - 0.5) * 180 + 'deg)';
+      span.style.opacity = '0';
+    });
+  };
+  for (var i = 0; i < N; i++) {
+    _loop2();
+  }
+  setTimeout(function () {
+    container.remove();
+  }, 1100);
+}
+var FOCUSABLE = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+function useDialogFocus(open, onClose) {
+  var ref = useRef(null);
+  var closeRef = useRef(onClose);
+  closeRef.current = onClose;
+  useEffect(function () {
+    var el = ref.current;
+    if (!open || !el) return;
+    var before = document.activeElement;
+    if (!el.hasAttribute('tabindex')) el.setAttribute('tabindex', '-1');
+    el.focus();
+    var onKey = function onKey(e) {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        if (closeRef.current) closeRef.current();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+      var list = Array.from(el.querySelectorAll(FOCUSABLE)).filter(function (x) {
+        return !x.disabled;
+      });
+      if (!list.length) {
+        e.preventDefault();
+        return;
+      }
+      var first = list[0],
+        last = list[list.length - 1];
+      if (e.shiftKey && (document.activeElement === first || document.activeElement === el)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+    el.addEventListener('keydown', onKey);
+    return function () {
+      el.removeEventListener('keydown', onKey);
+      if (before && before.focus && document.body.contains(before)) before.focus();
+    };
+  }, [open]);
+  return ref;
+}
+function ClueNotes(_ref) {
+  var note = _ref.note,
+    answer = _ref.answer,
+    label = _ref.label;
+  return React.createElement("details", {
+    className: "clue-notes",
+    onClick: function onClick(e) {
+      return e.stopPropagation();
+    },
+    onKeyDown: function onKeyDown(e) {
+      return e.stopPropagation();
+    }
+  }, React.createElement("summary", null, label || 'Why?'), note.explanation && React.createElement("p", null, note.explanation), note.image && React.createElement("img", {
+    src: note.image,
+    alt: note.alt || 'Illustration for ' + answer,
+    loading: "lazy"
+  }), note.reference && React.createElement("cite", null, note.reference));
+}
+function DeckLoader(_ref2) {
+  var onClose = _ref2.onClose,
+    onLoaded = _ref2.onLoaded;
+  var _useState15 = useState(''),
+    _useState16 = _slicedToArray(_useState15, 2),
+    text = _useState16[0],
+    setText = _useState16[1];
+  var _useState17 = useState(''),
+    _useState18 = _slicedToArray(_useState17, 2),
+    name = _useState18[0],
+    setName = _useState18[1];
+  var _useState19 = useState(''),
+    _useState20 = _slicedToArray(_useState19, 2),
+    notesText = _useState20[0],
+    setNotesText = _useState20[1];
+  var _useState21 = useState(false),
+    _useState22 = _slicedToArray(_useState21, 2),
+    dragOver = _useState22[0],
+    setDragOver = _useState22[1];
+  var _useState23 = useState(false),
+    _useState24 = _slicedToArray(_useState23, 2),
+    busy = _useState24[0],
+    setBusy = _useState24[1];
+  var parsed = useMemo(function () {
+    return text.trim() ? parseDeckText(text) : [];
+  }, [text]);
+  var notes = useMemo(function () {
+    if (!notesText) return null;
+    try {
+      return {
+        count: Object.keys(parseClueNotes(notesText)).length
+      };
+    } catch (e) {
+      return {
+        error: e.message
+      };
+    }
+  }, [notesText]);
+  function readFiles(files) {
+    Array.from(files || []).forEach(function (file) {
+      var reader = new FileReader();
+      var isNotes = /\.json$/i.test(file.name);
+      reader.onload = function () {
+        var body = String(reader.result || '');
+        if (isNotes) {
+          setNotesText(body);
+          return;
+        }
+        setText(body);
+        if (!name) setName(file.name.replace(/\.[^.]+$/, ''));
+      };
+      reader.onerror = function () {
+        return alert('Could not read ' + file.name);
+      };
+      reader.readAsText(file);
+    });
+  }
+  function save() {
+    if (!parsed.length) {
+      alert('No valid rows found. Each row needs an answer and a clue.');
+      return;
+    }
+    if (notes && notes.error) {
+      alert(notes.error);
+      return;
+    }
+    var deck = {
+      id: deckIdFor(text),
+      name: name.trim() || 'Custom deck',
+      text: text,
+      count: parsed.length,
+      ts: Date.now()
+    };
+    if (notesText) deck.notes = notesText;
+    setBusy(true);
+    putDeck(deck).then(function () {
+      return onLoaded(deck);
+    })["catch"](function (e) {
+      return alert('Could not save deck: ' + (e && e.message ? e.message : e));
+    })["finally"](function () {
+      return setBusy(false);
+    });
+  }
+  return React.createElement("div", {
+    className: "overlay",
+    onClick: function onClick(e) {
+      if (e.target === e.currentTarget) onClose();
+    }
+  }, React.createElement("div", {
+    className: "modal",
+    role: "dialog",
+    "aria-modal": "true",
+    "aria-label": "Load deck",
+    style: {
+      width: 'min(92vw, 560px)'
+    }
+  }, React.createElement("h3", null, "Load a clue deck"), React.createElement("div", {
+    className: 'dropzone' + (dragOver ? ' over' : ''),
+    onDragOver: function onDragOver(e) {
+      e.preventDefault();
+      setDragOver(true);
+    },
+    onDragLeave: function onDragLeave() {
+      return setDragOver(false);
+    },
+    onDrop: function onDrop(e) {
+      e.preventDefault();
+      setDragOver(false);
+      readFiles(e.dataTransfer && e.dataTransfer.files);
+    }
+  }, "Drop a .csv or .tsv file here, or ", React.createElement("label", {
+    className: "linklike"
+  }, "choose a file", React.createElement("input", {
+    type: "file",
+    multiple: true,
+    accept: ".csv,.tsv,.txt,.json,text/csv,text/tab-separated-values,text/plain,application/json",
+    style: {
+      display: 'none'
+    },
+    onChange: function onChange(e) {
+      readFiles(e.target.files);
+      e.target.value = '';
+    }
+  })), React.createElement("div", {
+    className: "sharenote"
+  }, "Add a .json file of teaching notes keyed by answer (explanation, reference, image) to go with it.")), React.createElement("textarea", {
+    className: "input",
+    rows: 8,
+    placeholder: '…or paste rows here:\nAPHASIA,Language impairment after dominant hemisphere lesion\nPTOSIS\tDrooping of the upper eyelid',
+    value: text,
+    onChange: function onChange(e) {
+      return setText(e.target.value);
+    },
+    style: {
+      fontFamily: 'monospace',
+      fontSize: 12,
+      marginTop: 8
+    }
+  }), React.createElement("div", {
+    className: "row"
+  }, React.createElement("label", {
+    style: {
+      fontWeight: 700,
+      minWidth: '56px'
+    }
+  }, "Name"), React.createElement("input", {
+    className: "input",
+    type: "text",
+    value: name,
+    placeholder: "Custom deck",
+    onChange: function onChange(e) {
+      return setName(e.target.value);
+    }
+  })), React.createElement("div", {
+    style: {
+      fontSize: 12,
+      opacity: .75
+    }
+  }, text.trim() ? parsed.length + ' valid entries (answers of 3+ letters).' : 'Columns: Answer, Clue, optional Topic tags and Difficulty (1-5). Comma or tab separated.'), notes && (notes.error ? React.createElement("div", {
+    className: "error",
+    style: {
+      fontSize: 12
+    }
+  }, notes.error) : React.createElement("div", {
+    style: {
+      fontSize: 12,
+      opacity: .75
+    }
+  }, "Teaching notes for ", notes.count, " answer", notes.count === 1 ? '' : 's', ". ", React.createElement("button", {
+    className: "linklike",
+    style: {
+      background: 'none',
+      border: 'none',
+      padding: 0,
+      fontSize: 12
+    },
+    onClick: function onClick() {
+      return setNotesText('');
+    }
+  }, "Remove"))), React.createElement("div", {
+    className: "actions"
+  }, React.createElement("button", {
+    className: "btn",
+    onClick: onClose
+  }, "Cancel"), React.createElement("button", {
+    className: "btn",
+    disabled: busy || !parsed.length,
+    onClick: save
+  }, "Save & use deck"))));
+}
+function BankEditor(_ref3) {
+  var onClose = _ref3.onClose,
+    deck = _ref3.deck;
+  var _useState25 = useState(null),
+    _useState26 = _slicedToArray(_useState25, 2),
+    entries = _useState26[0],
+    setEntries = _useState26[1];
+  var _useState27 = useState(null),
+    _useState28 = _slicedToArray(_useState27, 2),
+    loadError = _useState28[0],
+    setLoadError = _useState28[1];
+  var _useState29 = useState(''),
+    _useState30 = _slicedToArray(_useState29, 2),
+    query = _useState30[0],
+    setQuery = _useState30[1];
+  var _useState31 = useState('all'),
+    _useState32 = _slicedToArray(_useState31, 2),
+    filter = _useState32[0],
+    setFilter = _useState32[1];
+  var _useState33 = useState(null),
+    _useState34 = _slicedToArray(_useState33, 2),
+    draft = _useState34[0],
+    setDraft = _useState34[1];
+  var _useState35 = useState(false),
+    _useState36 = _slicedToArray(_useState35, 2),
+    dirty = _useState36[0],
+    setDirty = _useState36[1];
+  var nextId = useRef(1);
+  useEffect(function () {
+    var cancelled = false;
+    var source = deck ? Promise.resolve(deck.text) : fetch('crosswordclues.csv').then(function (r) {
+      if (!r.ok) throw new Error('CSV not found');
+      return r.text();
+    });
+    source.then(function (txt) {
+      if (cancelled) return;
+      setEntries(parseDeckText(txt, true).map(function (x) {
+        return Object.assign({
+          id: nextId.current++
+        }, x);
+      }));
+    })["catch"](function (e) {
+      if (!cancelled) setLoadError(e && e.message ? e.message : 'Failed to load crosswordclues.csv');
+    });
+    return function () {
+      cancelled = true;
+    };
+  }, []);
+  var issues = useMemo(function () {
+    return entries ? findBankIssues(entries) : [];
+  }, [entries]);
+  var issueCounts = useMemo(function () {
+    var n = {
+      any: 0
+    };
+    Object.keys(BANK_ISSUES).forEach(function (k) {
+      n[k] = 0;
+    });
+    issues.forEach(function (list) {
+      if (list.length) n.any++;
+      list.forEach(function (k) {
+        n[k]++;
+      });
+    });
+    return n;
+  }, [issues]);
+  var MAX_ROWS = 200;
+  var visible = useMemo(function () {
+    if (!entries) return [];
+    var q = query.trim().toUpperCase();
+    var out = [];
+    for (var i = 0; i < entries.length; i++) {
+      var x = entries[i],
+        iss = issues[i];
+      if (filter === 'issues' && !iss.length) continue;
+      if (filter !== 'all' && filter !== 'issues' && iss.indexOf(filter) === -1) continue;
+      if (q && x.answer.indexOf(q.replace(/[^A-Z]/g, '')) === -1 && x.clue.toUpperCase().indexOf(q) === -1) continue;
+      out.push(i);
+    }
+    if (filter === 'duplicate') out.sort(function (a, b) {
+      return entries[a].answer.localeCompare(entries[b].answer);
+    });
+    return out;
+  }, [entries, issues, query, filter]);
+  function startEdit(i) {
+    var x = entries[i];
+    setDraft({
+      index: i,
+      answer: x.display || x.answer,
+      clue: x.clue,
+      tags: (x.tags || []).join('; '),
+      difficulty: typeof x.difficulty === 'number' ? String(x.difficulty) : ''
+    });
+  }
+  function saveDraft() {
+    var answer = answerLetters(draft.answer);
+    var clue = draft.clue.trim();
+    if (!answer || !clue) {
+      alert('Answer and clue are both required.');
+      return;
+    }
+    var rating = draft.difficulty.trim();
+    if (rating && !/^[1-5](\.\d+)?$/.test(rating)) {
+      alert('Difficulty is a number from 1 to 5, or blank.');
+      return;
+    }
+    var item = {
+      answer: answer,
+      display: answerDisplay(draft.answer, answer) || undefined,
+      clue: clue,
+      tags: parseTopicList(draft.tags),
+      difficulty: rating ? Number(rating) : undefined
+    };
+    setEntries(function (prev) {
+      var copy = prev.slice();
+      if (draft.index === null) copy.unshift(Object.assign({
+        id: nextId.current++
+      }, item));else copy[draft.index] = Object.assign({}, copy[draft.index], item);
+      return copy;
+    });
+    setDraft(null);
+    setDirty(true);
+  }
+  function remove(i) {
+    setEntries(function (prev) {
+      return prev.filter(function (_, j) {
+        return j !== i;
+      });
+    });
+    if (draft && draft.index === i) setDraft(null);
+    setDirty(true);
+  }
+  function exportCSV() {
+    if (issueCounts.any && !confirm(issueCounts.any + ' entries still have issues. Export anyway?')) return;
+    downloadFile('crosswordclues.csv', bankToCSV(entries), 'text/csv');
+    setDirty(false);
+  }
+  function close() {
+    if (dirty && !confirm('Discard unsaved edits to the clue bank?')) return;
+    onClose();
+  }
+  return React.createElement("div", {
+    className: "overlay",
+    onClick: function onClick(e) {
+      if (e.target === e.currentTarget) close();
+    }
+  }, React.createElement("div", {
+    className: "modal editor",
+    role: "dialog",
+    "aria-modal": "true",
+    "aria-label": "Clue bank editor"
+  }, React.createElement("h3", null, "Clue bank", deck ? ': ' + deck.name : ''), loadError && React.createElement("div", {
+    className: "error"
+  }, String(loadError)), !entries && !loadError && React.createElement("div", null, "Loading ", deck ? deck.name : 'crosswordclues.csv', "\u2026"), entries && React.createElement(React.Fragment, null, React.createElement("div", {
+    className: "editor-bar"
+  }, React.createElement("input", {
+    className: "input",
+    type: "search",
+    placeholder: "Search answers and clues",
+    value: query,
+    onChange: function onChange(e) {
+      return setQuery(e.target.value);
+    }
+  }), React.createElement("select", {
+    className: "input",
+    style: {
+      width: 'auto'
+    },
+    value: filter,
+    onChange: function onChange(e) {
+      return setFilter(e.target.value);
+    }
+  }, React.createElement("option", {
+    value: "all"
+  }, "All (", entries.length, ")"), React.createElement("option", {
+    value: "issues"
+  }, "Any issue (", issueCounts.any, ")"), Object.keys(BANK_ISSUES).map(function (k) {
+    return React.createElement("option", {
+      key: k,
+      value: k
+    }, BANK_ISSUES[k], " (", issueCounts[k], ")");
+  })), React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      return setDraft({
+        index: null,
+        answer: '',
+        clue: '',
+        tags: '',
+        difficulty: ''
+      });
+    }
+  }, "Add")), draft && React.createElement("div", {
+    className: "editor-form"
+  }, React.createElement("input", {
+    className: "input",
+    placeholder: "ANSWER",
+    value: draft.answer,
+    onChange: function onChange(e) {
+      return setDraft(Object.assign({}, draft, {
+        answer: e.target.value
+      }));
+    }
+  }), React.createElement("input", {
+    className: "input",
+    placeholder: "Clue",
+    value: draft.clue,
+    onChange: function onChange(e) {
+      return setDraft(Object.assign({}, draft, {
+        clue: e.target.value
+      }));
+    }
+  }), React.createElement("input", {
+    className: "input",
+    placeholder: "Topics (separate with ;)",
+    value: draft.tags,
+    onChange: function onChange(e) {
+      return setDraft(Object.assign({}, draft, {
+        tags: e.target.value
+      }));
+    }
+  }), React.createElement("input", {
+    className: "input",
+    placeholder: "Difficulty 1-5 (blank: by length)",
+    inputMode: "decimal",
+    value: draft.difficulty,
+    onChange: function onChange(e) {
+      return setDraft(Object.assign({}, draft, {
+        difficulty: e.target.value
+      }));
+    }
+  }), React.createElement("div", {
+    className: "actions",
+    style: {
+      paddingTop: 0
+    }
+  }, React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      return setDraft(null);
+    }
+  }, "Cancel"), React.createElement("button", {
+    className: "btn",
+    onClick: saveDraft
+  }, draft.index === null ? 'Add entry' : 'Save entry'))), React.createElement("div", {
+    className: "editor-list"
+  }, visible.slice(0, MAX_ROWS).map(function (i) {
+    var x = entries[i];
+    return React.createElement("div", {
+      key: x.id,
+      className: 'editor-row' + (issues[i].length ? ' flagged' : '')
+    }, React.createElement("div", {
+      style: {
+        flex: 1,
+        minWidth: 0
+      }
+    }, React.createElement("div", null, React.createElement("strong", null, writtenAnswer(x)), " ", React.createElement("span", {
+      style: {
+        opacity: .6,
+        fontSize: 11
+      }
+    }, enumeration(x.display) || x.answer.length), x.tags && x.tags.length ? React.createElement("span", {
+      className: "editor-tags"
+    }, x.tags.join(', ')) : null, typeof x.difficulty === 'number' ? React.createElement("span", {
+      className: "editor-tags"
+    }, "difficulty ", x.difficulty) : null), React.createElement("div", {
+      style: {
+        fontSize: 13
+      }
+    }, x.clue), issues[i].length > 0 && React.createElement("div", {
+      className: "editor-issues"
+    }, issues[i].map(function (k) {
+      return BANK_ISSUES[k];
+    }).join(' · '))), React.createElement("button", {
+      className: "btn",
+      onClick: function onClick() {
+        return startEdit(i);
+      }
+    }, "Edit"), React.createElement("button", {
+      className: "btn",
+      "aria-label": 'Delete ' + x.answer,
+      onClick: function onClick() {
+        return remove(i);
+      }
+    }, "\u2715"));
+  }), visible.length > MAX_ROWS && React.createElement("div", {
+    style: {
+      fontSize: 12,
+      opacity: .7,
+      padding: '6px 0'
+    }
+  }, "Showing ", MAX_ROWS, " of ", visible.length, ". Refine the search to see more."), !visible.length && React.createElement("div", {
+    style: {
+      fontSize: 12,
+      opacity: .7,
+      padding: '6px 0'
+    }
+  }, "No matching entries."))), React.createElement("div", {
+    className: "actions"
+  }, React.createElement("button", {
+    className: "btn",
+    onClick: close
+  }, "Close"), React.createElement("button", {
+    className: "btn",
+    disabled: !entries,
+    onClick: exportCSV
+  }, "Export CSV"))));
+}
+function AssignmentEditor(_ref4) {
+  var onClose = _ref4.onClose,
+    bank = _ref4.bank,
+    seed = _ref4.seed,
+    level = _ref4.level,
+    source = _ref4.source,
+    fixedCode = _ref4.fixedCode,
+    fixedTitle = _ref4.fixedTitle;
+  var _useState37 = useState(fixedCode ? 'fixed' : 'seed'),
+    _useState38 = _slicedToArray(_useState37, 2),
+    kind = _useState38[0],
+    setKind = _useState38[1];
+  var _useState39 = useState(fixedTitle || ''),
+    _useState40 = _slicedToArray(_useState39, 2),
+    title = _useState40[0],
+    setTitle = _useState40[1];
+  var _useState41 = useState(String(seed >>> 0)),
+    _useState42 = _slicedToArray(_useState41, 2),
+    seedText = _useState42[0],
+    setSeedText = _useState42[1];
+  var _useState43 = useState(level),
+    _useState44 = _slicedToArray(_useState43, 2),
+    swag = _useState44[0],
+    setSwag = _useState44[1];
+  var _useState45 = useState(''),
+    _useState46 = _slicedToArray(_useState45, 2),
+    picked = _useState46[0],
+    setPicked = _useState46[1];
+  var _useState47 = useState(true),
+    _useState48 = _slicedToArray(_useState47, 2),
+    noReveal = _useState48[0],
+    setNoReveal = _useState48[1];
+  var _useState49 = useState(true),
+    _useState50 = _slicedToArray(_useState49, 2),
+    forceTimer = _useState50[0],
+    setForceTimer = _useState50[1];
+  var _useState51 = useState('0'),
+    _useState52 = _slicedToArray(_useState51, 2),
+    limitMin = _useState52[0],
+    setLimitMin = _useState52[1];
+  var _useState53 = useState(false),
+    _useState54 = _slicedToArray(_useState53, 2),
+    busy = _useState54[0],
+    setBusy = _useState54[1];
+  var _useState55 = useState(null),
+    _useState56 = _slicedToArray(_useState55, 2),
+    made = _useState56[0],
+    setMade = _useState56[1];
+  var pickedWords = useMemo(function () {
+    var byAnswer = {};
+    bank.forEach(function (x) {
+      if (!byAnswer[x.answer]) byAnswer[x.answer] = x;
+    });
+    var out = [],
+      missing = [];
+    String(picked).split(/\r?\n/).forEach(function (line) {
+      if (!line.trim()) return;
+      var row = parseDeckText(line)[0];
+      if (row) {
+        out.push(Object.assign({
+          answer: row.answer,
+          clue: row.clue
+        }, row.display ? {
+          display: row.display
+        } : null));
+        return;
+      }
+      var ans = answerLetters(line);
+      if (byAnswer[ans]) out.push(Object.assign({
+        answer: ans,
+        clue: byAnswer[ans].clue
+      }, byAnswer[ans].display ? {
+        display: byAnswer[ans].display
+      } : null));else if (ans) missing.push(ans);
+    });
+    return {
+      words: out,
+      missing: missing
+    };
+  }, [picked, bank]);
+  function puzzleLinkFor() {
+    if (kind === 'fixed') return Promise.resolve(fixedLink(fixedCode));
+    if (kind === 'seed') {
+      var t = seedText.trim();
+      var sd = /^\d+$/.test(t) ? parseInt(t, 10) >>> 0 : hashStringToInt(t || String(seed));
+      return Promise.resolve(permalink(sd, swag, source));
+    }
+    var words = pickedWords.words;
+    if (words.length < 2) return Promise.reject(new Error('Pick at least two clues.'));
+    var preset = presetFor(swag);
+    var layout = generateCrossword(words, hashStringToInt(words.map(function (w) {
+      return w.answer;
+    }).join('|')), computeGridSize(words, preset), {
+      density: preset.density
+    });
+    var left = words.filter(function (w) {
+      return !layout.placements.some(function (p) {
+        return p.answer === w.answer;
+      });
+    });
+    if (left.length && !confirm('These answers do not fit the grid and will be left out: ' + left.map(function (w) {
+      return w.answer;
+    }).join(', ') + '. Continue?')) return Promise.reject(null);
+    return encodeFixedPuzzle(layout.placements, layout.bounds, title.trim()).then(fixedLink);
+  }
+  function create() {
+    setBusy(true);
+    puzzleLinkFor().then(function (link) {
+      var a = newAssignment({
+        title: title.trim() || 'Assignment',
+        noReveal: noReveal,
+        forceTimer: forceTimer,
+        limitMin: Math.max(0, Math.round(Number(limitMin) || 0))
+      });
+      var url = assignmentLink(link, a);
+      rememberAssignment(a, url);
+      setMade(url);
+    })["catch"](function (e) {
+      if (e) alert(e && e.message ? e.message : String(e));
+    })["finally"](function () {
+      return setBusy(false);
+    });
+  }
+  return React.createElement("div", {
+    className: "overlay",
+    onClick: function onClick(e) {
+      if (e.target === e.currentTarget) onClose();
+    }
+  }, React.createElement("div", {
+    className: "modal",
+    role: "dialog",
+    "aria-modal": "true",
+    "aria-label": "Create assignment",
+    style: {
+      width: 'min(92vw, 560px)'
+    }
+  }, React.createElement("h3", null, "Create an assignment"), made ? React.createElement("div", {
+    className: "sharebox"
+  }, React.createElement("strong", null, "Student link"), React.createElement("div", {
+    className: "sharenote"
+  }, "Opens the puzzle with Today, Random and Options turned off. Students finish with a result code to send you; paste the codes into the Gradebook."), React.createElement("div", {
+    className: "row"
+  }, React.createElement("input", {
+    className: "input",
+    readOnly: true,
+    value: made,
+    onFocus: function onFocus(e) {
+      return e.target.select();
+    }
+  }), React.createElement("button", {
+    className: "btn",
+    onClick: function onClick(e) {
+      return copyText(made, e.currentTarget.previousSibling);
+    }
+  }, "Copy"))) : React.createElement(React.Fragment, null, React.createElement("div", {
+    className: "row"
+  }, React.createElement("label", {
+    style: {
+      fontWeight: 700,
+      minWidth: '56px'
+    }
+  }, "Title"), React.createElement("input", {
+    className: "input",
+    type: "text",
+    value: title,
+    placeholder: "Week 3: cerebellum",
+    onChange: function onChange(e) {
+      return setTitle(e.target.value);
+    }
+  })), React.createElement("div", {
+    className: "row",
+    style: {
+      alignItems: 'center',
+      gap: '12px'
+    }
+  }, React.createElement("label", null, "Puzzle"), React.createElement("div", {
+    className: "seg",
+    role: "tablist",
+    "aria-label": "Puzzle source"
+  }, React.createElement("button", {
+    "aria-pressed": kind === 'seed',
+    onClick: function onClick() {
+      return setKind('seed');
+    }
+  }, "Seed"), React.createElement("button", {
+    "aria-pressed": kind === 'picked',
+    onClick: function onClick() {
+      return setKind('picked');
+    }
+  }, "Hand-picked clues"), fixedCode && React.createElement("button", {
+    "aria-pressed": kind === 'fixed',
+    onClick: function onClick() {
+      return setKind('fixed');
+    }
+  }, "This puzzle"))), kind === 'seed' && React.createElement("div", {
+    className: "row",
+    style: {
+      alignItems: 'center',
+      gap: '12px'
+    }
+  }, React.createElement("label", null, "Seed"), React.createElement("input", {
+    className: "input",
+    type: "text",
+    value: seedText,
+    onChange: function onChange(e) {
+      return setSeedText(e.target.value);
+    },
+    style: {
+      width: '10em'
+    }
+  }), React.createElement("label", null, "Swag"), React.createElement("input", {
+    type: "range",
+    min: 0,
+    max: 14,
+    step: 1,
+    value: swag,
+    onChange: function onChange(e) {
+      return setSwag(Number(e.target.value));
+    },
+    className: "slider"
+  }), React.createElement("span", null, swag)), kind === 'picked' && React.createElement(React.Fragment, null, React.createElement("textarea", {
+    className: "input",
+    rows: 7,
+    value: picked,
+    onChange: function onChange(e) {
+      return setPicked(e.target.value);
+    },
+    style: {
+      fontFamily: 'monospace',
+      fontSize: 12
+    },
+    placeholder: 'One per line: an answer from the bank, or Answer, Clue\nATAXIA\nPTOSIS,Drooping of the upper eyelid'
+  }), React.createElement("div", {
+    style: {
+      fontSize: 12,
+      opacity: .75
+    }
+  }, pickedWords.words.length, " clue", pickedWords.words.length === 1 ? '' : 's', pickedWords.missing.length > 0 && React.createElement("span", {
+    className: "error"
+  }, " \xB7 not in the bank: ", pickedWords.missing.join(', ')))), kind === 'fixed' && React.createElement("div", {
+    className: "sharenote"
+  }, "Uses the fixed-layout puzzle that is open now."), React.createElement("div", {
+    className: "row",
+    style: {
+      flexDirection: 'column',
+      alignItems: 'flex-start',
+      gap: '4px'
+    }
+  }, React.createElement("label", null, React.createElement("input", {
+    type: "checkbox",
+    checked: noReveal,
+    onChange: function onChange(e) {
+      return setNoReveal(e.target.checked);
+    }
+  }), " No Reveal or hints"), React.createElement("label", null, React.createElement("input", {
+    type: "checkbox",
+    checked: forceTimer,
+    onChange: function onChange(e) {
+      return setForceTimer(e.target.checked);
+    }
+  }), " Timer always on"), React.createElement("label", null, "Time limit ", React.createElement("input", {
+    className: "input",
+    type: "number",
+    min: 0,
+    value: limitMin,
+    onChange: function onChange(e) {
+      return setLimitMin(e.target.value);
+    },
+    style: {
+      width: '5em'
+    }
+  }), " minutes (0 for none)"))), React.createElement("div", {
+    className: "actions"
+  }, React.createElement("button", {
+    className: "btn",
+    onClick: onClose
+  }, "Close"), !made && React.createElement("button", {
+    className: "btn",
+    disabled: busy,
+    onClick: create
+  }, "Create link"))));
+}
+function Gradebook(_ref5) {
+  var onClose = _ref5.onClose;
+  var _useState57 = useState(''),
+    _useState58 = _slicedToArray(_useState57, 2),
+    codes = _useState58[0],
+    setCodes = _useState58[1];
+  var _useState59 = useState(''),
+    _useState60 = _slicedToArray(_useState59, 2),
+    links = _useState60[0],
+    setLinks = _useState60[1];
+  var _useState61 = useState([]),
+    _useState62 = _slicedToArray(_useState61, 2),
+    rows = _useState62[0],
+    setRows = _useState62[1];
+  var _useState63 = useState(null),
+    _useState64 = _slicedToArray(_useState63, 2),
+    problem = _useState64[0],
+    setProblem = _useState64[1];
+  var known = useMemo(function () {
+    var byId = {};
+    loadAssignments().forEach(function (a) {
+      byId[a.id] = a;
+    });
+    String(links).split(/\s+/).forEach(function (l) {
+      var a = readAssignment(l);
+      if (a) byId[a.id] = a;
+    });
+    return byId;
+  }, [links]);
+  useEffect(function () {
+    var cancelled = false;
+    var keys = {};
+    Object.keys(known).forEach(function (id) {
+      keys[id] = known[id].key;
+    });
+    readResultCodes(codes, keys).then(function (list) {
+      if (!cancelled) {
+        setRows(list);
+        setProblem(null);
+      }
+    })["catch"](function (e) {
+      if (!cancelled) {
+        setRows([]);
+        setProblem(e && e.message ? e.message : String(e));
+      }
+    });
+    return function () {
+      cancelled = true;
+    };
+  }, [codes, known]);
+  function download() {
+    var stamp = new Date().toISOString().slice(0, 10);
+    downloadFile('gradebook-' + stamp + '.csv', gradebookCSV(rows, known), 'text/csv');
+  }
+  return React.createElement("div", {
+    className: "overlay",
+    onClick: function onClick(e) {
+      if (e.target === e.currentTarget) onClose();
+    }
+  }, React.createElement("div", {
+    className: "modal",
+    role: "dialog",
+    "aria-modal": "true",
+    "aria-label": "Gradebook",
+    style: {
+      width: 'min(94vw, 720px)'
+    }
+  }, React.createElement("h3", null, "Gradebook"), React.createElement("textarea", {
+    className: "input",
+    rows: 6,
+    value: codes,
+    onChange: function onChange(e) {
+      return setCodes(e.target.value);
+    },
+    style: {
+      fontFamily: 'monospace',
+      fontSize: 12
+    },
+    placeholder: "Paste result codes (XR1.\u2026), any layout: one per line, an email thread, a spreadsheet column"
+  }), React.createElement("input", {
+    className: "input",
+    type: "text",
+    value: links,
+    onChange: function onChange(e) {
+      return setLinks(e.target.value);
+    },
+    style: {
+      marginTop: 6
+    },
+    placeholder: "Assignment links made on another device, to check their codes"
+  }), rows.length > 0 && React.createElement("div", {
+    className: "gradebook"
+  }, React.createElement("table", null, React.createElement("thead", null, React.createElement("tr", null, React.createElement("th", null, "Student"), React.createElement("th", null, "Assignment"), React.createElement("th", null, "Time"), React.createElement("th", null, "Score"), React.createElement("th", null, "Missed"), React.createElement("th", null, "Code"))), React.createElement("tbody", null, rows.map(function (row, i) {
+    var r = row.result || {};
+    var a = known[r.a] || {};
+    return React.createElement("tr", {
+      key: i,
+      className: row.check === 'valid' ? '' : 'bad'
+    }, React.createElement("td", null, r.n || '—'), React.createElement("td", null, a.title || r.a || '—'), React.createElement("td", null, typeof r.ms === 'number' ? formatMs(r.ms) : '—', r.c ? '' : ' (unfinished)'), React.createElement("td", null, r.s != null ? r.s + ' / ' + r.m : '—'), React.createElement("td", null, Array.isArray(r.x) ? r.x.length : 0), React.createElement("td", null, RESULT_CHECKS[row.check]));
+  })))), problem && React.createElement("div", {
+    className: "error",
+    role: "alert"
+  }, problem), React.createElement("div", {
+    style: {
+      fontSize: 12,
+      opacity: .75
+    }
+  }, rows.length, " code", rows.length === 1 ? '' : 's', " found."), React.createElement("div", {
+    className: "actions"
+  }, React.createElement("button", {
+    className: "btn",
+    onClick: onClose
+  }, "Close"), React.createElement("button", {
+    className: "btn",
+    disabled: !rows.length,
+    onClick: download
+  }, "Download CSV"))));
+}
+function HandIn(_ref6) {
+  var assignment = _ref6.assignment,
+    makeResult = _ref6.makeResult,
+    onDownload = _ref6.onDownload;
+  var _useState65 = useState(function () {
+      try {
+        return localStorage.getItem(STUDENT_NAME_KEY) || '';
+      } catch (_) {
+        return '';
+      }
+    }),
+    _useState66 = _slicedToArray(_useState65, 2),
+    name = _useState66[0],
+    setName = _useState66[1];
+  var _useState67 = useState(null),
+    _useState68 = _slicedToArray(_useState67, 2),
+    code = _useState68[0],
+    setCode = _useState68[1];
+  var _useState69 = useState(null),
+    _useState70 = _slicedToArray(_useState69, 2),
+    error = _useState70[0],
+    setError = _useState70[1];
+  function make() {
+    var n = name.trim().slice(0, 80);
+    if (!n) {
+      setError('Enter your name first.');
+      return;
+    }
+    try {
+      localStorage.setItem(STUDENT_NAME_KEY, n);
+    } catch (_) {}
+    setError(null);
+    signResult(assignment, makeResult(n)).then(setCode)["catch"](function (e) {
+      return setError(e && e.message ? e.message : String(e));
+    });
+  }
+  return React.createElement("div", {
+    className: "sharebox",
+    style: {
+      textAlign: 'left'
+    }
+  }, React.createElement("strong", null, "Result code"), React.createElement("div", {
+    className: "sharenote"
+  }, "Send this code to your instructor. It records your time, reveals and missed answers."), React.createElement("div", {
+    className: "row"
+  }, React.createElement("input", {
+    className: "input",
+    type: "text",
+    value: name,
+    placeholder: "Your name",
+    onChange: function onChange(e) {
+      setName(e.target.value);
+      setCode(null);
+    }
+  }), React.createElement("button", {
+    id: "resultCodeBtn",
+    className: "btn",
+    onClick: make
+  }, "Get code")), code && React.createElement("div", {
+    className: "row"
+  }, React.createElement("input", {
+    id: "resultCode",
+    className: "input",
+    readOnly: true,
+    value: code,
+    onFocus: function onFocus(e) {
+      return e.target.select();
+    }
+  }), React.createElement("button", {
+    className: "btn",
+    onClick: function onClick(e) {
+      return copyText(code, e.currentTarget.previousSibling);
+    }
+  }, "Copy")), error && React.createElement("div", {
+    className: "error",
+    style: {
+      fontSize: 12
+    }
+  }, error), React.createElement("div", {
+    className: "sharenote"
+  }, "To let your instructor replay how you solved it, send the attempt file too."), React.createElement("div", {
+    className: "row"
+  }, React.createElement("button", {
+    id: "handInAttemptBtn",
+    className: "btn",
+    onClick: onDownload
+  }, "Download attempt")));
+}
+var ARCHIVE_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+var ARCHIVE_MARKS = {
+  solved: ['✓', 'solved'],
+  progress: ['…', 'in progress']
+};
+function DailyArchive(_ref7) {
+  var onClose = _ref7.onClose,
+    onOpen = _ref7.onOpen,
+    today = _ref7.today,
+    status = _ref7.status,
+    current = _ref7.current;
+  var _useState71 = useState((current || today).slice(0, 7)),
+    _useState72 = _slicedToArray(_useState71, 2),
+    month = _useState72[0],
+    setMonth = _useState72[1];
+  var first = month + '-01';
+  var earliest = ymdAddDays(today, -ARCHIVE_DAYS);
+  var lead = new Date(dayNumber(first) * DAY_MS).getUTCDay();
+  var days = [];
+  for (var d = first; d.slice(0, 7) === month; d = ymdAddDays(d, 1)) days.push(d);
+  var title = new Intl.DateTimeFormat('en-US', {
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC'
+  }).format(new Date(dayNumber(first) * DAY_MS));
+  var prevMonth = ymdAddDays(first, -1).slice(0, 7),
+    nextMonth = ymdAddDays(days[days.length - 1], 1).slice(0, 7);
+  return React.createElement("div", {
+    className: "overlay",
+    onClick: function onClick(e) {
+      if (e.target === e.currentTarget) onClose();
+    }
+  }, React.createElement("div", {
+    className: "modal",
+    role: "dialog",
+    "aria-modal": "true",
+    "aria-label": "Daily archive",
+    style: {
+      width: 'min(92vw, 420px)'
+    }
+  }, React.createElement("h3", null, "Daily archive"), React.createElement("div", {
+    className: "archive-head"
+  }, React.createElement("button", {
+    className: "btn",
+    "aria-label": "Previous month",
+    disabled: first <= earliest,
+    onClick: function onClick() {
+      return setMonth(prevMonth);
+    }
+  }, "\u2039"), React.createElement("strong", null, title), React.createElement("button", {
+    className: "btn",
+    "aria-label": "Next month",
+    disabled: nextMonth > today.slice(0, 7),
+    onClick: function onClick() {
+      return setMonth(nextMonth);
+    }
+  }, "\u203A")), React.createElement("div", {
+    className: "archive-grid",
+    role: "group",
+    "aria-label": title
+  }, ARCHIVE_WEEKDAYS.map(function (w) {
+    return React.createElement("div", {
+      key: w,
+      className: "archive-dow",
+      "aria-hidden": "true"
+    }, w);
+  }), Array.from({
+    length: lead
+  }, function (_, i) {
+    return React.createElement("div", {
+      key: 'pad' + i
+    });
+  }), days.map(function (d) {
+    var st = status[dailySeed(d)];
+    var mark = st ? ARCHIVE_MARKS[st] : null;
+    return React.createElement("button", {
+      key: d,
+      className: 'archive-day' + (st ? ' ' + st : '') + (d === today ? ' today' : '') + (d === current ? ' current' : ''),
+      disabled: d > today || d < earliest,
+      "aria-label": d + (mark ? ', ' + mark[1] : '') + (d === today ? ', today' : ''),
+      onClick: function onClick() {
+        return onOpen(d);
+      }
+    }, Number(d.slice(8)), React.createElement("span", {
+      className: "archive-mark",
+      "aria-hidden": "true"
+    }, mark ? mark[0] : ''));
+  })), React.createElement("div", {
+    className: "sharenote"
+  }, "\u2713 solved \xB7 \u2026 in progress. Days change at midnight in the Options time zone."), React.createElement("div", {
+    className: "actions"
+  }, month !== today.slice(0, 7) && React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      return setMonth(today.slice(0, 7));
+    }
+  }, "This month"), React.createElement("button", {
+    className: "btn",
+    onClick: onClose
+  }, "Close"))));
+}
+var PRINT_PACKET_MAX = 30;
+function PrintDialog(_ref8) {
+  var onClose = _ref8.onClose,
+    bank = _ref8.bank,
+    seed = _ref8.seed,
+    level = _ref8.level,
+    source = _ref8.source,
+    current = _ref8.current,
+    study = _ref8.study,
+    packet = _ref8.packet,
+    notes = _ref8.notes;
+  var _useState73 = useState(study ? 'study' : current && !packet ? 'this' : 'seeds'),
+    _useState74 = _slicedToArray(_useState73, 2),
+    kind = _useState74[0],
+    setKind = _useState74[1];
+  var _useState75 = useState(String(seed >>> 0)),
+    _useState76 = _slicedToArray(_useState75, 2),
+    fromText = _useState76[0],
+    setFromText = _useState76[1];
+  var _useState77 = useState('10'),
+    _useState78 = _slicedToArray(_useState77, 2),
+    count = _useState78[0],
+    setCount = _useState78[1];
+  var _useState79 = useState(level),
+    _useState80 = _slicedToArray(_useState79, 2),
+    swag = _useState80[0],
+    setSwag = _useState80[1];
+  var _useState81 = useState((source && source.topics || []).join(', ')),
+    _useState82 = _slicedToArray(_useState81, 2),
+    topicText = _useState82[0],
+    setTopicText = _useState82[1];
+  var _useState83 = useState('standard'),
+    _useState84 = _slicedToArray(_useState83, 2),
+    layout = _useState84[0],
+    setLayout = _useState84[1];
+  var _useState85 = useState(true),
+    _useState86 = _slicedToArray(_useState85, 2),
+    answerKeys = _useState86[0],
+    setAnswerKeys = _useState86[1];
+  var _useState87 = useState(false),
+    _useState88 = _slicedToArray(_useState87, 2),
+    appendix = _useState88[0],
+    setAppendix = _useState88[1];
+  var hasNotes = !!notes && Object.keys(notes).length > 0;
+  var _useState89 = useState(null),
+    _useState90 = _slicedToArray(_useState89, 2),
+    progress = _useState90[0],
+    setProgress = _useState90[1];
+  var _useState91 = useState(null),
+    _useState92 = _slicedToArray(_useState91, 2),
+    error = _useState92[0],
+    setError = _useState92[1];
+  var builtRef = useRef(null);
+  var jobRef = useRef(null);
+  useEffect(function () {
+    return function () {
+      if (jobRef.current) jobRef.current.cancel();
+    };
+  }, []);
+  var diff = source && DIFFICULTY_TARGETS[source.diff] ? source.diff : null;
+  function packetSpec() {
+    var t = fromText.trim();
+    var from = /^\d+$/.test(t) ? parseInt(t, 10) >>> 0 : hashStringToInt(t || String(seed));
+    var n = Math.max(1, Math.min(PRINT_PACKET_MAX, Math.round(Number(count)) || 1));
+    return {
+      from: from,
+      n: n,
+      level: swag,
+      topics: parseTopicList(topicText)
+    };
+  }
+  var spec = packetSpec();
+  function buildPacketPuzzles(spec) {
+    var key = JSON.stringify(spec);
+    if (builtRef.current && builtRef.current.key === key) return Promise.resolve(builtRef.current.puzzles);
+    var preset = presetFor(spec.level);
+    var src = {
+      topics: spec.topics,
+      deck: source && source.deck,
+      diff: diff
+    };
+    var rating = diff ? {
+      target: DIFFICULTY_TARGETS[diff],
+      rate: baseDifficulty
+    } : null;
+    var puzzles = [];
+    var _next = function next(i) {
+      if (i >= spec.n) {
+        builtRef.current = {
+          key: key,
+          puzzles: puzzles
+        };
+        return Promise.resolve(puzzles);
+      }
+      setProgress({
+        done: i,
+        total: spec.n
+      });
+      var sd = spec.from + i >>> 0;
+      var words = pickDailyWords(bank, mulberry32(sd), preset, spec.topics, rating);
+      if (!words.length) return Promise.reject(new Error('No clues match those topics at this size.'));
+      var size = computeGridSize(words, preset);
+      var opts = {
+        density: preset.density
+      };
+      var cacheKey = layoutCacheKey(words, sd, size, opts);
+      var cached = layoutCache.get(cacheKey);
+      var made;
+      if (cached) made = Promise.resolve(cached);else {
+        jobRef.current = buildCrossword({
+          words: words,
+          seed: sd,
+          size: size,
+          opts: opts
+        });
+        made = jobRef.current.promise.then(function (layout) {
+          rememberLayout(cacheKey, layout);
+          return layout;
+        });
+      }
+      return made.then(function (layout) {
+        var meta = {
+          seed: sd,
+          level: spec.level,
+          topics: spec.topics,
+          difficulty: diff
+        };
+        puzzles.push(Object.assign(puzzleToJSON(layout, meta), {
+          label: puzzleStamp(meta),
+          link: permalink(sd, spec.level, src)
+        }));
+        return _next(i + 1);
+      });
+    };
+    return _next(0);
+  }
+  function makeDoc() {
+    var date = 'Printed ' + dayYYYYMMDD();
+    if (kind === 'study') return Promise.resolve(buildStudySheet(study.items, {
+      layout: layout,
+      title: study.title,
+      date: date
+    }));
+    var puzzles = kind === 'this' ? Promise.resolve([current]) : buildPacketPuzzles(spec);
+    return puzzles.then(function (list) {
+      return buildPacket(list, {
+        layout: layout,
+        answerKeys: answerKeys,
+        notes: hasNotes && appendix ? notes : null,
+        date: date
+      });
+    });
+  }
+  function fileBase() {
+    if (kind === 'study') return 'neurology-study-sheet-' + dayYYYYMMDD();
+    if (kind === 'this') return 'neurology-crossword-' + (current.seed !== undefined ? current.seed : 'puzzle');
+    return 'neurology-crossword-packet-' + spec.from + (spec.n > 1 ? '-' + (spec.from + spec.n - 1 >>> 0) : '');
+  }
+  function run(output) {
+    setError(null);
+    makeDoc().then(function (doc) {
+      var title = kind === 'study' ? study.title : 'Neurology Crossword';
+      if (output === 'pdf') downloadFile(fileBase() + '.pdf', toPDF(doc, {
+        title: title
+      }), 'application/pdf');else printDocument(toPrintHTML(doc, title));
+    })["catch"](function (e) {
+      return setError(e && e.message ? e.message : String(e));
+    })["finally"](function () {
+      jobRef.current = null;
+      setProgress(null);
+    });
+  }
+  var busy = progress !== null;
+  return React.createElement("div", {
+    className: "overlay",
+    onClick: function onClick(e) {
+      if (e.target === e.currentTarget) onClose();
+    }
+  }, React.createElement("div", {
+    className: "modal",
+    role: "dialog",
+    "aria-modal": "true",
+    "aria-label": "Print",
+    style: {
+      width: 'min(92vw, 560px)'
+    }
+  }, React.createElement("h3", null, kind === 'study' ? 'Print a study sheet' : 'Print'), kind === 'study' ? React.createElement("div", {
+    className: "sharenote"
+  }, study.items.length, " answer", study.items.length === 1 ? '' : 's', " with their clues, to review on paper.") : React.createElement(React.Fragment, null, React.createElement("div", {
+    className: "row",
+    style: {
+      alignItems: 'center',
+      gap: '12px'
+    }
+  }, React.createElement("label", null, "Puzzles"), React.createElement("div", {
+    className: "seg",
+    role: "tablist",
+    "aria-label": "What to print"
+  }, current && React.createElement("button", {
+    "aria-pressed": kind === 'this',
+    onClick: function onClick() {
+      return setKind('this');
+    }
+  }, "This puzzle"), React.createElement("button", {
+    "aria-pressed": kind === 'seeds',
+    onClick: function onClick() {
+      return setKind('seeds');
+    }
+  }, "Packet of seeds"))), kind === 'this' && React.createElement("div", {
+    className: "sharenote"
+  }, current.label || 'The puzzle that is open now.'), kind === 'seeds' && React.createElement(React.Fragment, null, React.createElement("div", {
+    className: "row",
+    style: {
+      alignItems: 'center',
+      gap: '12px',
+      flexWrap: 'wrap'
+    }
+  }, React.createElement("label", null, "First seed"), React.createElement("input", {
+    className: "input",
+    type: "text",
+    value: fromText,
+    onChange: function onChange(e) {
+      return setFromText(e.target.value);
+    },
+    style: {
+      width: '10em'
+    }
+  }), React.createElement("label", null, "Puzzles"), React.createElement("input", {
+    className: "input",
+    type: "number",
+    min: 1,
+    max: PRINT_PACKET_MAX,
+    value: count,
+    onChange: function onChange(e) {
+      return setCount(e.target.value);
+    },
+    style: {
+      width: '5em'
+    }
+  })), React.createElement("div", {
+    className: "row",
+    style: {
+      alignItems: 'center',
+      gap: '12px'
+    }
+  }, React.createElement("label", null, "Swag"), React.createElement("input", {
+    type: "range",
+    min: 0,
+    max: 14,
+    step: 1,
+    value: swag,
+    onChange: function onChange(e) {
+      return setSwag(Number(e.target.value));
+    },
+    className: "slider"
+  }), React.createElement("span", null, swag)), React.createElement("div", {
+    className: "row",
+    style: {
+      alignItems: 'center',
+      gap: '12px'
+    }
+  }, React.createElement("label", null, "Topics"), React.createElement("input", {
+    className: "input",
+    type: "text",
+    value: topicText,
+    placeholder: "All topics",
+    onChange: function onChange(e) {
+      return setTopicText(e.target.value);
+    }
+  })), React.createElement("div", {
+    className: "sharenote"
+  }, "Seeds ", spec.from, " to ", spec.from + spec.n - 1 >>> 0, diff ? ', ' + diff + ' clues' : '', ". Each page shows its seed and Swag, so the packet can be rebuilt later.")), React.createElement("label", null, React.createElement("input", {
+    type: "checkbox",
+    checked: answerKeys,
+    onChange: function onChange(e) {
+      return setAnswerKeys(e.target.checked);
+    }
+  }), " Answer key", kind === 'seeds' ? 's' : '', " on separate pages at the end"), hasNotes && React.createElement("label", {
+    style: {
+      display: 'block'
+    }
+  }, React.createElement("input", {
+    id: "printNotesBox",
+    type: "checkbox",
+    checked: appendix,
+    onChange: function onChange(e) {
+      return setAppendix(e.target.checked);
+    }
+  }), " Teaching notes appendix (explanations and references)")), React.createElement("div", {
+    className: "row",
+    style: {
+      alignItems: 'center',
+      gap: '12px'
+    }
+  }, React.createElement("label", null, "Layout"), React.createElement("div", {
+    className: "seg",
+    role: "tablist",
+    "aria-label": "Page layout"
+  }, Object.keys(PRINT_LAYOUTS).map(function (k) {
+    return React.createElement("button", {
+      key: k,
+      "aria-pressed": layout === k,
+      onClick: function onClick() {
+        return setLayout(k);
+      }
+    }, PRINT_LAYOUTS[k]);
+  }))), layout === 'booklet' && React.createElement("div", {
+    className: "sharenote"
+  }, "Print double-sided, flipping on the short edge, then fold the stack in half."), busy && React.createElement("div", {
+    className: "sharenote"
+  }, "Building puzzle ", progress.done + 1, " of ", progress.total, "\u2026"), error && React.createElement("div", {
+    className: "error",
+    style: {
+      fontSize: 12
+    }
+  }, error), React.createElement("div", {
+    className: "actions"
+  }, React.createElement("button", {
+    className: "btn",
+    onClick: onClose
+  }, "Close"), React.createElement("button", {
+    id: "printPdfBtn",
+    className: "btn",
+    disabled: busy,
+    onClick: function onClick() {
+      return run('pdf');
+    }
+  }, "Download PDF"), React.createElement("button", {
+    id: "printNowBtn",
+    className: "btn",
+    disabled: busy,
+    onClick: function onClick() {
+      return run('print');
+    }
+  }, "Print\u2026"))));
+}
+function App() {
+  var _useState93 = useState(function () {
+      return initialPuzzle();
+    }),
+    _useState94 = _slicedToArray(_useState93, 1),
+    startPuzzle = _useState94[0];
+  var _useState95 = useState(function () {
+      return readEmbedOptions(window.location.search);
+    }),
+    _useState96 = _slicedToArray(_useState95, 1),
+    embed = _useState96[0];
+  var shows = function shows(control) {
+    return !embed || embed.controls.indexOf(control) !== -1;
+  };
+  var _useState97 = useState(startPuzzle.deck || null),
+    _useState98 = _slicedToArray(_useState97, 2),
+    deckId = _useState98[0],
+    setDeckId = _useState98[1];
+  var _useClueBank = useClueBank(deckId),
+    bank = _useClueBank.bank,
+    loading = _useClueBank.loading,
+    error = _useClueBank.error,
+    deck = _useClueBank.deck,
+    clueNotes = _useClueBank.notes;
+  var offline = useServiceWorker();
+  var _useState99 = useState([]),
+    _useState100 = _slicedToArray(_useState99, 2),
+    decks = _useState100[0],
+    setDecks = _useState100[1];
+  var _useState101 = useState(false),
+    _useState102 = _slicedToArray(_useState101, 2),
+    showDeckLoader = _useState102[0],
+    setShowDeckLoader = _useState102[1];
+  var refreshDecks = function refreshDecks() {
+    listDecks().then(setDecks)["catch"](function () {
+      return setDecks([]);
+    });
+  };
+  useEffect(refreshDecks, []);
+  var _useState103 = useState('medium'),
+    _useState104 = _slicedToArray(_useState103, 2),
+    sizeOpt = _useState104[0],
+    setSizeOpt = _useState104[1];
+  var _useState105 = useState(startPuzzle.level),
+    _useState106 = _slicedToArray(_useState105, 2),
+    sizeLevel = _useState106[0],
+    setSizeLevel = _useState106[1];
+  var _useState107 = useState(startPuzzle.seed),
+    _useState108 = _slicedToArray(_useState107, 2),
+    seed = _useState108[0],
+    setSeed = _useState108[1];
+  var _useState109 = useState(startPuzzle.topics),
+    _useState110 = _slicedToArray(_useState109, 2),
+    topics = _useState110[0],
+    setTopics = _useState110[1];
+  var _useState111 = useState(startPuzzle.diff || null),
+    _useState112 = _slicedToArray(_useState111, 2),
+    difficulty = _useState112[0],
+    setDifficulty = _useState112[1];
+  var wordSource = useMemo(function () {
+    return {
+      topics: topics,
+      deck: deckId,
+      diff: difficulty
+    };
+  }, [topics, deckId, difficulty]);
+  var _useState113 = useState(startPuzzle.fixed || null),
+    _useState114 = _slicedToArray(_useState113, 2),
+    fixedCode = _useState114[0],
+    setFixedCode = _useState114[1];
+  var _useState115 = useState(null),
+    _useState116 = _slicedToArray(_useState115, 2),
+    fixedPuzzle = _useState116[0],
+    setFixedPuzzle = _useState116[1];
+  var _useState117 = useState(null),
+    _useState118 = _slicedToArray(_useState117, 2),
+    fixedError = _useState118[0],
+    setFixedError = _useState118[1];
+  var _useState119 = useState(null),
+    _useState120 = _slicedToArray(_useState119, 2),
+    shareLinks = _useState120[0],
+    setShareLinks = _useState120[1];
+  useEffect(function () {
+    setFixedPuzzle(null);
+    setFixedError(null);
+    if (!fixedCode) return;
+    var cancelled = false;
+    decodeFixedPuzzle(fixedCode).then(function (layout) {
+      if (!cancelled) setFixedPuzzle(layout);
+    })["catch"](function (e) {
+      if (!cancelled) setFixedError(e && e.message ? e.message : 'Could not open the shared puzzle.');
+    });
+    return function () {
+      cancelled = true;
+    };
+  }, [fixedCode]);
+  useEffect(function () {
+    try {
+      if (embed) return;
+      if (fixedCode) history.replaceState(null, '', assignment ? assignmentLink(fixedLink(fixedCode), assignment) : fixedLink(fixedCode));else writeQuery(seed, sizeLevel, true, wordSource);
+    } catch (_) {}
+  }, [seed, sizeLevel, wordSource, fixedCode]);
+  function switchDeck(id) {
+    setPracticeWords(null);
+    setFixedCode(null);
+    setRevealMode(false);
+    setActive(null);
+    setDir(DIRS.ACROSS);
+    setTopics([]);
+    setDeckId(id || null);
+  }
+  var topicList = useMemo(function () {
+    return collectTopics(bank);
+  }, [bank]);
+  var _useState121 = useState(null),
+    _useState122 = _slicedToArray(_useState121, 2),
+    practiceWords = _useState122[0],
+    setPracticeWords = _useState122[1];
+  var _useState123 = useState(dayZone),
+    _useState124 = _slicedToArray(_useState123, 2),
+    dayZoneSetting = _useState124[0],
+    setDayZoneSetting = _useState124[1];
+  var _useState125 = useState(false),
+    _useState126 = _slicedToArray(_useState125, 2),
+    showArchive = _useState126[0],
+    setShowArchive = _useState126[1];
+  var todayYMD = dayYYYYMMDD(new Date(), dayZoneSetting);
+  var dailyDate = useMemo(function () {
+    return fixedCode || practiceWords ? null : dailyDateOf(seed, todayYMD);
+  }, [seed, todayYMD, fixedCode, practiceWords]);
+  var words = useMemo(function () {
+    if (practiceWords && practiceWords.length) return practiceWords;
+    if (!bank.length) return [];
+    if (difficulty === 'adaptive') {
+      var saved = loadSaves()[saveSlotKey(seed, sizeLevel, wordSource)];
+      var kept = saved && savedPick(bank, saved.picked);
+      if (kept) return kept;
+    }
+    return pickDailyWords(bank, mulberry32(seed), presetFor(sizeLevel), topics, difficultyPick(difficulty, bank, loadClueStats(), loadHistory()));
+  }, [bank, seed, sizeLevel, practiceWords, wordSource]);
+  var size = useMemo(function () {
+    return computeGridSize(words.length ? words : [{
+      answer: 'PLACEHOLDER',
+      clue: ''
+    }], presetFor(sizeLevel));
+  }, [words, sizeLevel]);
+  var emptySize = Math.max(13, Math.min(35, size || 15));
+  var emptyResult = useMemo(function () {
+    return {
+      grid: makeEmptyGrid(emptySize),
+      placements: [],
+      numbers: Array.from({
+        length: emptySize
+      }, function () {
+        return Array(emptySize).fill(null);
+      }),
+      bounds: {
+        minR: 0,
+        maxR: emptySize - 1,
+        minC: 0,
+        maxC: emptySize - 1
+      }
+    };
+  }, [emptySize]);
+  var genOpts = useMemo(function () {
+    return {
+      density: presetFor(sizeLevel).density
+    };
+  }, [sizeLevel]);
+  var buildKey = useMemo(function () {
+    return fixedCode || !words.length ? null : layoutCacheKey(words, seed, size, genOpts);
+  }, [fixedCode, words, seed, size, genOpts]);
+  var _useState127 = useState(null),
+    _useState128 = _slicedToArray(_useState127, 2),
+    built = _useState128[0],
+    setBuilt = _useState128[1];
+  var _useState129 = useState(null),
+    _useState130 = _slicedToArray(_useState129, 2),
+    buildProgress = _useState130[0],
+    setBuildProgress = _useState130[1];
+  var _useState131 = useState(false),
+    _useState132 = _slicedToArray(_useState131, 2),
+    buildSlow = _useState132[0],
+    setBuildSlow = _useState132[1];
+  var _useState133 = useState(null),
+    _useState134 = _slicedToArray(_useState133, 2),
+    buildError = _useState134[0],
+    setBuildError = _useState134[1];
+  var lastBuiltRef = useRef(null);
+  useEffect(function () {
+    setBuildError(null);
+    if (!buildKey) {
+      setBuildProgress(null);
+      return;
+    }
+    var puzzle = {
+      seed: seed,
+      sizeLevel: sizeLevel,
+      topics: topics,
+      deckId: deckId,
+      difficulty: difficulty,
+      practiceWords: practiceWords
+    };
+    var cached = layoutCache.get(buildKey);
+    if (cached) {
+      setBuilt({
+        key: buildKey,
+        result: cached
+      });
+      setBuildProgress(null);
+      lastBuiltRef.current = puzzle;
+      return;
+    }
+    setBuildProgress(0);
+    var job = buildCrossword({
+      words: words,
+      seed: seed,
+      size: size,
+      opts: genOpts
+    }, setBuildProgress);
+    job.promise.then(function (layout) {
+      rememberLayout(buildKey, layout);
+      setBuilt({
+        key: buildKey,
+        result: layout
+      });
+      setBuildProgress(null);
+      lastBuiltRef.current = puzzle;
+    })["catch"](function (e) {
+      console.error('puzzle build failed', e);
+      setBuildProgress(null);
+      setBuildError(e && e.message ? e.message : String(e));
+    });
+    return function () {
+      return job.cancel();
+    };
+  }, [buildKey]);
+  useEffect(function () {
+    if (buildProgress === null) {
+      setBuildSlow(false);
+      return;
+    }
+    var t = setTimeout(function () {
+      return setBuildSlow(true);
+    }, 250);
+    return function () {
+      return clearTimeout(t);
+    };
+  }, [buildProgress === null]);
+  function cancelBuild() {
+    var prev = lastBuiltRef.current;
+    if (!prev) return;
+    setRevealMode(false);
+    setActive(null);
+    setDir(DIRS.ACROSS);
+    setPracticeWords(prev.practiceWords);
+    setTopics(prev.topics);
+    setDeckId(prev.deckId);
+    setDifficulty(prev.difficulty);
+    setSizeLevel(prev.sizeLevel);
+    setSeed(prev.seed);
+  }
+  var result = useMemo(function () {
+    if (fixedCode) return fixedPuzzle || emptyResult;
+    if (!words.length || !built) return emptyResult;
+    return built.result;
+  }, [words, built, emptyResult, fixedCode, fixedPuzzle]);
+  var grid = result.grid,
+    placements = result.placements,
+    numbers = result.numbers,
+    bounds = result.bounds;
+  var gridIsCurrent = fixedCode ? !!fixedPuzzle : !!(built && built.key === buildKey);
+  var _useState135 = useState(grid.map(function (row) {
+      return row.map(function (x) {
+        return x ? "" : null;
+      });
+    })),
+    _useState136 = _slicedToArray(_useState135, 2),
+    userGrid = _useState136[0],
+    setUserGrid = _useState136[1];
+  useEffect(function () {
+    return setUserGrid(grid.map(function (row) {
+      return row.map(function (x) {
+        return x ? "" : null;
+      });
+    }));
+  }, [grid]);
+  var _useState137 = useState(null),
+    _useState138 = _slicedToArray(_useState137, 2),
+    active = _useState138[0],
+    setActive = _useState138[1];
+  var _useState139 = useState(DIRS.ACROSS),
+    _useState140 = _slicedToArray(_useState139, 2),
+    dir = _useState140[0],
+    setDir = _useState140[1];
+  var _useState141 = useState(new Set()),
+    _useState142 = _slicedToArray(_useState141, 2),
+    locked = _useState142[0],
+    setLocked = _useState142[1];
+  var _useState143 = useState(false),
+    _useState144 = _slicedToArray(_useState143, 2),
+    revealMode = _useState144[0],
+    setRevealMode = _useState144[1];
+  var _useState145 = useState(false),
+    _useState146 = _slicedToArray(_useState145, 2),
+    showCongrats = _useState146[0],
+    setShowCongrats = _useState146[1];
+  var _useState147 = useState(function () {
+      return loadReviewDeck();
+    }),
+    _useState148 = _slicedToArray(_useState147, 2),
+    reviewDeck = _useState148[0],
+    setReviewDeck = _useState148[1];
+  var solvedResultRef = useRef(null);
+  var _useState149 = useState(function () {
+      return loadHistory();
+    }),
+    _useState150 = _slicedToArray(_useState149, 2),
+    history = _useState150[0],
+    setHistory = _useState150[1];
+  var _useState151 = useState(false),
+    _useState152 = _slicedToArray(_useState151, 2),
+    showStats = _useState152[0],
+    setShowStats = _useState152[1];
+  var _useState153 = useState(false),
+    _useState154 = _slicedToArray(_useState153, 2),
+    showEditor = _useState154[0],
+    setShowEditor = _useState154[1];
+  var _useState155 = useState(new Set()),
+    _useState156 = _slicedToArray(_useState155, 2),
+    everIncorrect = _useState156[0],
+    setEverIncorrect = _useState156[1];
+  var _useState157 = useState(new Set()),
+    _useState158 = _slicedToArray(_useState157, 2),
+    checkedWrong = _useState158[0],
+    setCheckedWrong = _useState158[1];
+  var _useState159 = useState(function () {
+      return embed ? !shows('check') : loadAutocheck();
+    }),
+    _useState160 = _slicedToArray(_useState159, 2),
+    autocheck = _useState160[0],
+    setAutocheck = _useState160[1];
+  var _useState161 = useState(function () {
+      return loadDisplay();
+    }),
+    _useState162 = _slicedToArray(_useState161, 2),
+    display = _useState162[0],
+    setDisplay = _useState162[1];
+  useEffect(function () {
+    applyDisplay(display);
+  }, [display]);
+  var _useState163 = useState(null),
+    _useState164 = _slicedToArray(_useState163, 2),
+    checkNote = _useState164[0],
+    setCheckNote = _useState164[1];
+  var _useState165 = useState(false),
+    _useState166 = _slicedToArray(_useState165, 2),
+    timerOn = _useState166[0],
+    setTimerOn = _useState166[1];
+  var _useState167 = useState(null),
+    _useState168 = _slicedToArray(_useState167, 2),
+    timerStart = _useState168[0],
+    setTimerStart = _useState168[1];
+  var _useState169 = useState(0),
+    _useState170 = _slicedToArray(_useState169, 2),
+    elapsedMs = _useState170[0],
+    setElapsedMs = _useState170[1];
+  var _useState171 = useState(null),
+    _useState172 = _slicedToArray(_useState171, 2),
+    finalMs = _useState172[0],
+    setFinalMs = _useState172[1];
+  var _useState173 = useState(false),
+    _useState174 = _slicedToArray(_useState173, 2),
+    completed = _useState174[0],
+    setCompleted = _useState174[1];
+  var _useState175 = useState(function () {
+      return readAssignment(window.location.hash);
+    }),
+    _useState176 = _slicedToArray(_useState175, 1),
+    assignment = _useState176[0];
+  var _useState177 = useState(null),
+    _useState178 = _slicedToArray(_useState177, 2),
+    hostPuzzle = _useState178[0],
+    setHostPuzzle = _useState178[1];
+  var hostActorRef = useRef(null);
+  var _useState179 = useState(null),
+    _useState180 = _slicedToArray(_useState179, 2),
+    handedIn = _useState180[0],
+    setHandedIn = _useState180[1];
+  var _useState181 = useState(null),
+    _useState182 = _slicedToArray(_useState181, 2),
+    assignStart = _useState182[0],
+    setAssignStart = _useState182[1];
+  var _useState183 = useState(false),
+    _useState184 = _slicedToArray(_useState183, 2),
+    showHandIn = _useState184[0],
+    setShowHandIn = _useState184[1];
+  var _useState185 = useState(false),
+    _useState186 = _slicedToArray(_useState185, 2),
+    showAssignEditor = _useState186[0],
+    setShowAssignEditor = _useState186[1];
+  var _useState187 = useState(false),
+    _useState188 = _slicedToArray(_useState187, 2),
+    showGradebook = _useState188[0],
+    setShowGradebook = _useState188[1];
+  var _useState189 = useState(null),
+    _useState190 = _slicedToArray(_useState189, 2),
+    printJob = _useState190[0],
+    setPrintJob = _useState190[1];
+  var _useState191 = useState(Date.now()),
+    _useState192 = _slicedToArray(_useState191, 2),
+    nowTick = _useState192[0],
+    setNowTick = _useState192[1];
+  var hiddenInputRef = useRef(null);
+  var lastTapRef = useRef({
+    t: 0,
+    r: -1,
+    c: -1
+  });
+  var _useState193 = useState(false),
+    _useState194 = _slicedToArray(_useState193, 2),
+    isMobile = _useState194[0],
+    setIsMobile = _useState194[1];
+  useEffect(function () {
+    try {
+      setIsMobile(/iPhone|iPad|iPod|Android/i.test(navigator.userAgent || ''));
+    } catch (_) {}
+  }, []);
+  useEffect(function () {
+    if (showCongrats) startConfetti();else stopConfetti();
+  }, [showCongrats]);
+  var _useState195 = useState(false),
+    _useState196 = _slicedToArray(_useState195, 2),
+    showOptions = _useState196[0],
+    setShowOptions = _useState196[1];
+  var optionsRef = useDialogFocus(showOptions, function () {
+    return setShowOptions(false);
+  });
+  var congratsRef = useDialogFocus(showCongrats, function () {
+    return setShowCongrats(false);
+  });
+  var _useState197 = useState(''),
+    _useState198 = _slicedToArray(_useState197, 2),
+    seedInput = _useState198[0],
+    setSeedInput = _useState198[1];
+  var _useState199 = useState(new Set()),
+    _useState200 = _slicedToArray(_useState199, 2),
+    revealed = _useState200[0],
+    setRevealed = _useState200[1];
+  var _useState201 = useState({}),
+    _useState202 = _slicedToArray(_useState201, 2),
+    hints = _useState202[0],
+    setHints = _useState202[1];
+  var _useState203 = useState({}),
+    _useState204 = _slicedToArray(_useState203, 2),
+    hintSteps = _useState204[0],
+    setHintSteps = _useState204[1];
+  var fixedId = fixedCode ? hashStringToInt(fixedCode).toString(36) : null;
+  var slotKey = fixedId ? 'fixed|' + fixedId : saveSlotKey(seed, sizeLevel, wordSource);
+  var _useState205 = useState(null),
+    _useState206 = _slicedToArray(_useState205, 2),
+    loadedSlot = _useState206[0],
+    setLoadedSlot = _useState206[1];
+  var _useState207 = useState(false),
+    _useState208 = _slicedToArray(_useState207, 2),
+    showContinue = _useState208[0],
+    setShowContinue = _useState208[1];
+  var _useState209 = useState(function () {
+      return loadSaves();
+    }),
+    _useState210 = _slicedToArray(_useState209, 2),
+    saves = _useState210[0],
+    setSaves = _useState210[1];
+  var clueMsRef = useRef({
+    id: null,
+    since: 0,
+    ms: {}
+  });
+  var solveLogRef = useRef(newSolveLog(Date.now()));
+  var logCursorRef = useRef({
+    at: null,
+    dir: null
+  });
+  var _useState211 = useState(null),
+    _useState212 = _slicedToArray(_useState211, 2),
+    replay = _useState212[0],
+    setReplay = _useState212[1];
+  var pendingReplayRef = useRef(null);
+  useEffect(function () {
+    setLocked(new Set());
+    setRevealed(new Set());
+    setEverIncorrect(new Set());
+    setCheckedWrong(new Set());
+    setCheckNote(null);
+    setHints({});
+    setHintSteps({});
+    setHandedIn(null);
+    clueMsRef.current = {
+      id: null,
+      since: Date.now(),
+      ms: {}
+    };
+    solveLogRef.current = newSolveLog(Date.now());
+    logCursorRef.current = {
+      at: null,
+      dir: null
+    };
+    setReplay(null);
+    var pending = pendingReplayRef.current;
+    if (pending && placements.length) {
+      pendingReplayRef.current = null;
+      openReplay(pending.log, pending.label);
+    }
+    if (placements.length && gridIsCurrent) hostReady();
+    setCompleted(false);
+    setFinalMs(null);
+    setShowCongrats(false);
+    setElapsedMs(0);
+    setAssignStart(null);
+    if (timerOn) setTimerStart(Date.now());else setTimerStart(null);
+    if (!placements.length || practiceWords) {
+      setLoadedSlot(null);
+      return;
+    }
+    try {
+      var saved = loadSaves()[slotKey];
+      var sh = saved && Array.isArray(saved.userGrid) ? saved.userGrid.length : 0;
+      var sw = sh ? (saved.userGrid[0] || []).length : 0;
+      if (saved && sh === grid.length && sw === (grid[0] || []).length) {
+        setUserGrid(saved.userGrid);
+        setLocked(new Set(saved.locked || []));
+        setRevealed(new Set(saved.revealed || []));
+        setHints(saved.hints || addHints({}, saved.revealed || [], 'word'));
+        setHintSteps(saved.hintSteps || {});
+        if (saved.handedIn) setHandedIn(saved.handedIn);
+        setEverIncorrect(new Set(saved.everIncorrect || []));
+        setCheckedWrong(new Set(saved.checkedWrong || []));
+        if (saved.clueMs) clueMsRef.current.ms = Object.assign({}, saved.clueMs);
+        if (saved.solveLog) solveLogRef.current = readSolveLog(saved.solveLog) || solveLogRef.current;
+        if (typeof saved.timerOn === 'boolean') setTimerOn(saved.timerOn);
+        if (typeof saved.elapsedMs === 'number') setElapsedMs(saved.elapsedMs);
+        if (assignment && typeof saved.assignStart === 'number') {
+          setAssignStart(saved.assignStart);
+          if (!saved.completed && !saved.handedIn) setElapsedMs(Math.max(saved.elapsedMs || 0, Date.now() - saved.assignStart));
+        }
+        if (saved.completed) {
+          setCompleted(true);
+          setFinalMs(typeof saved.finalMs === 'number' ? saved.finalMs : null);
+          if (typeof saved.finalMs === 'number') setElapsedMs(saved.finalMs);
+          setTimerStart(null);
+        } else if (saved.timerOn) setTimerStart(Date.now());else setTimerStart(null);
+      }
+    } catch (_) {}
+    setLoadedSlot(slotKey);
+  }, [grid]);
+  var wrapRef = useRef(null);
+  var _useState213 = useState(24),
+    _useState214 = _slicedToArray(_useState213, 2),
+    cellPx = _useState214[0],
+    setCellPx = _useState214[1];
+  var cols = Math.max(1, bounds.maxC - bounds.minC + 1),
+    rows = Math.max(1, bounds.maxR - bounds.minR + 1);
+  var _useState215 = useState(400),
+    _useState216 = _slicedToArray(_useState215, 2),
+    availableHeight = _useState216[0],
+    setAvailableHeight = _useState216[1];
+  useEffect(function () {
+    var recalc = function recalc() {
+      if (!wrapRef.current) return;
+      var w = wrapRef.current.clientWidth || 320;
+      var rect = wrapRef.current.getBoundingClientRect();
+      var vh = window.innerHeight || 800;
+      var footerBuffer = 80;
+      var availH = Math.max(140, Math.floor(vh - rect.top - footerBuffer));
+      setAvailableHeight(availH);
+      var px = Math.max(Math.round(12 * display.fontScale), Math.min(Math.floor(w / cols), Math.floor(availH / rows)));
+      setCellPx(px);
+    };
+    recalc();
+    var ro = null;
+    try {
+      ro = new ResizeObserver(function () {
+        return recalc();
+      });
+      if (wrapRef.current) ro.observe(wrapRef.current);
+    } catch (e) {}
+    window.addEventListener('resize', recalc);
+    return function () {
+      try {
+        if (ro) {
+          ro.disconnect();
+        }
+      } catch (e) {}
+      window.removeEventListener('resize', recalc);
+    };
+  }, [cols, rows, display.fontScale]);
+  function within(r, c) {
+    return r >= bounds.minR && r <= bounds.maxR && c >= bounds.minC && c <= bounds.maxC;
+  }
+  function isLetterCell(r, c) {
+    return within(r, c) && grid[r][c] !== null;
+  }
+  function cellKey(r, c) {
+    return r + ':' + c;
+  }
+  function getWordSpan(r, c, d) {
+    if (!isLetterCell(r, c)) return null;
+    var r0 = r,
+      c0 = c;
+    if (d === DIRS.ACROSS) {
+      while (c0 - 1 >= 0 && grid[r][c0 - 1] !== null) c0--;
+    } else {
+      while (r0 - 1 >= 0 && grid[r0 - 1][c] !== null) r0--;
+    }
+    var cells = [];
+    if (d === DIRS.ACROSS) {
+      var k = 0;
+      while (c0 + k < grid.length && grid[r][c0 + k] !== null) {
+        cells.push([r, c0 + k]);
+        k++;
+      }
+    } else {
+      var _k = 0;
+      while (r0 + _k < grid.length && grid[r0 + _k][c] !== null) {
+        cells.push([r0 + _k, c]);
+        _k++;
+      }
+    }
+    var number = null;
+    if (numbers && numbers[r0] && typeof numbers[r0][c0] !== 'undefined' && numbers[r0][c0] !== null) {
+      number = numbers[r0][c0];
+    }
+    return {
+      startR: r0,
+      startC: c0,
+      cells: cells,
+      number: number
+    };
+  }
+  function moveNext(r, c, d, backwards) {
+    backwards = !!backwards;
+    var span = getWordSpan(r, c, d);
+    if (!span || !span.cells || !span.cells.length) return null;
+    var idx = -1;
+    for (var i = 0; i < span.cells.length; i++) {
+      if (span.cells[i][0] === r && span.cells[i][1] === c) {
+        idx = i;
+        break;
+      }
+    }
+    var nxt = idx + (backwards ? -1 : 1);
+    if (nxt < 0) nxt = 0;
+    if (nxt >= span.cells.length) nxt = span.cells.length - 1;
+    var tuple = span.cells[nxt];
+    if (!tuple || tuple.length < 2) return null;
+    return {
+      r: tuple[0],
+      c: tuple[1]
+    };
+  }
+  function pickSmartDir(r, c, preferred, g) {
+    var lenAcross = function () {
+      var c0 = c;
+      while (c0 - 1 >= 0 && g[r][c0 - 1] !== null) c0--;
+      var n = 0;
+      while (c0 + n < g.length && g[r][c0 + n] !== null) n++;
+      return n;
+    }();
+    var lenDown = function () {
+      var r0 = r;
+      while (r0 - 1 >= 0 && g[r0 - 1][c] !== null) r0--;
+      var n = 0;
+      while (r0 + n < g.length && g[r0 + n][c] !== null) n++;
+      return n;
+    }();
+    var hasAcross = lenAcross >= 2,
+      hasDown = lenDown >= 2;
+    if (hasAcross && !hasDown) return DIRS.ACROSS;
+    if (!hasAcross && hasDown) return DIRS.DOWN;
+    if (hasAcross && hasDown) {
+      if (lenDown > lenAcross) return DIRS.DOWN;
+      if (lenAcross > lenDown) return DIRS.ACROSS;
+      return preferred;
+    }
+    return preferred;
+  }
+  useEffect(function () {
+    var onKey = function onKey(e) {
+      var t = e.target,
+        el = t && t.nodeType === 1 ? t : null;
+      if (el && el !== hiddenInputRef.current && (el.closest('.overlay') || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName) || el.isContentEditable)) return;
+      if (replay) {
+        if (e.key === 'Escape') setReplay(null);
+        return;
+      }
+      if (e.key === 'Escape' && revealMode) {
+        setRevealMode(false);
+        return;
+      }
+      if (handedIn) return;
+      if (e.ctrlKey || e.metaKey || e.altKey) {
+        if (!shows('undo')) return;
+        var k = e.key.toLowerCase();
+        if (k === 'z' && !e.shiftKey) {
+          e.preventDefault();
+          undo();
+        } else if (k === 'y' || k === 'z' && e.shiftKey) {
+          e.preventDefault();
+          redo();
+        }
+        return;
+      }
+      if (!active) return;
+      var inGrid = !el || el === document.body || el === hiddenInputRef.current || !!el.closest('.cells');
+      if (e.key === ' ' || e.key === 'Enter') {
+        if (inGrid) {
+          e.preventDefault();
+          setDir(function (d) {
+            return d === DIRS.ACROSS ? DIRS.DOWN : DIRS.ACROSS;
+          });
+        }
+        return;
+      }
+      if (!inGrid && (e.key === 'Backspace' || /^[a-z]$/i.test(e.key))) setGridFocusReq(function (n) {
+        return n + 1;
+      });
+      if (e.key === 'Backspace') {
+        e.preventDefault();
+        var r = active.r,
+          c = active.c;
+        if (!isLetterCell(r, c)) return;
+        if (locked.has(cellKey(r, c))) return;
+        logEdit('delete', [[cellKey(r, c), userGrid[r][c] || '', '']]);
+        setUserGrid(function (ug) {
+          var g = ug.map(function (row) {
+            return row.slice();
+          });
+          g[r][c] = '';
+          return g;
+        });
+        clearChecked(r, c);
+        var prev = moveNext(r, c, dir, true);
+        if (prev) setActive(prev);
+        return;
+      }
+      if (/^[a-z]$/i.test(e.key)) {
+        e.preventDefault();
+        var ch = e.key.toUpperCase();
+        var _r7 = active.r,
+          _c7 = active.c;
+        if (!isLetterCell(_r7, _c7)) return;
+        if (locked.has(cellKey(_r7, _c7))) return;
+        var newlyCompleted = 0;
+        logEdit('letter', [[cellKey(_r7, _c7), userGrid[_r7][_c7] || '', ch]]);
+        clearChecked(_r7, _c7);
+        setUserGrid(function (ug) {
+          var g = ug.map(function (row) {
+            return row.slice();
+          });
+          g[_r7][_c7] = ch;
+          if (!autocheck) return g;
+          var spans = [getWordSpan(_r7, _c7, DIRS.ACROSS), getWordSpan(_r7, _c7, DIRS.DOWN)].filter(Boolean);
+          var newLocked = new Set(locked);
+          for (var si = 0; si < spans.length; si++) {
+            var span = spans[si];
+            if (!span || span.cells.length < 2) continue;
+            var ok = true;
+            for (var ii = 0; ii < span.cells.length; ii++) {
+              var tup = span.cells[ii];
+              if (!tup || tup.length < 2) continue;
+              var rr = tup[0],
+                cc = tup[1];
+              if (!grid[rr][cc] || g[rr][cc] !== grid[rr][cc]) {
+                ok = false;
+                break;
+              }
+            }
+            var already = true;
+            for (var jj = 0; jj < span.cells.length; jj++) {
+              var tup2 = span.cells[jj];
+              if (!tup2 || tup2.length < 2) continue;
+              var rr2 = tup2[0],
+                cc2 = tup2[1];
+              if (!locked.has(cellKey(rr2, cc2))) {
+                already = false;
+                break;
+              }
+            }
+            if (ok && !already) {
+              newlyCompleted++;
+              for (var kk = 0; kk < span.cells.length; kk++) {
+                var tup3 = span.cells[kk];
+                if (!tup3 || tup3.length < 2) continue;
+                var rr3 = tup3[0],
+                  cc3 = tup3[1];
+                newLocked.add(cellKey(rr3, cc3));
+              }
+            }
+          }
+          if (newLocked.size !== locked.size) setLocked(newLocked);
+          return g;
+        });
+        if (newlyCompleted > 0) fireConfetti(8);
+        var nxt = moveNext(_r7, _c7, dir, false);
+        if (nxt) setActive(nxt);
+        return;
+      }
+      var delta = {
+        ArrowUp: [-1, 0],
+        ArrowDown: [1, 0],
+        ArrowLeft: [0, -1],
+        ArrowRight: [0, 1]
+      };
+      if (delta[e.key]) {
+        e.preventDefault();
+        var dxy = delta[e.key];
+        var nr = active.r + dxy[0],
+          nc = active.c + dxy[1];
+        if (within(nr, nc) && isLetterCell(nr, nc)) setActive({
+          r: nr,
+          c: nc
+        });
+      }
+    };
+    window.addEventListener('keydown', onKey);
+    return function () {
+      return window.removeEventListener('keydown', onKey);
+    };
+  }, [active, dir, grid, userGrid, locked, revealMode, autocheck, handedIn, replay]);
+  useEffect(function () {
+    if (practiceWords) return;
+    if (loadedSlot !== slotKey || !placements.length) return;
+    try {
+      var all = loadSaves();
+      var prev = all[slotKey];
+      var filled = gridFillPercent(userGrid);
+      if (!prev && !filled && !assignStart) return;
+      all[slotKey] = {
+        seed: seed >>> 0,
+        sizeLevel: sizeLevel,
+        topics: topics,
+        deck: deckId,
+        diff: difficulty,
+        picked: difficulty === 'adaptive' && !fixedCode ? words.map(reviewKey) : undefined,
+        fixedCode: fixedCode,
+        userGrid: userGrid,
+        locked: Array.from(locked || []),
+        revealed: Array.from(revealed || []),
+        everIncorrect: Array.from(everIncorrect || []),
+        checkedWrong: Array.from(checkedWrong || []),
+        hints: hints,
+        hintSteps: hintSteps,
+        clueMs: clueMsRef.current.ms,
+        solveLog: solveLogRef.current,
+        handedIn: handedIn,
+        assignStart: assignStart || undefined,
+        timerOn: timerOn,
+        elapsedMs: timerOn ? elapsedMs + (timerStart ? Date.now() - timerStart : 0) : elapsedMs,
+        completed: completed,
+        finalMs: finalMs,
+        filled: filled,
+        dailyDate: dailyDate || prev && prev.dailyDate || null,
+        ts: Date.now()
+      };
+      setSaves(writeSaves(all));
+    } catch (_) {}
+  }, [loadedSlot, userGrid, locked, revealed, everIncorrect, checkedWrong, hints, hintSteps, handedIn, completed, assignStart]);
+  var _useState217 = useState(function () {
+      var invite = !assignment && readCoopHash();
+      return invite ? Object.assign(loadCoopPrefs(), invite) : null;
+    }),
+    _useState218 = _slicedToArray(_useState217, 2),
+    coop = _useState218[0],
+    setCoop = _useState218[1];
+  var _useState219 = useState(null),
+    _useState220 = _slicedToArray(_useState219, 2),
+    coopStatus = _useState220[0],
+    setCoopStatus = _useState220[1];
+  var _useState221 = useState({}),
+    _useState222 = _slicedToArray(_useState221, 2),
+    coopPeers = _useState222[0],
+    setCoopPeers = _useState222[1];
+  var _useState223 = useState(false),
+    _useState224 = _slicedToArray(_useState223, 2),
+    showCoop = _useState224[0],
+    setShowCoop = _useState224[1];
+  var _useState225 = useState(function () {
+      return loadCoopPrefs();
+    }),
+    _useState226 = _slicedToArray(_useState225, 2),
+    coopForm = _useState226[0],
+    setCoopForm = _useState226[1];
+  var coopRef = useRef(null);
+  var coopPeerId = useRef(newPeerId()).current;
+  var liveRef = useRef(null);
+  liveRef.current = {
+    userGrid: userGrid,
+    locked: locked,
+    revealed: revealed,
+    active: active,
+    dir: dir
+  };
+  useEffect(function () {
+    if (readCoopHash()) stripCoopHash();
+  }, []);
+  var seedShareable = !practiceWords && difficulty !== 'adaptive';
+  var puzzleLink = fixedCode ? fixedLink(fixedCode) : seedShareable ? permalink(seed, sizeLevel, wordSource) : null;
+  var coopRoom = coop && puzzleLink && loadedSlot === slotKey && placements.length ? coopRoomKey(puzzleLink) : null;
+  useEffect(function () {
+    if (!coop || !coopRoom) return;
+    var me = coopPeerId,
+      color = coopColor(me);
+    var live = liveRef.current;
+    var session = {
+      clock: coopClock(),
+      clocks: {},
+      grid: live.userGrid,
+      locked: new Set(live.locked),
+      revealed: new Set(live.revealed)
+    };
+    live.userGrid.forEach(function (row, r) {
+      return row.forEach(function (v, c) {
+        if (v) session.clocks[cellKey(r, c)] = {
+          ts: 1,
+          peer: me
+        };
+      });
+    });
+    var cursor = function cursor() {
+      var l = liveRef.current;
+      return {
+        name: coop.name,
+        color: color,
+        r: l.active ? l.active.r : null,
+        c: l.active ? l.active.c : null,
+        dir: l.dir
+      };
+    };
+    var snapshot = function snapshot(t) {
+      return Object.assign({
+        t: t,
+        from: me,
+        cells: gridCellWrites(session.grid, session.clocks),
+        locked: Array.from(session.locked),
+        revealed: Array.from(session.revealed)
+      }, cursor());
+    };
+    var transport = openCoopTransport(coop.kind, coopRoom, coop.relayUrl);
+    session.send = function (msg) {
+      return transport.send(Object.assign({
+        from: me
+      }, msg));
+    };
+    transport.onstatus = function (st) {
+      setCoopStatus(st);
+      if (st === 'open') transport.send(snapshot('hello'));
+    };
+    transport.onmessage = function (msg) {
+      if (!msg.from || msg.from === me) return;
+      var from = String(msg.from);
+      if (msg.t === 'bye') {
+        setCoopPeers(function (prev) {
+          var next = Object.assign({}, prev);
+          delete next[from];
+          return next;
+        });
+        return;
+      }
+      if (msg.t === 'hello') transport.send(snapshot('state'));
+      if (msg.name !== undefined) {
+        setCoopPeers(function (prev) {
+          return Object.assign({}, prev, _defineProperty({}, from, {
+            name: String(msg.name).slice(0, 40),
+            color: coopColor(from),
+            r: msg.r,
+            c: msg.c,
+            dir: msg.dir,
+            seen: Date.now()
+          }));
+        });
+      }
+      if (Array.isArray(msg.cells)) {
+        msg.cells.forEach(function (w) {
+          return session.clock.seen(+w[2] || 0);
+        });
+        var won = mergeCellWrites(session.clocks, msg.cells, session.locked);
+        if (won.length) setUserGrid(function (prev) {
+          var g = prev.map(function (row) {
+            return row.slice();
+          });
+          var _iterator10 = _createForOfIteratorHelper(won),
+            _step10;
+          try {
+            for (_iterator10.s(); !(_step10 = _iterator10.n()).done;) {
+              var w = _step10.value;
+              var parts = w.key.split(':'),
+                r = +parts[0],
+                c = +parts[1];
+              if (g[r] && typeof g[r][c] === 'string') g[r][c] = w.value.slice(0, 1).toUpperCase();
+            }
+          } catch (err) {
+            _iterator10.e(err);
+          } finally {
+            _iterator10.f();
+          }
+          session.grid = g;
+          return g;
+        });
+      }
+      var union = function union(set, keys) {
+        var add = (keys || []).filter(function (k) {
+          return typeof k === 'string' && !set.has(k);
+        });
+        add.forEach(function (k) {
+          return set.add(k);
+        });
+        return add;
+      };
+      var newLocked = union(session.locked, msg.locked),
+        newRevealed = union(session.revealed, msg.revealed);
+      if (newLocked.length) setLocked(function (prev) {
+        var nn = new Set(prev);
+        newLocked.forEach(function (k) {
+          return nn.add(k);
+        });
+        return nn;
+      });
+      if (newRevealed.length) setRevealed(function (prev) {
+        var nn = new Set(prev);
+        newRevealed.forEach(function (k) {
+          return nn.add(k);
+        });
+        return nn;
+      });
+    };
+    coopRef.current = session;
+    var heartbeat = setInterval(function () {
+      session.send(Object.assign({
+        t: 'cursor'
+      }, cursor()));
+      var cutoff = Date.now() - COOP_PEER_TIMEOUT_MS;
+      setCoopPeers(function (prev) {
+        var stale = Object.keys(prev).filter(function (id) {
+          return prev[id].seen < cutoff;
+        });
+        if (!stale.length) return prev;
+        var next = Object.assign({}, prev);
+        stale.forEach(function (id) {
+          delete next[id];
+        });
+        return next;
+      });
+    }, COOP_HEARTBEAT_MS);
+    var bye = function bye() {
+      return session.send({
+        t: 'bye'
+      });
+    };
+    window.addEventListener('pagehide', bye);
+    return function () {
+      bye();
+      window.removeEventListener('pagehide', bye);
+      clearInterval(heartbeat);
+      transport.close();
+      coopRef.current = null;
+      setCoopPeers({});
+      setCoopStatus(null);
+    };
+  }, [coop, coopRoom]);
+  useEffect(function () {
+    var session = coopRef.current;
+    if (!session || session.grid === userGrid) return;
+    var writes = [];
+    userGrid.forEach(function (row, r) {
+      return row.forEach(function (v, c) {
+        if (v === null) return;
+        var before = session.grid[r] && session.grid[r][c] || '';
+        if (before === (v || '')) return;
+        var k = cellKey(r, c),
+          ts = session.clock.tick();
+        session.clocks[k] = {
+          ts: ts,
+          peer: coopPeerId
+        };
+        writes.push([k, v || '', ts, coopPeerId]);
+      });
+    });
+    session.grid = userGrid;
+    if (writes.length) session.send({
+      t: 'cells',
+      cells: writes
+    });
+  }, [userGrid]);
+  useEffect(function () {
+    var session = coopRef.current;
+    if (!session) return;
+    var fresh = function fresh(set, from) {
+      return Array.from(from).filter(function (k) {
+        return !set.has(k);
+      });
+    };
+    var addLocked = fresh(session.locked, locked),
+      addRevealed = fresh(session.revealed, revealed);
+    addLocked.forEach(function (k) {
+      return session.locked.add(k);
+    });
+    addRevealed.forEach(function (k) {
+      return session.revealed.add(k);
+    });
+    if (addLocked.length || addRevealed.length) session.send({
+      t: 'marks',
+      locked: addLocked,
+      revealed: addRevealed
+    });
+  }, [locked, revealed]);
+  useEffect(function () {
+    var session = coopRef.current;
+    if (!session) return;
+    session.send({
+      t: 'cursor',
+      name: coop.name,
+      color: coopColor(coopPeerId),
+      r: active ? active.r : null,
+      c: active ? active.c : null,
+      dir: dir
+    });
+  }, [active, dir, coopStatus]);
+  var coopCursors = useMemo(function () {
+    var at = {};
+    Object.keys(coopPeers).forEach(function (id) {
+      var p = coopPeers[id];
+      if (p.r !== null && p.r !== undefined) at[cellKey(p.r, p.c)] = p;
+    });
+    return at;
+  }, [coopPeers]);
+  function startCoop() {
+    var form = Object.assign({}, coopForm, {
+      name: (coopForm.name || '').trim().slice(0, 40) || 'Player'
+    });
+    if (form.kind === 'relay' && !/^wss?:\/\//i.test(form.relayUrl || '')) {
+      alert('The relay address should start with ws:// or wss://');
+      return;
+    }
+    saveCoopPrefs(form);
+    setCoopForm(form);
+    setCoop(form);
+  }
+  function openShare() {
+    if (!placements.length) return;
+    var seedLink = fixedCode || !seedShareable ? null : permalink(seed, sizeLevel, wordSource);
+    setShareLinks({
+      seed: seedLink,
+      fixed: null
+    });
+    encodeFixedPuzzle(placements, bounds).then(function (code) {
+      return setShareLinks({
+        seed: seedLink,
+        fixed: fixedLink(code)
+      });
+    })["catch"](function (e) {
+      return setShareLinks({
+        seed: seedLink,
+        fixed: null,
+        error: e && e.message ? e.message : String(e)
+      });
+    });
+  }
+  var puzzleLabel = fixedCode ? fixedPuzzle && fixedPuzzle.title || 'Shared puzzle' : practiceWords ? 'Review puzzle' : dailyDate ? 'Daily ' + dailyDate : 'Seed ' + (seed >>> 0) + ' · Swag ' + sizeLevel;
+  function exportPuzzle(kind) {
+    if (!placements.length) return;
+    var meta = {
+      title: 'Neurology Crossword: ' + puzzleLabel,
+      author: 'Neurology Crossword Puzzler',
+      copyright: '',
+      notes: fixedCode ? '' : 'seed=' + (seed >>> 0) + ' level=' + sizeLevel
+    };
+    var base = 'neurology-crossword-' + (fixedId || seed >>> 0);
+    try {
+      if (kind === 'puz') downloadFile(base + '.puz', toPuz(result, meta), 'application/x-crossword');else if (kind === 'ipuz') downloadFile(base + '.ipuz', toIpuz(result, meta), 'application/json');else if (kind === 'attempt') downloadFile(base + '-attempt.ipuz', toIpuz(result, Object.assign({
+        userGrid: userGrid,
+        solveLog: solveLogRef.current
+      }, meta)), 'application/json');else if (kind === 'xapi') downloadFile(base + '-xapi.json', JSON.stringify(attemptStatement(), null, 2), 'application/json');else downloadFile(base + '.jpz', toJpz(result, meta), 'application/xml');
+    } catch (e) {
+      alert('Export failed: ' + (e && e.message ? e.message : e));
+    }
+  }
+  function printablePuzzle() {
+    if (!placements.length) return null;
+    if (fixedCode || !seedShareable) return Object.assign(puzzleToJSON(result, {}), {
+      title: fixedPuzzle && fixedPuzzle.title,
+      label: puzzleLabel
+    });
+    var meta = {
+      seed: seed >>> 0,
+      level: sizeLevel,
+      topics: topics,
+      difficulty: DIFFICULTY_TARGETS[difficulty] ? difficulty : null
+    };
+    return Object.assign(puzzleToJSON(result, meta), {
+      label: puzzleStamp(Object.assign({
+        date: dailyDate
+      }, meta)),
+      link: puzzleLink
+    });
+  }
+  function importIpuzFile(file) {
+    if (!file) return;
+    var reader = new FileReader();
+    reader.onload = function () {
+      try {
+        var doc = fromIpuz(String(reader.result || ''));
+        var layout = layoutFromPlacements(doc.placements);
+        encodeFixedPuzzle(layout.placements, layout.bounds, doc.title || file.name.replace(/\.[^.]+$/, '')).then(function (code) {
+          setShowOptions(false);
+          if (doc.solveLog) {
+            var pending = {
+              log: doc.solveLog,
+              label: 'Replay of ' + file.name
+            };
+            if (code === fixedCode) openReplay(pending.log, pending.label);else pendingReplayRef.current = pending;
+          }
+          setPracticeWords(null);
+          setRevealMode(false);
+          setActive(null);
+          setDir(DIRS.ACROSS);
+          setFixedCode(code);
+        })["catch"](function (e) {
+          return alert('Could not open ' + file.name + ': ' + (e && e.message ? e.message : e));
+        });
+      } catch (e) {
+        alert('Could not open ' + file.name + ': ' + (e && e.message ? e.message : e));
+      }
+    };
+    reader.onerror = function () {
+      return alert('Could not read ' + file.name);
+    };
+    reader.readAsText(file);
+  }
+  function openSlot(slot) {
+    setShowContinue(false);
+    setPracticeWords(null);
+    setRevealMode(false);
+    setActive(null);
+    setDir(DIRS.ACROSS);
+    setFixedCode(slot.fixedCode || null);
+    setTopics(slot.topics || []);
+    setDeckId(slot.deck || null);
+    setDifficulty(slot.diff || null);
+    setSizeLevel(slot.sizeLevel);
+    setSeed(slot.seed >>> 0);
+  }
+  function openArchiveDay(ymd) {
+    setShowArchive(false);
+    var sd = dailySeed(ymd);
+    var slot = Object.keys(saves).map(function (k) {
+      return saves[k];
+    }).filter(function (s) {
+      return !s.fixedCode && s.seed >>> 0 === sd;
+    }).sort(function (x, y) {
+      return !!x.completed - !!y.completed || (y.ts || 0) - (x.ts || 0);
+    })[0];
+    if (slot) {
+      openSlot(slot);
+      return;
+    }
+    setPracticeWords(null);
+    setFixedCode(null);
+    setRevealMode(false);
+    setActive(null);
+    setDir(DIRS.ACROSS);
+    setSeed(sd);
+  }
+  function chooseDayZone(zone) {
+    setDayZone(zone);
+    setDayZoneSetting(zone);
+  }
+  function deleteSlot(key) {
+    var all = loadSaves();
+    delete all[key];
+    setSaves(writeSaves(all));
+  }
+  var errorSet = useMemo(function () {
+    var errs = new Set();
+    for (var r = bounds.minR; r <= bounds.maxR; r++) {
+      for (var c = bounds.minC; c <= bounds.maxC; c++) {
+        if (grid[r] && typeof grid[r][c] !== 'undefined' && grid[r][c] && userGrid[r] && typeof userGrid[r][c] !== 'undefined' && userGrid[r][c] && userGrid[r][c] !== grid[r][c]) errs.add(cellKey(r, c));
+      }
+    }
+    return errs;
+  }, [userGrid, grid, bounds]);
+  var selectedPlacement = useMemo(function () {
+    if (!active) return null;
+    var hit = placements.find(function (p) {
+      return p.dir === dir && cellInPlacement(p, active.r, active.c);
+    });
+    return hit || null;
+  }, [placements, active, dir]);
+  useEffect(function () {
+    var t = clueMsRef.current,
+      now = Date.now();
+    if (t.id) t.ms[t.id] = (t.ms[t.id] || 0) + Math.min(60000, now - t.since);
+    t.id = selectedPlacement && !completed ? clueId(selectedPlacement) : null;
+    t.since = now;
+  }, [selectedPlacement, completed]);
+  var _useState227 = useState(''),
+    _useState228 = _slicedToArray(_useState227, 2),
+    clueNews = _useState228[0],
+    setClueNews = _useState228[1];
+  useEffect(function () {
+    setClueNews(selectedPlacement ? clueAnnouncement(selectedPlacement, userGrid) : '');
+  }, [selectedPlacement]);
+  var _useState229 = useState(0),
+    _useState230 = _slicedToArray(_useState229, 2),
+    gridFocusReq = _useState230[0],
+    setGridFocusReq = _useState230[1];
+  var seenFocusReq = useRef(0);
+  useEffect(function () {
+    var wantFocus = gridFocusReq !== seenFocusReq.current;
+    seenFocusReq.current = gridFocusReq;
+    if (isMobile || !active || !wrapRef.current) return;
+    var el = wrapRef.current.querySelector('[data-cell="' + cellKey(active.r, active.c) + '"]');
+    var ae = document.activeElement;
+    if (!el || el === ae) return;
+    if (wantFocus || ae && ae.closest && ae.closest('.cells')) el.focus({
+      preventScroll: true
+    });
+  }, [active, isMobile, gridFocusReq]);
+  var across = useMemo(function () {
+    return placements.filter(function (p) {
+      return p.dir === DIRS.ACROSS;
+    }).slice().sort(function (a, b) {
+      return a.number - b.number;
+    });
+  }, [placements]);
+  var down = useMemo(function () {
+    return placements.filter(function (p) {
+      return p.dir === DIRS.DOWN;
+    }).slice().sort(function (a, b) {
+      return a.number - b.number;
+    });
+  }, [placements]);
+  var breakCells = useMemo(function () {
+    return wordBreakCells(placements);
+  }, [placements]);
+  useEffect(function () {
+    if (!autocheck || !errorSet.size) return;
+    setEverIncorrect(function (prev) {
+      var changed = false;
+      var nn = new Set(prev);
+      errorSet.forEach(function (k) {
+        if (!nn.has(k)) {
+          nn.add(k);
+          changed = true;
+        }
+      });
+      return changed ? nn : prev;
+    });
+  }, [autocheck, errorSet]);
+  function clearChecked(r, c) {
+    var k = cellKey(r, c);
+    setCheckedWrong(function (prev) {
+      if (!prev.has(k)) return prev;
+      var nn = new Set(prev);
+      nn["delete"](k);
+      return nn;
+    });
+    setCheckNote(null);
+  }
+  function logEdit(k, cells) {
+    cells = cells.filter(function (w) {
+      return w[1] !== w[2];
+    });
+    if (cells.length) logSolveEvent(solveLogRef.current, {
+      k: k,
+      cells: cells
+    }, Date.now());
+  }
+  useEffect(function () {
+    if (!active || replay) return;
+    var seen = logCursorRef.current,
+      at = cellKey(active.r, active.c),
+      now = Date.now();
+    if (seen.at !== at) logSolveEvent(solveLogRef.current, {
+      k: 'move',
+      at: at
+    }, now);
+    if (seen.dir !== dir) logSolveEvent(solveLogRef.current, {
+      k: 'dir',
+      dir: dir
+    }, now);
+    logCursorRef.current = {
+      at: at,
+      dir: dir
+    };
+  }, [active, dir]);
+  function lockSolvedWords(g, keys) {
+    var add = [];
+    var words = 0;
+    keys.forEach(function (k) {
+      var parts = k.split(':');
+      [DIRS.ACROSS, DIRS.DOWN].forEach(function (d) {
+        var span = getWordSpan(+parts[0], +parts[1], d);
+        if (!span || span.cells.length < 2 || !span.cells.every(function (rc) {
+          return g[rc[0]][rc[1]] === grid[rc[0]][rc[1]];
+        })) return;
+        var fresh = span.cells.map(function (rc) {
+          return cellKey(rc[0], rc[1]);
+        }).filter(function (x) {
+          return !locked.has(x) && add.indexOf(x) === -1;
+        });
+        if (fresh.length) {
+          words++;
+          fresh.forEach(function (x) {
+            return add.push(x);
+          });
+        }
+      });
+    });
+    if (add.length) setLocked(function (prev) {
+      var nn = new Set(prev);
+      add.forEach(function (x) {
+        return nn.add(x);
+      });
+      return nn;
+    });
+    return words;
+  }
+  function applySolveStep(step) {
+    if (!step || handedIn || replay) return;
+    logSolveEvent(solveLogRef.current, step, Date.now());
+    var g = userGrid.map(function (row) {
+      return row.slice();
+    });
+    step.cells.forEach(function (w) {
+      var parts = w[0].split(':');
+      g[+parts[0]][+parts[1]] = w[2];
+      clearChecked(+parts[0], +parts[1]);
+    });
+    setUserGrid(g);
+    if (autocheck && lockSolvedWords(g, step.cells.map(function (w) {
+      return w[0];
+    }))) fireConfetti(8);
+    var first = step.cells[0][0].split(':');
+    setActive({
+      r: +first[0],
+      c: +first[1]
+    });
+  }
+  var cellNow = function cellNow(key) {
+    var parts = key.split(':');
+    return userGrid[+parts[0]] && userGrid[+parts[0]][+parts[1]] || '';
+  };
+  function undo() {
+    applySolveStep(undoStep(solveLogRef.current, locked, cellNow));
+  }
+  function redo() {
+    applySolveStep(redoStep(solveLogRef.current, locked, cellNow));
+  }
+  var canUndo = !handedIn && !!undoStep(solveLogRef.current, locked, cellNow);
+  var canRedo = !handedIn && !!redoStep(solveLogRef.current, locked, cellNow);
+  var hasSolveLog = solveLogRef.current.events.some(function (e) {
+    return SOLVE_LOG_EDITS.indexOf(e.k) !== -1;
+  });
+  function openReplay(log, label) {
+    var times = replayTimes(log.events);
+    setRevealMode(false);
+    setReplay({
+      log: log,
+      times: times,
+      total: times.length ? times[times.length - 1] : 0,
+      label: label,
+      ms: 0,
+      playing: true,
+      speed: 1
+    });
+  }
+  function toggleReplay() {
+    setReplay(function (rp) {
+      return Object.assign({}, rp, rp.playing ? {
+        playing: false
+      } : {
+        playing: true,
+        ms: rp.ms >= rp.total ? 0 : rp.ms
+      });
+    });
+  }
+  useEffect(function () {
+    if (!replay || !replay.playing) return;
+    var last = Date.now();
+    var id = setInterval(function () {
+      var now = Date.now(),
+        step = now - last;
+      last = now;
+      setReplay(function (rp) {
+        if (!rp) return rp;
+        var ms = Math.min(rp.total, rp.ms + step * rp.speed);
+        return Object.assign({}, rp, {
+          ms: ms,
+          playing: ms < rp.total
+        });
+      });
+    }, REPLAY_TICK_MS);
+    return function () {
+      return clearInterval(id);
+    };
+  }, [replay && replay.playing]);
+  var replayView = useMemo(function () {
+    return replay ? replayAt(replay.log, replay.ms, replay.times) : null;
+  }, [replay && replay.log, replay && replay.ms]);
+  var replayCursor = replayView && replayView.active ? {
+    r: +replayView.active.split(':')[0],
+    c: +replayView.active.split(':')[1]
+  } : null;
+  var replayWord = replayCursor ? placements.find(function (p) {
+    return p.dir === (replayView.dir || DIRS.ACROSS) && cellInPlacement(p, replayCursor.r, replayCursor.c);
+  }) || null : null;
+  function runCheck(keys, what) {
+    if (handedIn) return;
+    var wrong = [],
+      right = [];
+    var empty = 0;
+    var _iterator11 = _createForOfIteratorHelper(keys),
+      _step11;
+    try {
+      for (_iterator11.s(); !(_step11 = _iterator11.n()).done;) {
+        var k = _step11.value;
+        var parts = k.split(':'),
+          r = +parts[0],
+          c = +parts[1];
+        var v = userGrid[r] ? userGrid[r][c] : '';
+        if (!v) empty++;else if (v === grid[r][c]) right.push(k);else wrong.push(k);
+      }
+    } catch (err) {
+      _iterator11.e(err);
+    } finally {
+      _iterator11.f();
+    }
+    if (wrong.length) {
+      setCheckedWrong(function (prev) {
+        var nn = new Set(prev);
+        wrong.forEach(function (k) {
+          return nn.add(k);
+        });
+        return nn;
+      });
+      setEverIncorrect(function (prev) {
+        var nn = new Set(prev);
+        wrong.forEach(function (k) {
+          return nn.add(k);
+        });
+        return nn;
+      });
+    }
+    if (right.length) setLocked(function (prev) {
+      var nn = new Set(prev);
+      right.forEach(function (k) {
+        return nn.add(k);
+      });
+      return nn;
+    });
+    if (wrong.length) setCheckNote(wrong.length + ' wrong letter' + (wrong.length === 1 ? '' : 's') + ' in this ' + what + '.');else if (!right.length) setCheckNote('Nothing to check yet.');else setCheckNote(empty ? 'No mistakes so far.' : what === 'letter' ? 'Correct.' : 'All correct.');
+  }
+  function checkLetter() {
+    if (!active || !isLetterCell(active.r, active.c)) return;
+    runCheck([cellKey(active.r, active.c)], 'letter');
+  }
+  function checkWord() {
+    if (!selectedPlacement) return;
+    var keys = [];
+    for (var i = 0; i < selectedPlacement.answer.length; i++) {
+      keys.push(selectedPlacement.dir === DIRS.ACROSS ? cellKey(selectedPlacement.row, selectedPlacement.col + i) : cellKey(selectedPlacement.row + i, selectedPlacement.col));
+    }
+    runCheck(keys, 'word');
+  }
+  function checkPuzzle() {
+    var keys = [];
+    for (var r = bounds.minR; r <= bounds.maxR; r++) for (var c = bounds.minC; c <= bounds.maxC; c++) if (isLetterCell(r, c)) keys.push(cellKey(r, c));
+    runCheck(keys, 'puzzle');
+  }
+  function chooseDifficulty(d) {
+    saveDifficulty(d);
+    setFixedCode(null);
+    setDifficulty(d);
+  }
+  function difficultyNote() {
+    if (difficulty !== 'adaptive') return difficulty ? 'Clues rated near ' + DIFFICULTY_TARGETS[difficulty] + ' of 5.' : 'Clues of every difficulty.';
+    var stats = loadClueStats();
+    var weak = weakTopics(bank, function (x) {
+      return stats[reviewKey(x)];
+    }, 3);
+    return 'Your level: ' + adaptiveTarget(historyResults(history)).toFixed(1) + ' of 5' + (weak.length ? ', with extra ' + weak.join(', ') : '') + '.';
+  }
+  function toggleAutocheck(on) {
+    setAutocheck(on);
+    saveAutocheck(on);
+    setCheckNote(null);
+  }
+  function chooseClue(p) {
+    if (revealMode) {
+      revealWord(p);
+      setRevealMode(false);
+      return;
+    }
+    setDir(p.dir);
+    setActive({
+      r: p.row,
+      c: p.col
+    });
+    setGridFocusReq(function (n) {
+      return n + 1;
+    });
+  }
+  function changeDisplay(patch) {
+    var next = Object.assign({}, display, patch);
+    setDisplay(next);
+    saveDisplay(next);
+  }
+  function getMissedPlacements() {
+    var missCells = new Set();
+    revealed.forEach(function (k) {
+      return missCells.add(k);
+    });
+    everIncorrect.forEach(function (k) {
+      return missCells.add(k);
+    });
+    var out = [];
+    var seen = new Set();
+    var _iterator12 = _createForOfIteratorHelper(placements),
+      _step12;
+    try {
+      for (_iterator12.s(); !(_step12 = _iterator12.n()).done;) {
+        var p = _step12.value;
+        var help = wordHelp(p, hints, hintSteps);
+        var hit = !!help;
+        for (var i = 0; i < p.answer.length && !hit; i++) {
+          var r = p.dir === DIRS.ACROSS ? p.row + 0 : p.row + i;
+          var c = p.dir === DIRS.ACROSS ? p.col + i : p.col + 0;
+          if (missCells.has(r + ':' + c)) {
+            hit = true;
+            break;
+          }
+        }
+        if (hit) {
+          var key = p.answer + '|' + p.clue;
+          if (!seen.has(key)) {
+            seen.add(key);
+            out.push(Object.assign({
+              answer: p.answer,
+              clue: p.clue,
+              help: help
+            }, p.display ? {
+              display: p.display
+            } : null));
+          }
+        }
+      }
+    } catch (err) {
+      _iterator12.e(err);
+    } finally {
+      _iterator12.f();
+    }
+    return out;
+  }
+  var missedCount = React.useMemo(function () {
+    return getMissedPlacements().length;
+  }, [revealed, everIncorrect, hints, hintSteps, placements]);
+  var score = useMemo(function () {
+    return scoreSolve(placements, hints, hintSteps);
+  }, [placements, hints, hintSteps]);
+  var dueCount = useMemo(function () {
+    return dueReviewItems(reviewDeck, Date.now()).length;
+  }, [reviewDeck, showCongrats]);
+  function startReview() {
+    var due = dueReviewItems(reviewDeck, Date.now());
+    if (!due.length) {
+      alert('Nothing is due for review. Missed answers come back here on a schedule.');
+      return;
+    }
+    var reviewSeed = newRandomSeed();
+    setRevealMode(false);
+    setActive(null);
+    setDir(DIRS.ACROSS);
+    setFixedCode(null);
+    setPracticeWords(buildReviewWords(due, bank, mulberry32(reviewSeed), presetFor(sizeLevel)));
+    setSeed(reviewSeed);
+  }
+  useEffect(function () {
+    if (!showCongrats || solvedResultRef.current === result) return;
+    solvedResultRef.current = result;
+    var now = Date.now();
+    var missed = getMissedPlacements();
+    var next = scheduleReview(loadReviewDeck(), placements, missed, now);
+    saveReviewDeck(next);
+    setReviewDeck(next);
+    var stats = loadClueStats();
+    var byKey = new Map(bank.map(function (x) {
+      return [reviewKey(x), x];
+    }));
+    var rating = placements.length ? placements.reduce(function (n, p) {
+      return n + clueDifficulty(byKey.get(reviewKey(p)) || p, stats[reviewKey(p)]);
+    }, 0) / placements.length : null;
+    var _iterator13 = _createForOfIteratorHelper(placements),
+      _step13;
+    try {
+      for (_iterator13.s(); !(_step13 = _iterator13.n()).done;) {
+        var p = _step13.value;
+        var keys = placementCellKeys(p);
+        stats[reviewKey(p)] = recordClueSolve(stats[reviewKey(p)], {
+          helped: !!wordHelp(p, hints, hintSteps),
+          wrong: keys.filter(function (k) {
+            return everIncorrect.has(k);
+          }).length,
+          letters: keys.length,
+          ms: clueMsRef.current.ms[clueId(p)] || 0
+        });
+      }
+    } catch (err) {
+      _iterator13.e(err);
+    } finally {
+      _iterator13.f();
+    }
+    saveClueStats(stats);
+    var ms = finalMs !== null ? finalMs : elapsedMs + (timerStart ? now - timerStart : 0);
+    setHistory(appendHistory(loadHistory(), {
+      seed: seed >>> 0,
+      level: sizeLevel,
+      topics: topics,
+      deck: deckId,
+      diff: difficulty,
+      fixed: fixedId,
+      review: !!practiceWords,
+      daily: !practiceWords && !fixedCode && seed >>> 0 === defaultDailySeed(),
+      date: dayYYYYMMDD(),
+      ts: now,
+      ms: ms > 0 ? ms : null,
+      reveals: revealed.size,
+      errors: everIncorrect.size,
+      score: score.score,
+      maxScore: score.max,
+      words: placements.length,
+      rating: rating !== null ? Math.round(rating * 100) / 100 : null,
+      missed: missed
+    }));
+    emitHost('completed', {
+      ms: ms > 0 ? Math.round(ms) : null,
+      score: score.score,
+      maxScore: score.max,
+      missed: missed.map(writtenAnswer),
+      statement: attemptStatement()
+    });
+  }, [showCongrats]);
+  useEffect(function () {
+    if (isMobile && hiddenInputRef && hiddenInputRef.current) {
+      try {
+        hiddenInputRef.current.focus({
+          preventScroll: true
+        });
+      } catch (_) {}
+    }
+  }, [isMobile, active, dir, grid]);
+  useEffect(function () {
+    if (!timerOn) return;
+    var id = setInterval(function () {
+      return setNowTick(Date.now());
+    }, 1000);
+    return function () {
+      return clearInterval(id);
+    };
+  }, [timerOn]);
+  useEffect(function () {
+    if (timerOn && !timerStart && !completed && !handedIn) {
+      setTimerStart(Date.now());
+    }
+    if (!timerOn) {}
+  }, [timerOn, timerStart, completed, handedIn]);
+  var assignLimitMs = assignment && assignment.limitMin ? assignment.limitMin * 60000 : 0;
+  var assignLeftMs = assignLimitMs ? assignLimitMs - (elapsedMs + (timerStart ? nowTick - timerStart : 0)) : null;
+  useEffect(function () {
+    if (assignment && (assignment.forceTimer || assignLimitMs) && !timerOn) setTimerOn(true);
+  }, [assignment, timerOn]);
+  useEffect(function () {
+    if (assignment && loadedSlot === slotKey && placements.length && assignStart === null && !completed && !handedIn) setAssignStart(Date.now());
+  }, [loadedSlot, assignStart]);
+  useEffect(function () {
+    if (!assignLimitMs || completed || handedIn || assignLeftMs > 0) return;
+    setElapsedMs(assignLimitMs);
+    setTimerStart(null);
+    setRevealMode(false);
+    setHandedIn('time');
+    setShowHandIn(true);
+  }, [assignLeftMs, completed, handedIn]);
+  function handInNow() {
+    if (!confirm('Hand in now? You will not be able to change your answers afterwards.')) return;
+    setElapsedMs(elapsedMs + (timerStart ? Date.now() - timerStart : 0));
+    setTimerStart(null);
+    setRevealMode(false);
+    setHandedIn('submit');
+    setShowHandIn(true);
+  }
+  function assignmentResult(name) {
+    var ms = finalMs !== null ? finalMs : elapsedMs + (timerStart ? Date.now() - timerStart : 0);
+    return {
+      a: assignment.id,
+      n: name,
+      c: completed ? 1 : 0,
+      ms: Math.round(ms),
+      r: revealed.size,
+      e: everIncorrect.size,
+      w: placements.length,
+      s: completed ? score.score : scoreSolve(placements.filter(function (p) {
+        return isPlacementCorrect(p, userGrid);
+      }), hints, hintSteps).score,
+      m: score.max,
+      x: getMissedPlacements().map(function (m) {
+        return m.answer;
+      }),
+      u: placements.filter(function (p) {
+        return !isPlacementCorrect(p, userGrid);
+      }).map(function (p) {
+        return p.answer;
+      }),
+      ts: Date.now()
+    };
+  }
+  function emitHost(type, data) {
+    if (embed) postToHost(embed, type, data);
+  }
+  function hostPuzzleInfo() {
+    return {
+      seed: seed >>> 0,
+      level: sizeLevel,
+      title: hostPuzzle && hostPuzzle.title || puzzleLabel,
+      words: placements.length,
+      across: across.length,
+      down: down.length
+    };
+  }
+  function hostProgress() {
+    var cells = 0,
+      filled = 0;
+    userGrid.forEach(function (row) {
+      return row.forEach(function (v) {
+        if (v !== null) {
+          cells++;
+          if (v) filled++;
+        }
+      });
+    });
+    return {
+      filled: filled,
+      cells: cells,
+      wordsDone: placements.filter(function (p) {
+        return isPlacementCorrect(p, userGrid);
+      }).length,
+      words: placements.length,
+      completed: completed,
+      ms: Math.round(finalMs !== null ? finalMs : elapsedMs + (timerStart ? Date.now() - timerStart : 0)),
+      reveals: revealed.size,
+      errors: everIncorrect.size
+    };
+  }
+  function attemptStatement() {
+    var right = placements.filter(function (p) {
+      return isPlacementCorrect(p, userGrid);
+    });
+    var missed = getMissedPlacements().concat(completed ? [] : placements.filter(function (p) {
+      return right.indexOf(p) === -1;
+    })).map(writtenAnswer);
+    var student = null;
+    try {
+      student = localStorage.getItem(STUDENT_NAME_KEY);
+    } catch (_) {}
+    var link = puzzleLink || window.location.origin + window.location.pathname + '?words=' + hashStringToInt(placements.map(reviewKey).join('\n')).toString(36);
+    return xapiStatement({
+      actor: readXapiActor(hostActorRef.current || {
+        name: student || ''
+      }, window.location.origin),
+      activityId: hostPuzzle && hostPuzzle.activityId || embedActivityId(link),
+      name: hostPuzzle && hostPuzzle.title || 'Neurology Crossword: ' + puzzleLabel,
+      completed: completed,
+      ms: hostProgress().ms,
+      score: completed ? score.score : scoreSolve(right, hints, hintSteps).score,
+      maxScore: score.max,
+      missed: missed.filter(function (x, i) {
+        return missed.indexOf(x) === i;
+      }),
+      ts: Date.now()
+    });
+  }
+  var hostLoadIdRef = useRef(undefined);
+  function hostReady() {
+    var id = hostLoadIdRef.current;
+    hostLoadIdRef.current = undefined;
+    emitHost('ready', Object.assign(id !== undefined ? {
+      requestId: id
+    } : {}, hostPuzzleInfo()));
+  }
+  function hostLoad(msg) {
+    var list = msg.words !== undefined && msg.words !== null ? readHostWords(msg.words) : null;
+    var sd = msg.seed !== undefined && msg.seed !== null && msg.seed !== '' ? seedFromText(msg.seed) : list ? hashStringToInt(list.map(function (x) {
+      return x.answer;
+    }).join(' ')) : defaultDailySeed();
+    var lv = msg.level !== undefined ? levelFromText(msg.level) : null;
+    var tp = msg.topics !== undefined ? parseTopicList([].concat(msg.topics || []).join(',')) : topics;
+    if (msg.actor !== undefined) hostActorRef.current = msg.actor;
+    hostLoadIdRef.current = msg.requestId;
+    setHostPuzzle({
+      title: msg.title ? String(msg.title).slice(0, 200) : '',
+      activityId: typeof msg.activityId === 'string' && msg.activityId ? msg.activityId : null
+    });
+    var same = !fixedCode && sd === seed >>> 0 && (lv === null || lv === sizeLevel) && tp.join(',') === topics.join(',') && JSON.stringify(list) === JSON.stringify(practiceWords);
+    if (same) {
+      if (placements.length && gridIsCurrent) hostReady();
+      return;
+    }
+    setReplay(null);
+    setRevealMode(false);
+    setActive(null);
+    setDir(DIRS.ACROSS);
+    setFixedCode(null);
+    if (lv !== null) setSizeLevel(lv);
+    setTopics(tp);
+    setPracticeWords(list);
+    setSeed(sd);
+  }
+  function hostCommand(msg) {
+    var reply = function reply(type, data) {
+      return emitHost(type, Object.assign(msg.requestId !== undefined ? {
+        requestId: msg.requestId
+      } : {}, data));
+    };
+    try {
+      if (msg.type === 'load') hostLoad(msg);else if (msg.type === 'getProgress') reply('progress', hostProgress());else if (msg.type === 'getStatement') reply('statement', {
+        statement: attemptStatement()
+      });else throw new Error('Unknown command: ' + msg.type);
+    } catch (e) {
+      reply('error', {
+        message: e && e.message ? e.message : String(e)
+      });
+    }
+  }
+  useEffect(function () {
+    if (!embed || fixedCode || !bank.length || words.length && !buildError) return;
+    var id = hostLoadIdRef.current;
+    hostLoadIdRef.current = undefined;
+    emitHost('error', Object.assign(id !== undefined ? {
+      requestId: id
+    } : {}, {
+      message: buildError ? 'Could not build this puzzle: ' + buildError : 'No clues match those topics at this size.'
+    }));
+  }, [words, buildError]);
+  var hostCommandRef = useRef(null);
+  hostCommandRef.current = hostCommand;
+  useEffect(function () {
+    if (!embed) return;
+    document.documentElement.classList.add('embed');
+    var onMessage = function onMessage(e) {
+      if (isHostMessage(embed, e, window.parent)) hostCommandRef.current(e.data);
+    };
+    window.addEventListener('message', onMessage);
+    return function () {
+      return window.removeEventListener('message', onMessage);
+    };
+  }, []);
+  useEffect(function () {
+    if (embed && !timerOn) setTimerOn(true);
+  }, [timerOn]);
+  var hostWordsRef = useRef({
+    result: null,
+    done: new Set(),
+    n: 0
+  });
+  useEffect(function () {
+    if (!embed) return;
+    var seen = hostWordsRef.current,
+      n = solveLogRef.current.events.length;
+    var done = new Set(placements.filter(function (p) {
+      return isPlacementCorrect(p, userGrid);
+    }).map(clueId));
+    if (seen.result === result && n > seen.n) {
+      placements.forEach(function (p) {
+        if (done.has(clueId(p)) && !seen.done.has(clueId(p))) emitHost('wordCompleted', {
+          number: p.number,
+          direction: p.dir,
+          answer: writtenAnswer(p),
+          clue: p.clue,
+          helped: !!wordHelp(p, hints, hintSteps)
+        });
+      });
+    }
+    hostWordsRef.current = {
+      result: result,
+      done: done,
+      n: n
+    };
+  }, [userGrid, result]);
+  function hostWordsAt(keys) {
+    return placements.filter(function (p) {
+      return keys.some(function (k) {
+        var parts = k.split(':');
+        return cellInPlacement(p, +parts[0], +parts[1]);
+      });
+    }).map(function (p) {
+      return {
+        number: p.number,
+        direction: p.dir
+      };
+    });
+  }
+  useEffect(function () {
+    if (completed) return;
+    var allPlacements = (across || []).concat(down || []);
+    if (allPlacements.length && allPlacements.every(function (p) {
+      return isPlacementCorrect(p, userGrid);
+    })) {
+      var ms = elapsedMs + (timerStart ? Date.now() - timerStart : 0);
+      setElapsedMs(ms);
+      setTimerStart(null);
+      setFinalMs(ms);
+      setCompleted(true);
+      setShowCongrats(true);
+    }
+  }, [userGrid, across, down, completed]);
+  function renderCells() {
+    var rowsOut = [];
+    var cursor = replayView ? replayCursor : active,
+      word = replayView ? replayWord : selectedPlacement;
+    var R = bounds.maxR - bounds.minR + 1;
+    var C = bounds.maxC - bounds.minC + 1;
+    var tabStop = active && isLetterCell(active.r, active.c) ? cellKey(active.r, active.c) : null;
+    var letterPx = Math.max(10, Math.floor(cellPx * Math.min(0.8, 0.62 * display.fontScale)));
+    var numPx = display.fontScale > 1 ? Math.max(8, Math.min(Math.floor(cellPx * 0.4), Math.round(10 * display.fontScale))) : undefined;
+    var _loop3 = function _loop3() {
+        var r = bounds.minR + ri;
+        var items = [];
+        var _loop4 = function _loop4() {
+          var c = bounds.minC + ci;
+          var letter = grid[r][c];
+          var isCell = letter !== null;
+          var id = cellKey(r, c);
+          if (isCell && tabStop === null) tabStop = id;
+          var isLocked = !replayView && locked.has(id);
+          var isActive = cursor && cursor.r === r && cursor.c === c;
+          var isRevealed = replayView ? replayView.revealed.has(id) : revealed.has(id);
+          var isWrong = !replayView && (autocheck ? errorSet.has(id) : checkedWrong.has(id));
+          var peer = isCell && !replayView ? coopCursors[id] : null;
+          var isInWord = word && cellInPlacement(word, r, c);
+          var showLetter = replayView ? replayView.letters[id] || '' : userGrid[r] && typeof userGrid[r][c] !== 'undefined' ? userGrid[r][c] : '';
+          num = null;
+          if (numbers && numbers[r] && typeof numbers[r][c] !== 'undefined' && numbers[r][c] !== null) {
+            num = numbers[r][c];
+          }
+          var label = isCell ? [num ? 'Number ' + num : null, showLetter || 'blank', isRevealed ? 'revealed' : isWrong ? 'incorrect' : isLocked ? 'correct' : null, peer ? peer.name + ' is here' : null].filter(Boolean).join(', ') : 'block';
+          items.push(React.createElement("div", {
+            key: id,
+            role: "gridcell",
+            "aria-label": label,
+            "data-cell": id,
+            tabIndex: isCell ? id === tabStop ? 0 : -1 : undefined,
+            className: 'cell ' + (isCell ? 'open' : 'block') + (isActive ? ' active' : '') + (isLocked ? ' locked' : '') + (isRevealed ? ' revealed' : '') + (isWrong ? ' wrong' : '') + (isInWord ? ' inword' : '') + (breakCells.across[id] ? ' brk-r' : '') + (breakCells.down[id] ? ' brk-b' : ''),
+            style: peer ? {
+              boxShadow: 'inset 0 0 0 3px ' + peer.color
+            } : undefined,
+            title: peer ? peer.name : undefined,
+            onFocus: isCell && !replayView ? function () {
+              return setActive(function (a) {
+                return a && a.r === r && a.c === c ? a : {
+                  r: r,
+                  c: c
+                };
+              });
+            } : undefined,
+            onClick: replayView ? undefined : function () {
+              return handleCellClick(r, c, isCell, id);
+            }
+          }, isCell && num ? React.createElement("div", {
+            className: "num",
+            "aria-hidden": "true",
+            style: numPx ? {
+              fontSize: numPx
+            } : undefined
+          }, num) : null, isCell ? React.createElement("span", {
+            "aria-hidden": "true",
+            style: {
+              color: isRevealed ? '#4c1d95' : isWrong ? '#b91c1c' : isLocked ? '#7c5c00' : '#111111',
+              fontSize: letterPx,
+              lineHeight: 1,
+              display: 'inline-block'
+            }
+          }, showLetter) : null));
+        };
+        for (var ci = 0; ci < C; ci++) {
+          _loop4();
+        }
+        rowsOut.push(React.createElement("div", {
+          key: r,
+          role: "row",
+          className: "cellrow"
+        }, items));
+      },
+      num;
+    for (var ri = 0; ri < R; ri++) {
+      _loop3();
+    }
+    return rowsOut;
+  }
+  function revealCell(r, c) {
+    var letter = grid[r][c];
+    var id = cellKey(r, c);
+    var newlyCompleted = 0;
+    logEdit('reveal', [[id, userGrid[r][c] || '', letter]]);
+    setUserGrid(function (ug) {
+      var g = ug.map(function (row) {
+        return row.slice();
+      });
+      g[r][c] = letter;
+      var spans = [getWordSpan(r, c, DIRS.ACROSS), getWordSpan(r, c, DIRS.DOWN)].filter(Boolean);
+      var newLocked = new Set(locked);
+      for (var si = 0; si < spans.length; si++) {
+        var span = spans[si];
+        if (!span || span.cells.length < 2) continue;
+        var ok = true;
+        for (var ii = 0; ii < span.cells.length; ii++) {
+          var tup = span.cells[ii];
+          if (!tup || tup.length < 2) continue;
+          var rr = tup[0],
+            cc = tup[1];
+          if (!grid[rr][cc] || g[rr][cc] !== grid[rr][cc]) {
+            ok = false;
+            break;
+          }
+        }
+        var already = true;
+        for (var jj = 0; jj < span.cells.length; jj++) {
+          var tup2 = span.cells[jj];
+          if (!tup2 || tup2.length < 2) continue;
+          var rr2 = tup2[0],
+            cc2 = tup2[1];
+          if (!locked.has(cellKey(rr2, cc2))) {
+            already = false;
+            break;
+          }
+        }
+        if (ok && !already) {
+          newlyCompleted++;
+          for (var kk = 0; kk < span.cells.length; kk++) {
+            var tup3 = span.cells[kk];
+            if (!tup3 || tup3.length < 2) continue;
+            var rr3 = tup3[0],
+              cc3 = tup3[1];
+            newLocked.add(cellKey(rr3, cc3));
+          }
+        }
+      }
+      if (newLocked.size !== locked.size) setLocked(newLocked);
+      return g;
+    });
+    setRevealed(function (prev) {
+      var nn = new Set(prev);
+      nn.add(id);
+      return nn;
+    });
+    setHints(function (prev) {
+      return addHints(prev, [id], 'letter');
+    });
+    clearChecked(r, c);
+    emitHost('revealed', {
+      scope: 'letter',
+      words: hostWordsAt([id])
+    });
+    if (newlyCompleted > 0) fireConfetti(8);
+  }
+  function revealWord(p) {
+    logEdit('reveal', placementCellKeys(p).map(function (k) {
+      var parts = k.split(':');
+      return [k, userGrid[+parts[0]][+parts[1]] || '', grid[+parts[0]][+parts[1]]];
+    }));
+    revealPlacement(p, grid, setUserGrid, setRevealed);
+    setHints(function (prev) {
+      return addHints(prev, placementCellKeys(p), 'word');
+    });
+    setHintSteps(function (prev) {
+      return Object.assign({}, prev, _defineProperty({}, clueId(p), HINT_STEPS));
+    });
+    setCheckedWrong(function (prev) {
+      var nn = new Set(prev);
+      placementCellKeys(p).forEach(function (k) {
+        return nn["delete"](k);
+      });
+      return nn;
+    });
+    emitHost('revealed', {
+      scope: 'word',
+      words: [{
+        number: p.number,
+        direction: p.dir
+      }]
+    });
+  }
+  function nextHint() {
+    var p = selectedPlacement;
+    if (!p || isPlacementCorrect(p, userGrid)) return;
+    var id = clueId(p);
+    var step = hintSteps[id] || 0;
+    if (step === 0) {
+      setHintSteps(function (prev) {
+        return Object.assign({}, prev, _defineProperty({}, id, 1));
+      });
+    } else if (step === 1) {
+      var keys = placementCellKeys(p).filter(function (k) {
+        var parts = k.split(':');
+        return userGrid[+parts[0]][+parts[1]] !== grid[+parts[0]][+parts[1]];
+      });
+      var pick = active && keys.indexOf(cellKey(active.r, active.c)) >= 0 ? cellKey(active.r, active.c) : keys[0];
+      var parts = pick.split(':');
+      revealCell(+parts[0], +parts[1]);
+      setHintSteps(function (prev) {
+        return Object.assign({}, prev, _defineProperty({}, id, 2));
+      });
+    } else {
+      revealWord(p);
+    }
+  }
+  var hintStep = selectedPlacement ? hintSteps[clueId(selectedPlacement)] || 0 : 0;
+  var handleCellClick = function handleCellClick(r, c, isCell, id) {
+    if (isMobile && !revealMode) {
+      var now = Date.now();
+      var last = lastTapRef.current || {
+        t: 0,
+        r: -1,
+        c: -1
+      };
+      if (now - last.t < 300 && last.r === r && last.c === c) {
+        setDir(function (d) {
+          return d === DIRS.ACROSS ? DIRS.DOWN : DIRS.ACROSS;
+        });
+        lastTapRef.current = {
+          t: 0,
+          r: -1,
+          c: -1
+        };
+        return;
+      }
+      lastTapRef.current = {
+        t: now,
+        r: r,
+        c: c
+      };
+    }
+    if (!isCell) return;
+    if (revealMode) {
+      if (!grid[r][c]) {
+        setRevealMode(false);
+        return;
+      }
+      revealCell(r, c);
+      setRevealMode(false);
+      setActive({
+        r: r,
+        c: c
+      });
+      setDir(pickSmartDir(r, c, DIRS.ACROSS, grid));
+      return;
+    }
+    setActive({
+      r: r,
+      c: c
+    });
+    setDir(pickSmartDir(r, c, DIRS.ACROSS, grid));
+  };
+  var bankProblem = loading || error || !bank.length;
+  var noWords = !fixedCode && !bankProblem && !words.length;
+  var building = !fixedCode && !bankProblem && !noWords && (buildSlow || !built || !!buildError);
+  var showStatus = fixedCode ? !fixedPuzzle : bankProblem || noWords || building;
+  return React.createElement(React.Fragment, null, !embed && React.createElement("header", {
+    className: "title"
+  }, React.createElement("div", null, "Neurology Crossword Puzzler"), React.createElement("div", null)), offline.appUpdate && React.createElement("div", {
+    className: "update-bar",
+    role: "status"
+  }, React.createElement("span", null, "A new version of the puzzler is ready. Your progress is saved."), React.createElement("button", {
+    id: "appUpdateBtn",
+    className: "btn",
+    onClick: offline.updateApp
+  }, "Reload")), offline.bankPending && React.createElement("div", {
+    className: "update-bar",
+    role: "status"
+  }, React.createElement("span", null, "A new clue bank is available. Seed puzzles, today's included, may change when you switch."), React.createElement("button", {
+    id: "bankUpdateBtn",
+    className: "btn",
+    onClick: offline.updateBank
+  }, "Switch now"), React.createElement("button", {
+    className: "btn",
+    onClick: offline.dismissBank
+  }, "Later")), assignment && React.createElement("div", {
+    className: "assign-bar",
+    role: "status"
+  }, React.createElement("strong", null, "Assignment: ", assignment.title), assignLeftMs !== null && !completed && !handedIn && React.createElement("span", {
+    className: assignLeftMs < 60000 ? 'error' : ''
+  }, "Time left ", formatMs(assignLeftMs)), assignment.noReveal && React.createElement("span", null, "No Reveal or hints"), completed || handedIn ? React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      return completed ? setShowCongrats(true) : setShowHandIn(true);
+    }
+  }, "Result code") : React.createElement("button", {
+    id: "handInBtn",
+    className: "btn",
+    disabled: !placements.length,
+    onClick: handInNow
+  }, "Hand in")), React.createElement("input", {
+    ref: hiddenInputRef,
+    className: "hidden-ime-input",
+    inputMode: "latin",
+    autoCapitalize: "characters",
+    autoCorrect: "off",
+    spellCheck: false,
+    "aria-hidden": "true",
+    tabIndex: -1,
+    onInput: function onInput(e) {
+      var el = e.currentTarget;
+      var v = el.value || '';
+      if (revealMode) {
+        el.value = '';
+        return;
+      }
+      if (!v) {
+        try {
+          window.dispatchEvent(new KeyboardEvent('keydown', {
+            key: 'Backspace'
+          }));
+        } catch (_) {}
+      } else {
+        var ch = v.slice(-1).toUpperCase().replace(/[^A-Z]/g, '');
+        if (ch) {
+          try {
+            window.dispatchEvent(new KeyboardEvent('keydown', {
+              key: ch
+            }));
+          } catch (_) {}
+        }
+      }
+      el.value = '';
+    }
+  }), showOptions && React.createElement("div", {
+    className: "overlay",
+    onClick: function onClick(e) {
+      if (e.target === e.currentTarget) setShowOptions(false);
+    }
+  }, React.createElement("div", {
+    className: "modal",
+    ref: optionsRef,
+    role: "dialog",
+    "aria-modal": "true",
+    "aria-label": "Options"
+  }, React.createElement("h3", null, "Options"), React.createElement("div", {
+    style: {
+      fontSize: '12px',
+      opacity: 0.7,
+      marginTop: '2px'
+    }
+  }, "version 0.3"), React.createElement("div", {
+    className: "row",
+    style: {
+      alignItems: 'center',
+      gap: '12px'
+    }
+  }, React.createElement("strong", null, "Swag:"), React.createElement("div", {
+    style: {
+      display: 'flex',
+      flexDirection: 'column',
+      flex: 1
+    }
+  }, React.createElement("input", {
+    type: "range",
+    min: 0,
+    max: 14,
+    step: 1,
+    value: sizeLevel,
+    onChange: function onChange(e) {
+      var v = Number(e.target.value);
+      setFixedCode(null);
+      setSizeLevel(v);
+    },
+    className: "slider"
+  }))), React.createElement("div", {
+    className: "row",
+    style: {
+      flexDirection: 'column',
+      alignItems: 'stretch',
+      gap: '4px'
+    }
+  }, React.createElement("strong", null, "Topics:"), topicList.length ? React.createElement("div", {
+    className: "topiclist"
+  }, React.createElement("label", null, React.createElement("input", {
+    type: "checkbox",
+    checked: !topics.length,
+    onChange: function onChange() {
+      setFixedCode(null);
+      setTopics([]);
+    }
+  }), " All topics"), topicList.map(function (t) {
+    return React.createElement("label", {
+      key: t.topic
+    }, React.createElement("input", {
+      type: "checkbox",
+      checked: topics.indexOf(t.topic) !== -1,
+      onChange: function onChange(e) {
+        var on = e.target.checked;
+        setFixedCode(null);
+        setTopics(function (prev) {
+          return on ? prev.concat([t.topic]) : prev.filter(function (x) {
+            return x !== t.topic;
+          });
+        });
+      }
+    }), ' ', t.topic, " ", React.createElement("span", {
+      style: {
+        opacity: .6
+      }
+    }, "(", t.count, ")"));
+  })) : React.createElement("div", {
+    style: {
+      fontSize: '12px',
+      opacity: 0.7
+    }
+  }, "Add a third column of topic tags to crosswordclues.csv to filter puzzles by topic."), topics.length > 0 && !words.length && React.createElement("div", {
+    className: "error",
+    style: {
+      fontSize: '12px'
+    }
+  }, "No clues match the selected topics at this size.")), React.createElement("div", {
+    className: "row",
+    style: {
+      alignItems: 'center',
+      gap: '12px',
+      flexWrap: 'wrap'
+    }
+  }, React.createElement("label", null, "Difficulty"), React.createElement("div", {
+    className: "seg",
+    role: "tablist",
+    "aria-label": "Difficulty"
+  }, DIFFICULTY_OPTIONS.map(function (_ref9) {
+    var _ref0 = _slicedToArray(_ref9, 2),
+      value = _ref0[0],
+      label = _ref0[1];
+    return React.createElement("button", {
+      key: label,
+      "aria-pressed": (difficulty || '') === value,
+      onClick: function onClick() {
+        return chooseDifficulty(value || null);
+      }
+    }, label);
+  })), React.createElement("div", {
+    style: {
+      fontSize: '12px',
+      opacity: .7
+    }
+  }, difficultyNote())), React.createElement("div", {
+    className: "row",
+    style: {
+      flexDirection: 'row',
+      alignItems: 'center'
+    }
+  }, React.createElement("label", {
+    style: {
+      fontWeight: 700,
+      minWidth: '56px',
+      marginRight: '8px'
+    }
+  }, "Seed"), React.createElement("input", {
+    className: "input",
+    type: "text",
+    value: seedInput,
+    placeholder: String(seed),
+    onChange: function onChange(e) {
+      return setSeedInput(e.target.value);
+    }
+  })), React.createElement("div", {
+    className: "row",
+    style: {
+      alignItems: 'center',
+      gap: '12px',
+      flexWrap: 'wrap'
+    }
+  }, React.createElement("label", null, "New day at midnight in"), React.createElement("select", {
+    className: "input",
+    style: {
+      flex: 1,
+      width: 'auto'
+    },
+    value: dayZoneSetting,
+    onChange: function onChange(e) {
+      return chooseDayZone(e.target.value);
+    }
+  }, dayZoneChoices(dayZoneSetting).map(function (_ref1) {
+    var _ref10 = _slicedToArray(_ref1, 2),
+      value = _ref10[0],
+      label = _ref10[1];
+    return React.createElement("option", {
+      key: value,
+      value: value
+    }, label);
+  })), React.createElement("div", {
+    style: {
+      fontSize: '12px',
+      opacity: .7
+    }
+  }, dayZoneSetting === DEFAULT_DAY_ZONE ? 'Everyone on the default gets the same daily puzzle at the same time.' : "Today's puzzle changes at midnight " + (dayZoneSetting === 'local' ? 'on this device' : 'in ' + dayZoneSetting.replace(/_/g, ' ')) + ', so for part of the day it can differ from the shared Phoenix one.')), React.createElement("div", {
+    className: "row",
+    style: {
+      alignItems: 'center',
+      gap: '12px'
+    }
+  }, React.createElement("label", null, "Timer"), React.createElement("div", {
+    className: "seg",
+    role: "tablist",
+    "aria-label": "Timer toggle"
+  }, React.createElement("button", {
+    "aria-pressed": !timerOn,
+    onClick: function onClick() {
+      return setTimerOn(false);
+    }
+  }, "Off"), React.createElement("button", {
+    "aria-pressed": timerOn,
+    onClick: function onClick() {
+      setTimerOn(true);
+      if (!timerStart && !completed) setTimerStart(Date.now());
+    }
+  }, "On")), timerOn && React.createElement("div", {
+    style: {
+      marginLeft: 12,
+      fontVariantNumeric: 'tabular-nums'
+    }
+  }, "Time: ", formatMs(elapsedMs + (timerStart ? nowTick - timerStart : 0)))), React.createElement("div", {
+    className: "row",
+    style: {
+      alignItems: 'center',
+      gap: '12px'
+    }
+  }, React.createElement("label", null, "Autocheck"), React.createElement("div", {
+    className: "seg",
+    role: "tablist",
+    "aria-label": "Autocheck toggle"
+  }, React.createElement("button", {
+    "aria-pressed": !autocheck,
+    onClick: function onClick() {
+      return toggleAutocheck(false);
+    }
+  }, "Off"), React.createElement("button", {
+    "aria-pressed": autocheck,
+    onClick: function onClick() {
+      return toggleAutocheck(true);
+    }
+  }, "On")), React.createElement("div", {
+    style: {
+      fontSize: '12px',
+      opacity: .7
+    }
+  }, autocheck ? 'Mistakes show as you type.' : 'Use the Check buttons for feedback.')), React.createElement("div", {
+    className: "row",
+    style: {
+      alignItems: 'center',
+      gap: '12px',
+      flexWrap: 'wrap'
+    }
+  }, React.createElement("label", null, "Contrast"), React.createElement("div", {
+    className: "seg",
+    role: "tablist",
+    "aria-label": "Contrast"
+  }, React.createElement("button", {
+    "aria-pressed": !display.contrast,
+    onClick: function onClick() {
+      return changeDisplay({
+        contrast: false
+      });
+    }
+  }, "Standard"), React.createElement("button", {
+    id: "contrastHighBtn",
+    "aria-pressed": display.contrast,
+    onClick: function onClick() {
+      return changeDisplay({
+        contrast: true
+      });
+    }
+  }, "High"))), React.createElement("div", {
+    className: "row",
+    style: {
+      alignItems: 'center',
+      gap: '12px',
+      flexWrap: 'wrap'
+    }
+  }, React.createElement("label", null, "Text size"), React.createElement("div", {
+    className: "seg",
+    role: "tablist",
+    "aria-label": "Text size"
+  }, FONT_SCALES.map(function (f) {
+    return React.createElement("button", {
+      key: f,
+      "aria-pressed": display.fontScale === f,
+      onClick: function onClick() {
+        return changeDisplay({
+          fontScale: f
+        });
+      }
+    }, Math.round(f * 100), "%");
+  })), React.createElement("div", {
+    style: {
+      fontSize: '12px',
+      opacity: .7
+    }
+  }, "Grid letters grow with the cells; larger text can make the grid scroll.")), React.createElement("div", {
+    className: "row",
+    style: {
+      flexWrap: 'wrap'
+    }
+  }, React.createElement("strong", null, "Deck:"), React.createElement("select", {
+    className: "input",
+    style: {
+      flex: 1,
+      width: 'auto'
+    },
+    value: deckId || '',
+    onChange: function onChange(e) {
+      return switchDeck(e.target.value);
+    }
+  }, React.createElement("option", {
+    value: ""
+  }, "Built-in neurology bank"), decks.map(function (d) {
+    return React.createElement("option", {
+      key: d.id,
+      value: d.id
+    }, d.name, " (", d.count, ")");
+  }), deckId && !decks.some(function (d) {
+    return d.id === deckId;
+  }) && React.createElement("option", {
+    value: deckId
+  }, "Missing deck ", deckId)), React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      setShowOptions(false);
+      setShowDeckLoader(true);
+    }
+  }, "Load deck\u2026"), deckId && decks.some(function (d) {
+    return d.id === deckId;
+  }) && React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      if (!confirm('Delete this saved deck from the browser?')) return;
+      deleteDeck(deckId).then(function () {
+        refreshDecks();
+        switchDeck(null);
+      });
+    }
+  }, "Delete deck")), React.createElement("div", {
+    className: "row"
+  }, React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      setShowOptions(false);
+      setShowEditor(true);
+    }
+  }, "Edit clue bank\u2026"), React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      setShowOptions(false);
+      setShowAssignEditor(true);
+    }
+  }, "Create assignment\u2026"), React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      setShowOptions(false);
+      setShowGradebook(true);
+    }
+  }, "Gradebook\u2026"), React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      setShowOptions(false);
+      setPrintJob({
+        packet: true
+      });
+    }
+  }, "Print packet\u2026"), offline.canInstall && React.createElement("button", {
+    className: "btn",
+    onClick: offline.install
+  }, "Install app\u2026"), React.createElement("label", {
+    className: "btn"
+  }, "Open .ipuz\u2026", React.createElement("input", {
+    type: "file",
+    accept: ".ipuz,application/json",
+    style: {
+      display: 'none'
+    },
+    onChange: function onChange(e) {
+      importIpuzFile(e.target.files && e.target.files[0]);
+      e.target.value = '';
+    }
+  }))), React.createElement("div", {
+    className: "actions"
+  }, React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      return setShowOptions(false);
+    }
+  }, "Cancel"), React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      var s = (seedInput || '').trim();
+      var newS = null;
+      if (s.length) {
+        if (/^\d+$/.test(s)) {
+          newS = parseInt(s, 10) >>> 0;
+        } else {
+          newS = hashStringToInt(s);
+        }
+      }
+      setShowOptions(false);
+      if (newS !== null) {
+        setFixedCode(null);
+        setSeed(newS);
+      }
+    }
+  }, "Apply")))), showCoop && React.createElement("div", {
+    className: "overlay",
+    onClick: function onClick(e) {
+      if (e.target === e.currentTarget) setShowCoop(false);
+    }
+  }, React.createElement("div", {
+    className: "modal",
+    role: "dialog",
+    "aria-modal": "true",
+    "aria-label": "Co-op",
+    style: {
+      width: 'min(90vw, 520px)'
+    }
+  }, React.createElement("h3", null, "Solve together"), !puzzleLink ? React.createElement("p", {
+    className: "sharenote"
+  }, "Co-op needs a puzzle everyone can open from a link: a seed puzzle or a fixed link, not a Review or Adaptive puzzle.") : coop ? React.createElement(React.Fragment, null, React.createElement("div", {
+    className: "sharebox"
+  }, React.createElement("strong", null, coopStatus === 'open' ? 'Connected' : coopRoom ? 'Connecting…' : 'Waiting for the puzzle…'), React.createElement("div", {
+    className: "sharenote"
+  }, coop.kind === 'relay' ? 'Relay ' + coop.relayUrl : 'Tabs in this browser', " \xB7 room ", coopRoom || '—')), React.createElement("div", {
+    className: "sharebox"
+  }, React.createElement("div", null, React.createElement("span", {
+    className: "coop-dot",
+    style: {
+      background: coopColor(coopPeerId)
+    }
+  }), coop.name, " (you)"), Object.keys(coopPeers).map(function (id) {
+    return React.createElement("div", {
+      key: id
+    }, React.createElement("span", {
+      className: "coop-dot",
+      style: {
+        background: coopPeers[id].color
+      }
+    }), coopPeers[id].name);
+  })), React.createElement("div", {
+    className: "sharebox"
+  }, React.createElement("strong", null, "Invite link"), React.createElement("div", {
+    className: "sharenote"
+  }, "Opens this puzzle and joins the session. Everyone has to stay on the same puzzle."), React.createElement("div", {
+    className: "row"
+  }, React.createElement("input", {
+    className: "input",
+    readOnly: true,
+    value: coopInviteLink(puzzleLink, coop),
+    onFocus: function onFocus(e) {
+      return e.target.select();
+    }
+  }), React.createElement("button", {
+    className: "btn",
+    onClick: function onClick(e) {
+      return copyText(coopInviteLink(puzzleLink, coop), e.currentTarget.previousSibling);
+    }
+  }, "Copy"))), React.createElement("div", {
+    className: "actions"
+  }, React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      return setCoop(null);
+    }
+  }, "Leave session"), React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      return setShowCoop(false);
+    }
+  }, "Close"))) : React.createElement(React.Fragment, null, React.createElement("div", {
+    className: "row",
+    style: {
+      alignItems: 'center',
+      gap: '12px'
+    }
+  }, React.createElement("label", {
+    htmlFor: "coopName"
+  }, "Your name"), React.createElement("input", {
+    id: "coopName",
+    className: "input",
+    value: coopForm.name,
+    maxLength: 40,
+    onChange: function onChange(e) {
+      return setCoopForm(Object.assign({}, coopForm, {
+        name: e.target.value
+      }));
+    }
+  })), React.createElement("div", {
+    className: "row",
+    style: {
+      alignItems: 'center',
+      gap: '12px'
+    }
+  }, React.createElement("label", null, "Connect"), React.createElement("div", {
+    className: "seg",
+    role: "tablist",
+    "aria-label": "Co-op connection"
+  }, React.createElement("button", {
+    "aria-pressed": coopForm.kind === 'tabs',
+    onClick: function onClick() {
+      return setCoopForm(Object.assign({}, coopForm, {
+        kind: 'tabs'
+      }));
+    }
+  }, "Tabs in this browser"), React.createElement("button", {
+    "aria-pressed": coopForm.kind === 'relay',
+    onClick: function onClick() {
+      return setCoopForm(Object.assign({}, coopForm, {
+        kind: 'relay'
+      }));
+    }
+  }, "Relay server"))), coopForm.kind === 'relay' && React.createElement("div", {
+    className: "sharebox"
+  }, React.createElement("input", {
+    className: "input",
+    value: coopForm.relayUrl,
+    onChange: function onChange(e) {
+      return setCoopForm(Object.assign({}, coopForm, {
+        relayUrl: e.target.value
+      }));
+    },
+    "aria-label": "Relay address"
+  }), React.createElement("div", {
+    className: "sharenote"
+  }, "Run ", React.createElement("code", null, "node relay.js"), " from this folder for a relay on ws://localhost:8787.")), React.createElement("div", {
+    className: "actions"
+  }, React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      return setShowCoop(false);
+    }
+  }, "Cancel"), React.createElement("button", {
+    id: "coopStartBtn",
+    className: "btn",
+    onClick: startCoop
+  }, "Start session"))))), shareLinks && React.createElement("div", {
+    className: "overlay",
+    onClick: function onClick(e) {
+      if (e.target === e.currentTarget) setShareLinks(null);
+    }
+  }, React.createElement("div", {
+    className: "modal",
+    role: "dialog",
+    "aria-modal": "true",
+    "aria-label": "Share",
+    style: {
+      width: 'min(90vw, 520px)'
+    }
+  }, React.createElement("h3", null, "Share this puzzle"), shareLinks.seed && React.createElement("div", {
+    className: "sharebox"
+  }, React.createElement("strong", null, "Seed link"), React.createElement("div", {
+    className: "sharenote"
+  }, "Short. Rebuilds the puzzle from the clue bank, so it changes if the bank is edited."), React.createElement("div", {
+    className: "row"
+  }, React.createElement("input", {
+    className: "input",
+    readOnly: true,
+    value: shareLinks.seed,
+    onFocus: function onFocus(e) {
+      return e.target.select();
+    }
+  }), React.createElement("button", {
+    className: "btn",
+    onClick: function onClick(e) {
+      return copyText(shareLinks.seed, e.currentTarget.previousSibling);
+    }
+  }, "Copy"))), React.createElement("div", {
+    className: "sharebox"
+  }, React.createElement("strong", null, "Fixed link"), React.createElement("div", {
+    className: "sharenote"
+  }, "Carries the grid and clues itself, so it stays the same for everyone."), shareLinks.fixed ? React.createElement("div", {
+    className: "row"
+  }, React.createElement("input", {
+    className: "input",
+    readOnly: true,
+    value: shareLinks.fixed,
+    onFocus: function onFocus(e) {
+      return e.target.select();
+    }
+  }), React.createElement("button", {
+    className: "btn",
+    onClick: function onClick(e) {
+      return copyText(shareLinks.fixed, e.currentTarget.previousSibling);
+    }
+  }, "Copy")) : React.createElement("div", {
+    className: "sharenote"
+  }, shareLinks.error ? React.createElement("span", {
+    className: "error"
+  }, shareLinks.error) : 'Building…')), React.createElement("div", {
+    className: "sharebox"
+  }, React.createElement("strong", null, "Download"), React.createElement("div", {
+    className: "sharenote"
+  }, "Solve in other crossword apps."), React.createElement("div", {
+    className: "row"
+  }, React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      return exportPuzzle('puz');
+    }
+  }, ".puz"), React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      return exportPuzzle('ipuz');
+    }
+  }, ".ipuz"), React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      return exportPuzzle('jpz');
+    }
+  }, ".jpz")), hasSolveLog && React.createElement(React.Fragment, null, React.createElement("div", {
+    className: "sharenote"
+  }, "Your attempt as an .ipuz: the puzzle with your letters and a record of the solve, which opens here as a replay. Or as an xAPI statement, for a course's Learning Record Store."), React.createElement("div", {
+    className: "row"
+  }, React.createElement("button", {
+    id: "attemptBtn",
+    className: "btn",
+    onClick: function onClick() {
+      return exportPuzzle('attempt');
+    }
+  }, "Download attempt"), React.createElement("button", {
+    id: "xapiBtn",
+    className: "btn",
+    onClick: function onClick() {
+      return exportPuzzle('xapi');
+    }
+  }, "xAPI statement")))), React.createElement("div", {
+    className: "sharebox"
+  }, React.createElement("strong", null, "Print"), React.createElement("div", {
+    className: "sharenote"
+  }, "On paper or as a PDF, with the answer key on its own page."), React.createElement("div", {
+    className: "row"
+  }, React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      setShareLinks(null);
+      setPrintJob({});
+    }
+  }, "Print or PDF\u2026"))), React.createElement("div", {
+    className: "actions"
+  }, React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      return setShareLinks(null);
+    }
+  }, "Close")))), showAssignEditor && React.createElement(AssignmentEditor, {
+    onClose: function onClose() {
+      return setShowAssignEditor(false);
+    },
+    bank: bank,
+    seed: seed,
+    level: sizeLevel,
+    source: difficulty === 'adaptive' ? Object.assign({}, wordSource, {
+      diff: null
+    }) : wordSource,
+    fixedCode: fixedCode,
+    fixedTitle: fixedPuzzle && fixedPuzzle.title
+  }), showGradebook && React.createElement(Gradebook, {
+    onClose: function onClose() {
+      return setShowGradebook(false);
+    }
+  }), showArchive && React.createElement(DailyArchive, {
+    onClose: function onClose() {
+      return setShowArchive(false);
+    },
+    onOpen: openArchiveDay,
+    today: todayYMD,
+    status: archiveStatus(history, saves),
+    current: dailyDate
+  }), printJob && React.createElement(PrintDialog, {
+    onClose: function onClose() {
+      return setPrintJob(null);
+    },
+    bank: bank,
+    seed: seed,
+    level: sizeLevel,
+    source: wordSource,
+    current: printJob.study ? null : printablePuzzle(),
+    study: printJob.study,
+    packet: printJob.packet,
+    notes: clueNotes
+  }), showHandIn && assignment && !completed && React.createElement("div", {
+    className: "overlay"
+  }, React.createElement("div", {
+    className: "modal",
+    role: "dialog",
+    "aria-modal": "true",
+    "aria-label": "Hand in",
+    style: {
+      width: 'min(90vw, 520px)'
+    }
+  }, React.createElement("h3", null, handedIn === 'time' ? 'Time is up' : 'Handed in'), React.createElement("p", {
+    style: {
+      fontSize: 14
+    }
+  }, placements.filter(function (p) {
+    return isPlacementCorrect(p, userGrid);
+  }).length, " of ", placements.length, " answers solved in ", formatMs(elapsedMs), "."), React.createElement(HandIn, {
+    assignment: assignment,
+    makeResult: assignmentResult,
+    onDownload: function onDownload() {
+      return exportPuzzle('attempt');
+    }
+  }), React.createElement("div", {
+    className: "actions"
+  }, React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      return setShowHandIn(false);
+    }
+  }, "Close")))), showEditor && React.createElement(BankEditor, {
+    deck: deck,
+    onClose: function onClose() {
+      return setShowEditor(false);
+    }
+  }), showDeckLoader && React.createElement(DeckLoader, {
+    onClose: function onClose() {
+      return setShowDeckLoader(false);
+    },
+    onLoaded: function onLoaded(d) {
+      setShowDeckLoader(false);
+      refreshDecks();
+      switchDeck(d.id);
+    }
+  }), showContinue && function () {
+    var list = inProgressSaves(saves);
+    return React.createElement("div", {
+      className: "overlay",
+      onClick: function onClick(e) {
+        if (e.target === e.currentTarget) setShowContinue(false);
+      }
+    }, React.createElement("div", {
+      className: "modal",
+      role: "dialog",
+      "aria-modal": "true",
+      "aria-label": "Continue",
+      style: {
+        width: 'min(90vw, 480px)'
+      }
+    }, React.createElement("h3", null, "Continue"), list.length ? React.createElement("div", {
+      className: "slotlist"
+    }, list.map(function (x) {
+      return React.createElement("div", {
+        key: x.key,
+        className: 'slot' + (x.key === slotKey ? ' current' : '')
+      }, React.createElement("button", {
+        className: "slot-open",
+        onClick: function onClick() {
+          return openSlot(x);
+        }
+      }, React.createElement("div", null, React.createElement("strong", null, x.fixedCode ? 'Shared puzzle' : x.dailyDate ? 'Daily ' + x.dailyDate : 'Seed ' + x.seed), " \xB7 Swag ", x.sizeLevel, x.topics && x.topics.length ? ' · ' + x.topics.join(', ') : '', x.diff ? ' · ' + x.diff : ''), React.createElement("div", {
+        className: "slot-meta"
+      }, x.filled, "% filled \xB7 ", timeAgo(x.ts)), React.createElement("div", {
+        className: "slot-bar"
+      }, React.createElement("div", {
+        style: {
+          width: x.filled + '%'
+        }
+      }))), React.createElement("button", {
+        className: "btn",
+        "aria-label": "Delete save",
+        title: "Delete save",
+        onClick: function onClick() {
+          return deleteSlot(x.key);
+        }
+      }, "\u2715"));
+    })) : React.createElement("div", {
+      style: {
+        fontSize: 12,
+        opacity: .7
+      }
+    }, "No puzzles in progress."), React.createElement("div", {
+      className: "actions"
+    }, React.createElement("button", {
+      className: "btn",
+      onClick: function onClick() {
+        return setShowContinue(false);
+      }
+    }, "Close"))));
+  }(), showStats && function () {
+    var streaks = computeStreaks(history, todayYMD);
+    var byLevel = averageTimesByLevel(history);
+    var missedTop = topMissed(history, 10);
+    var clueStats = loadClueStats();
+    var statFor = function statFor(x) {
+      return clueStats[reviewKey(x)];
+    };
+    var weak = weakTopics(bank, statFor, 3);
+    var hardest = bank.filter(function (x) {
+      return statFor(x);
+    }).map(function (x) {
+      return {
+        x: x,
+        d: clueDifficulty(x, statFor(x))
+      };
+    }).sort(function (a, b) {
+      return b.d - a.d;
+    }).slice(0, 5);
+    return React.createElement("div", {
+      className: "overlay",
+      onClick: function onClick(e) {
+        if (e.target === e.currentTarget) setShowStats(false);
+      }
+    }, React.createElement("div", {
+      className: "modal",
+      role: "dialog",
+      "aria-modal": "true",
+      "aria-label": "Stats",
+      style: {
+        width: 'min(90vw, 520px)'
+      }
+    }, React.createElement("h3", null, "Stats"), React.createElement("div", {
+      className: "statgrid"
+    }, React.createElement("div", null, React.createElement("div", {
+      className: "statnum"
+    }, history.length), React.createElement("div", {
+      className: "statlbl"
+    }, "solved")), React.createElement("div", null, React.createElement("div", {
+      className: "statnum"
+    }, streaks.current), React.createElement("div", {
+      className: "statlbl"
+    }, "daily streak")), React.createElement("div", null, React.createElement("div", {
+      className: "statnum"
+    }, streaks.longest), React.createElement("div", {
+      className: "statlbl"
+    }, "longest streak")), React.createElement("div", null, React.createElement("div", {
+      className: "statnum"
+    }, streaks.days), React.createElement("div", {
+      className: "statlbl"
+    }, "dailies solved"))), React.createElement("h4", {
+      style: {
+        margin: '12px 0 4px 0'
+      }
+    }, "Average time by size"), byLevel.length ? React.createElement("table", {
+      className: "stattable"
+    }, React.createElement("thead", null, React.createElement("tr", null, React.createElement("th", null, "Swag"), React.createElement("th", null, "Solves"), React.createElement("th", null, "Average"), React.createElement("th", null, "Best"))), React.createElement("tbody", null, byLevel.map(function (x) {
+      return React.createElement("tr", {
+        key: x.level
+      }, React.createElement("td", null, x.level), React.createElement("td", null, x.count), React.createElement("td", null, formatMs(x.avg)), React.createElement("td", null, formatMs(x.best)));
+    }))) : React.createElement("div", {
+      style: {
+        fontSize: 12,
+        opacity: .7
+      }
+    }, "Turn the timer on in Options to track solve times."), React.createElement("h4", {
+      style: {
+        margin: '12px 0 4px 0'
+      }
+    }, "Most missed answers"), missedTop.length ? React.createElement("div", {
+      style: {
+        maxHeight: '30vh',
+        overflowY: 'auto',
+        fontSize: 14
+      }
+    }, missedTop.map(function (m) {
+      return React.createElement("div", {
+        key: m.answer + '|' + m.clue,
+        style: {
+          padding: '3px 0',
+          borderBottom: '1px dotted #ddd'
+        }
+      }, React.createElement("strong", null, writtenAnswer(m)), " ", React.createElement("span", {
+        style: {
+          opacity: .6
+        }
+      }, "\xD7", m.count), React.createElement("div", {
+        style: {
+          fontSize: 12,
+          opacity: .8
+        }
+      }, m.clue));
+    })) : React.createElement("div", {
+      style: {
+        fontSize: 12,
+        opacity: .7
+      }
+    }, "Nothing missed yet."), missedTop.length > 0 && React.createElement("div", {
+      className: "row"
+    }, React.createElement("button", {
+      className: "btn",
+      onClick: function onClick() {
+        var items = topMissed(history, 40).map(function (m) {
+          return Object.assign({
+            answer: writtenAnswer(m),
+            clue: m.clue,
+            note: 'missed ×' + m.count
+          }, studyNotes(clueNotes[m.answer]));
+        });
+        setShowStats(false);
+        setPrintJob({
+          study: {
+            title: 'Most missed answers',
+            items: items
+          }
+        });
+      }
+    }, "Print study sheet\u2026")), React.createElement("h4", {
+      style: {
+        margin: '12px 0 4px 0'
+      }
+    }, "Difficulty"), React.createElement("div", {
+      style: {
+        fontSize: 14
+      }
+    }, "Adaptive level ", adaptiveTarget(historyResults(history)).toFixed(1), " of 5", weak.length ? ' · weakest topics: ' + weak.join(', ') : ''), hardest.length > 0 && React.createElement("div", {
+      style: {
+        fontSize: 12,
+        opacity: .8,
+        marginTop: 4
+      }
+    }, "Hardest for you: ", hardest.map(function (h) {
+      return h.x.answer + ' (' + h.d.toFixed(1) + ')';
+    }).join(', ')), React.createElement("div", {
+      className: "actions"
+    }, React.createElement("button", {
+      className: "btn",
+      onClick: function onClick() {
+        return setShowStats(false);
+      }
+    }, "Close"))));
+  }(), showStatus ? React.createElement("div", {
+    className: "card cluecard",
+    style: {
+      marginTop: '12px'
+    }
+  }, fixedCode && !fixedError && React.createElement("div", null, React.createElement("strong", null, "Opening"), " shared puzzle\u2026"), fixedCode && fixedError && React.createElement("div", {
+    className: "error"
+  }, String(fixedError)), fixedCode && fixedError && React.createElement("div", {
+    className: "btnrow",
+    style: {
+      justifyContent: 'flex-start'
+    }
+  }, React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      return setFixedCode(null);
+    }
+  }, "Play today's puzzle instead")), !fixedCode && loading && React.createElement("div", null, React.createElement("strong", null, "Loading"), " ", deckId ? 'custom deck' : 'crosswordclues.csv', "\u2026"), !fixedCode && !loading && error && React.createElement("div", {
+    className: "error"
+  }, String(error)), !fixedCode && !loading && !error && !bank.length && React.createElement("div", {
+    className: "error"
+  }, "No data found in crosswordclues.csv"), building && !buildError && React.createElement("div", null, React.createElement("div", null, React.createElement("strong", null, "Building"), " puzzle\u2026"), React.createElement("div", {
+    className: "progress",
+    role: "progressbar",
+    "aria-valuemin": 0,
+    "aria-valuemax": 100,
+    "aria-valuenow": Math.round((buildProgress || 0) * 100)
+  }, React.createElement("div", {
+    style: {
+      width: Math.round((buildProgress || 0) * 100) + '%'
+    }
+  })), lastBuiltRef.current && React.createElement("div", {
+    className: "btnrow",
+    style: {
+      justifyContent: 'flex-start'
+    }
+  }, React.createElement("button", {
+    className: "btn",
+    onClick: cancelBuild
+  }, "Cancel"))), building && buildError && React.createElement("div", {
+    className: "error"
+  }, "Could not build this puzzle: ", String(buildError)), noWords && React.createElement("div", {
+    className: "error"
+  }, "No clues match ", topics.length ? 'those topics' : 'this puzzle', " at this size."), noWords && React.createElement("div", {
+    className: "btnrow",
+    style: {
+      justifyContent: 'flex-start'
+    }
+  }, topics.length > 0 && React.createElement("button", {
+    id: "clearTopicsBtn",
+    className: "btn",
+    onClick: function onClick() {
+      setPracticeWords(null);
+      setTopics([]);
+    }
+  }, "Clear topics"), !embed && !assignment && React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      setSeedInput(String(seed));
+      refreshDecks();
+      setShowOptions(true);
+    }
+  }, "Options\u2026")), !fixedCode && bankProblem && !deckId && React.createElement("p", {
+    style: {
+      marginTop: '8px'
+    }
+  }, "Place a ", React.createElement("code", null, "crosswordclues.csv"), " (Answer, Clue, optional Topic tags) next to this HTML and refresh. If you opened this file with ", React.createElement("code", null, "file://"), ", run a local server (e.g., ", React.createElement("code", null, "python -m http.server"), "), or load a deck below."), !fixedCode && !loading && bankProblem && React.createElement("div", {
+    className: "btnrow",
+    style: {
+      justifyContent: 'flex-start'
+    }
+  }, React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      return setShowDeckLoader(true);
+    }
+  }, "Load a deck\u2026"), deckId && React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      return switchDeck(null);
+    }
+  }, "Use built-in bank"), decks.filter(function (d) {
+    return d.id !== deckId;
+  }).map(function (d) {
+    return React.createElement("button", {
+      key: d.id,
+      className: "btn",
+      onClick: function onClick() {
+        return switchDeck(d.id);
+      }
+    }, d.name);
+  }))) : React.createElement("div", {
+    className: "two" + (revealMode ? " reveal-cursor" : "")
+  }, React.createElement("div", null, React.createElement("div", _defineProperty({
+    className: "card"
+  }, "className", "card sticky-grid"), replay && React.createElement("div", {
+    className: "replay-bar",
+    role: "group",
+    "aria-label": "Replay"
+  }, React.createElement("strong", null, replay.label), React.createElement("button", {
+    id: "replayPlayBtn",
+    className: "btn",
+    onClick: toggleReplay
+  }, replay.playing ? 'Pause' : 'Play'), React.createElement("input", {
+    id: "replayScrub",
+    type: "range",
+    className: "slider",
+    min: 0,
+    max: Math.max(1, replay.total),
+    step: 10,
+    value: Math.round(replay.ms),
+    "aria-label": "Replay position",
+    "aria-valuetext": formatMs(replay.ms) + ' of ' + formatMs(replay.total),
+    onChange: function onChange(e) {
+      var ms = Number(e.target.value);
+      setReplay(function (rp) {
+        return Object.assign({}, rp, {
+          ms: ms,
+          playing: false
+        });
+      });
+    }
+  }), React.createElement("span", {
+    className: "replay-time"
+  }, formatMs(replay.ms), " / ", formatMs(replay.total)), React.createElement("div", {
+    className: "seg",
+    "aria-label": "Replay speed"
+  }, REPLAY_SPEEDS.map(function (x) {
+    return React.createElement("button", {
+      key: x,
+      "aria-pressed": replay.speed === x,
+      onClick: function onClick() {
+        return setReplay(function (rp) {
+          return Object.assign({}, rp, {
+            speed: x
+          });
+        });
+      }
+    }, x, "\xD7");
+  })), React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      return setReplay(null);
+    }
+  }, "Close")), React.createElement("div", {
+    className: "gridwrap",
+    ref: wrapRef
+  }, React.createElement("div", {
+    className: "cells",
+    role: "grid",
+    "aria-label": "Crossword grid",
+    "aria-describedby": "gridHelp",
+    style: {
+      gridTemplateColumns: "repeat(".concat(Math.max(1, bounds.maxC - bounds.minC + 1), ", ").concat(cellPx, "px)"),
+      gridTemplateRows: "repeat(".concat(Math.max(1, bounds.maxR - bounds.minR + 1), ", ").concat(cellPx, "px)"),
+      width: "".concat(cellPx * Math.max(1, bounds.maxC - bounds.minC + 1), "px"),
+      height: "".concat(cellPx * Math.max(1, bounds.maxR - bounds.minR + 1), "px")
+    }
+  }, renderCells())), React.createElement("p", {
+    id: "gridHelp",
+    className: "sr-only"
+  }, "Type letters to fill the highlighted word. Arrow keys move between cells; Space or Enter switches between Across and Down."), React.createElement("div", {
+    className: "sr-only",
+    role: "status",
+    "aria-live": "polite"
+  }, clueNews))), React.createElement("div", null, React.createElement("div", {
+    className: "card cluecard"
+  }, React.createElement("h2", {
+    id: "acrossHead"
+  }, "Across"), React.createElement("ul", {
+    className: "cluelist",
+    "aria-labelledby": "acrossHead",
+    style: {
+      maxHeight: availableHeight + 'px',
+      overflow: 'auto',
+      paddingRight: '6px'
+    }
+  }, across.length ? across.map(function (p) {
+    var isSel = selectedPlacement && p.number === selectedPlacement.number && p.dir === selectedPlacement.dir;
+    return React.createElement("li", {
+      key: 'A-' + p.number + '-' + p.answer,
+      className: 'clue' + (isSel ? ' selected' : '') + (isPlacementCorrect(p, userGrid) ? ' done' : ''),
+      tabIndex: 0,
+      "aria-current": isSel ? 'true' : undefined,
+      onClick: function onClick() {
+        return chooseClue(p);
+      },
+      onKeyDown: function onKeyDown(e) {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          chooseClue(p);
+        }
+      }
+    }, React.createElement("span", {
+      className: "clue-num"
+    }, p.number), React.createElement("span", {
+      className: "clue-text"
+    }, p.clue, enumeration(p.display) && React.createElement("span", {
+      className: "clue-enum"
+    }, " ", enumeration(p.display)), hintSteps[clueId(p)] ? React.createElement("span", {
+      className: "clue-hint"
+    }, " (", p.answer.length, ", starts with ", p.answer[0], ")") : null), clueNotes[p.answer] && isPlacementCorrect(p, userGrid) && React.createElement(ClueNotes, {
+      note: clueNotes[p.answer],
+      answer: writtenAnswer(p)
+    }));
+  }) : React.createElement("li", null, "(none)"))), React.createElement("div", {
+    className: "card cluecard",
+    style: {
+      marginTop: '16px'
+    }
+  }, React.createElement("h2", {
+    id: "downHead"
+  }, "Down"), React.createElement("ul", {
+    className: "cluelist",
+    "aria-labelledby": "downHead",
+    style: {
+      maxHeight: availableHeight + 'px',
+      overflow: 'auto',
+      paddingRight: '6px'
+    }
+  }, down.length ? down.map(function (p) {
+    var isSel = selectedPlacement && p.number === selectedPlacement.number && p.dir === selectedPlacement.dir;
+    return React.createElement("li", {
+      key: 'D-' + p.number + '-' + p.answer,
+      className: 'clue' + (isSel ? ' selected' : '') + (isPlacementCorrect(p, userGrid) ? ' done' : ''),
+      tabIndex: 0,
+      "aria-current": isSel ? 'true' : undefined,
+      onClick: function onClick() {
+        return chooseClue(p);
+      },
+      onKeyDown: function onKeyDown(e) {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          chooseClue(p);
+        }
+      }
+    }, React.createElement("span", {
+      className: "clue-num"
+    }, p.number), React.createElement("span", {
+      className: "clue-text"
+    }, p.clue, enumeration(p.display) && React.createElement("span", {
+      className: "clue-enum"
+    }, " ", enumeration(p.display)), hintSteps[clueId(p)] ? React.createElement("span", {
+      className: "clue-hint"
+    }, " (", p.answer.length, ", starts with ", p.answer[0], ")") : null), clueNotes[p.answer] && isPlacementCorrect(p, userGrid) && React.createElement(ClueNotes, {
+      note: clueNotes[p.answer],
+      answer: writtenAnswer(p)
+    }));
+  }) : React.createElement("li", null, "(none)"))), completed && !showCongrats && React.createElement("div", {
+    className: "solved-note"
+  }, "Solved", timerOn && finalMs !== null ? ' in ' + formatMs(finalMs) : '', ".", embed ? '' : ' Press Today or Random for a new puzzle.'), !autocheck && !completed && !handedIn && shows('check') && React.createElement("div", {
+    className: "btnrow"
+  }, React.createElement("button", {
+    id: "checkLetterBtn",
+    className: "btn",
+    disabled: !active,
+    onClick: checkLetter
+  }, "Check letter"), React.createElement("button", {
+    id: "checkWordBtn",
+    className: "btn",
+    disabled: !selectedPlacement,
+    onClick: checkWord
+  }, "Check word"), React.createElement("button", {
+    id: "checkPuzzleBtn",
+    className: "btn",
+    disabled: !placements.length,
+    onClick: checkPuzzle
+  }, "Check puzzle")), checkNote && React.createElement("div", {
+    className: "check-note",
+    role: "status"
+  }, checkNote), React.createElement("div", {
+    className: "btnrow"
+  }, shows('reveal') && React.createElement("button", {
+    id: "revealBtn",
+    className: 'btn reveal' + (revealMode ? ' active' : ''),
+    disabled: !!(assignment && assignment.noReveal) || !!handedIn,
+    onClick: function onClick() {
+      setRevealMode(true);
+    },
+    "aria-pressed": revealMode
+  }, "Reveal"), shows('hint') && React.createElement("button", {
+    id: "hintBtn",
+    className: "btn",
+    disabled: !selectedPlacement || completed || !!handedIn || !!(assignment && assignment.noReveal) || isPlacementCorrect(selectedPlacement, userGrid),
+    onClick: nextHint,
+    title: "Hints for the selected clue: first letter, then one letter, then the word"
+  }, hintStep === 0 ? 'Hint' : hintStep === 1 ? 'Reveal letter' : 'Reveal word'), shows('undo') && React.createElement(React.Fragment, null, React.createElement("button", {
+    id: "undoBtn",
+    className: "btn",
+    disabled: !canUndo || !!replay,
+    onClick: undo,
+    title: "Undo (Ctrl+Z)"
+  }, "Undo"), React.createElement("button", {
+    id: "redoBtn",
+    className: "btn",
+    disabled: !canRedo || !!replay,
+    onClick: redo,
+    title: "Redo (Ctrl+Y)"
+  }, "Redo")), embed && shows('timer') && React.createElement("span", {
+    className: "embed-time",
+    role: "timer",
+    "aria-label": "Time"
+  }, formatMs(finalMs !== null ? finalMs : elapsedMs + (timerStart ? nowTick - timerStart : 0))), !embed && React.createElement(React.Fragment, null, React.createElement("button", {
+    id: "replayBtn",
+    className: 'btn' + (replay ? ' active' : ''),
+    disabled: !hasSolveLog && !replay,
+    "aria-pressed": !!replay,
+    onClick: function onClick() {
+      return replay ? setReplay(null) : openReplay(solveLogRef.current, 'Your solve');
+    }
+  }, "Replay"), React.createElement("button", {
+    id: "todayBtn",
+    className: "btn",
+    disabled: !!assignment,
+    onClick: function onClick() {
+      setPracticeWords(null);
+      setFixedCode(null);
+      setRevealMode(false);
+      setActive(null);
+      setDir(DIRS.ACROSS);
+      setSeed(defaultDailySeed());
+    }
+  }, "Today"), React.createElement("button", {
+    id: "archiveBtn",
+    className: "btn",
+    disabled: !!assignment,
+    onClick: function onClick() {
+      setHistory(loadHistory());
+      setSaves(loadSaves());
+      setShowArchive(true);
+    }
+  }, "Archive"), React.createElement("button", {
+    id: "randBtn",
+    className: "btn",
+    disabled: !!assignment,
+    onClick: function onClick() {
+      setPracticeWords(null);
+      setFixedCode(null);
+      setRevealMode(false);
+      setActive(null);
+      setDir(DIRS.ACROSS);
+      setSeed(newRandomSeed());
+    }
+  }, "Random"), React.createElement("button", {
+    id: "reviewBtn",
+    className: "btn",
+    disabled: !!assignment,
+    onClick: startReview,
+    title: "Puzzle from missed answers that are due for review"
+  }, "Review", dueCount ? ' (' + dueCount + ')' : ''), React.createElement("button", {
+    id: "shareBtn",
+    className: "btn",
+    disabled: !!assignment,
+    onClick: openShare
+  }, "Share"), React.createElement("button", {
+    id: "coopBtn",
+    className: 'btn' + (coop ? ' active' : ''),
+    disabled: !!assignment,
+    onClick: function onClick() {
+      return setShowCoop(true);
+    }
+  }, "Co-op", coop ? ' (' + (Object.keys(coopPeers).length + 1) + ')' : ''), React.createElement("button", {
+    id: "continueBtn",
+    className: "btn",
+    disabled: !!assignment,
+    onClick: function onClick() {
+      setSaves(loadSaves());
+      setShowContinue(true);
+    }
+  }, "Continue"), React.createElement("button", {
+    id: "statsBtn",
+    className: "btn",
+    onClick: function onClick() {
+      setHistory(loadHistory());
+      setShowStats(true);
+    }
+  }, "Stats"), React.createElement("button", {
+    id: "optBtn",
+    className: "btn",
+    disabled: !!assignment,
+    onClick: function onClick() {
+      setSeedInput(String(seed));
+      refreshDecks();
+      setShowOptions(true);
+    }
+  }, "Options")), showCongrats && React.createElement("div", {
+    className: "overlay",
+    style: {
+      zIndex: 12000
+    }
+  }, React.createElement("div", {
+    className: "modal",
+    ref: congratsRef,
+    role: "dialog",
+    "aria-modal": "true",
+    "aria-labelledby": "congratsTitle",
+    "aria-describedby": "congratsText",
+    style: {
+      textAlign: "center",
+      width: "min(90vw, 520px)"
+    }
+  }, React.createElement("h3", {
+    id: "congratsTitle"
+  }, "Congratulations!"), React.createElement("p", {
+    id: "congratsText"
+  }, "You solved the puzzle. \uD83C\uDF89"), React.createElement("p", {
+    style: {
+      marginTop: 4,
+      fontSize: 14,
+      opacity: .8
+    }
+  }, timerOn ? "Your time: " + formatMs(finalMs !== null ? finalMs : elapsedMs + (timerStart ? nowTick - timerStart : 0)) : ""), React.createElement("p", {
+    id: "scoreLine",
+    style: {
+      marginTop: 4,
+      fontSize: 16,
+      fontWeight: 700
+    }
+  }, "Score: ", score.score, " / ", score.max), missedCount > 0 && React.createElement("div", {
+    className: "card",
+    style: {
+      marginTop: 8
+    }
+  }, React.createElement("h4", {
+    style: {
+      margin: '0 0 6px 0'
+    }
+  }, "You needed help on"), React.createElement("div", {
+    className: "missedScroll",
+    style: {
+      fontSize: 14,
+      lineHeight: 1.4,
+      maxHeight: "40vh",
+      overflowY: "auto",
+      paddingRight: "6px",
+      textAlign: "center"
+    }
+  }, getMissedPlacements().map(function (m, idx) {
+    return React.createElement("div", {
+      key: idx,
+      style: {
+        margin: '10px 0 16px 0',
+        textAlign: 'center'
+      }
+    }, React.createElement("div", {
+      style: {
+        fontSize: 14,
+        opacity: .85
+      }
+    }, m.clue), React.createElement("div", {
+      style: {
+        fontSize: 16,
+        fontWeight: 700,
+        letterSpacing: '0.5px',
+        marginTop: 2
+      }
+    }, writtenAnswer(m)), React.createElement("div", {
+      className: "help-kind"
+    }, helpLabel(m.help)), clueNotes[m.answer] && React.createElement(ClueNotes, {
+      note: clueNotes[m.answer],
+      answer: writtenAnswer(m),
+      label: "Explanation"
+    }));
+  })), React.createElement("div", {
+    style: {
+      fontSize: 12,
+      opacity: .7
+    }
+  }, "These answers were added to your Review deck."), React.createElement("div", {
+    className: "row",
+    style: {
+      justifyContent: 'center'
+    }
+  }, React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      var items = getMissedPlacements().map(function (m) {
+        return Object.assign({
+          answer: writtenAnswer(m),
+          clue: m.clue,
+          note: helpLabel(m.help)
+        }, studyNotes(clueNotes[m.answer]));
+      });
+      setShowCongrats(false);
+      setPrintJob({
+        study: {
+          title: 'Study sheet: ' + puzzleLabel,
+          items: items
+        }
+      });
+    }
+  }, "Print study sheet\u2026"))), assignment && React.createElement(HandIn, {
+    assignment: assignment,
+    makeResult: assignmentResult,
+    onDownload: function onDownload() {
+      return exportPuzzle('attempt');
+    }
+  }), React.createElement("div", {
+    className: "actions",
+    style: {
+      justifyContent: 'flex-end'
+    }
+  }, hasSolveLog && React.createElement("button", {
+    id: "watchReplayBtn",
+    className: "btn",
+    onClick: function onClick() {
+      setShowCongrats(false);
+      openReplay(solveLogRef.current, 'Your solve');
+    }
+  }, "Watch replay"), React.createElement("button", {
+    className: "btn",
+    onClick: function onClick() {
+      return setShowCongrats(false);
+    }
+  }, "Close"))))), !embed && React.createElement("div", {
+    className: "credit"
+  }, "created by micah etter, md"))));
+}
+function Root() {
+  return React.createElement(App, null);
+}
+var root = ReactDOM.createRoot(document.getElementById('root'));
+root.render(React.createElement(Root, null));
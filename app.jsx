@@ -0,0 +1,3810 @@
+// The page: helpers, components and App. dev.html compiles this file in the browser; index.html
+// loads app.js, which `npm run build` compiles from it with the same presets.
+const { useEffect, useMemo, useRef, useState } = React;
+
+// ---------- Seeds and links ----------
+function defaultDailySeed(){
+  return dailySeed(dayYYYYMMDD());
+}
+// A seed as typed or sent: digits are the number itself, anything else is hashed
+function seedFromText(raw){ return /^[0-9]+$/.test(String(raw)) ? Number(raw)>>>0 : hashStringToInt(String(raw)); }
+function levelFromText(raw){
+  const n = Number(raw);
+  return isFinite(n) ? Math.max(0, Math.min(14, Math.round(n))) : null;
+}
+function readQuery(){
+  const q = new URLSearchParams(window.location.search);
+  const seedRaw = q.get('seed');
+  const levelRaw = q.get('level');
+  const topicRaw = q.get('topic');
+  const deckRaw = q.get('deck');
+  const diffRaw = q.get('diff');
+  const seed = (seedRaw && seedRaw.length) ? seedFromText(seedRaw) : null;
+  const level = levelRaw !== null ? levelFromText(levelRaw) : null;
+  const topics = topicRaw ? parseTopicList(topicRaw) : null;
+  const deck = (deckRaw && /^[a-z0-9]+$/i.test(deckRaw)) ? deckRaw : null;
+  const diff = isDifficulty(diffRaw) ? diffRaw : null;
+  return { seed, level, topics, deck, diff };
+}
+// Word source = which deck the words come from, which topics filter it and the difficulty setting
+function setSourceParams(url, source){
+  const topics = source && source.topics;
+  if (topics && topics.length) url.searchParams.set('topic', topics.join(','));
+  else url.searchParams.delete('topic');
+  if (source && source.deck) url.searchParams.set('deck', source.deck);
+  else url.searchParams.delete('deck');
+  if (source && source.diff) url.searchParams.set('diff', source.diff);
+  else url.searchParams.delete('diff');
+}
+function permalink(seed, level, source){
+  const url = new URL(window.location.href);
+  url.searchParams.set('seed', String(seed>>>0));
+  url.searchParams.set('level', String(level));
+  setSourceParams(url, source);
+  return url.toString();
+}
+function writeQuery(seed, level, replace=true, source=null){
+  const url = new URL(window.location.href);
+  url.searchParams.set('seed', String(seed>>>0));
+  url.searchParams.set('level', String(level));
+  setSourceParams(url, source);
+  if (readFixedHash()) url.hash = '';
+  if (replace) history.replaceState(null, '', url);
+  else history.pushState(null, '', url);
+}
+function newRandomSeed(){
+  try{
+    if (window.crypto && window.crypto.getRandomValues){
+      const a = new Uint32Array(1);
+      window.crypto.getRandomValues(a);
+      return (a[0]>>>0);
+    }
+  }catch(_){}
+  return ((Math.random()*0xFFFFFFFF)>>>0);
+}
+
+// ---------- Downloads ----------
+function copyText(text, inputEl){
+  const fallback = ()=>{ if (inputEl){ inputEl.select(); try{ document.execCommand('copy'); }catch(_){} } };
+  try{
+    if (navigator.clipboard && navigator.clipboard.writeText) navigator.clipboard.writeText(text).catch(fallback);
+    else fallback();
+  }catch(_){ fallback(); }
+}
+function formatMs(ms){
+  if (!isFinite(ms) || ms < 0) ms = 0;
+  const total = Math.floor(ms/1000);
+  const s = total % 60;
+  const m = Math.floor(total/60) % 60;
+  const h = Math.floor(total/3600);
+  const pad = n => String(n).padStart(2,'0');
+  return h>0 ? `${h}:${pad(m)}:${pad(s)}` : `${m}:${pad(s)}`;
+}
+function downloadFile(filename, data, type){
+  const blob = new Blob([data], { type: type || 'text/plain' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url; a.download = filename;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(()=>URL.revokeObjectURL(url), 1000);
+}
+
+// Prints a whole document (print.js toPrintHTML) from a hidden frame: no popup to be blocked
+function printDocument(html){
+  const frame = document.createElement('iframe');
+  frame.setAttribute('aria-hidden', 'true');
+  frame.style.cssText = 'position:fixed; right:0; bottom:0; width:0; height:0; border:0';
+  frame.onload = ()=>{
+    const win = frame.contentWindow;
+    win.addEventListener('afterprint', ()=>setTimeout(()=>frame.remove(), 0));
+    win.focus();
+    win.print();
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+}
+
+const BANK_ISSUES = {
+  duplicate: 'Duplicate answer',
+  short: 'Shorter than 3 letters',
+  long: 'Longer than ' + MAX_GRID + ' letters',
+  selfref: 'Answer appears in its clue'
+};
+function answerInClue(answer, clue){
+  const words = String(clue||'').toUpperCase().replace(/[^A-Z]+/g, ' ').trim();
+  if (!answer || !words) return false;
+  if ((' ' + words).indexOf(' ' + answer) !== -1) return true;
+  // multi-word answers written out in the clue, e.g. "Bell's palsy" for BELLSPALSY
+  return answer.length >= 8 && words.replace(/ /g, '').indexOf(answer) !== -1;
+}
+// Issue codes per entry, index-aligned with entries
+function findBankIssues(entries){
+  const byAnswer = {};
+  entries.forEach(x=>{ byAnswer[x.answer] = (byAnswer[x.answer]||0) + 1; });
+  return entries.map(x=>{
+    const out = [];
+    if (byAnswer[x.answer] > 1) out.push('duplicate');
+    if (x.answer.length < 3) out.push('short');
+    if (x.answer.length > MAX_GRID) out.push('long');
+    if (answerInClue(x.answer, x.clue)) out.push('selfref');
+    return out;
+  });
+}
+
+// ---------- Custom decks (IndexedDB) ----------
+// A deck's id is a hash of its text, so a permalink names the exact clue list it was built from.
+const DECK_DB = 'neuroxcw';
+const DECK_STORE = 'decks';
+function deckIdFor(text){ return 'd' + hashStringToInt(String(text).replace(/\r\n/g,'\n').trim()).toString(36); }
+function openDeckDB(){
+  return new Promise((resolve, reject)=>{
+    if (!window.indexedDB){ reject(new Error('This browser cannot store custom decks (IndexedDB unavailable).')); return; }
+    const req = indexedDB.open(DECK_DB, 1);
+    req.onupgradeneeded = ()=>{ req.result.createObjectStore(DECK_STORE, { keyPath:'id' }); };
+    req.onsuccess = ()=>resolve(req.result);
+    req.onerror = ()=>reject(req.error || new Error('Could not open deck storage'));
+  });
+}
+function deckRequest(mode, fn){
+  return openDeckDB().then(db=>new Promise((resolve, reject)=>{
+    const tx = db.transaction(DECK_STORE, mode);
+    const req = fn(tx.objectStore(DECK_STORE));
+    tx.oncomplete = ()=>{ db.close(); resolve(req.result); };
+    tx.onerror = ()=>{ db.close(); reject(tx.error); };
+  }));
+}
+function listDecks(){ return deckRequest('readonly', st=>st.getAll()).then(all=>(all||[]).map(d=>({ id:d.id, name:d.name, count:d.count, ts:d.ts })).sort((a,b)=>b.ts-a.ts)); }
+function getDeck(id){ return deckRequest('readonly', st=>st.get(id)); }
+function putDeck(deck){ return deckRequest('readwrite', st=>st.put(deck)); }
+function deleteDeck(id){ return deckRequest('readwrite', st=>st.delete(id)); }
+
+// deckId null = built-in crosswordclues.csv, with teaching notes from crosswordclues.notes.json
+// when that exists; a saved deck carries its own notes. notes is keyed by grid answer.
+const NOTES_FILE = 'crosswordclues.notes.json';
+function readNotes(text, from){
+  try{ return parseClueNotes(text); }catch(e){ console.warn('ignoring teaching notes in ' + from + ': ' + e.message); return {}; }
+}
+function useClueBank(deckId){
+  const [bank,setBank]=useState([]);
+  const [notes,setNotes]=useState({});
+  const [loading,setLoading]=useState(true);
+  const [error,setError]=useState(null);
+  const [deck,setDeck]=useState(null);
+  useEffect(()=>{
+    let cancelled=false;
+    setLoading(true); setError(null); setDeck(null); setNotes({});
+    if (!deckId) fetch(NOTES_FILE).then(r=>r.ok ? r.text() : null).then(t=>{ if (t && !cancelled) setNotes(readNotes(t, NOTES_FILE)); }, ()=>{});
+    const source = deckId
+      ? getDeck(deckId).then(d=>{ if (!d) throw new Error('This puzzle uses a custom deck (' + deckId + ') that is not saved in this browser. Load the same deck file to open it.'); if (!cancelled){ setDeck(d); if (d.notes) setNotes(readNotes(d.notes, d.name)); } return d.text; })
+      : fetch('crosswordclues.csv').then(r=>{ if (!r.ok) throw new Error('CSV not found'); return r.text(); });
+    source
+      .then(txt=>{ if (cancelled) return; const parsed=parseDeckText(txt); if (parsed.length){ setBank(parsed.map(x=>Object.assign({}, x, {answer:x.answer.replace(/[^A-Z]/g,"").toUpperCase(), tags:x.tags||[]}))); } else { setBank([]); setError('CSV parsed but no valid rows.'); }
+      })
+      .catch(e=>{ if (!cancelled){ setBank([]); setError((e && e.message) ? e.message : 'Failed to load crosswordclues.csv'); } })
+      .finally(()=>{ if (!cancelled) setLoading(false); });
+    return ()=>{ cancelled=true; };
+  },[deckId]);
+  return { bank, loading, error, deck, notes };
+}
+
+// ---------- Offline app ----------
+// index.html registers sw.js (dev.html does not). A new app version waits until the player reloads
+// into it; a new clue bank waits until they switch to it, since it can change the puzzle on screen.
+function useServiceWorker(){
+  const [waiting, setWaiting] = useState(null);
+  const [bankPending, setBankPending] = useState(false);
+  const [installPrompt, setInstallPrompt] = useState(null);
+  useEffect(()=>{
+    const onPrompt = (e)=>{ e.preventDefault(); setInstallPrompt(e); };
+    const onInstalled = ()=>setInstallPrompt(null);
+    window.addEventListener('beforeinstallprompt', onPrompt);
+    window.addEventListener('appinstalled', onInstalled);
+    const sw = !window.NEUROXCW_DEV && navigator.serviceWorker;
+    const onMessage = (e)=>{
+      const type = e.data && e.data.type;
+      if (type==='bank-pending') setBankPending(true);
+      else if (type==='bank-applied') window.location.reload();
+    };
+    if (sw){
+      sw.addEventListener('message', onMessage);
+      sw.register('sw.js').then(reg=>{
+        // Only an update counts: the first install has no controller to replace
+        const track = (w)=>{
+          if (!w) return;
+          const check = ()=>{ if (w.state==='installed' && sw.controller) setWaiting(w); };
+          w.addEventListener('statechange', check);
+          check();
+        };
+        track(reg.waiting || reg.installing);
+        reg.addEventListener('updatefound', ()=>track(reg.installing));
+        if (sw.controller) sw.controller.postMessage({ type: 'bank-status' });
+      }).catch(e=>console.warn('service worker registration failed', e));
+    }
+    return ()=>{
+      window.removeEventListener('beforeinstallprompt', onPrompt);
+      window.removeEventListener('appinstalled', onInstalled);
+      if (sw) sw.removeEventListener('message', onMessage);
+    };
+  }, []);
+  function updateApp(){
+    if (!waiting) return;
+    navigator.serviceWorker.addEventListener('controllerchange', ()=>window.location.reload());
+    waiting.postMessage({ type: 'skip-waiting' });
+  }
+  function updateBank(){
+    const ctl = navigator.serviceWorker && navigator.serviceWorker.controller;
+    if (ctl) ctl.postMessage({ type: 'apply-bank' });
+    else window.location.reload();
+  }
+  function install(){
+    if (!installPrompt) return;
+    installPrompt.prompt();
+    installPrompt.userChoice.then(()=>setInstallPrompt(null), ()=>setInstallPrompt(null));
+  }
+  return {
+    appUpdate: !!waiting, updateApp,
+    bankPending, updateBank, dismissBank: ()=>setBankPending(false),
+    canInstall: !!installPrompt, install
+  };
+}
+
+// ---------- Date & helpers ----------
+
+// Simple canvas confetti launcher
+function startConfetti(){
+if (window.__confettiCtl && window.__confettiCtl.running) return; // already running
+const canvas = document.createElement('canvas');
+canvas.className = 'confettiCanvas';
+document.body.appendChild(canvas);
+const ctx = canvas.getContext('2d');
+let W = canvas.width = window.innerWidth;
+let H = canvas.height = window.innerHeight;
+const onResize = ()=>{ W = canvas.width = window.innerWidth; H = canvas.height = window.innerHeight; };
+window.addEventListener('resize', onResize);
+const colors = ['#E74C3C','#F1C40F','#2ECC71','#3498DB','#9B59B6','#E67E22'];
+const N = 180;
+const parts = Array.from({length:N}, (_,i)=> ({
+x: Math.random()*W,
+y: -10 - Math.random()*H*0.3,          // start above top
+r: 2 + Math.random()*4,
+vx: (Math.random()-0.5)*2,
+vy: 2 + Math.random()*3,
+c: colors[i % colors.length],
+a: 0.9
+}));
+let running = true;
+window.__confettiCtl = {
+running: true,
+stop(){
+  running = false;
+  this.running = false;
+  try { document.body.removeChild(canvas); } catch {}
+  window.removeEventListener('resize', onResize);
+  window.__confettiCtl = null;
+}
+};
+function frame(){
+if (!running) return;
+ctx.clearRect(0,0,W,H);
+for (const p of parts){
+  p.x += p.vx;
+  p.y += p.vy;
+  p.vy += 0.03; // gravity
+  if (p.y > H+10){ // recycle to top
+    p.y = -10;
+    p.vy = 2 + Math.random()*3;
+    p.x = Math.random()*W;
+  }
+  ctx.globalAlpha = p.a;
+  ctx.fillStyle = p.c;
+  ctx.beginPath(); ctx.arc(p.x, p.y, p.r, 0, Math.PI*2); ctx.fill();
+}
+requestAnimationFrame(frame);
+}
+requestAnimationFrame(frame);
+}
+function stopConfetti(){
+if (window.__confettiCtl && window.__confettiCtl.stop){
+window.__confettiCtl.stop();
+}
+}
+
+// ---------- Daily puzzles ----------
+// The daily seed hashes the date alone, so a date's puzzle is the same everywhere; the day-boundary
+// zone only decides which date is today. Phoenix (no daylight saving) is the shared default, so
+// everyone who keeps it gets the same puzzle at the same moment.
+const DAY_ZONE_KEY = 'neuroxcw.dayzone.v1';
+const DEFAULT_DAY_ZONE = 'America/Phoenix';
+const ARCHIVE_DAYS = 730;
+function isTimeZone(zone){ try{ new Intl.DateTimeFormat('en-US', { timeZone: zone }); return true; }catch(_){ return false; } }
+function deviceTimeZone(){ try{ return Intl.DateTimeFormat().resolvedOptions().timeZone || null; }catch(_){ return null; } }
+// A zone name, or 'local' to follow the device wherever it is
+function loadDayZone(){
+  try{
+    const z = localStorage.getItem(DAY_ZONE_KEY);
+    return (z==='local' || (z && isTimeZone(z))) ? z : DEFAULT_DAY_ZONE;
+  }catch(_){ return DEFAULT_DAY_ZONE; }
+}
+let dayZone = loadDayZone();
+function setDayZone(zone){
+  dayZone = zone;
+  try{ if (zone===DEFAULT_DAY_ZONE) localStorage.removeItem(DAY_ZONE_KEY); else localStorage.setItem(DAY_ZONE_KEY, zone); }catch(_){}
+}
+function dayZoneChoices(current){
+  const device = deviceTimeZone();
+  const out = [[DEFAULT_DAY_ZONE, 'Phoenix (shared default)'], ['local', 'This device' + (device ? ' (' + device.replace(/_/g, ' ') + ')' : '')]];
+  let zones = ['UTC'];
+  try{ if (Intl.supportedValuesOf) zones = zones.concat(Intl.supportedValuesOf('timeZone')); }catch(_){}
+  if (current!=='local' && zones.indexOf(current)===-1) zones.push(current);
+  zones.filter(z=>z!==DEFAULT_DAY_ZONE).forEach(z=>out.push([z, z.replace(/_/g, ' ')]));
+  return out;
+}
+function dayYYYYMMDD(date=new Date(), zone=dayZone){
+  try{
+    const opts = {year:'numeric',month:'2-digit',day:'2-digit'};
+    if (zone!=='local') opts.timeZone = zone;
+    const parts = new Intl.DateTimeFormat('en-CA', opts).formatToParts(date);
+    var y=null,m=null,d=null;
+    for (var i=0;i<parts.length;i++){ var p=parts[i]; if (p.type==='year') y=p.value; else if (p.type==='month') m=p.value; else if (p.type==='day') d=p.value; }
+    return y+'-'+m+'-'+d;
+  }catch(e){ const y=date.getFullYear(), m=String(date.getMonth()+1).padStart(2,'0'), d=String(date.getDate()).padStart(2,'0'); return y+'-'+m+'-'+d; }
+}
+function ymdAddDays(ymd, days){ return new Date((dayNumber(ymd) + days) * DAY_MS).toISOString().slice(0, 10); }
+// The date whose daily puzzle has this seed, if it is in the archive
+function dailyDateOf(seed, today){
+  seed = seed>>>0;
+  for (let i=0;i<=ARCHIVE_DAYS;i++){
+    const ymd = ymdAddDays(today, -i);
+    if (dailySeed(ymd)===seed) return ymd;
+  }
+  return null;
+}
+// Seed -> 'solved' or 'progress', from solve history and save slots (any size counts)
+function archiveStatus(history, saves){
+  const out = {};
+  Object.keys(saves).forEach(k=>{
+    const s = saves[k];
+    if (s.fixedCode) return;
+    if (s.completed) out[s.seed>>>0] = 'solved';
+    else if (s.filled>0 && !out[s.seed>>>0]) out[s.seed>>>0] = 'progress';
+  });
+  history.forEach(h=>{ if (!h.fixed && !h.review) out[h.seed>>>0] = 'solved'; });
+  return out;
+}
+
+// ---------- Grid helpers ----------
+function cellInPlacement(p, r, c){
+  if (!p) return false;
+  if (p.dir===DIRS.ACROSS) return (r===p.row && c>=p.col && c<p.col + p.answer.length);
+  if (p.dir===DIRS.DOWN)   return (c===p.col && r>=p.row && r<p.row + p.answer.length);
+  return false;
+}
+
+// The printable part of an answer's teaching notes, for study sheets
+function studyNotes(note){ return note ? { explanation: note.explanation, reference: note.reference } : null; }
+// How an answer is written out: BELL'S PALSY rather than the grid's BELLSPALSY
+function writtenAnswer(x){ return (x.display || x.answer).toUpperCase(); }
+// Cells after which a multi-word answer's word ends: { 'r:c': true }, per direction
+function wordBreakCells(placements){
+  const out = { across: {}, down: {} };
+  for (const p of placements){
+    if (!p.display) continue;
+    answerBreaks(p.display).forEach(at=>{
+      if (p.dir===DIRS.ACROSS) out.across[p.row + ':' + (p.col + at - 1)] = true;
+      else out.down[(p.row + at - 1) + ':' + p.col] = true;
+    });
+  }
+  return out;
+}
+
+// What a screen reader hears on moving to a clue: "14 Across, 7 letters, A _ _ A S _ A: clue"
+function wordPattern(p, userGrid){
+  const out = [];
+  for (let i=0; i<p.answer.length; i++){
+    const r = p.dir===DIRS.ACROSS ? p.row : p.row + i;
+    const c = p.dir===DIRS.ACROSS ? p.col + i : p.col;
+    out.push((userGrid[r] && userGrid[r][c]) || '_');
+  }
+  return out.join(' ');
+}
+function clueAnnouncement(p, userGrid){
+  const words = p.display ? enumeration(p.display) : '';
+  return p.number + ' ' + (p.dir===DIRS.ACROSS ? 'Across' : 'Down') + ', ' + p.answer.length + ' letters' + (words ? ' ' + words : '') + ', ' +
+    wordPattern(p, userGrid) + ': ' + p.clue;
+}
+
+function revealPlacement(p, grid, setUserGrid, setRevealed){
+  if (!p) return;
+  // Fill user grid with the solution letters for this placement
+  setUserGrid(prev=>{
+    const copy = prev.map(row => row.slice());
+    if (p.dir===DIRS.ACROSS){
+      const r = p.row;
+      for (let c=p.col; c<p.col+p.answer.length; c++){
+        copy[r][c] = grid[r][c];
+      }
+    } else {
+      const c = p.col;
+      for (let r=p.row; r<p.row+p.answer.length; r++){
+        copy[r][c] = grid[r][c];
+      }
+    }
+    return copy;
+  });
+  // Mark cells as revealed (purple)
+  setRevealed(prev=>{
+    const nn = new Set(prev);
+    if (p.dir===DIRS.ACROSS){
+      const r=p.row;
+      for (let c=p.col; c<p.col+p.answer.length; c++){ nn.add(r+':'+c); }
+    } else {
+      const c=p.col;
+      for (let r=p.row; r<p.row+p.answer.length; r++){ nn.add(r+':'+c); }
+    }
+    return nn;
+  });
+}
+
+// ---------- Hints ----------
+// A ladder per clue: 1 = letter count and first letter, 2 = one letter filled in, 3 = the whole word.
+// Letters given away are also recorded per cell ('letter' or 'word', strongest wins) alongside
+// `revealed`, so the score and the missed list can tell a nudge from a full reveal.
+const HINT_STEPS = 3;
+const HINT_RANK = { letter:1, word:2 };
+const HINT_PENALTY = { peek:2, letter:3, word:5 };
+const WORD_POINTS = 10;
+function clueId(p){ return (p.dir===DIRS.ACROSS ? 'A' : 'D') + p.number; }
+function placementCellKeys(p){
+  const out = [];
+  for (let i=0;i<p.answer.length;i++) out.push(p.dir===DIRS.ACROSS ? p.row+':'+(p.col+i) : (p.row+i)+':'+p.col);
+  return out;
+}
+function addHints(hints, keys, kind){
+  const next = Object.assign({}, hints);
+  for (const k of keys) if (!next[k] || HINT_RANK[next[k]] < HINT_RANK[kind]) next[k] = kind;
+  return next;
+}
+// Strongest help a word got: 'word', 'letter' (with a count), 'peek', or null
+function wordHelp(p, hints, hintSteps){
+  const keys = placementCellKeys(p);
+  const given = keys.filter(k=>hints[k]).length;
+  const step = hintSteps[clueId(p)] || 0;
+  if (step>=HINT_STEPS || (given && given===keys.length)) return { kind:'word', letters:given };
+  if (given) return { kind:'letter', letters:given };
+  if (step>=1) return { kind:'peek', letters:0 };
+  return null;
+}
+// Every word is worth WORD_POINTS, less a penalty for its first-letter hint and for each letter given away
+function scoreSolve(placements, hints, hintSteps){
+  let score = 0;
+  for (const p of placements){
+    let pts = WORD_POINTS;
+    if (hintSteps[clueId(p)]) pts -= HINT_PENALTY.peek;
+    for (const k of placementCellKeys(p)) if (hints[k]) pts -= HINT_PENALTY[hints[k]];
+    score += Math.max(0, pts);
+  }
+  return { score, max: placements.length*WORD_POINTS };
+}
+function helpLabel(help){
+  if (!help) return 'Wrong letter checked';
+  if (help.kind==='word') return 'Revealed';
+  if (help.kind==='letter') return help.letters + (help.letters===1 ? ' letter' : ' letters') + ' revealed';
+  return 'First letter shown';
+}
+
+    function isPlacementFilled(p, user){
+  if (!p || !Array.isArray(user) || user.length===0) return false;
+  const H = user.length;
+  const W = Array.isArray(user[0]) ? user[0].length : 0;
+  if (p.dir===DIRS.ACROSS){
+    const r=p.row;
+    if (r<0||r>=H) return false;
+    for (let c=p.col;c<p.col+(p.answer?p.answer.length:0);c++){
+      if (c<0||c>=W) return false;
+      if (!user[r] || !user[r][c]) return false;
+    }
+  } else {
+    const c=p.col;
+    if (c<0||c>=W) return false;
+    for (let r=p.row;r<p.row+(p.answer?p.answer.length:0);r++){
+      if (r<0||r>=H) return false;
+      if (!user[r] || !user[r][c]) return false;
+    }
+  }
+  return true;
+}
+
+  
+function isPlacementCorrect(p, user){
+if (!p || !Array.isArray(user) || user.length===0) return false;
+const H = user.length;
+const W = Array.isArray(user[0]) ? user[0].length : 0;
+const ans = (p && p.answer ? String(p.answer).toUpperCase() : "");
+if (!ans) return false;
+if (p.dir===DIRS.ACROSS){
+const r = p.row;
+if (r<0 || r>=H) return false;
+for (let i=0; i<ans.length; i++){
+  const c = p.col + i;
+  if (c<0 || c>=W) return false;
+  const ch = (user[r] && user[r][c]) ? String(user[r][c]).toUpperCase() : '';
+  if (ch !== ans[i]) return false;
+}
+} else {
+const c = p.col;
+if (c<0 || c>=W) return false;
+for (let i=0; i<ans.length; i++){
+  const r = p.row + i;
+  if (r<0 || r>=H) return false;
+  const ch = (user[r] && user[r][c]) ? String(user[r][c]).toUpperCase() : '';
+  if (ch !== ans[i]) return false;
+}
+}
+return true;
+}
+
+// ---------- Background generation ----------
+// generator-worker.js runs generateCrossword off the UI thread; cancel() terminates it so a stale
+// build never lands. Where workers are unavailable (file://, old browsers) the same seeded search
+// runs here instead, so a seed and level give the same grid either way.
+let generatorWorkerFailed = false;
+function buildCrossword(job, onProgress){
+  let worker = null, timer = null, cancelled = false;
+  const promise = new Promise((resolve, reject)=>{
+    const runHere = ()=>{
+      timer = setTimeout(()=>{
+        if (cancelled) return;
+        try{ resolve(generateCrossword(job.words, job.seed, job.size, job.opts)); }catch(e){ reject(e); }
+      }, 0);
+    };
+    if (generatorWorkerFailed || typeof Worker==='undefined'){ runHere(); return; }
+    try{ worker = new Worker('generator-worker.js'); }catch(_){ generatorWorkerFailed = true; runHere(); return; }
+    worker.onmessage = (e)=>{
+      const m = e.data || {};
+      if (m.type==='progress'){ if (onProgress && !cancelled) onProgress(m.value); }
+      else if (m.type==='done'){ worker.terminate(); resolve(m.layout); }
+      else if (m.type==='error'){ worker.terminate(); reject(new Error(m.message)); }
+    };
+    worker.onerror = (e)=>{
+      if (e && e.preventDefault) e.preventDefault();
+      worker.terminate();
+      generatorWorkerFailed = true;
+      if (!cancelled) runHere();
+    };
+    worker.postMessage(job);
+  });
+  return {
+    promise,
+    cancel(){ cancelled = true; if (worker) worker.terminate(); if (timer) clearTimeout(timer); }
+  };
+}
+// Recent layouts by their inputs, so going back to a puzzle (or cancelling) needs no rebuild
+const LAYOUT_CACHE_MAX = 8;
+const layoutCache = new Map();
+function layoutCacheKey(words, seed, size, opts){
+  return (seed>>>0) + '|' + size + '|' + opts.density + '|' + words.map(w=>w.answer + '\u0001' + w.clue).join('\u0002');
+}
+function rememberLayout(key, layout){
+  layoutCache.delete(key);
+  layoutCache.set(key, layout);
+  while (layoutCache.size > LAYOUT_CACHE_MAX) layoutCache.delete(layoutCache.keys().next().value);
+}
+
+// ---------- Fixed-layout links ----------
+// #xw=<z|j>.<base64url>: the finished layout itself (deflate-raw when the browser has
+// CompressionStream, plain JSON otherwise), so the link survives clue bank edits.
+const FIXED_PARAM = 'xw';
+function bytesToB64url(bytes){
+  let bin=''; for (let i=0;i<bytes.length;i++) bin+=String.fromCharCode(bytes[i]);
+  return btoa(bin).replace(/\+/g,'-').replace(/\//g,'_').replace(/=+$/,'');
+}
+function b64urlToBytes(str){
+  const bin = atob(str.replace(/-/g,'+').replace(/_/g,'/') + '==='.slice((str.length+3)%4));
+  const out = new Uint8Array(bin.length);
+  for (let i=0;i<bin.length;i++) out[i]=bin.charCodeAt(i);
+  return out;
+}
+function pipeBytes(bytes, transform){
+  return new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer().then(buf=>new Uint8Array(buf));
+}
+function encodeFixedPuzzle(placements, bounds, title){
+  return Promise.resolve().then(()=>{
+    const payload = { v:1, p: placements.map(p=>{
+      const entry = [p.row-bounds.minR, p.col-bounds.minC, p.dir===DIRS.ACROSS?'a':'d', p.answer, p.clue];
+      if (p.display) entry.push(p.display);
+      return entry;
+    }) };
+    if (title) payload.t = String(title);
+    const bytes = new TextEncoder().encode(JSON.stringify(payload));
+    if (typeof CompressionStream==='undefined') return 'j.' + bytesToB64url(bytes);
+    return pipeBytes(bytes, new CompressionStream('deflate-raw')).then(z=>'z.' + bytesToB64url(z));
+  });
+}
+function decodeFixedPuzzle(code){
+  const BROKEN = 'Puzzle link is damaged or incomplete.';
+  return Promise.resolve().then(()=>{
+    const m = /^([zj])\.([A-Za-z0-9_-]+)$/.exec(code||'');
+    if (!m) throw new Error(BROKEN);
+    if (m[1]==='z' && typeof DecompressionStream==='undefined') throw new Error('This browser cannot open compressed puzzle links.');
+    return Promise.resolve()
+      .then(()=>{ const bytes = b64urlToBytes(m[2]); return m[1]==='j' ? bytes : pipeBytes(bytes, new DecompressionStream('deflate-raw')); })
+      .then(bytes=>JSON.parse(new TextDecoder().decode(bytes)))
+      .catch(()=>{ throw new Error(BROKEN); });
+  }).then(payload=>{
+    if (!payload || payload.v!==1 || !Array.isArray(payload.p)) throw new Error('Unsupported puzzle link.');
+    const layout = layoutFromPlacements(payload.p.map(x=>{
+      const answer = answerLetters(x[3]);
+      // An optional sixth field is the written answer, kept only if it spells the same letters
+      const display = typeof x[5]==='string' && answerLetters(x[5])===answer ? answerDisplay(x[5], answer) : null;
+      return Object.assign({ row:x[0]|0, col:x[1]|0, dir: x[2]==='d' ? DIRS.DOWN : DIRS.ACROSS, answer, clue:String(x[4]||'') }, display ? { display } : null);
+    }));
+    layout.title = payload.t ? String(payload.t) : '';
+    return layout;
+  });
+}
+// Rebuild a grid from explicit placements; crossings must agree
+function layoutFromPlacements(list){
+  let size = 0;
+  for (const p of list){
+    if (p.answer.length<2 || p.row<0 || p.col<0) throw new Error('Puzzle link has an invalid entry.');
+    size = Math.max(size, p.dir===DIRS.ACROSS ? Math.max(p.row+1, p.col+p.answer.length) : Math.max(p.row+p.answer.length, p.col+1));
+  }
+  if (!list.length || size>MAX_GRID) throw new Error('Puzzle link does not fit a ' + MAX_GRID + '×' + MAX_GRID + ' grid.');
+  const grid = makeEmptyGrid(size);
+  const placements = [];
+  for (const p of list){
+    for (let i=0;i<p.answer.length;i++){
+      const r = p.dir===DIRS.ACROSS ? p.row : p.row+i, c = p.dir===DIRS.ACROSS ? p.col+i : p.col;
+      if (grid[r][c]!==null && grid[r][c]!==p.answer[i]) throw new Error('Puzzle link has conflicting letters.');
+      grid[r][c] = p.answer[i];
+    }
+    placements.push(Object.assign({ answer:p.answer, clue:p.clue, row:p.row, col:p.col, dir:p.dir }, p.display ? { display:p.display } : null));
+  }
+  return finalizeLayout(grid, placements);
+}
+function readFixedHash(){
+  const m = new RegExp('[#&]' + FIXED_PARAM + '=([^&]+)').exec(window.location.hash||'');
+  return m ? m[1] : null;
+}
+function fixedLink(code){
+  const url = new URL(window.location.href);
+  url.search = ''; url.hash = FIXED_PARAM + '=' + code;
+  return url.toString();
+}
+
+// ---------- File formats (.puz / .ipuz / .jpz) ----------
+// Crop a layout to its bounds and list every numbered run with its clue (and enumeration, "5,5",
+// for a multi-word answer), in standard order
+function layoutClueRuns(layout){
+  const b = layout.bounds;
+  const H = b.maxR-b.minR+1, W = b.maxC-b.minC+1;
+  const cells = [];
+  for (let r=0;r<H;r++){ const row=[]; for (let c=0;c<W;c++) row.push(layout.grid[b.minR+r][b.minC+c]); cells.push(row); }
+  const clueAt = {}, enumAt = {};
+  layout.placements.forEach(p=>{
+    const k = p.dir + ':' + (p.row-b.minR) + ':' + (p.col-b.minC);
+    clueAt[k] = p.clue;
+    if (p.display) enumAt[k] = enumeration(p.display).slice(1, -1);
+  });
+  const isLetter = (r,c)=> r>=0 && c>=0 && r<H && c<W && cells[r][c]!==null;
+  const numbers = Array.from({length:H},()=>Array(W).fill(0));
+  const across=[], down=[];
+  let num=1;
+  for (let r=0;r<H;r++){
+    for (let c=0;c<W;c++){
+      if (!isLetter(r,c)) continue;
+      const sa = !isLetter(r,c-1) && isLetter(r,c+1);
+      const sd = !isLetter(r-1,c) && isLetter(r+1,c);
+      if (!sa && !sd) continue;
+      numbers[r][c] = num;
+      if (sa){ let n=0; while (isLetter(r,c+n)) n++; across.push({ number:num, row:r, col:c, len:n, clue: clueAt[DIRS.ACROSS+':'+r+':'+c] || '', enumeration: enumAt[DIRS.ACROSS+':'+r+':'+c] || '' }); }
+      if (sd){ let n=0; while (isLetter(r+n,c)) n++; down.push({ number:num, row:r, col:c, len:n, clue: clueAt[DIRS.DOWN+':'+r+':'+c] || '', enumeration: enumAt[DIRS.DOWN+':'+r+':'+c] || '' }); }
+      num++;
+    }
+  }
+  return { width:W, height:H, cells, numbers, across, down };
+}
+// Across Lite is Latin-1; fold common typography and drop the rest
+function toLatin1(str){
+  return String(str||'').replace(/[‘’]/g,"'").replace(/[“”]/g,'"').replace(/[–—]/g,'-').replace(/…/g,'...').replace(/[^\x00-\xFF]/g,'?');
+}
+function puzChecksum(bytes, seed){
+  let ck = seed & 0xFFFF;
+  for (let i=0;i<bytes.length;i++){
+    ck = (ck & 1) ? ((ck >> 1) + 0x8000) : (ck >> 1);
+    ck = (ck + bytes[i]) & 0xFFFF;
+  }
+  return ck;
+}
+function latin1Bytes(str){ const s=toLatin1(str); const out=new Uint8Array(s.length); for (let i=0;i<s.length;i++) out[i]=s.charCodeAt(i); return out; }
+function withNul(str){ const b=latin1Bytes(str); const out=new Uint8Array(b.length+1); out.set(b); return out; }
+// Across Lite .puz v1.3, unscrambled, with header, CIB and masked checksums filled in
+function toPuz(layout, meta){
+  const runs = layoutClueRuns(layout);
+  const W = runs.width, H = runs.height;
+  if (W>255 || H>255) throw new Error('Grid too large for .puz');
+  // Across Lite has no enumeration field; it goes in the clue, as printed puzzles do
+  const withEnum = (x)=> x.enumeration ? x.clue + ' (' + x.enumeration + ')' : x.clue;
+  const clues = runs.across.map(x=>({ n:x.number, d:0, clue:withEnum(x) }))
+    .concat(runs.down.map(x=>({ n:x.number, d:1, clue:withEnum(x) })))
+    .sort((a,b)=> a.n-b.n || a.d-b.d)
+    .map(x=>x.clue);
+  const solution = new Uint8Array(W*H), state = new Uint8Array(W*H);
+  for (let r=0;r<H;r++) for (let c=0;c<W;c++){
+    const ch = runs.cells[r][c];
+    solution[r*W+c] = ch===null ? 0x2E : ch.charCodeAt(0);
+    state[r*W+c] = ch===null ? 0x2E : 0x2D;
+  }
+  const title = meta.title||'', author = meta.author||'', copyright = meta.copyright||'', notes = meta.notes||'';
+  const strings = [withNul(title), withNul(author), withNul(copyright)].concat(clues.map(withNul), [withNul(notes)]);
+  const strLen = strings.reduce((n,b)=>n+b.length, 0);
+  const out = new Uint8Array(0x34 + 2*W*H + strLen);
+  const dv = new DataView(out.buffer);
+  out.set(latin1Bytes('ACROSS&DOWN'), 0x02);
+  out.set(latin1Bytes('1.3'), 0x18);
+  out[0x2C] = W; out[0x2D] = H;
+  dv.setUint16(0x2E, clues.length, true);
+  dv.setUint16(0x30, 0x0001, true);
+  dv.setUint16(0x32, 0x0000, true);
+  out.set(solution, 0x34);
+  out.set(state, 0x34 + W*H);
+  let off = 0x34 + 2*W*H;
+  strings.forEach(b=>{ out.set(b, off); off += b.length; });
+  // Text checksum skips empty title/author/copyright/notes and clue terminators
+  const textSum = (seed)=>{
+    let ck = seed;
+    if (title) ck = puzChecksum(withNul(title), ck);
+    if (author) ck = puzChecksum(withNul(author), ck);
+    if (copyright) ck = puzChecksum(withNul(copyright), ck);
+    clues.forEach(cl=>{ ck = puzChecksum(latin1Bytes(cl), ck); });
+    if (notes) ck = puzChecksum(withNul(notes), ck);
+    return ck;
+  };
+  const cib = puzChecksum(out.subarray(0x2C, 0x34), 0);
+  dv.setUint16(0x0E, cib, true);
+  dv.setUint16(0x00, textSum(puzChecksum(state, puzChecksum(solution, cib))), true);
+  const sums = [cib, puzChecksum(solution, 0), puzChecksum(state, 0), textSum(0)];
+  const lo = 'ICHE', hi = 'ATED';
+  for (let i=0;i<4;i++){
+    out[0x10+i] = lo.charCodeAt(i) ^ (sums[i] & 0xFF);
+    out[0x14+i] = hi.charCodeAt(i) ^ (sums[i] >> 8);
+  }
+  return out;
+}
+function ipuzClue(x){ return x.enumeration ? { number: x.number, clue: x.clue, enumeration: x.enumeration } : [x.number, x.clue]; }
+// Extension field for the solve log (solvelog.js); other .ipuz readers skip names they do not know
+const IPUZ_SOLVE_LOG = 'https://neurologycrossword.me/ipuz/solvelog';
+// meta.userGrid and meta.solveLog, when given, add the solver's letters (the standard `saved` grid)
+// and the log for replay, both cropped like the puzzle
+function toIpuz(layout, meta){
+  const runs = layoutClueRuns(layout);
+  const b = layout.bounds;
+  const doc = {
+    version: 'http://ipuz.org/v2',
+    kind: ['http://ipuz.org/crossword#1'],
+    title: meta.title||'',
+    author: meta.author||'',
+    notes: meta.notes||'',
+    origin: 'Neurology Crossword Puzzler',
+    dimensions: { width: runs.width, height: runs.height },
+    block: '#',
+    empty: 0,
+    puzzle: runs.cells.map((row,r)=>row.map((ch,c)=> ch===null ? '#' : (runs.numbers[r][c] || 0))),
+    solution: runs.cells.map(row=>row.map(ch=> ch===null ? '#' : ch)),
+    clues: {
+      Across: runs.across.map(ipuzClue),
+      Down: runs.down.map(ipuzClue)
+    }
+  };
+  if (meta.userGrid) doc.saved = runs.cells.map((row,r)=>row.map((ch,c)=> ch===null ? '#' : (meta.userGrid[b.minR+r][b.minC+c] || 0)));
+  if (meta.solveLog) doc[IPUZ_SOLVE_LOG] = shiftSolveLog(meta.solveLog, -b.minR, -b.minC);
+  return JSON.stringify(doc, null, 1);
+}
+function xmlEscape(s){ return String(s||'').replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+// Uncompressed Crossword Compiler XML; solvers that read .jpz accept it without the zip wrapper
+function toJpz(layout, meta){
+  const runs = layoutClueRuns(layout);
+  const x = [];
+  x.push('<?xml version="1.0" encoding="UTF-8"?>');
+  x.push('<crossword-compiler-applet xmlns="http://crossword.info/xml/crossword-compiler">');
+  x.push('<rectangular-puzzle xmlns="http://crossword.info/xml/rectangular-puzzle" alphabet="ABCDEFGHIJKLMNOPQRSTUVWXYZ">');
+  x.push('<metadata><title>' + xmlEscape(meta.title) + '</title><creator>' + xmlEscape(meta.author) + '</creator><description>' + xmlEscape(meta.notes) + '</description></metadata>');
+  x.push('<crossword>');
+  x.push('<grid width="' + runs.width + '" height="' + runs.height + '"><grid-look numbering-scheme="normal"/>');
+  for (let r=0;r<runs.height;r++) for (let c=0;c<runs.width;c++){
+    const ch = runs.cells[r][c];
+    if (ch===null) x.push('<cell x="' + (c+1) + '" y="' + (r+1) + '" type="block"/>');
+    else x.push('<cell x="' + (c+1) + '" y="' + (r+1) + '" solution="' + ch + '"' + (runs.numbers[r][c] ? ' number="' + runs.numbers[r][c] + '"' : '') + '/>');
+  }
+  x.push('</grid>');
+  let id = 1;
+  const words = [];
+  runs.across.forEach(w=>{ words.push({ id:id++, w, across:true }); });
+  runs.down.forEach(w=>{ words.push({ id:id++, w, across:false }); });
+  words.forEach(o=>{
+    const w = o.w;
+    const xs = o.across ? (w.col+1) + '-' + (w.col+w.len) : String(w.col+1);
+    const ys = o.across ? String(w.row+1) : (w.row+1) + '-' + (w.row+w.len);
+    x.push('<word id="' + o.id + '" x="' + xs + '" y="' + ys + '"/>');
+  });
+  [['Across', true], ['Down', false]].forEach(pair=>{
+    x.push('<clues ordering="normal"><title><b>' + pair[0] + '</b></title>');
+    words.filter(o=>o.across===pair[1]).forEach(o=>{ x.push('<clue word="' + o.id + '" number="' + o.w.number + '" format="' + (o.w.enumeration || o.w.len) + '">' + xmlEscape(o.w.clue) + '</clue>'); });
+    x.push('</clues>');
+  });
+  x.push('</crossword></rectangular-puzzle></crossword-compiler-applet>');
+  return x.join('\n');
+}
+// Letters split by an enumeration ("5,5" → "BELLS PALSY"); null unless the lengths add up to a
+// multi-word answer
+function enumeratedAnswer(letters, enumText){
+  const parts = String(enumText||'').replace(/[()\s]/g, '').split(/([,-])/);
+  if (parts.length<3) return null;
+  let out = '', at = 0;
+  for (let i=0;i<parts.length;i+=2){
+    const n = Number(parts[i]);
+    if (!(n>0)) return null;
+    out += letters.slice(at, at+n) + (parts[i+1]===',' ? ' ' : (parts[i+1] || ''));
+    at += n;
+  }
+  return at===letters.length ? out : null;
+}
+// .ipuz → placements for layoutFromPlacements. Single-letter A–Z solutions only (no rebus).
+function ipuzCellValue(v){
+  if (v && typeof v==='object') v = ('value' in v) ? v.value : v.cell;
+  return v;
+}
+function fromIpuz(text){
+  let src = String(text||'').trim();
+  const jsonp = /^ipuz\(([\s\S]*)\)\s*;?$/.exec(src);
+  if (jsonp) src = jsonp[1];
+  let doc;
+  try{ doc = JSON.parse(src); }catch(_){ throw new Error('Not a valid .ipuz file.'); }
+  const kinds = [].concat(doc.kind||[]);
+  if (!kinds.some(k=>/crossword/i.test(String(k)))) throw new Error('Only crossword .ipuz files are supported.');
+  const W = doc.dimensions && doc.dimensions.width|0, H = doc.dimensions && doc.dimensions.height|0;
+  if (!W || !H || !Array.isArray(doc.solution)) throw new Error('The .ipuz file has no solution grid.');
+  if (W>MAX_GRID || H>MAX_GRID) throw new Error('Grids larger than ' + MAX_GRID + '×' + MAX_GRID + ' are not supported.');
+  const block = ('block' in doc) ? doc.block : '#';
+  const cells = [];
+  for (let r=0;r<H;r++){
+    const row = [];
+    for (let c=0;c<W;c++){
+      const pv = ipuzCellValue(doc.puzzle && doc.puzzle[r] ? doc.puzzle[r][c] : 0);
+      const sv = ipuzCellValue(doc.solution[r] ? doc.solution[r][c] : null);
+      if (pv===block || pv===null || sv===block || sv===null || sv===undefined){ row.push(null); continue; }
+      const ch = String(sv).toUpperCase();
+      if (!/^[A-Z]$/.test(ch)) throw new Error('Rebus or non-letter answers are not supported (' + String(sv) + ').');
+      row.push(ch);
+    }
+    cells.push(row);
+  }
+  const clueMap = {}, enumMap = {};
+  const readClues = (list, dir)=>{
+    (list||[]).forEach(item=>{
+      let num=null, txt='';
+      if (Array.isArray(item)){ num=item[0]; txt=item[1]; }
+      else if (item && typeof item==='object'){ num=item.number; txt=item.clue; if (item.enumeration) enumMap[dir + ':' + String(num)] = String(item.enumeration); }
+      else if (typeof item==='string'){ const m=/^(\d+)\s+(.*)$/.exec(item); if (m){ num=m[1]; txt=m[2]; } }
+      if (num!==null) clueMap[dir + ':' + String(num)] = String(txt==null ? '' : txt);
+    });
+  };
+  const clues = doc.clues || {};
+  Object.keys(clues).forEach(k=>{
+    if (/^across/i.test(k)) readClues(clues[k], DIRS.ACROSS);
+    else if (/^down/i.test(k)) readClues(clues[k], DIRS.DOWN);
+  });
+  const runs = layoutClueRuns({ grid: cells, placements: [], bounds: { minR:0, maxR:H-1, minC:0, maxC:W-1 } });
+  const covered = cells.map(row=>row.map(()=>false));
+  const list = [];
+  const entry = (x, dir, a)=>{
+    const display = enumeratedAnswer(a, enumMap[dir + ':' + x.number]);
+    return Object.assign({ row:x.row, col:x.col, dir, answer:a, clue: clueMap[dir + ':' + x.number] || '' }, display ? { display } : null);
+  };
+  runs.across.forEach(x=>{ let a=''; for (let i=0;i<x.len;i++){ a+=cells[x.row][x.col+i]; covered[x.row][x.col+i]=true; } list.push(entry(x, DIRS.ACROSS, a)); });
+  runs.down.forEach(x=>{ let a=''; for (let i=0;i<x.len;i++){ a+=cells[x.row+i][x.col]; covered[x.row+i][x.col]=true; } list.push(entry(x, DIRS.DOWN, a)); });
+  for (let r=0;r<H;r++) for (let c=0;c<W;c++){ if (cells[r][c]!==null && !covered[r][c]) throw new Error('Unchecked single-letter cells are not supported.'); }
+  if (!list.length) throw new Error('The .ipuz file has no words.');
+  const solveLog = readSolveLog(doc[IPUZ_SOLVE_LOG]);
+  return { title: doc.title ? String(doc.title) : '', placements: list, solveLog: solveLog && solveLog.events.length ? solveLog : null };
+}
+
+// ---------- Spaced repetition (Leitner boxes) ----------
+// Box n comes due REVIEW_INTERVALS_DAYS[n] days after it was last seen; a miss drops back to box 1.
+const REVIEW_KEY = 'neuroxcw.review.v1';
+const REVIEW_INTERVALS_DAYS = [0, 1, 3, 7, 14, 30, 60];
+const DAY_MS = 24*60*60*1000;
+function reviewKey(item){ return item.answer + '|' + item.clue; }
+function loadReviewDeck(){
+  try{
+    const obj = JSON.parse(localStorage.getItem(REVIEW_KEY) || '{}');
+    return (obj && typeof obj==='object') ? obj : {};
+  }catch(_){ return {}; }
+}
+function saveReviewDeck(deck){
+  try{ localStorage.setItem(REVIEW_KEY, JSON.stringify(deck)); }catch(_){}
+}
+// Missed answers (re)enter box 1; due answers solved cleanly move up a box.
+function scheduleReview(deck, placements, missed, now){
+  const next = Object.assign({}, deck);
+  const missedKeys = new Set(missed.map(reviewKey));
+  for (const p of placements){
+    const key = reviewKey(p);
+    const prev = next[key];
+    if (missedKeys.has(key)){
+      next[key] = { answer:p.answer, clue:p.clue, box:1, due:now + REVIEW_INTERVALS_DAYS[1]*DAY_MS, lapses:(prev ? prev.lapses||0 : 0)+1, seen:now };
+      if (p.display) next[key].display = p.display;
+    } else if (prev && prev.due <= now){
+      const box = Math.min(REVIEW_INTERVALS_DAYS.length-1, (prev.box||1)+1);
+      next[key] = Object.assign({}, prev, { box, due:now + REVIEW_INTERVALS_DAYS[box]*DAY_MS, seen:now });
+    }
+  }
+  return next;
+}
+function dueReviewItems(deck, now){
+  return Object.keys(deck).map(k=>deck[k]).filter(x=>x && x.answer && x.due <= now)
+    .sort((a,b)=> a.box-b.box || a.due-b.due);
+}
+// Due answers first, padded from the bank so the generator has enough letters to cross
+function buildReviewWords(due, bank, rng, preset){
+  const chosen = due.slice(0, preset.maxClues).map(x=>Object.assign({answer:x.answer, clue:x.clue}, x.display ? {display:x.display} : null));
+  const seen = {}; chosen.forEach(x=>{ seen[x.answer]=1; });
+  if (chosen.length < preset.minPlaced){
+    const fill = pickDailyWords(bank, rng, preset);
+    for (let i=0; i<fill.length && chosen.length<preset.minPlaced; i++){
+      if (seen[fill[i].answer]) continue;
+      chosen.push(fill[i]); seen[fill[i].answer]=1;
+    }
+  }
+  return chosen;
+}
+
+// ---------- Clue difficulty ----------
+// Every solved placement adds to its clue's stats (keyed like the review deck), which pull
+// clueDifficulty away from the bank's own rating. Easy/Medium/Hard rate from the bank alone, so a
+// ?diff= link picks the same words anywhere; Adaptive uses this browser's stats and history.
+const CLUE_STATS_KEY = 'neuroxcw.cluestats.v1';
+const DIFFICULTY_KEY = 'neuroxcw.difficulty.v1';
+const DIFFICULTY_OPTIONS = [['', 'Any'], ['easy', 'Easy'], ['medium', 'Medium'], ['hard', 'Hard'], ['adaptive', 'Adaptive']];
+function isDifficulty(d){ return d==='adaptive' || DIFFICULTY_TARGETS.hasOwnProperty(d); }
+function loadDifficulty(){ try{ const d = localStorage.getItem(DIFFICULTY_KEY); return isDifficulty(d) ? d : null; }catch(_){ return null; } }
+function saveDifficulty(d){ try{ if (d) localStorage.setItem(DIFFICULTY_KEY, d); else localStorage.removeItem(DIFFICULTY_KEY); }catch(_){} }
+function loadClueStats(){
+  try{
+    const obj = JSON.parse(localStorage.getItem(CLUE_STATS_KEY) || '{}');
+    return (obj && typeof obj==='object') ? obj : {};
+  }catch(_){ return {}; }
+}
+function saveClueStats(stats){ try{ localStorage.setItem(CLUE_STATS_KEY, JSON.stringify(stats)); }catch(_){} }
+// Solve history as adaptiveTarget input; only entries that recorded the puzzle's rating count
+function historyResults(history){
+  return history.filter(h=>typeof h.rating==='number').map(h=>({
+    rating: h.rating,
+    perf: h.maxScore ? h.score/h.maxScore : 1 - (h.missed||[]).length/Math.max(1, h.words||0)
+  }));
+}
+// The pickDailyWords difficulty option for a setting, or null for Any
+function difficultyPick(diff, bank, stats, history){
+  if (diff==='adaptive'){
+    const statFor = x=>stats[reviewKey(x)];
+    const weak = weakTopics(bank, statFor, 3);
+    return {
+      target: adaptiveTarget(historyResults(history)),
+      rate: x=>clueDifficulty(x, statFor(x)),
+      favor: x=>(x.tags||[]).some(t=>weak.indexOf(t)!==-1)
+    };
+  }
+  return DIFFICULTY_TARGETS[diff] ? { target: DIFFICULTY_TARGETS[diff], rate: baseDifficulty } : null;
+}
+// An adaptive pick is kept with its save slot, since the stats behind it keep moving
+function savedPick(bank, keys){
+  if (!Array.isArray(keys) || !keys.length) return null;
+  const byKey = new Map(bank.map(x=>[reviewKey(x), x]));
+  const out = keys.map(k=>byKey.get(k));
+  return out.every(Boolean) ? out : null;
+}
+
+// ---------- Co-op ----------
+// Invite links add coop=tabs or coop=<relay url> to the hash; the room itself comes from the
+// puzzle link (see coopRoomKey in sync.js)
+const COOP_KEY = 'neuroxcw.coop.v1';
+const COOP_DEFAULT_RELAY = 'ws://localhost:8787';
+const COOP_PEER_TIMEOUT_MS = 45000;
+const COOP_HEARTBEAT_MS = 15000;
+function loadCoopPrefs(){
+  try{
+    const p = JSON.parse(localStorage.getItem(COOP_KEY) || '{}') || {};
+    return { name: p.name || 'Player', kind: p.kind==='relay' ? 'relay' : 'tabs', relayUrl: p.relayUrl || COOP_DEFAULT_RELAY };
+  }catch(_){ return { name:'Player', kind:'tabs', relayUrl:COOP_DEFAULT_RELAY }; }
+}
+function saveCoopPrefs(p){ try{ localStorage.setItem(COOP_KEY, JSON.stringify({ name:p.name, kind:p.kind, relayUrl:p.relayUrl })); }catch(_){} }
+function readCoopHash(){
+  const m = /[#&]coop=([^&]+)/.exec(window.location.hash||'');
+  if (!m) return null;
+  if (m[1]==='tabs') return { kind:'tabs' };
+  let url = '';
+  try{ url = decodeURIComponent(m[1]); }catch(_){}
+  return /^wss?:\/\//i.test(url) ? { kind:'relay', relayUrl:url } : null;
+}
+function stripCoopHash(){
+  const hash = (window.location.hash||'').replace(/^#/, '').split('&').filter(p=>p && !/^coop=/.test(p)).join('&');
+  history.replaceState(null, '', window.location.pathname + window.location.search + (hash ? '#' + hash : ''));
+}
+// Adds name=value to a link's hash, after any fixed-layout code already there
+function withHashParam(link, name, value){
+  const url = new URL(link);
+  const hash = url.hash.replace(/^#/, '');
+  url.hash = (hash ? hash + '&' : '') + name + '=' + value;
+  return url.toString();
+}
+function coopInviteLink(link, session){
+  return withHashParam(link, 'coop', session.kind==='relay' ? encodeURIComponent(session.relayUrl) : 'tabs');
+}
+function gridCellWrites(userGrid, clocks){
+  return Object.keys(clocks).map(k=>{
+    const parts = k.split(':'), row = userGrid[+parts[0]];
+    return [k, (row && row[+parts[1]]) || '', clocks[k].ts, clocks[k].peer];
+  });
+}
+
+// ---------- Assignments ----------
+// An assignment rides on a puzzle link as #assign=<base64url JSON>
+//   { v:1, id, t: title, nr: no Reveal or hints, tm: timer always on, tl: time limit in minutes (0 = none), k: signing key }
+// Result codes are XR1.<base64url JSON>.<HMAC-SHA256 of the JSON part, 16 bytes>. The key travels in the
+// student's link, so a code shows casual edits; it cannot stop a student who digs the key out of the link.
+const ASSIGN_PARAM = 'assign';
+const ASSIGNMENTS_KEY = 'neuroxcw.assignments.v1';
+const STUDENT_NAME_KEY = 'neuroxcw.student.v1';
+const RESULT_CODE_RE = /XR1\.([A-Za-z0-9_-]+)\.([A-Za-z0-9_-]+)/g;
+function encodeAssignment(a){
+  const payload = { v:1, id:a.id, t:a.title, nr:a.noReveal ? 1 : 0, tm:a.forceTimer ? 1 : 0, tl:a.limitMin||0, k:a.key };
+  return bytesToB64url(new TextEncoder().encode(JSON.stringify(payload)));
+}
+function decodeAssignment(code){
+  try{
+    const o = JSON.parse(new TextDecoder().decode(b64urlToBytes(code)));
+    if (!o || o.v!==1 || !o.id || !o.k) return null;
+    return { id:String(o.id), title:String(o.t||'Assignment'), noReveal:!!o.nr, forceTimer:!!o.tm, limitMin:Math.max(0, Number(o.tl)||0), key:String(o.k) };
+  }catch(_){ return null; }
+}
+function readAssignment(link){
+  const m = new RegExp('[#&]' + ASSIGN_PARAM + '=([A-Za-z0-9_-]+)').exec(link||'');
+  return m ? decodeAssignment(m[1]) : null;
+}
+function assignmentLink(puzzleLink, a){ return withHashParam(puzzleLink, ASSIGN_PARAM, encodeAssignment(a)); }
+function newAssignment(opts){
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  return Object.assign({ id: newRandomSeed().toString(36), key: bytesToB64url(bytes) }, opts);
+}
+// Assignments created on this device, so the gradebook can check their codes
+function loadAssignments(){
+  try{ const arr = JSON.parse(localStorage.getItem(ASSIGNMENTS_KEY) || '[]'); return Array.isArray(arr) ? arr : []; }catch(_){ return []; }
+}
+function rememberAssignment(a, link){
+  const next = loadAssignments().filter(x=>x.id!==a.id).concat([Object.assign({}, a, { link, created: Date.now() })]);
+  try{ localStorage.setItem(ASSIGNMENTS_KEY, JSON.stringify(next)); }catch(_){}
+  return next;
+}
+function hmacB64url(key, text){
+  if (!window.crypto || !crypto.subtle) return Promise.reject(new Error('Result codes need a secure (https or localhost) page.'));
+  const enc = new TextEncoder();
+  return crypto.subtle.importKey('raw', enc.encode(key), { name:'HMAC', hash:'SHA-256' }, false, ['sign'])
+    .then(k=>crypto.subtle.sign('HMAC', k, enc.encode(text)))
+    .then(buf=>bytesToB64url(new Uint8Array(buf).slice(0, 16)));
+}
+// result: { a: assignment id, n: name, c: finished 1/0, ms, r: revealed cells, e: wrong letters,
+//           s: score, m: max score, w: words, x: missed answers, u: unsolved answers, ts }
+function signResult(assignment, result){
+  const body = bytesToB64url(new TextEncoder().encode(JSON.stringify(result)));
+  return hmacB64url(assignment.key, body).then(sig=>'XR1.' + body + '.' + sig);
+}
+// Every code in a pasted batch: { code, result, check: 'valid' | 'invalid' | 'unknown' | 'damaged' }
+function readResultCodes(text, keysById){
+  const found = [];
+  String(text||'').replace(RESULT_CODE_RE, (code, body, sig)=>{ found.push({ code, body, sig }); return code; });
+  return Promise.all(found.map(f=>{
+    let result = null;
+    try{ result = JSON.parse(new TextDecoder().decode(b64urlToBytes(f.body))); }catch(_){}
+    if (!result || typeof result!=='object') return { code:f.code, result:null, check:'damaged' };
+    const key = keysById[result.a];
+    if (!key) return { code:f.code, result, check:'unknown' };
+    return hmacB64url(key, f.body).then(sig=>({ code:f.code, result, check: sig===f.sig ? 'valid' : 'invalid' }));
+  }));
+}
+
+// ---------- Checking ----------
+// Autocheck (the default) flags wrong letters and locks correct words as you type; with it off,
+// nothing is checked until Check Letter / Word / Puzzle. A device-wide preference.
+const AUTOCHECK_KEY = 'neuroxcw.autocheck.v1';
+function loadAutocheck(){ try{ return localStorage.getItem(AUTOCHECK_KEY)!=='0'; }catch(_){ return true; } }
+function saveAutocheck(on){ try{ localStorage.setItem(AUTOCHECK_KEY, on ? '1' : '0'); }catch(_){} }
+
+// ---------- Replay ----------
+// Playback speeds on offer, and how often a playing replay moves on
+const REPLAY_SPEEDS = [1, 2, 4, 8];
+const REPLAY_TICK_MS = 50;
+
+// ---------- Display ----------
+// High contrast and a text scale. With nothing saved, contrast follows the system's prefers-contrast.
+const DISPLAY_KEY = 'neuroxcw.display.v1';
+const FONT_SCALES = [1, 1.25, 1.5, 2];
+function loadDisplay(){
+  let saved = null;
+  try{ saved = JSON.parse(localStorage.getItem(DISPLAY_KEY)); }catch(_){}
+  let systemContrast = false;
+  try{ systemContrast = !!(window.matchMedia && window.matchMedia('(prefers-contrast: more)').matches); }catch(_){}
+  return {
+    contrast: saved && typeof saved.contrast==='boolean' ? saved.contrast : systemContrast,
+    fontScale: saved && FONT_SCALES.indexOf(saved.fontScale)!==-1 ? saved.fontScale : 1
+  };
+}
+function saveDisplay(d){ try{ localStorage.setItem(DISPLAY_KEY, JSON.stringify(d)); }catch(_){} }
+function applyDisplay(d){
+  const root = document.documentElement;
+  root.classList.toggle('hc', !!d.contrast);
+  root.style.setProperty('--font-scale', String(d.fontScale));
+}
+
+// ---------- Save slots ----------
+// One autosave per (seed, level, word source); the old single-record save is imported once.
+const SAVES_KEY = 'neuroxcw.saves.v2';
+const LEGACY_SAVE_KEY = 'neuroxcw.save.v1';
+const MAX_SAVES = 50;
+function wordSourceKey(source){
+  const topics = source && source.topics;
+  return (source && source.deck ? source.deck + ':' : '') + ((topics && topics.length) ? 'topic:' + topics.join(',') : 'all')
+    + (source && source.diff ? '@' + source.diff : '');
+}
+function saveSlotKey(seed, level, source){ return (seed>>>0) + '|' + level + '|' + wordSourceKey(source); }
+function loadSaves(){
+  try{
+    const obj = JSON.parse(localStorage.getItem(SAVES_KEY) || '{}');
+    return (obj && typeof obj==='object') ? obj : {};
+  }catch(_){ return {}; }
+}
+function writeSaves(saves){
+  const keys = Object.keys(saves).sort((a,b)=>(saves[b].ts||0)-(saves[a].ts||0));
+  const kept = {};
+  keys.slice(0, MAX_SAVES).forEach(k=>{ kept[k]=saves[k]; });
+  try{ localStorage.setItem(SAVES_KEY, JSON.stringify(kept)); }catch(_){}
+  return kept;
+}
+function migrateLegacySave(){
+  try{
+    const raw = localStorage.getItem(LEGACY_SAVE_KEY);
+    if (!raw) return;
+    const obj = JSON.parse(raw);
+    if (obj && typeof obj==='object' && obj.seed && Array.isArray(obj.userGrid)){
+      const saves = loadSaves();
+      const key = saveSlotKey(obj.seed, typeof obj.sizeLevel==='number' ? obj.sizeLevel : 5, { topics: obj.topics||[] });
+      if (!saves[key]) saves[key] = Object.assign({}, obj, { topics: obj.topics||[], filled: gridFillPercent(obj.userGrid) });
+      writeSaves(saves);
+    }
+    localStorage.removeItem(LEGACY_SAVE_KEY);
+  }catch(_){}
+}
+function gridFillPercent(user){
+  let open=0, filled=0;
+  (user||[]).forEach(row=>(row||[]).forEach(ch=>{ if (ch!==null){ open++; if (ch) filled++; } }));
+  return open ? Math.round(100*filled/open) : 0;
+}
+function inProgressSaves(saves){
+  return Object.keys(saves).map(k=>Object.assign({ key:k }, saves[k]))
+    .filter(x=>!x.completed && x.filled>0)
+    .sort((a,b)=>(b.ts||0)-(a.ts||0));
+}
+// No link: reopen the most recently touched unfinished puzzle, else today's
+function initialPuzzle(){
+  migrateLegacySave();
+  const q = readQuery();
+  const fixed = readFixedHash();
+  if (fixed) return { seed: defaultDailySeed(), level: 5, topics: [], deck: null, diff: null, fixed };
+  if (q.seed!==null || q.level!==null){
+    return { seed: q.seed!==null ? q.seed>>>0 : defaultDailySeed(), level: q.level!==null ? q.level : 5, topics: q.topics||[], deck: q.deck, diff: q.diff };
+  }
+  // An embedded widget opens on today's puzzle, not on whatever this browser had in progress
+  const last = readEmbedOptions(window.location.search) ? null : inProgressSaves(loadSaves())[0];
+  if (last) return { seed: last.seed>>>0, level: last.sizeLevel, topics: last.topics||[], deck: last.deck||null, diff: last.diff||null, fixed: last.fixedCode||null };
+  return { seed: defaultDailySeed(), level: 5, topics: q.topics||[], deck: q.deck, diff: q.diff || loadDifficulty() };
+}
+function timeAgo(ts){
+  const s = Math.max(0, Math.round((Date.now()-ts)/1000));
+  if (s < 60) return 'just now';
+  if (s < 3600) return Math.floor(s/60) + ' min ago';
+  if (s < 86400) return Math.floor(s/3600) + ' h ago';
+  return Math.floor(s/86400) + ' d ago';
+}
+
+// ---------- Solve history ----------
+const HISTORY_KEY = 'neuroxcw.history.v1';
+function loadHistory(){
+  try{
+    const arr = JSON.parse(localStorage.getItem(HISTORY_KEY) || '[]');
+    return Array.isArray(arr) ? arr : [];
+  }catch(_){ return []; }
+}
+// One entry per puzzle per day; a repeat solve the same day replaces the earlier one
+function appendHistory(history, entry){
+  const same = h => h.seed===entry.seed && h.level===entry.level && wordSourceKey(h)===wordSourceKey(entry) && (h.fixed||null)===(entry.fixed||null) && h.date===entry.date;
+  const next = history.filter(h=>!same(h)).concat([entry]);
+  try{ localStorage.setItem(HISTORY_KEY, JSON.stringify(next)); }catch(_){}
+  return next;
+}
+function dayNumber(ymd){
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(ymd||'');
+  return m ? Math.round(Date.UTC(+m[1], +m[2]-1, +m[3]) / DAY_MS) : null;
+}
+// Daily streaks in day-boundary dates; the current streak survives until today is over
+function computeStreaks(history, todayYMD){
+  const days = Array.from(new Set(history.filter(h=>h.daily).map(h=>dayNumber(h.date)).filter(n=>n!==null))).sort((a,b)=>a-b);
+  let longest=0, run=0;
+  for (let i=0;i<days.length;i++){
+    run = (i>0 && days[i]===days[i-1]+1) ? run+1 : 1;
+    if (run>longest) longest=run;
+  }
+  const today = dayNumber(todayYMD);
+  const have = new Set(days);
+  let d = have.has(today) ? today : today-1;
+  let current = 0;
+  while (have.has(d)){ current++; d--; }
+  return { current, longest, days: days.length };
+}
+function averageTimesByLevel(history){
+  const acc = {};
+  for (const h of history){
+    if (typeof h.ms!=='number' || !(h.ms>0)) continue;
+    const a = acc[h.level] || (acc[h.level] = { level:h.level, total:0, count:0, best:Infinity });
+    a.total += h.ms; a.count++; if (h.ms < a.best) a.best = h.ms;
+  }
+  return Object.keys(acc).map(k=>acc[k]).map(a=>({ level:a.level, count:a.count, avg:a.total/a.count, best:a.best })).sort((a,b)=>a.level-b.level);
+}
+function topMissed(history, limit){
+  const acc = {};
+  for (const h of history){
+    for (const m of (h.missed||[])){
+      const key = m.answer + '|' + m.clue;
+      const a = acc[key] || (acc[key] = { answer:m.answer, display:m.display, clue:m.clue, count:0 });
+      a.count++;
+    }
+  }
+  return Object.keys(acc).map(k=>acc[k]).sort((a,b)=>b.count-a.count || a.answer.localeCompare(b.answer)).slice(0, limit||10);
+}
+
+function fireConfetti(count){
+  count = (typeof count==='number' && isFinite(count)) ? count : 8;
+  const container=document.createElement('div');
+  container.style.position='fixed'; container.style.inset='0'; container.style.pointerEvents='none'; container.style.zIndex='1000';
+  document.body.appendChild(container);
+  const EMOJIS=['🎉','✨','⭐'];
+  const N=Math.max(1, Math.min(40, Math.floor(count)));
+  for (let i=0;i<N;i++){
+    const span=document.createElement('span');
+    span.textContent=EMOJIS[Math.floor(Math.random()*EMOJIS.length)];
+    span.style.position='absolute';
+    span.style.left=(Math.random()*100)+'vw';
+    span.style.top='-10px';
+    span.style.fontSize=(12+Math.random()*12)+'px';
+    span.style.opacity='0.9';
+    span.style.transition='transform 1s ease-out, opacity 1s ease-out';
+    container.appendChild(span);
+    requestAnimationFrame(function(){
+      span.style.transform='translateY('+(70+Math.random()*80)+'vh) rotate(' + ((Math.random()-0.5)*180) + 'deg)';
+      span.style.opacity='0';
+    });
+  }
+  setTimeout(function(){ container.remove(); }, 1100);
+}
+
+// Focus for a modal while `open`: the dialog takes focus so its label is read, Tab stays inside it,
+// Escape closes it, and focus goes back to where it was on close. Attach the returned ref to .modal.
+const FOCUSABLE = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+function useDialogFocus(open, onClose){
+  const ref = useRef(null);
+  const closeRef = useRef(onClose);
+  closeRef.current = onClose;
+  useEffect(()=>{
+    const el = ref.current;
+    if (!open || !el) return;
+    const before = document.activeElement;
+    if (!el.hasAttribute('tabindex')) el.setAttribute('tabindex', '-1');
+    el.focus();
+    const onKey = (e)=>{
+      if (e.key==='Escape'){ e.stopPropagation(); if (closeRef.current) closeRef.current(); return; }
+      if (e.key!=='Tab') return;
+      const list = Array.from(el.querySelectorAll(FOCUSABLE)).filter(x=>!x.disabled);
+      if (!list.length){ e.preventDefault(); return; }
+      const first = list[0], last = list[list.length-1];
+      if (e.shiftKey && (document.activeElement===first || document.activeElement===el)){ e.preventDefault(); last.focus(); }
+      else if (!e.shiftKey && document.activeElement===last){ e.preventDefault(); first.focus(); }
+    };
+    el.addEventListener('keydown', onKey);
+    return ()=>{
+      el.removeEventListener('keydown', onKey);
+      if (before && before.focus && document.body.contains(before)) before.focus();
+    };
+  }, [open]);
+  return ref;
+}
+
+// Teaching notes for one answer, folded away until opened. Clicks and keys stay inside, so the
+// clue list item around it is not selected and the grid does not take the keystrokes.
+function ClueNotes({ note, answer, label }){
+  return (
+    <details className="clue-notes" onClick={(e)=>e.stopPropagation()} onKeyDown={(e)=>e.stopPropagation()}>
+      <summary>{label || 'Why?'}</summary>
+      {note.explanation && <p>{note.explanation}</p>}
+      {note.image && <img src={note.image} alt={note.alt || 'Illustration for ' + answer} loading="lazy" />}
+      {note.reference && <cite>{note.reference}</cite>}
+    </details>
+  );
+}
+
+// Deck loader: file picker, drag-and-drop or pasted CSV/TSV, saved to IndexedDB
+function DeckLoader({ onClose, onLoaded }){
+  const [text, setText] = useState('');
+  const [name, setName] = useState('');
+  const [notesText, setNotesText] = useState(''); // optional teaching notes JSON, keyed by answer
+  const [dragOver, setDragOver] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const parsed = useMemo(()=> text.trim() ? parseDeckText(text) : [], [text]);
+  const notes = useMemo(()=>{
+    if (!notesText) return null;
+    try{ return { count: Object.keys(parseClueNotes(notesText)).length }; }catch(e){ return { error: e.message }; }
+  }, [notesText]);
+  // A .json file is the notes sidecar; anything else is the deck itself
+  function readFiles(files){
+    Array.from(files || []).forEach(file=>{
+      const reader = new FileReader();
+      const isNotes = /\.json$/i.test(file.name);
+      reader.onload = ()=>{
+        const body = String(reader.result||'');
+        if (isNotes){ setNotesText(body); return; }
+        setText(body);
+        if (!name) setName(file.name.replace(/\.[^.]+$/, ''));
+      };
+      reader.onerror = ()=>alert('Could not read ' + file.name);
+      reader.readAsText(file);
+    });
+  }
+  function save(){
+    if (!parsed.length){ alert('No valid rows found. Each row needs an answer and a clue.'); return; }
+    if (notes && notes.error){ alert(notes.error); return; }
+    const deck = { id: deckIdFor(text), name: name.trim() || 'Custom deck', text, count: parsed.length, ts: Date.now() };
+    if (notesText) deck.notes = notesText;
+    setBusy(true);
+    putDeck(deck)
+      .then(()=>onLoaded(deck))
+      .catch(e=>alert('Could not save deck: ' + ((e && e.message) ? e.message : e)))
+      .finally(()=>setBusy(false));
+  }
+  return (
+    <div className="overlay" onClick={(e)=>{ if (e.target===e.currentTarget) onClose(); }}>
+      <div className="modal" role="dialog" aria-modal="true" aria-label="Load deck" style={{width:'min(92vw, 560px)'}}>
+        <h3>Load a clue deck</h3>
+        <div className={'dropzone' + (dragOver ? ' over' : '')}
+             onDragOver={(e)=>{ e.preventDefault(); setDragOver(true); }}
+             onDragLeave={()=>setDragOver(false)}
+             onDrop={(e)=>{ e.preventDefault(); setDragOver(false); readFiles(e.dataTransfer && e.dataTransfer.files); }}>
+          Drop a .csv or .tsv file here, or <label className="linklike">choose a file<input type="file" multiple accept=".csv,.tsv,.txt,.json,text/csv,text/tab-separated-values,text/plain,application/json" style={{display:'none'}} onChange={(e)=>{ readFiles(e.target.files); e.target.value=''; }} /></label>
+          <div className="sharenote">Add a .json file of teaching notes keyed by answer (explanation, reference, image) to go with it.</div>
+        </div>
+        <textarea className="input" rows={8} placeholder={'…or paste rows here:\nAPHASIA,Language impairment after dominant hemisphere lesion\nPTOSIS\tDrooping of the upper eyelid'} value={text} onChange={(e)=>setText(e.target.value)} style={{fontFamily:'monospace', fontSize:12, marginTop:8}} />
+        <div className="row">
+          <label style={{fontWeight:700, minWidth:'56px'}}>Name</label>
+          <input className="input" type="text" value={name} placeholder="Custom deck" onChange={(e)=>setName(e.target.value)} />
+        </div>
+        <div style={{fontSize:12, opacity:.75}}>{text.trim() ? (parsed.length + ' valid entries (answers of 3+ letters).') : 'Columns: Answer, Clue, optional Topic tags and Difficulty (1-5). Comma or tab separated.'}</div>
+        {notes && (notes.error
+          ? <div className="error" style={{fontSize:12}}>{notes.error}</div>
+          : <div style={{fontSize:12, opacity:.75}}>Teaching notes for {notes.count} answer{notes.count===1 ? '' : 's'}. <button className="linklike" style={{background:'none', border:'none', padding:0, fontSize:12}} onClick={()=>setNotesText('')}>Remove</button></div>)}
+        <div className="actions">
+          <button className="btn" onClick={onClose}>Cancel</button>
+          <button className="btn" disabled={busy || !parsed.length} onClick={save}>Save &amp; use deck</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Clue bank editor: loads the raw CSV (short answers included), flags problems, exports a clean file
+function BankEditor({ onClose, deck }){
+  const [entries, setEntries] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [query, setQuery] = useState('');
+  const [filter, setFilter] = useState('all');
+  const [draft, setDraft] = useState(null); // { index|null, answer, clue, tags, difficulty }
+  const [dirty, setDirty] = useState(false);
+  const nextId = useRef(1);
+  useEffect(()=>{
+    let cancelled=false;
+    const source = deck ? Promise.resolve(deck.text) : fetch('crosswordclues.csv').then(r=>{ if (!r.ok) throw new Error('CSV not found'); return r.text(); });
+    source
+      .then(txt=>{ if (cancelled) return; setEntries(parseDeckText(txt, true).map(x=>Object.assign({ id: nextId.current++ }, x))); })
+      .catch(e=>{ if (!cancelled) setLoadError((e && e.message) ? e.message : 'Failed to load crosswordclues.csv'); });
+    return ()=>{ cancelled=true; };
+  },[]);
+
+  const issues = useMemo(()=> entries ? findBankIssues(entries) : [], [entries]);
+  const issueCounts = useMemo(()=>{
+    const n = { any:0 };
+    Object.keys(BANK_ISSUES).forEach(k=>{ n[k]=0; });
+    issues.forEach(list=>{ if (list.length) n.any++; list.forEach(k=>{ n[k]++; }); });
+    return n;
+  }, [issues]);
+  const MAX_ROWS = 200;
+  const visible = useMemo(()=>{
+    if (!entries) return [];
+    const q = query.trim().toUpperCase();
+    const out = [];
+    for (let i=0;i<entries.length;i++){
+      const x = entries[i], iss = issues[i];
+      if (filter==='issues' && !iss.length) continue;
+      if (filter!=='all' && filter!=='issues' && iss.indexOf(filter)===-1) continue;
+      if (q && x.answer.indexOf(q.replace(/[^A-Z]/g,''))===-1 && x.clue.toUpperCase().indexOf(q)===-1) continue;
+      out.push(i);
+    }
+    if (filter==='duplicate') out.sort((a,b)=>entries[a].answer.localeCompare(entries[b].answer));
+    return out;
+  }, [entries, issues, query, filter]);
+
+  function startEdit(i){
+    const x = entries[i];
+    setDraft({ index:i, answer:x.display || x.answer, clue:x.clue, tags:(x.tags||[]).join('; '), difficulty: typeof x.difficulty==='number' ? String(x.difficulty) : '' });
+  }
+  function saveDraft(){
+    const answer = answerLetters(draft.answer);
+    const clue = draft.clue.trim();
+    if (!answer || !clue){ alert('Answer and clue are both required.'); return; }
+    const rating = draft.difficulty.trim();
+    if (rating && !/^[1-5](\.\d+)?$/.test(rating)){ alert('Difficulty is a number from 1 to 5, or blank.'); return; }
+    const item = { answer, display: answerDisplay(draft.answer, answer) || undefined, clue, tags: parseTopicList(draft.tags), difficulty: rating ? Number(rating) : undefined };
+    setEntries(prev=>{
+      const copy = prev.slice();
+      if (draft.index===null) copy.unshift(Object.assign({ id: nextId.current++ }, item));
+      else copy[draft.index] = Object.assign({}, copy[draft.index], item);
+      return copy;
+    });
+    setDraft(null); setDirty(true);
+  }
+  function remove(i){
+    setEntries(prev=>prev.filter((_,j)=>j!==i));
+    if (draft && draft.index===i) setDraft(null);
+    setDirty(true);
+  }
+  function exportCSV(){
+    if (issueCounts.any && !confirm(issueCounts.any + ' entries still have issues. Export anyway?')) return;
+    downloadFile('crosswordclues.csv', bankToCSV(entries), 'text/csv');
+    setDirty(false);
+  }
+  function close(){
+    if (dirty && !confirm('Discard unsaved edits to the clue bank?')) return;
+    onClose();
+  }
+
+  return (
+    <div className="overlay" onClick={(e)=>{ if (e.target===e.currentTarget) close(); }}>
+      <div className="modal editor" role="dialog" aria-modal="true" aria-label="Clue bank editor">
+        <h3>Clue bank{deck ? ': ' + deck.name : ''}</h3>
+        {loadError && <div className="error">{String(loadError)}</div>}
+        {!entries && !loadError && <div>Loading {deck ? deck.name : 'crosswordclues.csv'}…</div>}
+        {entries && (
+          <>
+            <div className="editor-bar">
+              <input className="input" type="search" placeholder="Search answers and clues" value={query} onChange={(e)=>setQuery(e.target.value)} />
+              <select className="input" style={{width:'auto'}} value={filter} onChange={(e)=>setFilter(e.target.value)}>
+                <option value="all">All ({entries.length})</option>
+                <option value="issues">Any issue ({issueCounts.any})</option>
+                {Object.keys(BANK_ISSUES).map(k => <option key={k} value={k}>{BANK_ISSUES[k]} ({issueCounts[k]})</option>)}
+              </select>
+              <button className="btn" onClick={()=>setDraft({ index:null, answer:'', clue:'', tags:'', difficulty:'' })}>Add</button>
+            </div>
+            {draft && (
+              <div className="editor-form">
+                <input className="input" placeholder="ANSWER" value={draft.answer} onChange={(e)=>setDraft(Object.assign({}, draft, { answer:e.target.value }))} />
+                <input className="input" placeholder="Clue" value={draft.clue} onChange={(e)=>setDraft(Object.assign({}, draft, { clue:e.target.value }))} />
+                <input className="input" placeholder="Topics (separate with ;)" value={draft.tags} onChange={(e)=>setDraft(Object.assign({}, draft, { tags:e.target.value }))} />
+                <input className="input" placeholder="Difficulty 1-5 (blank: by length)" inputMode="decimal" value={draft.difficulty} onChange={(e)=>setDraft(Object.assign({}, draft, { difficulty:e.target.value }))} />
+                <div className="actions" style={{paddingTop:0}}>
+                  <button className="btn" onClick={()=>setDraft(null)}>Cancel</button>
+                  <button className="btn" onClick={saveDraft}>{draft.index===null ? 'Add entry' : 'Save entry'}</button>
+                </div>
+              </div>
+            )}
+            <div className="editor-list">
+              {visible.slice(0, MAX_ROWS).map(i => {
+                const x = entries[i];
+                return (
+                  <div key={x.id} className={'editor-row' + (issues[i].length ? ' flagged' : '')}>
+                    <div style={{flex:1, minWidth:0}}>
+                      <div><strong>{writtenAnswer(x)}</strong> <span style={{opacity:.6, fontSize:11}}>{enumeration(x.display) || x.answer.length}</span>{(x.tags&&x.tags.length) ? <span className="editor-tags">{x.tags.join(', ')}</span> : null}{typeof x.difficulty==='number' ? <span className="editor-tags">difficulty {x.difficulty}</span> : null}</div>
+                      <div style={{fontSize:13}}>{x.clue}</div>
+                      {issues[i].length>0 && <div className="editor-issues">{issues[i].map(k=>BANK_ISSUES[k]).join(' · ')}</div>}
+                    </div>
+                    <button className="btn" onClick={()=>startEdit(i)}>Edit</button>
+                    <button className="btn" aria-label={'Delete ' + x.answer} onClick={()=>remove(i)}>✕</button>
+                  </div>
+                );
+              })}
+              {visible.length > MAX_ROWS && <div style={{fontSize:12, opacity:.7, padding:'6px 0'}}>Showing {MAX_ROWS} of {visible.length}. Refine the search to see more.</div>}
+              {!visible.length && <div style={{fontSize:12, opacity:.7, padding:'6px 0'}}>No matching entries.</div>}
+            </div>
+          </>
+        )}
+        <div className="actions">
+          <button className="btn" onClick={close}>Close</button>
+          <button className="btn" disabled={!entries} onClick={exportCSV}>Export CSV</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Instructor side: wrap a puzzle in assignment rules and hand out the student link
+function AssignmentEditor({ onClose, bank, seed, level, source, fixedCode, fixedTitle }){
+  const [kind, setKind] = useState(fixedCode ? 'fixed' : 'seed');
+  const [title, setTitle] = useState(fixedTitle || '');
+  const [seedText, setSeedText] = useState(String(seed>>>0));
+  const [swag, setSwag] = useState(level);
+  const [picked, setPicked] = useState('');
+  const [noReveal, setNoReveal] = useState(true);
+  const [forceTimer, setForceTimer] = useState(true);
+  const [limitMin, setLimitMin] = useState('0');
+  const [busy, setBusy] = useState(false);
+  const [made, setMade] = useState(null);
+  // Hand-picked clues: "ANSWER, clue" rows, or a bare answer to take its clue from the bank
+  const pickedWords = useMemo(()=>{
+    const byAnswer = {};
+    bank.forEach(x=>{ if (!byAnswer[x.answer]) byAnswer[x.answer] = x; });
+    const out = [], missing = [];
+    String(picked).split(/\r?\n/).forEach(line=>{
+      if (!line.trim()) return;
+      const row = parseDeckText(line)[0];
+      if (row) { out.push(Object.assign({ answer: row.answer, clue: row.clue }, row.display ? { display: row.display } : null)); return; }
+      const ans = answerLetters(line);
+      if (byAnswer[ans]) out.push(Object.assign({ answer: ans, clue: byAnswer[ans].clue }, byAnswer[ans].display ? { display: byAnswer[ans].display } : null));
+      else if (ans) missing.push(ans);
+    });
+    return { words: out, missing };
+  }, [picked, bank]);
+
+  function puzzleLinkFor(){
+    if (kind==='fixed') return Promise.resolve(fixedLink(fixedCode));
+    if (kind==='seed'){
+      const t = seedText.trim();
+      const sd = /^\d+$/.test(t) ? (parseInt(t,10)>>>0) : hashStringToInt(t || String(seed));
+      return Promise.resolve(permalink(sd, swag, source));
+    }
+    const words = pickedWords.words;
+    if (words.length < 2) return Promise.reject(new Error('Pick at least two clues.'));
+    const preset = presetFor(swag);
+    const layout = generateCrossword(words, hashStringToInt(words.map(w=>w.answer).join('|')), computeGridSize(words, preset), { density: preset.density });
+    const left = words.filter(w=>!layout.placements.some(p=>p.answer===w.answer));
+    if (left.length && !confirm('These answers do not fit the grid and will be left out: ' + left.map(w=>w.answer).join(', ') + '. Continue?')) return Promise.reject(null);
+    return encodeFixedPuzzle(layout.placements, layout.bounds, title.trim()).then(fixedLink);
+  }
+  function create(){
+    setBusy(true);
+    puzzleLinkFor()
+      .then(link=>{
+        const a = newAssignment({ title: title.trim() || 'Assignment', noReveal, forceTimer, limitMin: Math.max(0, Math.round(Number(limitMin)||0)) });
+        const url = assignmentLink(link, a);
+        rememberAssignment(a, url);
+        setMade(url);
+      })
+      .catch(e=>{ if (e) alert((e && e.message) ? e.message : String(e)); })
+      .finally(()=>setBusy(false));
+  }
+  return (
+    <div className="overlay" onClick={(e)=>{ if (e.target===e.currentTarget) onClose(); }}>
+      <div className="modal" role="dialog" aria-modal="true" aria-label="Create assignment" style={{width:'min(92vw, 560px)'}}>
+        <h3>Create an assignment</h3>
+        {made ? (
+          <div className="sharebox">
+            <strong>Student link</strong>
+            <div className="sharenote">Opens the puzzle with Today, Random and Options turned off. Students finish with a result code to send you; paste the codes into the Gradebook.</div>
+            <div className="row"><input className="input" readOnly value={made} onFocus={(e)=>e.target.select()} /><button className="btn" onClick={(e)=>copyText(made, e.currentTarget.previousSibling)}>Copy</button></div>
+          </div>
+        ) : (
+          <>
+            <div className="row">
+              <label style={{fontWeight:700, minWidth:'56px'}}>Title</label>
+              <input className="input" type="text" value={title} placeholder="Week 3: cerebellum" onChange={(e)=>setTitle(e.target.value)} />
+            </div>
+            <div className="row" style={{alignItems:'center', gap:'12px'}}>
+              <label>Puzzle</label>
+              <div className="seg" role="tablist" aria-label="Puzzle source">
+                <button aria-pressed={kind==='seed'} onClick={()=>setKind('seed')}>Seed</button>
+                <button aria-pressed={kind==='picked'} onClick={()=>setKind('picked')}>Hand-picked clues</button>
+                {fixedCode && <button aria-pressed={kind==='fixed'} onClick={()=>setKind('fixed')}>This puzzle</button>}
+              </div>
+            </div>
+            {kind==='seed' && (
+              <div className="row" style={{alignItems:'center', gap:'12px'}}>
+                <label>Seed</label>
+                <input className="input" type="text" value={seedText} onChange={(e)=>setSeedText(e.target.value)} style={{width:'10em'}} />
+                <label>Swag</label>
+                <input type="range" min={0} max={14} step={1} value={swag} onChange={(e)=>setSwag(Number(e.target.value))} className="slider" />
+                <span>{swag}</span>
+              </div>
+            )}
+            {kind==='picked' && (
+              <>
+                <textarea className="input" rows={7} value={picked} onChange={(e)=>setPicked(e.target.value)} style={{fontFamily:'monospace', fontSize:12}}
+                          placeholder={'One per line: an answer from the bank, or Answer, Clue\nATAXIA\nPTOSIS,Drooping of the upper eyelid'} />
+                <div style={{fontSize:12, opacity:.75}}>
+                  {pickedWords.words.length} clue{pickedWords.words.length===1 ? '' : 's'}
+                  {pickedWords.missing.length > 0 && <span className="error"> · not in the bank: {pickedWords.missing.join(', ')}</span>}
+                </div>
+              </>
+            )}
+            {kind==='fixed' && <div className="sharenote">Uses the fixed-layout puzzle that is open now.</div>}
+            <div className="row" style={{flexDirection:'column', alignItems:'flex-start', gap:'4px'}}>
+              <label><input type="checkbox" checked={noReveal} onChange={(e)=>setNoReveal(e.target.checked)} /> No Reveal or hints</label>
+              <label><input type="checkbox" checked={forceTimer} onChange={(e)=>setForceTimer(e.target.checked)} /> Timer always on</label>
+              <label>Time limit <input className="input" type="number" min={0} value={limitMin} onChange={(e)=>setLimitMin(e.target.value)} style={{width:'5em'}} /> minutes (0 for none)</label>
+            </div>
+          </>
+        )}
+        <div className="actions">
+          <button className="btn" onClick={onClose}>Close</button>
+          {!made && <button className="btn" disabled={busy} onClick={create}>Create link</button>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Paste students' result codes, check their signatures and download a CSV gradebook
+function Gradebook({ onClose }){
+  const [codes, setCodes] = useState('');
+  const [links, setLinks] = useState('');
+  const [rows, setRows] = useState([]);
+  // Checking needs crypto.subtle (https or localhost); shown under the codes, as it recurs on every edit
+  const [problem, setProblem] = useState(null);
+  const known = useMemo(()=>{
+    const byId = {};
+    loadAssignments().forEach(a=>{ byId[a.id] = a; });
+    String(links).split(/\s+/).forEach(l=>{ const a = readAssignment(l); if (a) byId[a.id] = a; });
+    return byId;
+  }, [links]);
+  useEffect(()=>{
+    let cancelled = false;
+    const keys = {};
+    Object.keys(known).forEach(id=>{ keys[id] = known[id].key; });
+    readResultCodes(codes, keys)
+      .then(list=>{ if (!cancelled){ setRows(list); setProblem(null); } })
+      .catch(e=>{ if (!cancelled){ setRows([]); setProblem((e && e.message) ? e.message : String(e)); } });
+    return ()=>{ cancelled = true; };
+  }, [codes, known]);
+  function download(){
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadFile('gradebook-' + stamp + '.csv', gradebookCSV(rows, known), 'text/csv');
+  }
+  return (
+    <div className="overlay" onClick={(e)=>{ if (e.target===e.currentTarget) onClose(); }}>
+      <div className="modal" role="dialog" aria-modal="true" aria-label="Gradebook" style={{width:'min(94vw, 720px)'}}>
+        <h3>Gradebook</h3>
+        <textarea className="input" rows={6} value={codes} onChange={(e)=>setCodes(e.target.value)} style={{fontFamily:'monospace', fontSize:12}}
+                  placeholder="Paste result codes (XR1.…), any layout: one per line, an email thread, a spreadsheet column" />
+        <input className="input" type="text" value={links} onChange={(e)=>setLinks(e.target.value)} style={{marginTop:6}}
+               placeholder="Assignment links made on another device, to check their codes" />
+        {rows.length > 0 && (
+          <div className="gradebook">
+            <table>
+              <thead><tr><th>Student</th><th>Assignment</th><th>Time</th><th>Score</th><th>Missed</th><th>Code</th></tr></thead>
+              <tbody>
+                {rows.map((row, i) => {
+                  const r = row.result || {};
+                  const a = known[r.a] || {};
+                  return (
+                    <tr key={i} className={row.check==='valid' ? '' : 'bad'}>
+                      <td>{r.n || '—'}</td>
+                      <td>{a.title || r.a || '—'}</td>
+                      <td>{typeof r.ms==='number' ? formatMs(r.ms) : '—'}{r.c ? '' : ' (unfinished)'}</td>
+                      <td>{r.s!=null ? r.s + ' / ' + r.m : '—'}</td>
+                      <td>{Array.isArray(r.x) ? r.x.length : 0}</td>
+                      <td>{RESULT_CHECKS[row.check]}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {problem && <div className="error" role="alert">{problem}</div>}
+        <div style={{fontSize:12, opacity:.75}}>{rows.length} code{rows.length===1 ? '' : 's'} found.</div>
+        <div className="actions">
+          <button className="btn" onClick={onClose}>Close</button>
+          <button className="btn" disabled={!rows.length} onClick={download}>Download CSV</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Student side: sign this attempt into a result code to send to the instructor
+function HandIn({ assignment, makeResult, onDownload }){
+  const [name, setName] = useState(()=>{ try{ return localStorage.getItem(STUDENT_NAME_KEY) || ''; }catch(_){ return ''; } });
+  const [code, setCode] = useState(null);
+  const [error, setError] = useState(null);
+  function make(){
+    const n = name.trim().slice(0, 80);
+    if (!n){ setError('Enter your name first.'); return; }
+    try{ localStorage.setItem(STUDENT_NAME_KEY, n); }catch(_){}
+    setError(null);
+    signResult(assignment, makeResult(n))
+      .then(setCode)
+      .catch(e=>setError((e && e.message) ? e.message : String(e)));
+  }
+  return (
+    <div className="sharebox" style={{textAlign:'left'}}>
+      <strong>Result code</strong>
+      <div className="sharenote">Send this code to your instructor. It records your time, reveals and missed answers.</div>
+      <div className="row">
+        <input className="input" type="text" value={name} placeholder="Your name" onChange={(e)=>{ setName(e.target.value); setCode(null); }} />
+        <button id="resultCodeBtn" className="btn" onClick={make}>Get code</button>
+      </div>
+      {code && <div className="row"><input id="resultCode" className="input" readOnly value={code} onFocus={(e)=>e.target.select()} /><button className="btn" onClick={(e)=>copyText(code, e.currentTarget.previousSibling)}>Copy</button></div>}
+      {error && <div className="error" style={{fontSize:12}}>{error}</div>}
+      <div className="sharenote">To let your instructor replay how you solved it, send the attempt file too.</div>
+      <div className="row"><button id="handInAttemptBtn" className="btn" onClick={onDownload}>Download attempt</button></div>
+    </div>
+  );
+}
+
+// Month calendar of daily puzzles; any day up to today opens that date's puzzle
+const ARCHIVE_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const ARCHIVE_MARKS = { solved: ['✓', 'solved'], progress: ['…', 'in progress'] };
+function DailyArchive({ onClose, onOpen, today, status, current }){
+  const [month, setMonth] = useState((current || today).slice(0, 7));
+  const first = month + '-01';
+  const earliest = ymdAddDays(today, -ARCHIVE_DAYS);
+  const lead = new Date(dayNumber(first) * DAY_MS).getUTCDay();
+  const days = [];
+  for (let d=first; d.slice(0, 7)===month; d=ymdAddDays(d, 1)) days.push(d);
+  const title = new Intl.DateTimeFormat('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' }).format(new Date(dayNumber(first) * DAY_MS));
+  const prevMonth = ymdAddDays(first, -1).slice(0, 7), nextMonth = ymdAddDays(days[days.length-1], 1).slice(0, 7);
+  return (
+    <div className="overlay" onClick={(e)=>{ if (e.target===e.currentTarget) onClose(); }}>
+      <div className="modal" role="dialog" aria-modal="true" aria-label="Daily archive" style={{width:'min(92vw, 420px)'}}>
+        <h3>Daily archive</h3>
+        <div className="archive-head">
+          <button className="btn" aria-label="Previous month" disabled={first <= earliest} onClick={()=>setMonth(prevMonth)}>‹</button>
+          <strong>{title}</strong>
+          <button className="btn" aria-label="Next month" disabled={nextMonth > today.slice(0, 7)} onClick={()=>setMonth(nextMonth)}>›</button>
+        </div>
+        <div className="archive-grid" role="group" aria-label={title}>
+          {ARCHIVE_WEEKDAYS.map(w => <div key={w} className="archive-dow" aria-hidden="true">{w}</div>)}
+          {Array.from({ length: lead }, (_, i) => <div key={'pad' + i}></div>)}
+          {days.map(d => {
+            const st = status[dailySeed(d)];
+            const mark = st ? ARCHIVE_MARKS[st] : null;
+            return (
+              <button key={d} className={'archive-day' + (st ? ' ' + st : '') + (d===today ? ' today' : '') + (d===current ? ' current' : '')}
+                      disabled={d > today || d < earliest} aria-label={d + (mark ? ', ' + mark[1] : '') + (d===today ? ', today' : '')}
+                      onClick={()=>onOpen(d)}>
+                {Number(d.slice(8))}
+                <span className="archive-mark" aria-hidden="true">{mark ? mark[0] : ''}</span>
+              </button>
+            );
+          })}
+        </div>
+        <div className="sharenote">✓ solved · … in progress. Days change at midnight in the Options time zone.</div>
+        <div className="actions">
+          {month!==today.slice(0, 7) && <button className="btn" onClick={()=>setMonth(today.slice(0, 7))}>This month</button>}
+          <button className="btn" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Print or download as PDF: the open puzzle, a packet of seeds, or a study sheet of missed
+// answers. Packets build one puzzle at a time with buildCrossword; each page carries the seed
+// and Swag that rebuild it.
+const PRINT_PACKET_MAX = 30;
+function PrintDialog({ onClose, bank, seed, level, source, current, study, packet, notes }){
+  const [kind, setKind] = useState(study ? 'study' : (current && !packet) ? 'this' : 'seeds');
+  const [fromText, setFromText] = useState(String(seed>>>0));
+  const [count, setCount] = useState('10');
+  const [swag, setSwag] = useState(level);
+  const [topicText, setTopicText] = useState(((source && source.topics) || []).join(', '));
+  const [layout, setLayout] = useState('standard');
+  const [answerKeys, setAnswerKeys] = useState(true);
+  const [appendix, setAppendix] = useState(false);
+  const hasNotes = !!notes && Object.keys(notes).length > 0;
+  const [progress, setProgress] = useState(null); // { done, total } while a packet builds
+  const [error, setError] = useState(null);
+  const builtRef = useRef(null); // { key, puzzles }: the last packet, so PDF then Print builds once
+  const jobRef = useRef(null);
+  useEffect(()=>()=>{ if (jobRef.current) jobRef.current.cancel(); }, []);
+
+  const diff = (source && DIFFICULTY_TARGETS[source.diff]) ? source.diff : null;
+  function packetSpec(){
+    const t = fromText.trim();
+    const from = /^\d+$/.test(t) ? (parseInt(t,10)>>>0) : hashStringToInt(t || String(seed));
+    const n = Math.max(1, Math.min(PRINT_PACKET_MAX, Math.round(Number(count)) || 1));
+    return { from, n, level: swag, topics: parseTopicList(topicText) };
+  }
+  const spec = packetSpec();
+  function buildPacketPuzzles(spec){
+    const key = JSON.stringify(spec);
+    if (builtRef.current && builtRef.current.key===key) return Promise.resolve(builtRef.current.puzzles);
+    const preset = presetFor(spec.level);
+    const src = { topics: spec.topics, deck: source && source.deck, diff };
+    const rating = diff ? { target: DIFFICULTY_TARGETS[diff], rate: baseDifficulty } : null;
+    const puzzles = [];
+    const next = (i)=>{
+      if (i >= spec.n){ builtRef.current = { key, puzzles }; return Promise.resolve(puzzles); }
+      setProgress({ done: i, total: spec.n });
+      const sd = (spec.from + i)>>>0;
+      const words = pickDailyWords(bank, mulberry32(sd), preset, spec.topics, rating);
+      if (!words.length) return Promise.reject(new Error('No clues match those topics at this size.'));
+      const size = computeGridSize(words, preset);
+      const opts = { density: preset.density };
+      const cacheKey = layoutCacheKey(words, sd, size, opts);
+      const cached = layoutCache.get(cacheKey);
+      let made;
+      if (cached) made = Promise.resolve(cached);
+      else {
+        jobRef.current = buildCrossword({ words, seed: sd, size, opts });
+        made = jobRef.current.promise.then(layout=>{ rememberLayout(cacheKey, layout); return layout; });
+      }
+      return made.then(layout=>{
+        const meta = { seed: sd, level: spec.level, topics: spec.topics, difficulty: diff };
+        puzzles.push(Object.assign(puzzleToJSON(layout, meta), { label: puzzleStamp(meta), link: permalink(sd, spec.level, src) }));
+        return next(i + 1);
+      });
+    };
+    return next(0);
+  }
+  function makeDoc(){
+    const date = 'Printed ' + dayYYYYMMDD();
+    if (kind==='study') return Promise.resolve(buildStudySheet(study.items, { layout, title: study.title, date }));
+    const puzzles = kind==='this' ? Promise.resolve([current]) : buildPacketPuzzles(spec);
+    return puzzles.then(list=>buildPacket(list, { layout, answerKeys, notes: hasNotes && appendix ? notes : null, date }));
+  }
+  function fileBase(){
+    if (kind==='study') return 'neurology-study-sheet-' + dayYYYYMMDD();
+    if (kind==='this') return 'neurology-crossword-' + (current.seed!==undefined ? current.seed : 'puzzle');
+    return 'neurology-crossword-packet-' + spec.from + (spec.n > 1 ? '-' + ((spec.from + spec.n - 1)>>>0) : '');
+  }
+  function run(output){
+    setError(null);
+    makeDoc()
+      .then(doc=>{
+        const title = kind==='study' ? study.title : 'Neurology Crossword';
+        if (output==='pdf') downloadFile(fileBase() + '.pdf', toPDF(doc, { title }), 'application/pdf');
+        else printDocument(toPrintHTML(doc, title));
+      })
+      .catch(e=>setError((e && e.message) ? e.message : String(e)))
+      .finally(()=>{ jobRef.current = null; setProgress(null); });
+  }
+  const busy = progress!==null;
+  return (
+    <div className="overlay" onClick={(e)=>{ if (e.target===e.currentTarget) onClose(); }}>
+      <div className="modal" role="dialog" aria-modal="true" aria-label="Print" style={{width:'min(92vw, 560px)'}}>
+        <h3>{kind==='study' ? 'Print a study sheet' : 'Print'}</h3>
+        {kind==='study' ? (
+          <div className="sharenote">{study.items.length} answer{study.items.length===1 ? '' : 's'} with their clues, to review on paper.</div>
+        ) : (
+          <>
+            <div className="row" style={{alignItems:'center', gap:'12px'}}>
+              <label>Puzzles</label>
+              <div className="seg" role="tablist" aria-label="What to print">
+                {current && <button aria-pressed={kind==='this'} onClick={()=>setKind('this')}>This puzzle</button>}
+                <button aria-pressed={kind==='seeds'} onClick={()=>setKind('seeds')}>Packet of seeds</button>
+              </div>
+            </div>
+            {kind==='this' && <div className="sharenote">{current.label || 'The puzzle that is open now.'}</div>}
+            {kind==='seeds' && (
+              <>
+                <div className="row" style={{alignItems:'center', gap:'12px', flexWrap:'wrap'}}>
+                  <label>First seed</label>
+                  <input className="input" type="text" value={fromText} onChange={(e)=>setFromText(e.target.value)} style={{width:'10em'}} />
+                  <label>Puzzles</label>
+                  <input className="input" type="number" min={1} max={PRINT_PACKET_MAX} value={count} onChange={(e)=>setCount(e.target.value)} style={{width:'5em'}} />
+                </div>
+                <div className="row" style={{alignItems:'center', gap:'12px'}}>
+                  <label>Swag</label>
+                  <input type="range" min={0} max={14} step={1} value={swag} onChange={(e)=>setSwag(Number(e.target.value))} className="slider" />
+                  <span>{swag}</span>
+                </div>
+                <div className="row" style={{alignItems:'center', gap:'12px'}}>
+                  <label>Topics</label>
+                  <input className="input" type="text" value={topicText} placeholder="All topics" onChange={(e)=>setTopicText(e.target.value)} />
+                </div>
+                <div className="sharenote">Seeds {spec.from} to {(spec.from + spec.n - 1)>>>0}{diff ? ', ' + diff + ' clues' : ''}. Each page shows its seed and Swag, so the packet can be rebuilt later.</div>
+              </>
+            )}
+            <label><input type="checkbox" checked={answerKeys} onChange={(e)=>setAnswerKeys(e.target.checked)} /> Answer key{kind==='seeds' ? 's' : ''} on separate pages at the end</label>
+            {hasNotes && <label style={{display:'block'}}><input id="printNotesBox" type="checkbox" checked={appendix} onChange={(e)=>setAppendix(e.target.checked)} /> Teaching notes appendix (explanations and references)</label>}
+          </>
+        )}
+        <div className="row" style={{alignItems:'center', gap:'12px'}}>
+          <label>Layout</label>
+          <div className="seg" role="tablist" aria-label="Page layout">
+            {Object.keys(PRINT_LAYOUTS).map(k => (
+              <button key={k} aria-pressed={layout===k} onClick={()=>setLayout(k)}>{PRINT_LAYOUTS[k]}</button>
+            ))}
+          </div>
+        </div>
+        {layout==='booklet' && <div className="sharenote">Print double-sided, flipping on the short edge, then fold the stack in half.</div>}
+        {busy && <div className="sharenote">Building puzzle {progress.done + 1} of {progress.total}…</div>}
+        {error && <div className="error" style={{fontSize:12}}>{error}</div>}
+        <div className="actions">
+          <button className="btn" onClick={onClose}>Close</button>
+          <button id="printPdfBtn" className="btn" disabled={busy} onClick={()=>run('pdf')}>Download PDF</button>
+          <button id="printNowBtn" className="btn" disabled={busy} onClick={()=>run('print')}>Print…</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function App(){
+  const [startPuzzle] = useState(()=>initialPuzzle());
+  const [embed] = useState(()=>readEmbedOptions(window.location.search));
+  const shows = (control)=> !embed || embed.controls.indexOf(control)!==-1;
+  const [deckId, setDeckId] = useState(startPuzzle.deck || null);
+  const { bank, loading, error, deck, notes: clueNotes } = useClueBank(deckId);
+  const offline = useServiceWorker();
+  const [decks, setDecks] = useState([]);
+  const [showDeckLoader, setShowDeckLoader] = useState(false);
+  const refreshDecks = ()=>{ listDecks().then(setDecks).catch(()=>setDecks([])); };
+  useEffect(refreshDecks, []);
+  const [sizeOpt, setSizeOpt] = useState('medium');
+  const [sizeLevel, setSizeLevel] = useState(startPuzzle.level);
+  const [seed, setSeed] = useState(startPuzzle.seed);
+  const [topics, setTopics] = useState(startPuzzle.topics);
+  const [difficulty, setDifficulty] = useState(startPuzzle.diff || null);
+  const wordSource = useMemo(()=>({ topics, deck: deckId, diff: difficulty }), [topics, deckId, difficulty]);
+  // Shared fixed-layout puzzle (#xw=…); takes precedence over seed/level/deck while set
+  const [fixedCode, setFixedCode] = useState(startPuzzle.fixed || null);
+  const [fixedPuzzle, setFixedPuzzle] = useState(null);
+  const [fixedError, setFixedError] = useState(null);
+  const [shareLinks, setShareLinks] = useState(null);
+  useEffect(()=>{
+    setFixedPuzzle(null); setFixedError(null);
+    if (!fixedCode) return;
+    let cancelled=false;
+    decodeFixedPuzzle(fixedCode)
+      .then(layout=>{ if (!cancelled) setFixedPuzzle(layout); })
+      .catch(e=>{ if (!cancelled) setFixedError((e && e.message) ? e.message : 'Could not open the shared puzzle.'); });
+    return ()=>{ cancelled=true; };
+  }, [fixedCode]);
+  useEffect(()=>{ try{
+    if (embed) return; // the host page owns the address; the frame keeps its own
+    if (fixedCode) history.replaceState(null, '', assignment ? assignmentLink(fixedLink(fixedCode), assignment) : fixedLink(fixedCode));
+    else writeQuery(seed, sizeLevel, true, wordSource);
+  }catch(_){ } }, [seed, sizeLevel, wordSource, fixedCode]);
+  function switchDeck(id){
+    setPracticeWords(null); setFixedCode(null); setRevealMode(false); setActive(null); setDir(DIRS.ACROSS);
+    setTopics([]);
+    setDeckId(id || null);
+  }
+  const topicList = useMemo(()=>collectTopics(bank), [bank]);
+  const [practiceWords, setPracticeWords] = useState(null);
+  // The day boundary follows the zone setting; a seed that is some date's daily is labelled with it
+  const [dayZoneSetting, setDayZoneSetting] = useState(dayZone);
+  const [showArchive, setShowArchive] = useState(false);
+  const todayYMD = dayYYYYMMDD(new Date(), dayZoneSetting);
+  const dailyDate = useMemo(()=> (fixedCode || practiceWords) ? null : dailyDateOf(seed, todayYMD), [seed, todayYMD, fixedCode, practiceWords]);
+  // Fresh RNG per pick so a permalink reproduces the puzzle regardless of earlier option changes.
+  // Stats and history are read here, not watched, so a solve does not reshuffle the puzzle on screen.
+  const words = useMemo(()=>{
+    if (practiceWords && practiceWords.length) return practiceWords;
+    if (!bank.length) return [];
+    if (difficulty==='adaptive'){
+      const saved = loadSaves()[saveSlotKey(seed, sizeLevel, wordSource)];
+      const kept = saved && savedPick(bank, saved.picked);
+      if (kept) return kept;
+    }
+    return pickDailyWords(bank, mulberry32(seed), presetFor(sizeLevel), topics, difficultyPick(difficulty, bank, loadClueStats(), loadHistory()));
+  }, [bank, seed, sizeLevel, practiceWords, wordSource]);
+  const size = useMemo(()=> computeGridSize(words.length?words:[{answer:'PLACEHOLDER', clue:''}], presetFor(sizeLevel)), [words, sizeLevel]);
+
+  const emptySize = Math.max(13, Math.min(35, size||15));
+  const emptyResult = useMemo(()=>({ 
+    grid: makeEmptyGrid(emptySize),
+    placements: [],
+    numbers: Array.from({length: emptySize},()=>Array(emptySize).fill(null)),
+    bounds: {minR:0, maxR:emptySize-1, minC:0, maxC:emptySize-1}
+  }), [emptySize]);
+
+  
+  // Generated layouts come from buildCrossword; the last one stays on screen while the next
+  // builds, and the status card (with Cancel) only appears if the build is slow.
+  const genOpts = useMemo(()=>({ density: presetFor(sizeLevel).density }), [sizeLevel]);
+  const buildKey = useMemo(()=> (fixedCode || !words.length) ? null : layoutCacheKey(words, seed, size, genOpts), [fixedCode, words, seed, size, genOpts]);
+  const [built, setBuilt] = useState(null);
+  const [buildProgress, setBuildProgress] = useState(null);
+  const [buildSlow, setBuildSlow] = useState(false);
+  const [buildError, setBuildError] = useState(null);
+  const lastBuiltRef = useRef(null);
+  useEffect(()=>{
+    setBuildError(null);
+    if (!buildKey) { setBuildProgress(null); return; }
+    const puzzle = { seed, sizeLevel, topics, deckId, difficulty, practiceWords };
+    const cached = layoutCache.get(buildKey);
+    if (cached){
+      setBuilt({ key: buildKey, result: cached }); setBuildProgress(null);
+      lastBuiltRef.current = puzzle;
+      return;
+    }
+    setBuildProgress(0);
+    const job = buildCrossword({ words, seed, size, opts: genOpts }, setBuildProgress);
+    job.promise
+      .then(layout=>{
+        rememberLayout(buildKey, layout);
+        setBuilt({ key: buildKey, result: layout }); setBuildProgress(null);
+        lastBuiltRef.current = puzzle;
+      })
+      .catch(e=>{
+        console.error('puzzle build failed', e);
+        setBuildProgress(null);
+        setBuildError((e && e.message) ? e.message : String(e));
+      });
+    return ()=>job.cancel();
+  }, [buildKey]);
+  useEffect(()=>{
+    if (buildProgress===null){ setBuildSlow(false); return; }
+    const t = setTimeout(()=>setBuildSlow(true), 250);
+    return ()=>clearTimeout(t);
+  }, [buildProgress===null]);
+  function cancelBuild(){
+    const prev = lastBuiltRef.current;
+    if (!prev) return;
+    setRevealMode(false); setActive(null); setDir(DIRS.ACROSS);
+    setPracticeWords(prev.practiceWords); setTopics(prev.topics); setDeckId(prev.deckId); setDifficulty(prev.difficulty);
+    setSizeLevel(prev.sizeLevel); setSeed(prev.seed);
+  }
+
+  const result = useMemo(()=>{
+    if (fixedCode) return fixedPuzzle || emptyResult;
+    if (!words.length || !built) return emptyResult;
+    return built.result;
+  }, [words, built, emptyResult, fixedCode, fixedPuzzle]);
+
+
+  const grid = result.grid, placements = result.placements, numbers = result.numbers, bounds = result.bounds;
+  // False while the last layout stays up for one still building
+  const gridIsCurrent = fixedCode ? !!fixedPuzzle : !!(built && built.key===buildKey);
+
+  const [userGrid, setUserGrid]=useState(grid.map(row=>row.map(x=>x? "" : null)));
+  useEffect(()=>setUserGrid(grid.map(row=>row.map(x=>x? "" : null))),[grid]);
+  const [active,setActive]=useState(null);
+  const [dir,setDir]=useState(DIRS.ACROSS);
+  const [locked,setLocked]=useState(new Set());
+  const [revealMode, setRevealMode] = useState(false);
+  const [showCongrats, setShowCongrats] = useState(false);
+  const [reviewDeck, setReviewDeck] = useState(()=>loadReviewDeck());
+  const solvedResultRef = useRef(null);
+  const [history, setHistory] = useState(()=>loadHistory());
+  const [showStats, setShowStats] = useState(false);
+  const [showEditor, setShowEditor] = useState(false);
+  // Cells a check exposed as wrong: everIncorrect keeps them for the record,
+  // checkedWrong only until the letter is changed
+  const [everIncorrect, setEverIncorrect] = useState(new Set());
+  const [checkedWrong, setCheckedWrong] = useState(new Set());
+  // An embed checks as it was set up: manual checks with the check control, autocheck otherwise
+  const [autocheck, setAutocheck] = useState(()=> embed ? !shows('check') : loadAutocheck());
+  const [display, setDisplay] = useState(()=>loadDisplay());
+  useEffect(()=>{ applyDisplay(display); }, [display]);
+  const [checkNote, setCheckNote] = useState(null);
+  const [timerOn, setTimerOn] = useState(false);
+  const [timerStart, setTimerStart] = useState(null); // ms epoch when (re)started
+  const [elapsedMs, setElapsedMs] = useState(0); 
+  const [finalMs, setFinalMs] = useState(null);
+  const [completed, setCompleted] = useState(false);
+  // Assignment rules come with the link; handedIn is 'time' or 'submit' once an unfinished attempt is over
+  const [assignment] = useState(()=>readAssignment(window.location.hash));
+  // Embed: the host's last load (title and xAPI activity id) and the xAPI actor it named
+  const [hostPuzzle, setHostPuzzle] = useState(null);
+  const hostActorRef = useRef(null);
+  const [handedIn, setHandedIn] = useState(null);
+  // When this assignment attempt first started, by the wall clock; saved with the slot so a reload
+  // cannot wind the attempt's time back to the last autosave
+  const [assignStart, setAssignStart] = useState(null);
+  const [showHandIn, setShowHandIn] = useState(false);
+  const [showAssignEditor, setShowAssignEditor] = useState(false);
+  const [showGradebook, setShowGradebook] = useState(false);
+  const [printJob, setPrintJob] = useState(null); // {} for this puzzle, { packet: true } or { study }
+// accumulated elapsed
+  const [nowTick, setNowTick] = useState(Date.now()); // heartbeat for live counter
+
+
+        const hiddenInputRef = useRef(null);
+  const lastTapRef = useRef({ t:0, r:-1, c:-1 });
+  const [isMobile, setIsMobile] = useState(false);
+  useEffect(()=>{ try{ setIsMobile(/iPhone|iPad|iPod|Android/i.test(navigator.userAgent||'')); }catch(_){ } },[]);
+useEffect(()=>{
+    if (showCongrats) startConfetti();
+    else stopConfetti();
+  }, [showCongrats]);
+
+
+  const [showOptions, setShowOptions] = useState(false);
+  const optionsRef = useDialogFocus(showOptions, ()=>setShowOptions(false));
+  const congratsRef = useDialogFocus(showCongrats, ()=>setShowCongrats(false));
+  const [seedInput, setSeedInput] = useState('');
+  const [revealed, setRevealed] = useState(new Set());
+  const [hints, setHints] = useState({});
+  const [hintSteps, setHintSteps] = useState({});
+  const fixedId = fixedCode ? hashStringToInt(fixedCode).toString(36) : null;
+  const slotKey = fixedId ? 'fixed|' + fixedId : saveSlotKey(seed, sizeLevel, wordSource);
+  // Slot whose state userGrid currently holds; autosave waits until it matches slotKey
+  const [loadedSlot, setLoadedSlot] = useState(null);
+  const [showContinue, setShowContinue] = useState(false);
+  const [saves, setSaves] = useState(()=>loadSaves());
+  // Time spent on each clue (by clueId) while it was selected, for the clue difficulty stats
+  const clueMsRef = useRef({ id: null, since: 0, ms: {} });
+  // Everything done to this grid (solvelog.js), for undo/redo and the replay viewer; saved with
+  // the slot. logCursorRef is the cursor as last logged, so only real moves are recorded.
+  const solveLogRef = useRef(newSolveLog(Date.now()));
+  const logCursorRef = useRef({ at: null, dir: null });
+  const [replay, setReplay] = useState(null); // { log, times, total, label, ms, playing, speed }
+  const pendingReplayRef = useRef(null); // a replay opened from a file, shown once its puzzle is up
+
+  // New grid: start clean, then restore this puzzle's save slot if it has one
+  useEffect(()=>{ setLocked(new Set()); setRevealed(new Set()); setEverIncorrect(new Set()); setCheckedWrong(new Set()); setCheckNote(null);
+    setHints({}); setHintSteps({}); setHandedIn(null);
+    clueMsRef.current = { id: null, since: Date.now(), ms: {} };
+    solveLogRef.current = newSolveLog(Date.now());
+    logCursorRef.current = { at: null, dir: null };
+    setReplay(null);
+    const pending = pendingReplayRef.current;
+    if (pending && placements.length){ pendingReplayRef.current = null; openReplay(pending.log, pending.label); }
+    if (placements.length && gridIsCurrent) hostReady();
+    setCompleted(false); setFinalMs(null); setShowCongrats(false);
+    // Reset timer on new grid
+    setElapsedMs(0); setAssignStart(null);
+    if (timerOn) setTimerStart(Date.now()); else setTimerStart(null);
+    if (!placements.length || practiceWords){ setLoadedSlot(null); return; }
+    try{
+      const saved = loadSaves()[slotKey];
+      const sh = saved && Array.isArray(saved.userGrid) ? saved.userGrid.length : 0;
+      const sw = sh ? (saved.userGrid[0]||[]).length : 0;
+      if (saved && sh===grid.length && sw===(grid[0]||[]).length){
+        setUserGrid(saved.userGrid);
+        setLocked(new Set(saved.locked||[]));
+        setRevealed(new Set(saved.revealed||[]));
+        // Saves from before hints count every revealed cell as a word reveal
+        setHints(saved.hints || addHints({}, saved.revealed||[], 'word'));
+        setHintSteps(saved.hintSteps || {});
+        if (saved.handedIn) setHandedIn(saved.handedIn);
+        setEverIncorrect(new Set(saved.everIncorrect||[]));
+        setCheckedWrong(new Set(saved.checkedWrong||[]));
+        if (saved.clueMs) clueMsRef.current.ms = Object.assign({}, saved.clueMs);
+        if (saved.solveLog) solveLogRef.current = readSolveLog(saved.solveLog) || solveLogRef.current;
+        if (typeof saved.timerOn==='boolean') setTimerOn(saved.timerOn);
+        if (typeof saved.elapsedMs==='number') setElapsedMs(saved.elapsedMs);
+        if (assignment && typeof saved.assignStart==='number'){
+          setAssignStart(saved.assignStart);
+          // The time away from the page counts too
+          if (!saved.completed && !saved.handedIn) setElapsedMs(Math.max(saved.elapsedMs || 0, Date.now() - saved.assignStart));
+        }
+        if (saved.completed){
+          // Finished puzzles reopen frozen: no timer, no second congratulations
+          setCompleted(true);
+          setFinalMs(typeof saved.finalMs==='number' ? saved.finalMs : null);
+          if (typeof saved.finalMs==='number') setElapsedMs(saved.finalMs);
+          setTimerStart(null);
+        } else if (saved.timerOn) setTimerStart(Date.now());
+        else setTimerStart(null);
+      }
+    }catch(_){}
+    setLoadedSlot(slotKey);
+  }, [grid]);
+
+  const wrapRef=useRef(null);
+  const [cellPx,setCellPx]=useState(24);
+  const cols=Math.max(1,bounds.maxC-bounds.minC+1), rows=Math.max(1,bounds.maxR-bounds.minR+1);
+  const [availableHeight,setAvailableHeight]=useState(400);
+  useEffect(()=>{
+    const recalc=()=>{
+      if (!wrapRef.current) return;
+      const w=wrapRef.current.clientWidth||320;
+      const rect=wrapRef.current.getBoundingClientRect();
+      const vh=window.innerHeight||800;
+      const footerBuffer=80;
+      const availH=Math.max(140, Math.floor(vh-rect.top-footerBuffer));
+      setAvailableHeight(availH);
+      // Larger text needs larger cells, even if the grid then scrolls
+      const px=Math.max(Math.round(12*display.fontScale), Math.min(Math.floor(w/cols), Math.floor(availH/rows)));
+      setCellPx(px);
+    };
+    recalc();
+    var ro=null;
+    try{ ro=new ResizeObserver(()=>recalc()); if (wrapRef.current) ro.observe(wrapRef.current); }catch(e){}
+    window.addEventListener('resize', recalc);
+    return ()=>{ try{ if (ro){ ro.disconnect(); } }catch(e){} window.removeEventListener('resize', recalc); };
+  },[cols,rows,display.fontScale]);
+
+  function within(r,c){ return r>=bounds.minR && r<=bounds.maxR && c>=bounds.minC && c<=bounds.maxC; }
+  function isLetterCell(r,c){ return within(r,c) && grid[r][c]!==null; }
+  function cellKey(r,c){ return r+':'+c; }
+  function getWordSpan(r,c,d){
+    if (!isLetterCell(r,c)) return null;
+    let r0=r, c0=c;
+    if (d===DIRS.ACROSS){
+      while (c0-1>=0 && grid[r][c0-1]!==null) c0--;
+    } else {
+      while (r0-1>=0 && grid[r0-1][c]!==null) r0--;
+    }
+    const cells=[];
+    if (d===DIRS.ACROSS){
+      let k=0; while (c0+k<grid.length && grid[r][c0+k]!==null){ cells.push([r,c0+k]); k++; }
+    } else {
+      let k=0; while (r0+k<grid.length && grid[r0+k][c]!==null){ cells.push([r0+k,c]); k++; }
+    }
+    var number=null;
+    if (numbers && numbers[r0] && typeof numbers[r0][c0] !== 'undefined' && numbers[r0][c0] !== null){ number=numbers[r0][c0]; }
+    return {startR:r0,startC:c0,cells,number};
+  }
+  function moveNext(r,c,d,backwards){
+    backwards = !!backwards;
+    const span=getWordSpan(r,c,d);
+    if (!span || !span.cells || !span.cells.length) return null;
+    var idx=-1; for (var i=0;i<span.cells.length;i++){ if (span.cells[i][0]===r && span.cells[i][1]===c){ idx=i; break; } }
+    var nxt=idx+(backwards?-1:1);
+    if (nxt<0) nxt=0;
+    if (nxt>=span.cells.length) nxt=span.cells.length-1;
+    const tuple = span.cells[nxt];
+    if (!tuple || tuple.length<2) return null;
+    return { r: tuple[0], c: tuple[1] };
+  }
+  function pickSmartDir(r,c,preferred,g){
+    const lenAcross=(function(){ let c0=c; while (c0-1>=0 && g[r][c0-1]!==null) c0--; let n=0; while (c0+n<g.length && g[r][c0+n]!==null) n++; return n; })();
+    const lenDown=(function(){ let r0=r; while (r0-1>=0 && g[r0-1][c]!==null) r0--; let n=0; while (r0+n<g.length && g[r0+n][c]!==null) n++; return n; })();
+    const hasAcross=lenAcross>=2, hasDown=lenDown>=2;
+    if (hasAcross&&!hasDown) return DIRS.ACROSS;
+    if (!hasAcross&&hasDown) return DIRS.DOWN;
+    if (hasAcross&&hasDown){
+      if (lenDown>lenAcross) return DIRS.DOWN;
+      if (lenAcross>lenDown) return DIRS.ACROSS;
+      return preferred;
+    }
+    return preferred;
+  }
+
+  useEffect(()=>{
+    const onKey=(e)=>{
+      // Keys belong to the field or dialog that has focus; Tab is left to move focus
+      const t=e.target, el=t && t.nodeType===1 ? t : null;
+      if (el && el!==hiddenInputRef.current && (el.closest('.overlay') || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName) || el.isContentEditable)) return;
+      if (replay){ if (e.key==='Escape') setReplay(null); return; }
+      if (e.key==='Escape' && revealMode) { setRevealMode(false); return; }
+      if (handedIn) return;
+      // Ctrl+Z undoes, Ctrl+Y or Ctrl+Shift+Z redoes; other shortcuts are left to the browser
+      if (e.ctrlKey || e.metaKey || e.altKey){
+        if (!shows('undo')) return;
+        const k=e.key.toLowerCase();
+        if (k==='z' && !e.shiftKey){ e.preventDefault(); undo(); }
+        else if (k==='y' || (k==='z' && e.shiftKey)){ e.preventDefault(); redo(); }
+        return;
+      }
+      if (!active) return;
+      const inGrid=!el || el===document.body || el===hiddenInputRef.current || !!el.closest('.cells');
+      // Space or Enter on the grid switches direction; elsewhere they press the focused control
+      if (e.key===' ' || e.key==='Enter'){
+        if (inGrid){ e.preventDefault(); setDir(d=>d===DIRS.ACROSS?DIRS.DOWN:DIRS.ACROSS); }
+        return;
+      }
+      if (!inGrid && (e.key==='Backspace' || /^[a-z]$/i.test(e.key))) setGridFocusReq(n=>n+1);
+      if (e.key==='Backspace'){
+        e.preventDefault(); const r=active.r, c=active.c; if (!isLetterCell(r,c)) return; if (locked.has(cellKey(r,c))) return;
+        logEdit('delete', [[cellKey(r,c), userGrid[r][c] || '', '']]);
+        setUserGrid(ug=>{ const g=ug.map(row=>row.slice()); g[r][c]=''; return g; });
+        clearChecked(r,c);
+        const prev=moveNext(r,c,dir,true); if (prev) setActive(prev); return;
+      }
+      if (/^[a-z]$/i.test(e.key)){
+        e.preventDefault(); const ch=e.key.toUpperCase(); const r=active.r, c=active.c; if (!isLetterCell(r,c)) return; if (locked.has(cellKey(r,c))) return;
+        var newlyCompleted=0;
+        logEdit('letter', [[cellKey(r,c), userGrid[r][c] || '', ch]]);
+        clearChecked(r,c);
+        setUserGrid(ug=>{
+          const g=ug.map(row=>row.slice());
+          g[r][c]=ch;
+          if (!autocheck) return g;
+          const spans=[getWordSpan(r,c,DIRS.ACROSS), getWordSpan(r,c,DIRS.DOWN)].filter(Boolean);
+          const newLocked=new Set(locked);
+          for (var si=0; si<spans.length; si++){
+            var span=spans[si]; if (!span || span.cells.length<2) continue;
+            var ok=true;
+            for (var ii=0; ii<span.cells.length; ii++){
+              var tup = span.cells[ii]; if (!tup || tup.length<2) continue;
+              var rr=tup[0], cc=tup[1];
+              if (!grid[rr][cc] || g[rr][cc]!==grid[rr][cc]){ ok=false; break; }
+            }
+            var already=true;
+            for (var jj=0; jj<span.cells.length; jj++){
+              var tup2 = span.cells[jj]; if (!tup2 || tup2.length<2) continue;
+              var rr2=tup2[0], cc2=tup2[1];
+              if (!locked.has(cellKey(rr2,cc2))) { already=false; break; }
+            }
+            if (ok && !already){
+              newlyCompleted++;
+              for (var kk=0; kk<span.cells.length; kk++){
+                var tup3=span.cells[kk]; if (!tup3 || tup3.length<2) continue;
+                var rr3=tup3[0], cc3=tup3[1];
+                newLocked.add(cellKey(rr3,cc3));
+              }
+            }
+          }
+          if (newLocked.size!==locked.size) setLocked(newLocked);
+          return g;
+        });
+        if (newlyCompleted>0) fireConfetti(8);
+        const nxt=moveNext(r,c,dir,false); if (nxt) setActive(nxt);
+        return;
+      }
+      const delta={ArrowUp:[-1,0],ArrowDown:[1,0],ArrowLeft:[0,-1],ArrowRight:[0,1]};
+      if (delta[e.key]){
+        e.preventDefault();
+        const dxy=delta[e.key];
+        const nr=active.r+dxy[0], nc=active.c+dxy[1];
+        if (within(nr,nc) && isLetterCell(nr,nc)) setActive({r:nr,c:nc});
+      }
+    };
+    window.addEventListener('keydown', onKey);
+    return ()=>window.removeEventListener('keydown', onKey);
+  }, [active, dir, grid, userGrid, locked, revealMode, autocheck, handedIn, replay]);
+
+
+  // Autosave current puzzle state into its slot
+  useEffect(()=>{
+    if (practiceWords) return; // review puzzles are not tied to their seed
+    if (loadedSlot!==slotKey || !placements.length) return;
+    try{
+      const all = loadSaves();
+      const prev = all[slotKey];
+      const filled = gridFillPercent(userGrid);
+      if (!prev && !filled && !assignStart) return; // nothing worth keeping yet
+      all[slotKey] = {
+        seed: seed>>>0,
+        sizeLevel,
+        topics,
+        deck: deckId,
+        diff: difficulty,
+        picked: difficulty==='adaptive' && !fixedCode ? words.map(reviewKey) : undefined,
+        fixedCode,
+        userGrid,
+        locked: Array.from(locked || []),
+        revealed: Array.from(revealed || []),
+        everIncorrect: Array.from(everIncorrect || []),
+        checkedWrong: Array.from(checkedWrong || []),
+        hints,
+        hintSteps,
+        clueMs: clueMsRef.current.ms,
+        solveLog: solveLogRef.current,
+        handedIn,
+        assignStart: assignStart || undefined,
+        timerOn,
+        elapsedMs: (timerOn ? (elapsedMs + (timerStart ? (Date.now()-timerStart) : 0)) : elapsedMs),
+        completed,
+        finalMs,
+        filled,
+        dailyDate: dailyDate || (prev && prev.dailyDate) || null,
+        ts: Date.now()
+      };
+      setSaves(writeSaves(all));
+    }catch(_){}
+  }, [loadedSlot, userGrid, locked, revealed, everIncorrect, checkedWrong, hints, hintSteps, handedIn, completed, assignStart]);
+
+  // Co-op: letters sync last-writer-wins per cell; locked and revealed cells only ever grow,
+  // so they merge as unions. Cursors are announced on every move and on a heartbeat.
+  // An assignment is the student's own work, so it neither joins from an invite nor starts a session
+  const [coop, setCoop] = useState(()=>{ const invite = !assignment && readCoopHash(); return invite ? Object.assign(loadCoopPrefs(), invite) : null; });
+  const [coopStatus, setCoopStatus] = useState(null);
+  const [coopPeers, setCoopPeers] = useState({});
+  const [showCoop, setShowCoop] = useState(false);
+  const [coopForm, setCoopForm] = useState(()=>loadCoopPrefs());
+  const coopRef = useRef(null);
+  const coopPeerId = useRef(newPeerId()).current;
+  const liveRef = useRef(null);
+  liveRef.current = { userGrid, locked, revealed, active, dir };
+  useEffect(()=>{ if (readCoopHash()) stripCoopHash(); }, []);
+  // Review and Adaptive picks depend on this browser's data, so only their fixed link reproduces them
+  const seedShareable = !practiceWords && difficulty!=='adaptive';
+  const puzzleLink = fixedCode ? fixedLink(fixedCode) : (seedShareable ? permalink(seed, sizeLevel, wordSource) : null);
+  const coopRoom = (coop && puzzleLink && loadedSlot===slotKey && placements.length) ? coopRoomKey(puzzleLink) : null;
+  useEffect(()=>{
+    if (!coop || !coopRoom) return;
+    const me = coopPeerId, color = coopColor(me);
+    const live = liveRef.current;
+    const session = { clock: coopClock(), clocks: {}, grid: live.userGrid, locked: new Set(live.locked), revealed: new Set(live.revealed) };
+    // Letters already on this board go out with the lowest stamp, so anything typed in the room wins
+    live.userGrid.forEach((row, r)=>row.forEach((v, c)=>{ if (v) session.clocks[cellKey(r,c)] = { ts:1, peer:me }; }));
+    const cursor = ()=>{ const l = liveRef.current; return { name: coop.name, color, r: l.active ? l.active.r : null, c: l.active ? l.active.c : null, dir: l.dir }; };
+    const snapshot = (t)=>Object.assign({ t, from: me, cells: gridCellWrites(session.grid, session.clocks), locked: Array.from(session.locked), revealed: Array.from(session.revealed) }, cursor());
+    const transport = openCoopTransport(coop.kind, coopRoom, coop.relayUrl);
+    session.send = (msg)=>transport.send(Object.assign({ from: me }, msg));
+    transport.onstatus = (st)=>{ setCoopStatus(st); if (st==='open') transport.send(snapshot('hello')); };
+    transport.onmessage = (msg)=>{
+      if (!msg.from || msg.from===me) return;
+      const from = String(msg.from);
+      if (msg.t==='bye'){ setCoopPeers(prev=>{ const next = Object.assign({}, prev); delete next[from]; return next; }); return; }
+      if (msg.t==='hello') transport.send(snapshot('state'));
+      if (msg.name!==undefined){
+        setCoopPeers(prev=>Object.assign({}, prev, { [from]: { name: String(msg.name).slice(0, 40), color: coopColor(from), r: msg.r, c: msg.c, dir: msg.dir, seen: Date.now() } }));
+      }
+      if (Array.isArray(msg.cells)){
+        msg.cells.forEach(w=>session.clock.seen(+w[2] || 0));
+        const won = mergeCellWrites(session.clocks, msg.cells, session.locked);
+        if (won.length) setUserGrid(prev=>{
+          const g = prev.map(row=>row.slice());
+          for (const w of won){
+            const parts = w.key.split(':'), r = +parts[0], c = +parts[1];
+            if (g[r] && typeof g[r][c]==='string') g[r][c] = w.value.slice(0, 1).toUpperCase();
+          }
+          session.grid = g;
+          return g;
+        });
+      }
+      const union = (set, keys)=>{ const add = (keys||[]).filter(k=>typeof k==='string' && !set.has(k)); add.forEach(k=>set.add(k)); return add; };
+      const newLocked = union(session.locked, msg.locked), newRevealed = union(session.revealed, msg.revealed);
+      if (newLocked.length) setLocked(prev=>{ const nn = new Set(prev); newLocked.forEach(k=>nn.add(k)); return nn; });
+      if (newRevealed.length) setRevealed(prev=>{ const nn = new Set(prev); newRevealed.forEach(k=>nn.add(k)); return nn; });
+    };
+    coopRef.current = session;
+    const heartbeat = setInterval(()=>{
+      session.send(Object.assign({ t:'cursor' }, cursor()));
+      const cutoff = Date.now() - COOP_PEER_TIMEOUT_MS;
+      setCoopPeers(prev=>{
+        const stale = Object.keys(prev).filter(id=>prev[id].seen < cutoff);
+        if (!stale.length) return prev;
+        const next = Object.assign({}, prev); stale.forEach(id=>{ delete next[id]; }); return next;
+      });
+    }, COOP_HEARTBEAT_MS);
+    const bye = ()=>session.send({ t:'bye' });
+    window.addEventListener('pagehide', bye);
+    return ()=>{
+      bye();
+      window.removeEventListener('pagehide', bye);
+      clearInterval(heartbeat);
+      transport.close();
+      coopRef.current = null;
+      setCoopPeers({}); setCoopStatus(null);
+    };
+  }, [coop, coopRoom]);
+  // Local edits: whatever changed since the last synced grid was typed (or revealed) here
+  useEffect(()=>{
+    const session = coopRef.current;
+    if (!session || session.grid===userGrid) return;
+    const writes = [];
+    userGrid.forEach((row, r)=>row.forEach((v, c)=>{
+      if (v===null) return;
+      const before = (session.grid[r] && session.grid[r][c]) || '';
+      if (before===(v||'')) return;
+      const k = cellKey(r,c), ts = session.clock.tick();
+      session.clocks[k] = { ts, peer: coopPeerId };
+      writes.push([k, v||'', ts, coopPeerId]);
+    }));
+    session.grid = userGrid;
+    if (writes.length) session.send({ t:'cells', cells: writes });
+  }, [userGrid]);
+  useEffect(()=>{
+    const session = coopRef.current;
+    if (!session) return;
+    const fresh = (set, from)=>Array.from(from).filter(k=>!set.has(k));
+    const addLocked = fresh(session.locked, locked), addRevealed = fresh(session.revealed, revealed);
+    addLocked.forEach(k=>session.locked.add(k)); addRevealed.forEach(k=>session.revealed.add(k));
+    if (addLocked.length || addRevealed.length) session.send({ t:'marks', locked: addLocked, revealed: addRevealed });
+  }, [locked, revealed]);
+  useEffect(()=>{
+    const session = coopRef.current;
+    if (!session) return;
+    session.send({ t:'cursor', name: coop.name, color: coopColor(coopPeerId), r: active ? active.r : null, c: active ? active.c : null, dir });
+  }, [active, dir, coopStatus]);
+  const coopCursors = useMemo(()=>{
+    const at = {};
+    Object.keys(coopPeers).forEach(id=>{ const p = coopPeers[id]; if (p.r!==null && p.r!==undefined) at[cellKey(p.r, p.c)] = p; });
+    return at;
+  }, [coopPeers]);
+  function startCoop(){
+    const form = Object.assign({}, coopForm, { name: (coopForm.name||'').trim().slice(0, 40) || 'Player' });
+    if (form.kind==='relay' && !/^wss?:\/\//i.test(form.relayUrl||'')){ alert('The relay address should start with ws:// or wss://'); return; }
+    saveCoopPrefs(form);
+    setCoopForm(form);
+    setCoop(form);
+  }
+
+  function openShare(){
+    if (!placements.length) return;
+    const seedLink = (fixedCode || !seedShareable) ? null : permalink(seed, sizeLevel, wordSource);
+    setShareLinks({ seed: seedLink, fixed: null });
+    encodeFixedPuzzle(placements, bounds)
+      .then(code=>setShareLinks({ seed: seedLink, fixed: fixedLink(code) }))
+      .catch(e=>setShareLinks({ seed: seedLink, fixed: null, error: (e && e.message) ? e.message : String(e) }));
+  }
+  const puzzleLabel = fixedCode ? ((fixedPuzzle && fixedPuzzle.title) || 'Shared puzzle')
+    : practiceWords ? 'Review puzzle'
+    : dailyDate ? 'Daily ' + dailyDate
+    : 'Seed ' + (seed>>>0) + ' · Swag ' + sizeLevel;
+  function exportPuzzle(kind){
+    if (!placements.length) return;
+    const meta = { title: 'Neurology Crossword: ' + puzzleLabel, author: 'Neurology Crossword Puzzler', copyright: '', notes: fixedCode ? '' : ('seed=' + (seed>>>0) + ' level=' + sizeLevel) };
+    const base = 'neurology-crossword-' + (fixedId || (seed>>>0));
+    try{
+      if (kind==='puz') downloadFile(base + '.puz', toPuz(result, meta), 'application/x-crossword');
+      else if (kind==='ipuz') downloadFile(base + '.ipuz', toIpuz(result, meta), 'application/json');
+      // The attempt: this solver's letters and solve log, for someone else to open and replay
+      else if (kind==='attempt') downloadFile(base + '-attempt.ipuz', toIpuz(result, Object.assign({ userGrid, solveLog: solveLogRef.current }, meta)), 'application/json');
+      // The attempt as an xAPI statement, to post to a Learning Record Store
+      else if (kind==='xapi') downloadFile(base + '-xapi.json', JSON.stringify(attemptStatement(), null, 2), 'application/json');
+      else downloadFile(base + '.jpz', toJpz(result, meta), 'application/xml');
+    }catch(e){ alert('Export failed: ' + ((e && e.message) ? e.message : e)); }
+  }
+  // The open puzzle for PrintDialog; a seed stamp only where the seed rebuilds it
+  function printablePuzzle(){
+    if (!placements.length) return null;
+    if (fixedCode || !seedShareable) return Object.assign(puzzleToJSON(result, {}), { title: fixedPuzzle && fixedPuzzle.title, label: puzzleLabel });
+    const meta = { seed: seed>>>0, level: sizeLevel, topics, difficulty: DIFFICULTY_TARGETS[difficulty] ? difficulty : null };
+    return Object.assign(puzzleToJSON(result, meta), { label: puzzleStamp(Object.assign({ date: dailyDate }, meta)), link: puzzleLink });
+  }
+  function importIpuzFile(file){
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = ()=>{
+      try{
+        const doc = fromIpuz(String(reader.result||''));
+        const layout = layoutFromPlacements(doc.placements);
+        encodeFixedPuzzle(layout.placements, layout.bounds, doc.title || file.name.replace(/\.[^.]+$/, ''))
+          .then(code=>{
+            setShowOptions(false);
+            // An attempt file opens on its replay; the puzzle's own save slot is left as it was
+            if (doc.solveLog){
+              const pending = { log: doc.solveLog, label: 'Replay of ' + file.name };
+              if (code===fixedCode) openReplay(pending.log, pending.label); else pendingReplayRef.current = pending;
+            }
+            setPracticeWords(null); setRevealMode(false); setActive(null); setDir(DIRS.ACROSS);
+            setFixedCode(code);
+          })
+          .catch(e=>alert('Could not open ' + file.name + ': ' + ((e && e.message) ? e.message : e)));
+      }catch(e){ alert('Could not open ' + file.name + ': ' + ((e && e.message) ? e.message : e)); }
+    };
+    reader.onerror = ()=>alert('Could not read ' + file.name);
+    reader.readAsText(file);
+  }
+
+  function openSlot(slot){
+    setShowContinue(false);
+    setPracticeWords(null); setRevealMode(false); setActive(null); setDir(DIRS.ACROSS);
+    setFixedCode(slot.fixedCode||null);
+    setTopics(slot.topics||[]);
+    setDeckId(slot.deck||null);
+    setDifficulty(slot.diff||null);
+    setSizeLevel(slot.sizeLevel);
+    setSeed(slot.seed>>>0);
+  }
+  // A date from the archive: back to where it was left if it has a save, else a fresh start at
+  // the current size and topics
+  function openArchiveDay(ymd){
+    setShowArchive(false);
+    const sd = dailySeed(ymd);
+    const slot = Object.keys(saves).map(k=>saves[k]).filter(s=>!s.fixedCode && (s.seed>>>0)===sd)
+      .sort((x,y)=>(!!x.completed - !!y.completed) || (y.ts||0)-(x.ts||0))[0];
+    if (slot){ openSlot(slot); return; }
+    setPracticeWords(null); setFixedCode(null); setRevealMode(false); setActive(null); setDir(DIRS.ACROSS);
+    setSeed(sd);
+  }
+  function chooseDayZone(zone){
+    setDayZone(zone);
+    setDayZoneSetting(zone);
+  }
+  function deleteSlot(key){
+    const all = loadSaves();
+    delete all[key];
+    setSaves(writeSaves(all));
+  }
+const errorSet=useMemo(()=>{
+    const errs=new Set();
+    for (let r=bounds.minR;r<=bounds.maxR;r++){
+      for (let c=bounds.minC;c<=bounds.maxC;c++){
+        if (grid[r] && typeof grid[r][c] !== 'undefined' && grid[r][c] && userGrid[r] && typeof userGrid[r][c] !== 'undefined' && userGrid[r][c] && userGrid[r][c]!==grid[r][c]) errs.add(cellKey(r,c));
+      }
+    }
+    return errs;
+  },[userGrid,grid,bounds]);
+  const selectedPlacement = useMemo(()=>{
+    if (!active) return null;
+    const hit = placements.find(p=>p.dir===dir && cellInPlacement(p, active.r, active.c));
+    return hit||null;
+  }, [placements, active, dir]);
+  // Idle stretches on one clue count for a minute at most
+  useEffect(()=>{
+    const t = clueMsRef.current, now = Date.now();
+    if (t.id) t.ms[t.id] = (t.ms[t.id]||0) + Math.min(60000, now - t.since);
+    t.id = (selectedPlacement && !completed) ? clueId(selectedPlacement) : null;
+    t.since = now;
+  }, [selectedPlacement, completed]);
+  // Screen readers hear the clue and its letters so far whenever the selection moves to another word
+  const [clueNews, setClueNews] = useState('');
+  useEffect(()=>{ setClueNews(selectedPlacement ? clueAnnouncement(selectedPlacement, userGrid) : ''); }, [selectedPlacement]);
+  // Roving focus: the active cell takes focus while the grid has it, or when a clue or a keypress
+  // elsewhere has just asked for it (gridFocusReq), and a cell focused by Tab becomes the active one.
+  // Phones keep focus on the hidden input instead.
+  const [gridFocusReq, setGridFocusReq] = useState(0);
+  const seenFocusReq = useRef(0);
+  useEffect(()=>{
+    const wantFocus = gridFocusReq!==seenFocusReq.current;
+    seenFocusReq.current = gridFocusReq;
+    if (isMobile || !active || !wrapRef.current) return;
+    const el = wrapRef.current.querySelector('[data-cell="' + cellKey(active.r, active.c) + '"]');
+    const ae = document.activeElement;
+    if (!el || el===ae) return;
+    if (wantFocus || (ae && ae.closest && ae.closest('.cells'))) el.focus({ preventScroll: true });
+  }, [active, isMobile, gridFocusReq]);
+  const across=useMemo(()=>placements.filter(p=>p.dir===DIRS.ACROSS).slice().sort((a,b)=>a.number-b.number),[placements]);
+  const down=useMemo(()=>placements.filter(p=>p.dir===DIRS.DOWN).slice().sort((a,b)=>a.number-b.number),[placements]);
+  const breakCells=useMemo(()=>wordBreakCells(placements),[placements]);
+
+  // Autocheck shows every wrong letter, so each one counts as exposed
+  useEffect(()=>{
+    if (!autocheck || !errorSet.size) return;
+    setEverIncorrect(prev=>{
+      let changed=false; const nn=new Set(prev);
+      errorSet.forEach(k=>{ if (!nn.has(k)){ nn.add(k); changed=true; } });
+      return changed ? nn : prev;
+    });
+  }, [autocheck, errorSet]);
+  function clearChecked(r,c){
+    const k=cellKey(r,c);
+    setCheckedWrong(prev=>{ if (!prev.has(k)) return prev; const nn=new Set(prev); nn.delete(k); return nn; });
+    setCheckNote(null);
+  }
+
+  // ---------- Solve log: undo/redo and replay ----------
+  // Edits go in the log as [key, before, after] for each cell they change
+  function logEdit(k, cells){
+    cells = cells.filter(w=>w[1]!==w[2]);
+    if (cells.length) logSolveEvent(solveLogRef.current, { k, cells }, Date.now());
+  }
+  useEffect(()=>{
+    if (!active || replay) return;
+    const seen = logCursorRef.current, at = cellKey(active.r, active.c), now = Date.now();
+    if (seen.at!==at) logSolveEvent(solveLogRef.current, { k:'move', at }, now);
+    if (seen.dir!==dir) logSolveEvent(solveLogRef.current, { k:'dir', dir }, now);
+    logCursorRef.current = { at, dir };
+  }, [active, dir]);
+  // Lock the words through these cells that g now has right; returns how many were new
+  function lockSolvedWords(g, keys){
+    const add = [];
+    let words = 0;
+    keys.forEach(k=>{
+      const parts = k.split(':');
+      [DIRS.ACROSS, DIRS.DOWN].forEach(d=>{
+        const span = getWordSpan(+parts[0], +parts[1], d);
+        if (!span || span.cells.length<2 || !span.cells.every(rc=>g[rc[0]][rc[1]]===grid[rc[0]][rc[1]])) return;
+        const fresh = span.cells.map(rc=>cellKey(rc[0], rc[1])).filter(x=>!locked.has(x) && add.indexOf(x)===-1);
+        if (fresh.length){ words++; fresh.forEach(x=>add.push(x)); }
+      });
+    });
+    if (add.length) setLocked(prev=>{ const nn=new Set(prev); add.forEach(x=>nn.add(x)); return nn; });
+    return words;
+  }
+  // Undo and redo write an earlier edit's cells back (solvelog.js leaves out locked cells and ones a
+  // co-op partner has changed since), are logged like any edit, and put the cursor on the first cell
+  // they change
+  function applySolveStep(step){
+    if (!step || handedIn || replay) return;
+    logSolveEvent(solveLogRef.current, step, Date.now());
+    const g = userGrid.map(row=>row.slice());
+    step.cells.forEach(w=>{ const parts = w[0].split(':'); g[+parts[0]][+parts[1]] = w[2]; clearChecked(+parts[0], +parts[1]); });
+    setUserGrid(g);
+    if (autocheck && lockSolvedWords(g, step.cells.map(w=>w[0]))) fireConfetti(8);
+    const first = step.cells[0][0].split(':');
+    setActive({ r: +first[0], c: +first[1] });
+  }
+  const cellNow = (key)=>{ const parts = key.split(':'); return (userGrid[+parts[0]] && userGrid[+parts[0]][+parts[1]]) || ''; };
+  function undo(){ applySolveStep(undoStep(solveLogRef.current, locked, cellNow)); }
+  function redo(){ applySolveStep(redoStep(solveLogRef.current, locked, cellNow)); }
+  const canUndo = !handedIn && !!undoStep(solveLogRef.current, locked, cellNow);
+  const canRedo = !handedIn && !!redoStep(solveLogRef.current, locked, cellNow);
+  const hasSolveLog = solveLogRef.current.events.some(e=>SOLVE_LOG_EDITS.indexOf(e.k)!==-1);
+
+  // The replay viewer plays a log on the grid in place of the solver's letters. Playback time is
+  // the log's, with long pauses cut short (replayTimes).
+  function openReplay(log, label){
+    const times = replayTimes(log.events);
+    setRevealMode(false);
+    setReplay({ log, times, total: times.length ? times[times.length-1] : 0, label, ms: 0, playing: true, speed: 1 });
+  }
+  function toggleReplay(){
+    setReplay(rp=>Object.assign({}, rp, rp.playing ? { playing: false } : { playing: true, ms: rp.ms>=rp.total ? 0 : rp.ms }));
+  }
+  useEffect(()=>{
+    if (!replay || !replay.playing) return;
+    let last = Date.now();
+    const id = setInterval(()=>{
+      const now = Date.now(), step = now - last;
+      last = now;
+      setReplay(rp=>{
+        if (!rp) return rp;
+        const ms = Math.min(rp.total, rp.ms + step*rp.speed);
+        return Object.assign({}, rp, { ms, playing: ms<rp.total });
+      });
+    }, REPLAY_TICK_MS);
+    return ()=>clearInterval(id);
+  }, [replay && replay.playing]);
+  const replayView = useMemo(()=> replay ? replayAt(replay.log, replay.ms, replay.times) : null, [replay && replay.log, replay && replay.ms]);
+  const replayCursor = replayView && replayView.active ? { r: +replayView.active.split(':')[0], c: +replayView.active.split(':')[1] } : null;
+  const replayWord = replayCursor ? (placements.find(p=>p.dir===(replayView.dir || DIRS.ACROSS) && cellInPlacement(p, replayCursor.r, replayCursor.c)) || null) : null;
+
+  // Flag wrong letters, lock correct ones; empty cells are left alone
+  function runCheck(keys, what){
+    if (handedIn) return; // a handed-in attempt is what the result code signs
+    const wrong=[], right=[];
+    let empty=0;
+    for (const k of keys){
+      const parts=k.split(':'), r=+parts[0], c=+parts[1];
+      const v=userGrid[r] ? userGrid[r][c] : '';
+      if (!v) empty++;
+      else if (v===grid[r][c]) right.push(k);
+      else wrong.push(k);
+    }
+    if (wrong.length){
+      setCheckedWrong(prev=>{ const nn=new Set(prev); wrong.forEach(k=>nn.add(k)); return nn; });
+      setEverIncorrect(prev=>{ const nn=new Set(prev); wrong.forEach(k=>nn.add(k)); return nn; });
+    }
+    if (right.length) setLocked(prev=>{ const nn=new Set(prev); right.forEach(k=>nn.add(k)); return nn; });
+    if (wrong.length) setCheckNote(wrong.length + ' wrong letter' + (wrong.length===1 ? '' : 's') + ' in this ' + what + '.');
+    else if (!right.length) setCheckNote('Nothing to check yet.');
+    else setCheckNote(empty ? 'No mistakes so far.' : (what==='letter' ? 'Correct.' : 'All correct.'));
+  }
+  function checkLetter(){
+    if (!active || !isLetterCell(active.r, active.c)) return;
+    runCheck([cellKey(active.r, active.c)], 'letter');
+  }
+  function checkWord(){
+    if (!selectedPlacement) return;
+    const keys=[];
+    for (let i=0;i<selectedPlacement.answer.length;i++){
+      keys.push(selectedPlacement.dir===DIRS.ACROSS ? cellKey(selectedPlacement.row, selectedPlacement.col+i) : cellKey(selectedPlacement.row+i, selectedPlacement.col));
+    }
+    runCheck(keys, 'word');
+  }
+  function checkPuzzle(){
+    const keys=[];
+    for (let r=bounds.minR;r<=bounds.maxR;r++) for (let c=bounds.minC;c<=bounds.maxC;c++) if (isLetterCell(r,c)) keys.push(cellKey(r,c));
+    runCheck(keys, 'puzzle');
+  }
+  function chooseDifficulty(d){
+    saveDifficulty(d);
+    setFixedCode(null);
+    setDifficulty(d);
+  }
+  function difficultyNote(){
+    if (difficulty!=='adaptive') return difficulty ? 'Clues rated near ' + DIFFICULTY_TARGETS[difficulty] + ' of 5.' : 'Clues of every difficulty.';
+    const stats = loadClueStats();
+    const weak = weakTopics(bank, x=>stats[reviewKey(x)], 3);
+    return 'Your level: ' + adaptiveTarget(historyResults(history)).toFixed(1) + ' of 5' + (weak.length ? ', with extra ' + weak.join(', ') : '') + '.';
+  }
+  function toggleAutocheck(on){
+    setAutocheck(on); saveAutocheck(on); setCheckNote(null);
+  }
+  // Clue list items, by click or keyboard: select the word and send focus to the grid
+  function chooseClue(p){
+    if (revealMode){ revealWord(p); setRevealMode(false); return; }
+    setDir(p.dir); setActive({r:p.row, c:p.col}); setGridFocusReq(n=>n+1);
+  }
+  function changeDisplay(patch){
+    const next = Object.assign({}, display, patch);
+    setDisplay(next); saveDisplay(next);
+  }
+
+  
+  
+  // Words that were missed: any hint, a revealed letter, or a wrong letter exposed by a check
+  // (autocheck included). `help` is the strongest hint the word got, null for mistakes only.
+  function getMissedPlacements(){
+    const missCells = new Set();
+    revealed.forEach(k => missCells.add(k));
+    everIncorrect.forEach(k => missCells.add(k));
+    const out = [];
+    const seen = new Set();
+    for (const p of placements){
+      const help = wordHelp(p, hints, hintSteps);
+      let hit = !!help;
+      for (let i=0; i<p.answer.length && !hit; i++){
+        const r = p.dir===DIRS.ACROSS ? p.row + 0 : p.row + i;
+        const c = p.dir===DIRS.ACROSS ? p.col + i : p.col + 0;
+        if (missCells.has(r + ':' + c)) { hit = true; break; }
+      }
+      if (hit){
+        const key = p.answer + '|' + p.clue;
+        if (!seen.has(key)){ seen.add(key); out.push(Object.assign({ answer: p.answer, clue: p.clue, help }, p.display ? { display: p.display } : null)); }
+      }
+    }
+    return out;
+  }
+  const missedCount = React.useMemo(()=> getMissedPlacements().length, [revealed, everIncorrect, hints, hintSteps, placements]);
+  const score = useMemo(()=> scoreSolve(placements, hints, hintSteps), [placements, hints, hintSteps]);
+  const dueCount = useMemo(()=> dueReviewItems(reviewDeck, Date.now()).length, [reviewDeck, showCongrats]);
+
+  function startReview(){
+    const due = dueReviewItems(reviewDeck, Date.now());
+    if (!due.length){ alert('Nothing is due for review. Missed answers come back here on a schedule.'); return; }
+    const reviewSeed = newRandomSeed();
+    setRevealMode(false); setActive(null); setDir(DIRS.ACROSS); setFixedCode(null);
+    setPracticeWords(buildReviewWords(due, bank, mulberry32(reviewSeed), presetFor(sizeLevel)));
+    setSeed(reviewSeed);
+  }
+
+  // Record each solved puzzle once: review deck and solve history
+  useEffect(()=>{
+    if (!showCongrats || solvedResultRef.current===result) return;
+    solvedResultRef.current = result;
+    const now = Date.now();
+    const missed = getMissedPlacements();
+    const next = scheduleReview(loadReviewDeck(), placements, missed, now);
+    saveReviewDeck(next);
+    setReviewDeck(next);
+    // Rate the puzzle as it stood, then add this solve to each clue's stats
+    const stats = loadClueStats();
+    const byKey = new Map(bank.map(x=>[reviewKey(x), x]));
+    const rating = placements.length ? placements.reduce((n, p)=>n + clueDifficulty(byKey.get(reviewKey(p)) || p, stats[reviewKey(p)]), 0) / placements.length : null;
+    for (const p of placements){
+      const keys = placementCellKeys(p);
+      stats[reviewKey(p)] = recordClueSolve(stats[reviewKey(p)], {
+        helped: !!wordHelp(p, hints, hintSteps),
+        wrong: keys.filter(k=>everIncorrect.has(k)).length,
+        letters: keys.length,
+        ms: clueMsRef.current.ms[clueId(p)] || 0
+      });
+    }
+    saveClueStats(stats);
+    const ms = finalMs!==null ? finalMs : elapsedMs + (timerStart ? (now - timerStart) : 0);
+    setHistory(appendHistory(loadHistory(), {
+      seed: seed>>>0,
+      level: sizeLevel,
+      topics,
+      deck: deckId,
+      diff: difficulty,
+      fixed: fixedId,
+      review: !!practiceWords,
+      daily: !practiceWords && !fixedCode && (seed>>>0)===defaultDailySeed(),
+      date: dayYYYYMMDD(),
+      ts: now,
+      ms: ms>0 ? ms : null,
+      reveals: revealed.size,
+      errors: everIncorrect.size,
+      score: score.score,
+      maxScore: score.max,
+      words: placements.length,
+      rating: rating!==null ? Math.round(rating*100)/100 : null,
+      missed
+    }));
+    emitHost('completed', { ms: ms>0 ? Math.round(ms) : null, score: score.score, maxScore: score.max, missed: missed.map(writtenAnswer), statement: attemptStatement() });
+  }, [showCongrats]);
+
+  
+  useEffect(()=>{
+    if (isMobile && hiddenInputRef && hiddenInputRef.current){
+      try{ hiddenInputRef.current.focus({preventScroll:true}); }catch(_){}
+    }
+  }, [isMobile, active, dir, grid]);
+
+  
+
+  
+  // Timer ticking
+  useEffect(()=>{
+    if (!timerOn) return;
+    const id = setInterval(()=> setNowTick(Date.now()), 1000);
+    return ()=> clearInterval(id);
+  }, [timerOn]);
+
+  
+  useEffect(()=>{
+    if (timerOn && !timerStart && !completed && !handedIn){ setTimerStart(Date.now()); }
+    if (!timerOn){ /* when off, keep elapsed frozen until turned on again */ }
+  }, [timerOn, timerStart, completed, handedIn]);
+
+  // Assignments: the timer stays on (a time limit needs it), and the attempt ends when time runs out
+  const assignLimitMs = assignment && assignment.limitMin ? assignment.limitMin*60000 : 0;
+  const assignLeftMs = assignLimitMs ? assignLimitMs - (elapsedMs + (timerStart ? (nowTick - timerStart) : 0)) : null;
+  useEffect(()=>{
+    if (assignment && (assignment.forceTimer || assignLimitMs) && !timerOn) setTimerOn(true);
+  }, [assignment, timerOn]);
+  useEffect(()=>{
+    if (assignment && loadedSlot===slotKey && placements.length && assignStart===null && !completed && !handedIn) setAssignStart(Date.now());
+  }, [loadedSlot, assignStart]);
+  useEffect(()=>{
+    if (!assignLimitMs || completed || handedIn || assignLeftMs > 0) return;
+    setElapsedMs(assignLimitMs); setTimerStart(null);
+    setRevealMode(false);
+    setHandedIn('time'); setShowHandIn(true);
+  }, [assignLeftMs, completed, handedIn]);
+  function handInNow(){
+    if (!confirm('Hand in now? You will not be able to change your answers afterwards.')) return;
+    setElapsedMs(elapsedMs + (timerStart ? (Date.now() - timerStart) : 0)); setTimerStart(null);
+    setRevealMode(false);
+    setHandedIn('submit'); setShowHandIn(true);
+  }
+  function assignmentResult(name){
+    const ms = finalMs!==null ? finalMs : elapsedMs + (timerStart ? (Date.now() - timerStart) : 0);
+    return {
+      a: assignment.id, n: name, c: completed ? 1 : 0, ms: Math.round(ms),
+      r: revealed.size, e: everIncorrect.size, w: placements.length,
+      // an unfinished attempt scores only the words it got right
+      s: completed ? score.score : scoreSolve(placements.filter(p=>isPlacementCorrect(p, userGrid)), hints, hintSteps).score, m: score.max,
+      x: getMissedPlacements().map(m=>m.answer),
+      u: placements.filter(p=>!isPlacementCorrect(p, userGrid)).map(p=>p.answer),
+      ts: Date.now()
+    };
+  }
+
+  // ---------- Embed: the host page's API (documented in embed.js) ----------
+  function emitHost(type, data){ if (embed) postToHost(embed, type, data); }
+  function hostPuzzleInfo(){
+    return { seed: seed>>>0, level: sizeLevel, title: (hostPuzzle && hostPuzzle.title) || puzzleLabel, words: placements.length, across: across.length, down: down.length };
+  }
+  function hostProgress(){
+    let cells = 0, filled = 0;
+    userGrid.forEach(row=>row.forEach(v=>{ if (v!==null){ cells++; if (v) filled++; } }));
+    return {
+      filled, cells, wordsDone: placements.filter(p=>isPlacementCorrect(p, userGrid)).length, words: placements.length, completed,
+      ms: Math.round(finalMs!==null ? finalMs : elapsedMs + (timerStart ? (Date.now() - timerStart) : 0)),
+      reveals: revealed.size, errors: everIncorrect.size
+    };
+  }
+  // xAPI for this attempt; an unfinished one is "attempted", scored on the words it got right, with
+  // the words it has not got counted as missed. The actor is the host's, or the student's name.
+  function attemptStatement(){
+    const right = placements.filter(p=>isPlacementCorrect(p, userGrid));
+    const missed = getMissedPlacements().concat(completed ? [] : placements.filter(p=>right.indexOf(p)===-1)).map(writtenAnswer);
+    let student = null;
+    try{ student = localStorage.getItem(STUDENT_NAME_KEY); }catch(_){}
+    const link = puzzleLink || (window.location.origin + window.location.pathname + '?words=' + hashStringToInt(placements.map(reviewKey).join('\n')).toString(36));
+    return xapiStatement({
+      actor: readXapiActor(hostActorRef.current || { name: student || '' }, window.location.origin),
+      activityId: (hostPuzzle && hostPuzzle.activityId) || embedActivityId(link),
+      name: (hostPuzzle && hostPuzzle.title) || 'Neurology Crossword: ' + puzzleLabel,
+      completed,
+      ms: hostProgress().ms,
+      score: completed ? score.score : scoreSolve(right, hints, hintSteps).score,
+      maxScore: score.max,
+      missed: missed.filter((x, i)=>missed.indexOf(x)===i),
+      ts: Date.now()
+    });
+  }
+  // A load is answered by the ready of the grid it builds, carrying its requestId; one that changes
+  // nothing builds no new grid, so it is answered straight away
+  const hostLoadIdRef = useRef(undefined);
+  function hostReady(){
+    const id = hostLoadIdRef.current;
+    hostLoadIdRef.current = undefined;
+    emitHost('ready', Object.assign(id!==undefined ? { requestId: id } : {}, hostPuzzleInfo()));
+  }
+  function hostLoad(msg){
+    const list = msg.words!==undefined && msg.words!==null ? readHostWords(msg.words) : null;
+    const sd = (msg.seed!==undefined && msg.seed!==null && msg.seed!=='') ? seedFromText(msg.seed)
+      : list ? hashStringToInt(list.map(x=>x.answer).join(' ')) : defaultDailySeed();
+    const lv = msg.level!==undefined ? levelFromText(msg.level) : null;
+    const tp = msg.topics!==undefined ? parseTopicList([].concat(msg.topics || []).join(',')) : topics;
+    if (msg.actor!==undefined) hostActorRef.current = msg.actor;
+    hostLoadIdRef.current = msg.requestId;
+    setHostPuzzle({ title: msg.title ? String(msg.title).slice(0, 200) : '', activityId: typeof msg.activityId==='string' && msg.activityId ? msg.activityId : null });
+    const same = !fixedCode && sd===(seed>>>0) && (lv===null || lv===sizeLevel) && tp.join(',')===topics.join(',')
+      && JSON.stringify(list)===JSON.stringify(practiceWords);
+    if (same){ if (placements.length && gridIsCurrent) hostReady(); return; }
+    setReplay(null); setRevealMode(false); setActive(null); setDir(DIRS.ACROSS); setFixedCode(null);
+    if (lv!==null) setSizeLevel(lv);
+    setTopics(tp);
+    setPracticeWords(list);
+    setSeed(sd);
+  }
+  function hostCommand(msg){
+    const reply = (type, data)=>emitHost(type, Object.assign(msg.requestId!==undefined ? { requestId: msg.requestId } : {}, data));
+    try{
+      if (msg.type==='load') hostLoad(msg);
+      else if (msg.type==='getProgress') reply('progress', hostProgress());
+      else if (msg.type==='getStatement') reply('statement', { statement: attemptStatement() });
+      else throw new Error('Unknown command: ' + msg.type);
+    }catch(e){ reply('error', { message: (e && e.message) ? e.message : String(e) }); }
+  }
+  // A load that leaves nothing to build never gets its ready
+  useEffect(()=>{
+    if (!embed || fixedCode || !bank.length || (words.length && !buildError)) return;
+    const id = hostLoadIdRef.current;
+    hostLoadIdRef.current = undefined;
+    emitHost('error', Object.assign(id!==undefined ? { requestId: id } : {}, { message: buildError ? 'Could not build this puzzle: ' + buildError : 'No clues match those topics at this size.' }));
+  }, [words, buildError]);
+  // The listener stays put; the ref hands it this render's state
+  const hostCommandRef = useRef(null);
+  hostCommandRef.current = hostCommand;
+  useEffect(()=>{
+    if (!embed) return;
+    document.documentElement.classList.add('embed');
+    const onMessage = (e)=>{ if (isHostMessage(embed, e, window.parent)) hostCommandRef.current(e.data); };
+    window.addEventListener('message', onMessage);
+    return ()=>window.removeEventListener('message', onMessage);
+  }, []);
+  // Time is kept for the host whether or not the clock is on show
+  useEffect(()=>{
+    if (embed && !timerOn) setTimerOn(true);
+  }, [timerOn]);
+  // wordCompleted is for words the solver's own edits complete (the solve log grew); a restored
+  // save, a new puzzle or a co-op partner's letters only move the baseline
+  const hostWordsRef = useRef({ result: null, done: new Set(), n: 0 });
+  useEffect(()=>{
+    if (!embed) return;
+    const seen = hostWordsRef.current, n = solveLogRef.current.events.length;
+    const done = new Set(placements.filter(p=>isPlacementCorrect(p, userGrid)).map(clueId));
+    if (seen.result===result && n>seen.n){
+      placements.forEach(p=>{
+        if (done.has(clueId(p)) && !seen.done.has(clueId(p))) emitHost('wordCompleted', { number: p.number, direction: p.dir, answer: writtenAnswer(p), clue: p.clue, helped: !!wordHelp(p, hints, hintSteps) });
+      });
+    }
+    hostWordsRef.current = { result, done, n };
+  }, [userGrid, result]);
+  function hostWordsAt(keys){
+    return placements.filter(p=>keys.some(k=>{ const parts = k.split(':'); return cellInPlacement(p, +parts[0], +parts[1]); }))
+      .map(p=>({ number: p.number, direction: p.dir }));
+  }
+
+
+
+  
+// Completion: every placement correct, whether typed or revealed. Freeze the timer once.
+  useEffect(()=>{
+    if (completed) return;
+    const allPlacements = (across || []).concat(down || []);
+    if (allPlacements.length && allPlacements.every(p => isPlacementCorrect(p, userGrid))){
+      const ms = elapsedMs + (timerStart ? (Date.now() - timerStart) : 0);
+      setElapsedMs(ms);
+      setTimerStart(null);
+      setFinalMs(ms);
+      setCompleted(true);
+      setShowCongrats(true);
+      /* confetti starts via showCongrats effect */
+    }
+  }, [userGrid, across, down, completed]);
+function renderCells(){
+    // One row element per grid row (display: contents keeps the CSS grid); the active cell is the
+    // grid's single tab stop, or the first letter cell before anything is selected. A replay shows
+    // its own letters, cursor and reveals, without marks from checking or co-op.
+    const rowsOut=[];
+    const cursor = replayView ? replayCursor : active, word = replayView ? replayWord : selectedPlacement;
+    const R = bounds.maxR - bounds.minR + 1;
+    const C = bounds.maxC - bounds.minC + 1;
+    let tabStop = active && isLetterCell(active.r, active.c) ? cellKey(active.r, active.c) : null;
+    const letterPx = Math.max(10, Math.floor(cellPx*Math.min(0.8, 0.62*display.fontScale)));
+    const numPx = display.fontScale>1 ? Math.max(8, Math.min(Math.floor(cellPx*0.4), Math.round(10*display.fontScale))) : undefined;
+    for (let ri=0; ri<R; ri++){
+      const r = bounds.minR + ri;
+      const items=[];
+      for (let ci=0; ci<C; ci++){
+        const c = bounds.minC + ci;
+        const letter=grid[r][c];
+        const isCell = letter!==null;
+        const id = cellKey(r,c);
+        if (isCell && tabStop===null) tabStop=id;
+        const isLocked=!replayView && locked.has(id);
+        const isActive = cursor && cursor.r===r && cursor.c===c;
+        const isRevealed = replayView ? replayView.revealed.has(id) : revealed.has(id);
+        const isWrong = !replayView && (autocheck ? errorSet.has(id) : checkedWrong.has(id));
+        const peer = isCell && !replayView ? coopCursors[id] : null;
+        const isInWord = word && cellInPlacement(word, r, c);
+const showLetter = replayView ? (replayView.letters[id] || '') : (userGrid[r] && typeof userGrid[r][c] !== 'undefined') ? userGrid[r][c] : '';
+        var num=null;
+        if (numbers && numbers[r] && typeof numbers[r][c] !== 'undefined' && numbers[r][c] !== null){ num=numbers[r][c]; }
+        const label = isCell
+          ? [num ? 'Number ' + num : null, showLetter || 'blank', isRevealed ? 'revealed' : (isWrong ? 'incorrect' : (isLocked ? 'correct' : null)), peer ? peer.name + ' is here' : null].filter(Boolean).join(', ')
+          : 'block';
+        items.push(
+          <div key={id} role="gridcell" aria-label={label} data-cell={id} tabIndex={isCell ? (id===tabStop ? 0 : -1) : undefined}
+               className={'cell ' + (isCell? 'open':'block') + (isActive?' active':'') + (isLocked?' locked':'') + (isRevealed?' revealed':'') + (isWrong?' wrong':'') + (isInWord? ' inword':'') + (breakCells.across[id]?' brk-r':'') + (breakCells.down[id]?' brk-b':'')}
+               style={peer ? { boxShadow: 'inset 0 0 0 3px ' + peer.color } : undefined} title={peer ? peer.name : undefined}
+               onFocus={isCell && !replayView ? ()=>setActive(a=>(a && a.r===r && a.c===c) ? a : {r,c}) : undefined}
+               onClick={replayView ? undefined : ()=>handleCellClick(r,c,isCell,id)}>
+            {isCell && num ? <div className="num" aria-hidden="true" style={numPx ? { fontSize: numPx } : undefined}>{num}</div> : null}
+            {isCell ? <span aria-hidden="true" style={{ color: isRevealed? '#4c1d95' : (isWrong? '#b91c1c' : (isLocked? '#7c5c00' : '#111111')), fontSize: letterPx, lineHeight: 1, display:'inline-block' }}>{showLetter}</span> : null}
+          </div>
+        );
+      }
+      rowsOut.push(<div key={r} role="row" className="cellrow">{items}</div>);
+    }
+    return rowsOut;
+  }
+
+  // Fill in one solution letter as a hint, locking any word it completes
+  function revealCell(r,c){
+    const letter = grid[r][c];
+    const id = cellKey(r,c);
+    var newlyCompleted=0;
+    logEdit('reveal', [[id, userGrid[r][c] || '', letter]]);
+    setUserGrid(ug=>{
+      const g=ug.map(row=>row.slice());
+      g[r][c]=letter;
+      const spans=[getWordSpan(r,c,DIRS.ACROSS), getWordSpan(r,c,DIRS.DOWN)].filter(Boolean);
+      const newLocked=new Set(locked);
+      for (var si=0; si<spans.length; si++){
+        var span=spans[si]; if (!span || span.cells.length<2) continue;
+        var ok=true;
+        for (var ii=0; ii<span.cells.length; ii++){
+          var tup = span.cells[ii]; if (!tup || tup.length<2) continue;
+          var rr=tup[0], cc=tup[1];
+          if (!grid[rr][cc] || g[rr][cc]!==grid[rr][cc]){ ok=false; break; }
+        }
+        var already=true;
+        for (var jj=0; jj<span.cells.length; jj++){
+          var tup2 = span.cells[jj]; if (!tup2 || tup2.length<2) continue;
+          var rr2=tup2[0], cc2=tup2[1];
+          if (!locked.has(cellKey(rr2,cc2))) { already=false; break; }
+        }
+        if (ok && !already){
+          newlyCompleted++;
+          for (var kk=0; kk<span.cells.length; kk++){
+            var tup3=span.cells[kk]; if (!tup3 || tup3.length<2) continue;
+            var rr3=tup3[0], cc3=tup3[1];
+            newLocked.add(cellKey(rr3,cc3));
+          }
+        }
+      }
+      if (newLocked.size!==locked.size) setLocked(newLocked);
+      return g;
+    });
+    setRevealed(prev=>{ var nn=new Set(prev); nn.add(id); return nn; });
+    setHints(prev=>addHints(prev, [id], 'letter'));
+    clearChecked(r,c);
+    emitHost('revealed', { scope: 'letter', words: hostWordsAt([id]) });
+    if (newlyCompleted>0) fireConfetti(8);
+  }
+  function revealWord(p){
+    logEdit('reveal', placementCellKeys(p).map(k=>{ const parts=k.split(':'); return [k, userGrid[+parts[0]][+parts[1]] || '', grid[+parts[0]][+parts[1]]]; }));
+    revealPlacement(p, grid, setUserGrid, setRevealed);
+    setHints(prev=>addHints(prev, placementCellKeys(p), 'word'));
+    setHintSteps(prev=>Object.assign({}, prev, { [clueId(p)]: HINT_STEPS }));
+    setCheckedWrong(prev=>{ const nn=new Set(prev); placementCellKeys(p).forEach(k=>nn.delete(k)); return nn; });
+    emitHost('revealed', { scope: 'word', words: [{ number: p.number, direction: p.dir }] });
+  }
+  // Next rung of the selected clue's hint ladder
+  function nextHint(){
+    const p = selectedPlacement;
+    if (!p || isPlacementCorrect(p, userGrid)) return;
+    const id = clueId(p);
+    const step = hintSteps[id] || 0;
+    if (step===0){
+      setHintSteps(prev=>Object.assign({}, prev, { [id]: 1 }));
+    } else if (step===1){
+      // The chosen letter is the cursor's, unless it is already right
+      const keys = placementCellKeys(p).filter(k=>{ const parts=k.split(':'); return userGrid[+parts[0]][+parts[1]]!==grid[+parts[0]][+parts[1]]; });
+      const pick = active && keys.indexOf(cellKey(active.r, active.c))>=0 ? cellKey(active.r, active.c) : keys[0];
+      const parts = pick.split(':');
+      revealCell(+parts[0], +parts[1]);
+      setHintSteps(prev=>Object.assign({}, prev, { [id]: 2 }));
+    } else {
+      revealWord(p);
+    }
+  }
+  const hintStep = selectedPlacement ? (hintSteps[clueId(selectedPlacement)] || 0) : 0;
+
+  const handleCellClick = (r,c,isCell,id)=>{
+    // Mobile double‑tap: flip direction if tapping same cell twice quickly
+    if (isMobile && !revealMode) {
+      const now = Date.now();
+      const last = lastTapRef.current || { t:0, r:-1, c:-1 };
+      if ((now - last.t) < 300 && last.r === r && last.c === c) {
+        setDir(d => d === DIRS.ACROSS ? DIRS.DOWN : DIRS.ACROSS);
+        lastTapRef.current = { t: 0, r: -1, c: -1 };
+        // Keep selection; bail out so we don't also run place/reveal
+        return;
+      }
+      lastTapRef.current = { t: now, r, c };
+    }
+
+    if (!isCell) return;
+    if (revealMode){
+      if (!grid[r][c]) { setRevealMode(false); return; }
+      revealCell(r,c);
+      setRevealMode(false);
+      setActive({r,c});
+      setDir(pickSmartDir(r,c,DIRS.ACROSS,grid));
+      return;
+    }
+    setActive({r,c});
+    setDir(pickSmartDir(r,c,DIRS.ACROSS,grid));
+  };
+
+  const bankProblem = loading || error || !bank.length;
+  // No words (topics that match nothing in the bank) means nothing to build, not a build that never ends
+  const noWords = !fixedCode && !bankProblem && !words.length;
+  const building = !fixedCode && !bankProblem && !noWords && (buildSlow || !built || !!buildError);
+  const showStatus = fixedCode ? !fixedPuzzle : (bankProblem || noWords || building);
+  return (
+    <>
+      {!embed && <header className="title"><div>Neurology Crossword Puzzler</div><div></div></header>}
+      {offline.appUpdate && (
+        <div className="update-bar" role="status">
+          <span>A new version of the puzzler is ready. Your progress is saved.</span>
+          <button id="appUpdateBtn" className="btn" onClick={offline.updateApp}>Reload</button>
+        </div>
+      )}
+      {offline.bankPending && (
+        <div className="update-bar" role="status">
+          <span>A new clue bank is available. Seed puzzles, today's included, may change when you switch.</span>
+          <button id="bankUpdateBtn" className="btn" onClick={offline.updateBank}>Switch now</button>
+          <button className="btn" onClick={offline.dismissBank}>Later</button>
+        </div>
+      )}
+      {assignment && (
+        <div className="assign-bar" role="status">
+          <strong>Assignment: {assignment.title}</strong>
+          {assignLeftMs!==null && !completed && !handedIn && <span className={assignLeftMs < 60000 ? 'error' : ''}>Time left {formatMs(assignLeftMs)}</span>}
+          {assignment.noReveal && <span>No Reveal or hints</span>}
+          {(completed || handedIn)
+            ? <button className="btn" onClick={()=>completed ? setShowCongrats(true) : setShowHandIn(true)}>Result code</button>
+            : <button id="handInBtn" className="btn" disabled={!placements.length} onClick={handInNow}>Hand in</button>}
+        </div>
+      )}
+      <input
+        ref={hiddenInputRef}
+        className="hidden-ime-input"
+        inputMode="latin"
+        autoCapitalize="characters"
+        autoCorrect="off"
+        spellCheck={false}
+        aria-hidden="true"
+        tabIndex={-1}
+        onInput={(e)=>{
+          const el=e.currentTarget;
+          const v=el.value||'';
+          // ignore typing during reveal mode
+          if (revealMode){ el.value=''; return; }
+          if (!v){
+            try{ window.dispatchEvent(new KeyboardEvent('keydown',{key:'Backspace'})); }catch(_){}
+          }else{
+            const ch=v.slice(-1).toUpperCase().replace(/[^A-Z]/g,'');
+            if (ch){
+              try{ window.dispatchEvent(new KeyboardEvent('keydown',{key:ch})); }catch(_){}
+            }
+          }
+          el.value='';
+        }}
+      />
+
+
+      {showOptions && (
+        <div className="overlay" onClick={(e)=>{ if (e.target===e.currentTarget) setShowOptions(false); }}>
+          <div className="modal" ref={optionsRef} role="dialog" aria-modal="true" aria-label="Options">
+            <h3>Options</h3>
+            <div style={{fontSize:'12px', opacity:0.7, marginTop:'2px'}}>version 0.3</div>
+            <div className="row" style={{alignItems:'center', gap:'12px'}}>
+<strong>Swag:</strong>
+<div style={{display:'flex', flexDirection:'column', flex:1}}>
+<input type="range" min={0} max={14} step={1}
+       value={ sizeLevel }
+       onChange={(e)=>{ const v=Number(e.target.value); setFixedCode(null); setSizeLevel(v); }}
+       className="slider" />
+</div>
+</div>
+            
+            <div className="row" style={{flexDirection:'column', alignItems:'stretch', gap:'4px'}}>
+              <strong>Topics:</strong>
+              {topicList.length ? (
+                <div className="topiclist">
+                  <label><input type="checkbox" checked={!topics.length} onChange={()=>{ setFixedCode(null); setTopics([]); }} /> All topics</label>
+                  {topicList.map(t => (
+                    <label key={t.topic}>
+                      <input type="checkbox" checked={topics.indexOf(t.topic)!==-1}
+                             onChange={(e)=>{ const on=e.target.checked; setFixedCode(null); setTopics(prev=> on ? prev.concat([t.topic]) : prev.filter(x=>x!==t.topic)); }} />
+                      {' '}{t.topic} <span style={{opacity:.6}}>({t.count})</span>
+                    </label>
+                  ))}
+                </div>
+              ) : (
+                <div style={{fontSize:'12px', opacity:0.7}}>Add a third column of topic tags to crosswordclues.csv to filter puzzles by topic.</div>
+              )}
+              {topics.length>0 && !words.length && <div className="error" style={{fontSize:'12px'}}>No clues match the selected topics at this size.</div>}
+            </div>
+            <div className="row" style={{alignItems:'center', gap:'12px', flexWrap:'wrap'}}>
+              <label>Difficulty</label>
+              <div className="seg" role="tablist" aria-label="Difficulty">
+                {DIFFICULTY_OPTIONS.map(([value, label]) => (
+                  <button key={label} aria-pressed={(difficulty||'')===value} onClick={()=>chooseDifficulty(value||null)}>{label}</button>
+                ))}
+              </div>
+              <div style={{fontSize:'12px', opacity:.7}}>{difficultyNote()}</div>
+            </div>
+            <div className="row" style={{flexDirection:'row', alignItems:'center'}}>
+              <label style={{fontWeight:700, minWidth:'56px', marginRight:'8px'}}>Seed</label>
+              <input className="input" type="text" value={seedInput} placeholder={String(seed)} onChange={(e)=>setSeedInput(e.target.value)} />
+              
+            </div>
+            <div className="row" style={{alignItems:'center', gap:'12px', flexWrap:'wrap'}}>
+              <label>New day at midnight in</label>
+              <select className="input" style={{flex:1, width:'auto'}} value={dayZoneSetting} onChange={(e)=>chooseDayZone(e.target.value)}>
+                {dayZoneChoices(dayZoneSetting).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+              <div style={{fontSize:'12px', opacity:.7}}>
+                {dayZoneSetting===DEFAULT_DAY_ZONE ? 'Everyone on the default gets the same daily puzzle at the same time.'
+                  : "Today's puzzle changes at midnight " + (dayZoneSetting==='local' ? 'on this device' : 'in ' + dayZoneSetting.replace(/_/g, ' ')) + ', so for part of the day it can differ from the shared Phoenix one.'}
+              </div>
+            </div>
+            <div className="row" style={{alignItems:'center', gap:'12px'}}>
+              <label>Timer</label>
+              <div className="seg" role="tablist" aria-label="Timer toggle">
+                <button aria-pressed={!timerOn} onClick={()=>setTimerOn(false)}>Off</button>
+                <button aria-pressed={timerOn} onClick={()=>{ setTimerOn(true); if (!timerStart && !completed) setTimerStart(Date.now()); }}>On</button>
+              </div>
+              {timerOn && (
+                <div style={{marginLeft:12, fontVariantNumeric:'tabular-nums'}}>
+                  Time: {formatMs(elapsedMs + (timerStart ? (nowTick - timerStart) : 0))}
+                </div>
+              )}
+            </div>
+            <div className="row" style={{alignItems:'center', gap:'12px'}}>
+              <label>Autocheck</label>
+              <div className="seg" role="tablist" aria-label="Autocheck toggle">
+                <button aria-pressed={!autocheck} onClick={()=>toggleAutocheck(false)}>Off</button>
+                <button aria-pressed={autocheck} onClick={()=>toggleAutocheck(true)}>On</button>
+              </div>
+              <div style={{fontSize:'12px', opacity:.7}}>{autocheck ? 'Mistakes show as you type.' : 'Use the Check buttons for feedback.'}</div>
+            </div>
+            <div className="row" style={{alignItems:'center', gap:'12px', flexWrap:'wrap'}}>
+              <label>Contrast</label>
+              <div className="seg" role="tablist" aria-label="Contrast">
+                <button aria-pressed={!display.contrast} onClick={()=>changeDisplay({ contrast: false })}>Standard</button>
+                <button id="contrastHighBtn" aria-pressed={display.contrast} onClick={()=>changeDisplay({ contrast: true })}>High</button>
+              </div>
+            </div>
+            <div className="row" style={{alignItems:'center', gap:'12px', flexWrap:'wrap'}}>
+              <label>Text size</label>
+              <div className="seg" role="tablist" aria-label="Text size">
+                {FONT_SCALES.map(f => (
+                  <button key={f} aria-pressed={display.fontScale===f} onClick={()=>changeDisplay({ fontScale: f })}>{Math.round(f*100)}%</button>
+                ))}
+              </div>
+              <div style={{fontSize:'12px', opacity:.7}}>Grid letters grow with the cells; larger text can make the grid scroll.</div>
+            </div>
+            <div className="row" style={{flexWrap:'wrap'}}>
+              <strong>Deck:</strong>
+              <select className="input" style={{flex:1, width:'auto'}} value={deckId||''} onChange={(e)=>switchDeck(e.target.value)}>
+                <option value="">Built-in neurology bank</option>
+                {decks.map(d => <option key={d.id} value={d.id}>{d.name} ({d.count})</option>)}
+                {deckId && !decks.some(d=>d.id===deckId) && <option value={deckId}>Missing deck {deckId}</option>}
+              </select>
+              <button className="btn" onClick={()=>{ setShowOptions(false); setShowDeckLoader(true); }}>Load deck…</button>
+              {deckId && decks.some(d=>d.id===deckId) && (
+                <button className="btn" onClick={()=>{ if (!confirm('Delete this saved deck from the browser?')) return; deleteDeck(deckId).then(()=>{ refreshDecks(); switchDeck(null); }); }}>Delete deck</button>
+              )}
+            </div>
+            <div className="row">
+              <button className="btn" onClick={()=>{ setShowOptions(false); setShowEditor(true); }}>Edit clue bank…</button>
+              <button className="btn" onClick={()=>{ setShowOptions(false); setShowAssignEditor(true); }}>Create assignment…</button>
+              <button className="btn" onClick={()=>{ setShowOptions(false); setShowGradebook(true); }}>Gradebook…</button>
+              <button className="btn" onClick={()=>{ setShowOptions(false); setPrintJob({ packet: true }); }}>Print packet…</button>
+              {offline.canInstall && <button className="btn" onClick={offline.install}>Install app…</button>}
+              <label className="btn">Open .ipuz…<input type="file" accept=".ipuz,application/json" style={{display:'none'}} onChange={(e)=>{ importIpuzFile(e.target.files && e.target.files[0]); e.target.value=''; }} /></label>
+            </div>
+            <div className="actions">
+              <button className="btn" onClick={()=>setShowOptions(false)}>Cancel</button>
+              <button className="btn" onClick={()=>{
+                const s=(seedInput||'').trim();
+                let newS=null;
+                if (s.length){
+                  if (/^\d+$/.test(s)) { newS=(parseInt(s,10)>>>0); }
+                  else { newS=hashStringToInt(s); }
+                }
+                setShowOptions(false);
+                if (newS!==null){ setFixedCode(null); setSeed(newS); }
+              }}>Apply</button>
+            </div>
+
+          </div>
+        </div>
+      )}
+
+      {showCoop && (
+        <div className="overlay" onClick={(e)=>{ if (e.target===e.currentTarget) setShowCoop(false); }}>
+          <div className="modal" role="dialog" aria-modal="true" aria-label="Co-op" style={{width:'min(90vw, 520px)'}}>
+            <h3>Solve together</h3>
+            {!puzzleLink ? (
+              <p className="sharenote">Co-op needs a puzzle everyone can open from a link: a seed puzzle or a fixed link, not a Review or Adaptive puzzle.</p>
+            ) : coop ? (
+              <>
+                <div className="sharebox">
+                  <strong>{coopStatus==='open' ? 'Connected' : (coopRoom ? 'Connecting…' : 'Waiting for the puzzle…')}</strong>
+                  <div className="sharenote">{coop.kind==='relay' ? 'Relay ' + coop.relayUrl : 'Tabs in this browser'} · room {coopRoom || '—'}</div>
+                </div>
+                <div className="sharebox">
+                  <div><span className="coop-dot" style={{background:coopColor(coopPeerId)}}></span>{coop.name} (you)</div>
+                  {Object.keys(coopPeers).map(id => (
+                    <div key={id}><span className="coop-dot" style={{background:coopPeers[id].color}}></span>{coopPeers[id].name}</div>
+                  ))}
+                </div>
+                <div className="sharebox">
+                  <strong>Invite link</strong>
+                  <div className="sharenote">Opens this puzzle and joins the session. Everyone has to stay on the same puzzle.</div>
+                  <div className="row"><input className="input" readOnly value={coopInviteLink(puzzleLink, coop)} onFocus={(e)=>e.target.select()} /><button className="btn" onClick={(e)=>copyText(coopInviteLink(puzzleLink, coop), e.currentTarget.previousSibling)}>Copy</button></div>
+                </div>
+                <div className="actions">
+                  <button className="btn" onClick={()=>setCoop(null)}>Leave session</button>
+                  <button className="btn" onClick={()=>setShowCoop(false)}>Close</button>
+                </div>
+              </>
+            ) : (
+              <>
+                <div className="row" style={{alignItems:'center', gap:'12px'}}>
+                  <label htmlFor="coopName">Your name</label>
+                  <input id="coopName" className="input" value={coopForm.name} maxLength={40} onChange={(e)=>setCoopForm(Object.assign({}, coopForm, { name: e.target.value }))} />
+                </div>
+                <div className="row" style={{alignItems:'center', gap:'12px'}}>
+                  <label>Connect</label>
+                  <div className="seg" role="tablist" aria-label="Co-op connection">
+                    <button aria-pressed={coopForm.kind==='tabs'} onClick={()=>setCoopForm(Object.assign({}, coopForm, { kind:'tabs' }))}>Tabs in this browser</button>
+                    <button aria-pressed={coopForm.kind==='relay'} onClick={()=>setCoopForm(Object.assign({}, coopForm, { kind:'relay' }))}>Relay server</button>
+                  </div>
+                </div>
+                {coopForm.kind==='relay' && (
+                  <div className="sharebox">
+                    <input className="input" value={coopForm.relayUrl} onChange={(e)=>setCoopForm(Object.assign({}, coopForm, { relayUrl: e.target.value }))} aria-label="Relay address" />
+                    <div className="sharenote">Run <code>node relay.js</code> from this folder for a relay on ws://localhost:8787.</div>
+                  </div>
+                )}
+                <div className="actions">
+                  <button className="btn" onClick={()=>setShowCoop(false)}>Cancel</button>
+                  <button id="coopStartBtn" className="btn" onClick={startCoop}>Start session</button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {shareLinks && (
+        <div className="overlay" onClick={(e)=>{ if (e.target===e.currentTarget) setShareLinks(null); }}>
+          <div className="modal" role="dialog" aria-modal="true" aria-label="Share" style={{width:'min(90vw, 520px)'}}>
+            <h3>Share this puzzle</h3>
+            {shareLinks.seed && (
+              <div className="sharebox">
+                <strong>Seed link</strong>
+                <div className="sharenote">Short. Rebuilds the puzzle from the clue bank, so it changes if the bank is edited.</div>
+                <div className="row"><input className="input" readOnly value={shareLinks.seed} onFocus={(e)=>e.target.select()} /><button className="btn" onClick={(e)=>copyText(shareLinks.seed, e.currentTarget.previousSibling)}>Copy</button></div>
+              </div>
+            )}
+            <div className="sharebox">
+              <strong>Fixed link</strong>
+              <div className="sharenote">Carries the grid and clues itself, so it stays the same for everyone.</div>
+              {shareLinks.fixed
+                ? <div className="row"><input className="input" readOnly value={shareLinks.fixed} onFocus={(e)=>e.target.select()} /><button className="btn" onClick={(e)=>copyText(shareLinks.fixed, e.currentTarget.previousSibling)}>Copy</button></div>
+                : <div className="sharenote">{shareLinks.error ? <span className="error">{shareLinks.error}</span> : 'Building…'}</div>}
+            </div>
+            <div className="sharebox">
+              <strong>Download</strong>
+              <div className="sharenote">Solve in other crossword apps.</div>
+              <div className="row">
+                <button className="btn" onClick={()=>exportPuzzle('puz')}>.puz</button>
+                <button className="btn" onClick={()=>exportPuzzle('ipuz')}>.ipuz</button>
+                <button className="btn" onClick={()=>exportPuzzle('jpz')}>.jpz</button>
+              </div>
+              {hasSolveLog && (
+                <>
+                  <div className="sharenote">Your attempt as an .ipuz: the puzzle with your letters and a record of the solve, which opens here as a replay. Or as an xAPI statement, for a course's Learning Record Store.</div>
+                  <div className="row">
+                    <button id="attemptBtn" className="btn" onClick={()=>exportPuzzle('attempt')}>Download attempt</button>
+                    <button id="xapiBtn" className="btn" onClick={()=>exportPuzzle('xapi')}>xAPI statement</button>
+                  </div>
+                </>
+              )}
+            </div>
+            <div className="sharebox">
+              <strong>Print</strong>
+              <div className="sharenote">On paper or as a PDF, with the answer key on its own page.</div>
+              <div className="row"><button className="btn" onClick={()=>{ setShareLinks(null); setPrintJob({}); }}>Print or PDF…</button></div>
+            </div>
+            <div className="actions">
+              <button className="btn" onClick={()=>setShareLinks(null)}>Close</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showAssignEditor && <AssignmentEditor onClose={()=>setShowAssignEditor(false)} bank={bank} seed={seed} level={sizeLevel} source={difficulty==='adaptive' ? Object.assign({}, wordSource, { diff: null }) : wordSource} fixedCode={fixedCode} fixedTitle={fixedPuzzle && fixedPuzzle.title} />}
+      {showGradebook && <Gradebook onClose={()=>setShowGradebook(false)} />}
+      {showArchive && <DailyArchive onClose={()=>setShowArchive(false)} onOpen={openArchiveDay} today={todayYMD} status={archiveStatus(history, saves)} current={dailyDate} />}
+      {printJob && <PrintDialog onClose={()=>setPrintJob(null)} bank={bank} seed={seed} level={sizeLevel} source={wordSource} current={printJob.study ? null : printablePuzzle()} study={printJob.study} packet={printJob.packet} notes={clueNotes} />}
+      {showHandIn && assignment && !completed && (
+        <div className="overlay">
+          <div className="modal" role="dialog" aria-modal="true" aria-label="Hand in" style={{width:'min(90vw, 520px)'}}>
+            <h3>{handedIn==='time' ? 'Time is up' : 'Handed in'}</h3>
+            <p style={{fontSize:14}}>{placements.filter(p=>isPlacementCorrect(p, userGrid)).length} of {placements.length} answers solved in {formatMs(elapsedMs)}.</p>
+            <HandIn assignment={assignment} makeResult={assignmentResult} onDownload={()=>exportPuzzle('attempt')} />
+            <div className="actions">
+              <button className="btn" onClick={()=>setShowHandIn(false)}>Close</button>
+            </div>
+          </div>
+        </div>
+      )}
+      {showEditor && <BankEditor deck={deck} onClose={()=>setShowEditor(false)} />}
+      {showDeckLoader && <DeckLoader onClose={()=>setShowDeckLoader(false)} onLoaded={(d)=>{ setShowDeckLoader(false); refreshDecks(); switchDeck(d.id); }} />}
+
+      {showContinue && (()=>{
+        const list = inProgressSaves(saves);
+        return (
+        <div className="overlay" onClick={(e)=>{ if (e.target===e.currentTarget) setShowContinue(false); }}>
+          <div className="modal" role="dialog" aria-modal="true" aria-label="Continue" style={{width:'min(90vw, 480px)'}}>
+            <h3>Continue</h3>
+            {list.length ? (
+              <div className="slotlist">
+                {list.map(x => (
+                  <div key={x.key} className={'slot' + (x.key===slotKey ? ' current' : '')}>
+                    <button className="slot-open" onClick={()=>openSlot(x)}>
+                      <div><strong>{x.fixedCode ? 'Shared puzzle' : x.dailyDate ? ('Daily ' + x.dailyDate) : ('Seed ' + x.seed)}</strong> · Swag {x.sizeLevel}{(x.topics&&x.topics.length) ? ' · ' + x.topics.join(', ') : ''}{x.diff ? ' · ' + x.diff : ''}</div>
+                      <div className="slot-meta">{x.filled}% filled · {timeAgo(x.ts)}</div>
+                      <div className="slot-bar"><div style={{width: x.filled + '%'}}></div></div>
+                    </button>
+                    <button className="btn" aria-label="Delete save" title="Delete save" onClick={()=>deleteSlot(x.key)}>✕</button>
+                  </div>
+                ))}
+              </div>
+            ) : <div style={{fontSize:12, opacity:.7}}>No puzzles in progress.</div>}
+            <div className="actions">
+              <button className="btn" onClick={()=>setShowContinue(false)}>Close</button>
+            </div>
+          </div>
+        </div>
+        );
+      })()}
+
+      {showStats && (()=>{
+        const streaks = computeStreaks(history, todayYMD);
+        const byLevel = averageTimesByLevel(history);
+        const missedTop = topMissed(history, 10);
+        const clueStats = loadClueStats();
+        const statFor = x=>clueStats[reviewKey(x)];
+        const weak = weakTopics(bank, statFor, 3);
+        const hardest = bank.filter(x=>statFor(x)).map(x=>({ x, d: clueDifficulty(x, statFor(x)) }))
+          .sort((a,b)=>b.d-a.d).slice(0, 5);
+        return (
+        <div className="overlay" onClick={(e)=>{ if (e.target===e.currentTarget) setShowStats(false); }}>
+          <div className="modal" role="dialog" aria-modal="true" aria-label="Stats" style={{width:'min(90vw, 520px)'}}>
+            <h3>Stats</h3>
+            <div className="statgrid">
+              <div><div className="statnum">{history.length}</div><div className="statlbl">solved</div></div>
+              <div><div className="statnum">{streaks.current}</div><div className="statlbl">daily streak</div></div>
+              <div><div className="statnum">{streaks.longest}</div><div className="statlbl">longest streak</div></div>
+              <div><div className="statnum">{streaks.days}</div><div className="statlbl">dailies solved</div></div>
+            </div>
+            <h4 style={{margin:'12px 0 4px 0'}}>Average time by size</h4>
+            {byLevel.length ? (
+              <table className="stattable">
+                <thead><tr><th>Swag</th><th>Solves</th><th>Average</th><th>Best</th></tr></thead>
+                <tbody>
+                  {byLevel.map(x => (
+                    <tr key={x.level}><td>{x.level}</td><td>{x.count}</td><td>{formatMs(x.avg)}</td><td>{formatMs(x.best)}</td></tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : <div style={{fontSize:12, opacity:.7}}>Turn the timer on in Options to track solve times.</div>}
+            <h4 style={{margin:'12px 0 4px 0'}}>Most missed answers</h4>
+            {missedTop.length ? (
+              <div style={{maxHeight:'30vh', overflowY:'auto', fontSize:14}}>
+                {missedTop.map(m => (
+                  <div key={m.answer+'|'+m.clue} style={{padding:'3px 0', borderBottom:'1px dotted #ddd'}}>
+                    <strong>{writtenAnswer(m)}</strong> <span style={{opacity:.6}}>×{m.count}</span>
+                    <div style={{fontSize:12, opacity:.8}}>{m.clue}</div>
+                  </div>
+                ))}
+              </div>
+            ) : <div style={{fontSize:12, opacity:.7}}>Nothing missed yet.</div>}
+            {missedTop.length>0 && (
+              <div className="row">
+                <button className="btn" onClick={()=>{
+                  const items = topMissed(history, 40).map(m=>Object.assign({ answer: writtenAnswer(m), clue: m.clue, note: 'missed ×' + m.count }, studyNotes(clueNotes[m.answer])));
+                  setShowStats(false); setPrintJob({ study: { title: 'Most missed answers', items } });
+                }}>Print study sheet…</button>
+              </div>
+            )}
+            <h4 style={{margin:'12px 0 4px 0'}}>Difficulty</h4>
+            <div style={{fontSize:14}}>
+              Adaptive level {adaptiveTarget(historyResults(history)).toFixed(1)} of 5{weak.length ? ' · weakest topics: ' + weak.join(', ') : ''}
+            </div>
+            {hardest.length>0 && (
+              <div style={{fontSize:12, opacity:.8, marginTop:4}}>Hardest for you: {hardest.map(h=>h.x.answer + ' (' + h.d.toFixed(1) + ')').join(', ')}</div>
+            )}
+            <div className="actions">
+              <button className="btn" onClick={()=>setShowStats(false)}>Close</button>
+            </div>
+          </div>
+        </div>
+        );
+      })()}
+
+      {showStatus ? (
+        <div className="card cluecard" style={{marginTop:'12px'}}>
+          {fixedCode && !fixedError && <div><strong>Opening</strong> shared puzzle…</div>}
+          {fixedCode && fixedError && <div className="error">{String(fixedError)}</div>}
+          {fixedCode && fixedError && <div className="btnrow" style={{justifyContent:'flex-start'}}><button className="btn" onClick={()=>setFixedCode(null)}>Play today's puzzle instead</button></div>}
+          {!fixedCode && loading && <div><strong>Loading</strong> {deckId ? 'custom deck' : 'crosswordclues.csv'}…</div>}
+          {!fixedCode && !loading && error && <div className="error">{String(error)}</div>}
+          {!fixedCode && !loading && !error && !bank.length && <div className="error">No data found in crosswordclues.csv</div>}
+          {building && !buildError && (
+            <div>
+              <div><strong>Building</strong> puzzle…</div>
+              <div className="progress" role="progressbar" aria-valuemin={0} aria-valuemax={100} aria-valuenow={Math.round((buildProgress||0)*100)}><div style={{width: Math.round((buildProgress||0)*100) + '%'}} /></div>
+              {lastBuiltRef.current && <div className="btnrow" style={{justifyContent:'flex-start'}}><button className="btn" onClick={cancelBuild}>Cancel</button></div>}
+            </div>
+          )}
+          {building && buildError && <div className="error">Could not build this puzzle: {String(buildError)}</div>}
+          {noWords && <div className="error">No clues match {topics.length ? 'those topics' : 'this puzzle'} at this size.</div>}
+          {noWords && (
+            <div className="btnrow" style={{justifyContent:'flex-start'}}>
+              {topics.length>0 && <button id="clearTopicsBtn" className="btn" onClick={()=>{ setPracticeWords(null); setTopics([]); }}>Clear topics</button>}
+              {!embed && !assignment && <button className="btn" onClick={()=>{ setSeedInput(String(seed)); refreshDecks(); setShowOptions(true); }}>Options…</button>}
+            </div>
+          )}
+          {!fixedCode && bankProblem && !deckId && <p style={{marginTop:'8px'}}>Place a <code>crosswordclues.csv</code> (Answer, Clue, optional Topic tags) next to this HTML and refresh. If you opened this file with <code>file://</code>, run a local server (e.g., <code>python -m http.server</code>), or load a deck below.</p>}
+          {!fixedCode && !loading && bankProblem && (
+            <div className="btnrow" style={{justifyContent:'flex-start'}}>
+              <button className="btn" onClick={()=>setShowDeckLoader(true)}>Load a deck…</button>
+              {deckId && <button className="btn" onClick={()=>switchDeck(null)}>Use built-in bank</button>}
+              {decks.filter(d=>d.id!==deckId).map(d => <button key={d.id} className="btn" onClick={()=>switchDeck(d.id)}>{d.name}</button>)}
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className={"two" + (revealMode ? " reveal-cursor" : "")}>
+          <div>
+            <div className="card" className="card sticky-grid">
+              {replay && (
+                <div className="replay-bar" role="group" aria-label="Replay">
+                  <strong>{replay.label}</strong>
+                  <button id="replayPlayBtn" className="btn" onClick={toggleReplay}>{replay.playing ? 'Pause' : 'Play'}</button>
+                  <input id="replayScrub" type="range" className="slider" min={0} max={Math.max(1, replay.total)} step={10} value={Math.round(replay.ms)}
+                         aria-label="Replay position" aria-valuetext={formatMs(replay.ms) + ' of ' + formatMs(replay.total)}
+                         onChange={(e)=>{ const ms=Number(e.target.value); setReplay(rp=>Object.assign({}, rp, { ms, playing: false })); }} />
+                  <span className="replay-time">{formatMs(replay.ms)} / {formatMs(replay.total)}</span>
+                  <div className="seg" aria-label="Replay speed">
+                    {REPLAY_SPEEDS.map(x=><button key={x} aria-pressed={replay.speed===x} onClick={()=>setReplay(rp=>Object.assign({}, rp, { speed: x }))}>{x}×</button>)}
+                  </div>
+                  <button className="btn" onClick={()=>setReplay(null)}>Close</button>
+                </div>
+              )}
+              <div className="gridwrap" ref={wrapRef}>
+                <div className="cells" role="grid" aria-label="Crossword grid" aria-describedby="gridHelp" style={{gridTemplateColumns:`repeat(${Math.max(1,bounds.maxC-bounds.minC+1)}, ${cellPx}px)`, gridTemplateRows:`repeat(${Math.max(1,bounds.maxR-bounds.minR+1)}, ${cellPx}px)`, width:`${cellPx*(Math.max(1,bounds.maxC-bounds.minC+1))}px`, height:`${cellPx*(Math.max(1,bounds.maxR-bounds.minR+1))}px`}}>
+                  {renderCells()}
+                </div>
+              </div>
+              <p id="gridHelp" className="sr-only">Type letters to fill the highlighted word. Arrow keys move between cells; Space or Enter switches between Across and Down.</p>
+              <div className="sr-only" role="status" aria-live="polite">{clueNews}</div>
+            </div>
+          
+          
+          
+</div>
+          <div>
+            <div className="card cluecard">
+              <h2 id="acrossHead">Across</h2>
+              <ul className="cluelist" aria-labelledby="acrossHead" style={{maxHeight: availableHeight+'px', overflow:'auto', paddingRight:'6px'}}>
+                {across.length ? across.map(p => {
+                  const isSel = selectedPlacement && p.number===selectedPlacement.number && p.dir===selectedPlacement.dir;
+                  return (
+                    <li key={'A-'+p.number+'-'+p.answer}
+                        className={'clue' + (isSel ? ' selected' : '') + (isPlacementCorrect(p, userGrid) ? ' done' : '')}
+                        tabIndex={0} aria-current={isSel ? 'true' : undefined}
+                        onClick={()=>chooseClue(p)} onKeyDown={(e)=>{ if (e.key==='Enter' || e.key===' '){ e.preventDefault(); chooseClue(p); } }}>
+                      <span className="clue-num">{p.number}</span>
+                      <span className="clue-text">{p.clue}{enumeration(p.display) && <span className="clue-enum"> {enumeration(p.display)}</span>}{hintSteps[clueId(p)] ? <span className="clue-hint"> ({p.answer.length}, starts with {p.answer[0]})</span> : null}</span>
+                      {clueNotes[p.answer] && isPlacementCorrect(p, userGrid) && <ClueNotes note={clueNotes[p.answer]} answer={writtenAnswer(p)} />}
+                    </li>
+                  );
+                }) : <li>(none)</li>}
+              </ul>
+            </div>
+            <div className="card cluecard" style={{marginTop:'16px'}}>
+              <h2 id="downHead">Down</h2>
+              <ul className="cluelist" aria-labelledby="downHead" style={{maxHeight: availableHeight+'px', overflow:'auto', paddingRight:'6px'}}>
+                {down.length ? down.map(p => {
+                  const isSel = selectedPlacement && p.number===selectedPlacement.number && p.dir===selectedPlacement.dir;
+                  return (
+                    <li key={'D-'+p.number+'-'+p.answer}
+                        className={'clue' + (isSel ? ' selected' : '') + (isPlacementCorrect(p, userGrid) ? ' done' : '')}
+                        tabIndex={0} aria-current={isSel ? 'true' : undefined}
+                        onClick={()=>chooseClue(p)} onKeyDown={(e)=>{ if (e.key==='Enter' || e.key===' '){ e.preventDefault(); chooseClue(p); } }}>
+                      <span className="clue-num">{p.number}</span>
+                      <span className="clue-text">{p.clue}{enumeration(p.display) && <span className="clue-enum"> {enumeration(p.display)}</span>}{hintSteps[clueId(p)] ? <span className="clue-hint"> ({p.answer.length}, starts with {p.answer[0]})</span> : null}</span>
+                      {clueNotes[p.answer] && isPlacementCorrect(p, userGrid) && <ClueNotes note={clueNotes[p.answer]} answer={writtenAnswer(p)} />}
+                    </li>
+                  );
+                }) : <li>(none)</li>}
+              </ul>
+            </div>
+
+            {completed && !showCongrats && (
+              <div className="solved-note">Solved{timerOn && finalMs!==null ? ' in ' + formatMs(finalMs) : ''}.{embed ? '' : ' Press Today or Random for a new puzzle.'}</div>
+            )}
+            {!autocheck && !completed && !handedIn && shows('check') && (
+              <div className="btnrow">
+                <button id="checkLetterBtn" className="btn" disabled={!active} onClick={checkLetter}>Check letter</button>
+                <button id="checkWordBtn" className="btn" disabled={!selectedPlacement} onClick={checkWord}>Check word</button>
+                <button id="checkPuzzleBtn" className="btn" disabled={!placements.length} onClick={checkPuzzle}>Check puzzle</button>
+              </div>
+            )}
+            {checkNote && <div className="check-note" role="status">{checkNote}</div>}
+            <div className="btnrow">
+              {shows('reveal') && <button id="revealBtn" className={'btn reveal' + (revealMode ? ' active' : '')} disabled={!!(assignment && assignment.noReveal) || !!handedIn} onClick={()=>{ setRevealMode(true); }} aria-pressed={revealMode}>Reveal</button>}
+              {shows('hint') && <button id="hintBtn" className="btn" disabled={!selectedPlacement || completed || !!handedIn || !!(assignment && assignment.noReveal) || isPlacementCorrect(selectedPlacement, userGrid)} onClick={nextHint}
+                      title="Hints for the selected clue: first letter, then one letter, then the word">{hintStep===0 ? 'Hint' : (hintStep===1 ? 'Reveal letter' : 'Reveal word')}</button>}
+              {shows('undo') && <>
+              <button id="undoBtn" className="btn" disabled={!canUndo || !!replay} onClick={undo} title="Undo (Ctrl+Z)">Undo</button>
+              <button id="redoBtn" className="btn" disabled={!canRedo || !!replay} onClick={redo} title="Redo (Ctrl+Y)">Redo</button>
+              </>}
+              {embed && shows('timer') && (
+                <span className="embed-time" role="timer" aria-label="Time">{formatMs(finalMs!==null ? finalMs : elapsedMs + (timerStart ? (nowTick - timerStart) : 0))}</span>
+              )}
+              {!embed && <>
+              <button id="replayBtn" className={'btn' + (replay ? ' active' : '')} disabled={!hasSolveLog && !replay} aria-pressed={!!replay}
+                      onClick={()=>replay ? setReplay(null) : openReplay(solveLogRef.current, 'Your solve')}>Replay</button>
+              <button id="todayBtn" className="btn" disabled={!!assignment} onClick={()=>{ setPracticeWords(null); setFixedCode(null); setRevealMode(false); setActive(null); setDir(DIRS.ACROSS); setSeed(defaultDailySeed()); }}>Today</button>
+              <button id="archiveBtn" className="btn" disabled={!!assignment} onClick={()=>{ setHistory(loadHistory()); setSaves(loadSaves()); setShowArchive(true); }}>Archive</button>
+              <button id="randBtn" className="btn" disabled={!!assignment} onClick={()=>{ setPracticeWords(null); setFixedCode(null); setRevealMode(false); setActive(null); setDir(DIRS.ACROSS); setSeed(newRandomSeed()); }}>Random</button>
+              <button id="reviewBtn" className="btn" disabled={!!assignment} onClick={startReview} title="Puzzle from missed answers that are due for review">Review{dueCount ? ' ('+dueCount+')' : ''}</button>
+              <button id="shareBtn" className="btn" disabled={!!assignment} onClick={openShare}>Share</button>
+              <button id="coopBtn" className={'btn' + (coop ? ' active' : '')} disabled={!!assignment} onClick={()=>setShowCoop(true)}>Co-op{coop ? ' (' + (Object.keys(coopPeers).length+1) + ')' : ''}</button>
+              <button id="continueBtn" className="btn" disabled={!!assignment} onClick={()=>{ setSaves(loadSaves()); setShowContinue(true); }}>Continue</button>
+              <button id="statsBtn" className="btn" onClick={()=>{ setHistory(loadHistory()); setShowStats(true); }}>Stats</button>
+              <button id="optBtn" className="btn" disabled={!!assignment} onClick={()=>{ setSeedInput(String(seed)); refreshDecks(); setShowOptions(true); }}>Options</button>
+              </>}
+            
+      
+{showCongrats && (
+        <div className="overlay" style={{zIndex:12000}}>
+          <div className="modal" ref={congratsRef} role="dialog" aria-modal="true" aria-labelledby="congratsTitle" aria-describedby="congratsText" style={{textAlign:"center", width:"min(90vw, 520px)"}}>
+            <h3 id="congratsTitle">Congratulations!</h3>
+            <p id="congratsText">You solved the puzzle. 🎉</p>
+
+            <p style={{marginTop:4, fontSize:14, opacity:.8}}>{timerOn ? ("Your time: " + formatMs(finalMs !== null ? finalMs : (elapsedMs + (timerStart ? (nowTick - timerStart) : 0)))) : ""}</p>
+            <p id="scoreLine" style={{marginTop:4, fontSize:16, fontWeight:700}}>Score: {score.score} / {score.max}</p>
+
+
+            {missedCount > 0 && (
+              <div className="card" style={{marginTop:8}}>
+                <h4 style={{margin:'0 0 6px 0'}}>You needed help on</h4>
+                <div className="missedScroll" style={{fontSize:14, lineHeight:1.4, maxHeight:"40vh", overflowY:"auto", paddingRight:"6px", textAlign:"center"}}>
+                  {getMissedPlacements().map((m, idx) => (
+                  <div key={idx} style={{margin:'10px 0 16px 0', textAlign:'center'}}>
+                    <div style={{fontSize:14, opacity:.85}}>{m.clue}</div>
+                    <div style={{fontSize:16, fontWeight:700, letterSpacing:'0.5px', marginTop:2}}>{writtenAnswer(m)}</div>
+                    <div className="help-kind">{helpLabel(m.help)}</div>
+                    {clueNotes[m.answer] && <ClueNotes note={clueNotes[m.answer]} answer={writtenAnswer(m)} label="Explanation" />}
+                  </div>
+                  ))}
+                </div>
+                <div style={{fontSize:12, opacity:.7}}>These answers were added to your Review deck.</div>
+                <div className="row" style={{justifyContent:'center'}}>
+                  <button className="btn" onClick={()=>{
+                    const items = getMissedPlacements().map(m=>Object.assign({ answer: writtenAnswer(m), clue: m.clue, note: helpLabel(m.help) }, studyNotes(clueNotes[m.answer])));
+                    setShowCongrats(false); setPrintJob({ study: { title: 'Study sheet: ' + puzzleLabel, items } });
+                  }}>Print study sheet…</button>
+                </div>
+              </div>
+            )}
+
+            {assignment && <HandIn assignment={assignment} makeResult={assignmentResult} onDownload={()=>exportPuzzle('attempt')} />}
+
+            <div className="actions" style={{justifyContent:'flex-end'}}>
+              {hasSolveLog && <button id="watchReplayBtn" className="btn" onClick={()=>{ setShowCongrats(false); openReplay(solveLogRef.current, 'Your solve'); }}>Watch replay</button>}
+              <button className="btn" onClick={()=>setShowCongrats(false)}>Close</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+</div>
+            {!embed && <div className="credit">created by micah etter, md</div>}
+          </div>
+</div>
+      )}
+</>
+  );
+}
+
+function Root(){ return <App/>; }
+const root = ReactDOM.createRoot(document.getElementById('root'));
+root.render(<Root/>);
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+// Production build for the static site: compiles app.jsx to app.js with the presets dev.html uses
+// in the browser, copies React's production builds into vendor/, and stamps sw.js with a hash of
+// the app shell so installed copies update. The outputs are committed; the site has no build step
+// of its own.
+//   npm install && npm run build
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const vm = require('vm');
+
+const ROOT = __dirname;
+const VENDOR = {
+  'vendor/react.production.min.js': 'react/umd/react.production.min.js',
+  'vendor/react-dom.production.min.js': 'react-dom/umd/react-dom.production.min.js'
+};
+
+function compileApp(source){
+  const Babel = require('@babel/standalone');
+  const out = Babel.transform(source, { presets: ['env', 'react'], filename: 'app.jsx', comments: false });
+  return '// Built from app.jsx by build.js; edit that file and run `npm run build`.\n' + out.code + '\n';
+}
+
+// The precache list, read from sw.js so the two cannot drift apart
+function shellFiles(swText){
+  const m = /const SHELL_FILES = (\[[\s\S]*?\]);/.exec(swText);
+  if (!m) throw new Error('sw.js has no SHELL_FILES list');
+  return vm.runInNewContext(m[1]);
+}
+
+// Hash of everything the shell cache holds, plus app.jsx so a missed rebuild shows up too
+function shellVersion(root){
+  const swText = fs.readFileSync(path.join(root, 'sw.js'), 'utf8');
+  const hash = crypto.createHash('sha256');
+  for (const f of shellFiles(swText).filter(f=>f!=='./').concat(['app.jsx'])){
+    hash.update(f + '\0');
+    hash.update(fs.readFileSync(path.join(root, f)));
+  }
+  return hash.digest('hex').slice(0, 12);
+}
+function stampVersion(swText, version){
+  return swText.replace(/const SHELL_VERSION = '[^']*';/, "const SHELL_VERSION = '" + version + "';");
+}
+
+function main(){
+  const started = Date.now();
+  fs.writeFileSync(path.join(ROOT, 'app.js'), compileApp(fs.readFileSync(path.join(ROOT, 'app.jsx'), 'utf8')));
+  fs.mkdirSync(path.join(ROOT, 'vendor'), { recursive: true });
+  for (const out of Object.keys(VENDOR)) fs.copyFileSync(path.join(ROOT, 'node_modules', VENDOR[out]), path.join(ROOT, out));
+  const swPath = path.join(ROOT, 'sw.js');
+  const version = shellVersion(ROOT);
+  fs.writeFileSync(swPath, stampVersion(fs.readFileSync(swPath, 'utf8'), version));
+  process.stderr.write('Built app.js and vendor/ (shell ' + version + ') in ' + ((Date.now()-started)/1000).toFixed(1) + 's\n');
+  return 0;
+}
+
+if (require.main === module) process.exitCode = main();
+
+module.exports = { compileApp, shellFiles, shellVersion, stampVersion, VENDOR };
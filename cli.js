@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+// Batch puzzle generation from the command line, using the same engine (and so the same grids) as
+// the site. Example: a semester of daily puzzles, one JSON file per day:
+//   node cli.js --dates 2026-08-24..2026-12-18 --level 5 --out-dir puzzles/
+const fs = require('fs');
+const path = require('path');
+const engine = require('./engine.js');
+const print = require('./print.js');
+
+const { puzzleToJSON } = engine;
+
+const USAGE = `Usage: node cli.js [options]
+
+  --csv <file>           clue bank: Answer, Clue[, Topic tags][, Difficulty 1-5] as CSV or tab-separated
+                         (default: crosswordclues.csv next to this script)
+  --seeds <list>         seeds to build, e.g. 42, 1-30 or 5,9,100-120
+  --dates <from..to>     daily puzzles for YYYY-MM-DD..YYYY-MM-DD (or a single date),
+                         with the same seeds as the site's Today puzzle
+  --level <0-14>         Swag level (default 5, the site default)
+  --topics <a,b>         only clues tagged with one of these topics
+  --difficulty <d>       easy, medium or hard: prefer clues rated near it (default: any)
+  --out <file>           write all puzzles as one JSON array (default: stdout)
+  --out-dir <dir>        write one <seed>.json or <date>.json per puzzle
+  --pdf <file>           write a printable packet, answer keys after the puzzles
+                         (JSON then only goes where --out or --out-dir says)
+  --layout <l>           PDF layout: standard, two-up or booklet (default standard)
+  --no-key               leave the answer keys out of the PDF
+  --pretty               indent the JSON
+  --strict               exit with status 2 if any puzzle could not place every word
+  -h, --help             show this help`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv){
+  const opts = { csv: path.join(__dirname, 'crosswordclues.csv'), seeds: null, dates: null, level: 5, topics: [], difficulty: null, out: null, outDir: null, pdf: null, layout: 'standard', key: true, pretty: false, strict: false, help: false };
+  const VALUE_FLAGS = { '--csv':'csv', '--seeds':'seeds', '--seed':'seeds', '--dates':'dates', '--level':'level', '--topics':'topics', '--difficulty':'difficulty', '--out':'out', '--out-dir':'outDir', '--pdf':'pdf', '--layout':'layout' };
+  for (let i=0;i<argv.length;i++){
+    const arg = argv[i];
+    const eq = arg.indexOf('=');
+    const flag = eq>0 ? arg.slice(0, eq) : arg;
+    if (flag==='-h' || flag==='--help'){ opts.help = true; continue; }
+    if (flag==='--pretty'){ opts.pretty = true; continue; }
+    if (flag==='--strict'){ opts.strict = true; continue; }
+    if (flag==='--no-key'){ opts.key = false; continue; }
+    const key = VALUE_FLAGS[flag];
+    if (!key) throw new UsageError('Unknown option: ' + arg);
+    const value = eq>0 ? arg.slice(eq+1) : argv[++i];
+    if (value===undefined || value==='') throw new UsageError(flag + ' needs a value');
+    opts[key] = value;
+  }
+  if (opts.help) return opts;
+  const level = Number(opts.level);
+  if (!Number.isInteger(level) || level<0 || level>14) throw new UsageError('--level must be a whole number from 0 to 14');
+  opts.level = level;
+  opts.topics = engine.parseTopicList(opts.topics);
+  if (opts.difficulty!==null && !engine.DIFFICULTY_TARGETS[opts.difficulty]) throw new UsageError('--difficulty must be easy, medium or hard');
+  if (!opts.seeds === !opts.dates) throw new UsageError('Give either --seeds or --dates');
+  if (opts.out && opts.outDir) throw new UsageError('Give either --out or --out-dir, not both');
+  if (!print.PRINT_LAYOUTS[opts.layout]) throw new UsageError('--layout must be standard, two-up or booklet');
+  return opts;
+}
+
+// "5,9,100-120" -> [5, 9, 100, ..., 120]
+function parseSeedList(text){
+  const out = [];
+  for (const part of String(text).split(',')){
+    const m = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(part);
+    if (!m) throw new UsageError('Bad seed list: ' + text);
+    const from = Number(m[1]), to = m[2]!==undefined ? Number(m[2]) : from;
+    if (from>0xFFFFFFFF || to>0xFFFFFFFF || to<from) throw new UsageError('Bad seed range: ' + part.trim());
+    if (to-from>=100000) throw new UsageError('Seed range too large: ' + part.trim());
+    for (let s=from; s<=to; s++) out.push(s);
+  }
+  return out;
+}
+
+// "2026-08-24..2026-12-18" -> every date in between, inclusive
+function parseDateRange(text){
+  const m = /^(\d{4}-\d{2}-\d{2})(?:\.\.(\d{4}-\d{2}-\d{2}))?$/.exec(String(text).trim());
+  if (!m) throw new UsageError('Bad date range (want YYYY-MM-DD..YYYY-MM-DD): ' + text);
+  const from = Date.parse(m[1] + 'T00:00:00Z'), to = Date.parse((m[2]||m[1]) + 'T00:00:00Z');
+  if (isNaN(from) || isNaN(to) || to<from) throw new UsageError('Bad date range: ' + text);
+  if ((to-from)/86400000 >= 3660) throw new UsageError('Date range too large: ' + text);
+  const out = [];
+  for (let t=from; t<=to; t+=86400000) out.push(new Date(t).toISOString().slice(0, 10));
+  return out;
+}
+
+// difficulty: null or a DIFFICULTY_TARGETS name; rated from the bank alone, as the site does for a link
+function buildPuzzle(bank, seed, level, topics, extra, difficulty){
+  const preset = engine.presetFor(level);
+  const rating = difficulty ? { target: engine.DIFFICULTY_TARGETS[difficulty], rate: engine.baseDifficulty } : null;
+  const words = engine.pickDailyWords(bank, engine.mulberry32(seed), preset, topics, rating);
+  const size = engine.computeGridSize(words.length ? words : [{ answer:'PLACEHOLDER', clue:'' }], preset);
+  const layout = engine.generateCrossword(words, seed, size, { density: preset.density });
+  return puzzleToJSON(layout, Object.assign({ seed, level }, difficulty ? { difficulty } : {}, extra, { topics, requested: words.length, placed: layout.placements.length }));
+}
+
+function main(argv){
+  let opts;
+  try{ opts = parseArgs(argv); }
+  catch(e){
+    if (!(e instanceof UsageError)) throw e;
+    process.stderr.write(e.message + '\n\n' + USAGE + '\n');
+    return 1;
+  }
+  if (opts.help){ process.stdout.write(USAGE + '\n'); return 0; }
+
+  let jobs;
+  try{
+    jobs = opts.dates
+      ? parseDateRange(opts.dates).map(date=>({ seed: engine.dailySeed(date), name: date, extra: { date } }))
+      : parseSeedList(opts.seeds).map(seed=>({ seed, name: String(seed), extra: {} }));
+  }catch(e){
+    if (!(e instanceof UsageError)) throw e;
+    process.stderr.write(e.message + '\n');
+    return 1;
+  }
+
+  let text;
+  try{ text = fs.readFileSync(opts.csv, 'utf8'); }
+  catch(e){ process.stderr.write('Could not read ' + opts.csv + ': ' + e.message + '\n'); return 1; }
+  const bank = engine.parseDeckText(text);
+  if (!bank.length){ process.stderr.write('No clues found in ' + opts.csv + '\n'); return 1; }
+  if (opts.topics.length && !bank.some(x=>engine.matchesTopics(x, opts.topics))){
+    process.stderr.write('No clues tagged ' + opts.topics.join(', ') + ' in ' + opts.csv + '\n');
+    return 1;
+  }
+
+  const started = Date.now();
+  const puzzles = [], printed = [];
+  let incomplete = 0;
+  const indent = opts.pretty ? 2 : 0;
+  if (opts.outDir) fs.mkdirSync(opts.outDir, { recursive: true });
+  for (const job of jobs){
+    const puzzle = buildPuzzle(bank, job.seed, opts.level, opts.topics, job.extra, opts.difficulty);
+    if (puzzle.placed < puzzle.requested){
+      incomplete++;
+      process.stderr.write('warning: ' + job.name + ' placed ' + puzzle.placed + ' of ' + puzzle.requested + ' words\n');
+    }
+    if (opts.outDir) fs.writeFileSync(path.join(opts.outDir, job.name + '.json'), JSON.stringify(puzzle, null, indent) + '\n');
+    else puzzles.push(puzzle);
+    if (opts.pdf) printed.push(Object.assign({}, puzzle, { label: print.puzzleStamp(puzzle) }));
+  }
+  if (opts.pdf){
+    const today = new Date().toISOString().slice(0, 10);
+    const doc = print.buildPacket(printed, { layout: opts.layout, answerKeys: opts.key, date: 'Printed ' + today });
+    fs.writeFileSync(opts.pdf, print.toPDF(doc, { title: 'Neurology Crossword packet ' + today }));
+  }
+  if (!opts.outDir && (opts.out || !opts.pdf)){
+    const json = JSON.stringify(puzzles, null, indent) + '\n';
+    if (opts.out) fs.writeFileSync(opts.out, json);
+    else process.stdout.write(json);
+  }
+  process.stderr.write('Generated ' + jobs.length + ' puzzle' + (jobs.length===1 ? '' : 's') + ' in ' + ((Date.now()-started)/1000).toFixed(1) + 's' + (incomplete ? ' (' + incomplete + ' incomplete)' : '') + '\n');
+  return (opts.strict && incomplete) ? 2 : 0;
+}
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2));
+
+module.exports = { parseArgs, parseSeedList, parseDateRange, puzzleToJSON, buildPuzzle, main, UsageError };
@@ -0,0 +1,136 @@
+// Embed mode: the page inside an iframe on a course site, with a compact layout and a postMessage
+// API for the host page. Loaded as a plain script after engine.js, and with require() in Node (tests).
+//
+//   <iframe src="https://neurologycrossword.me/?embed=1&controls=hint,reveal&origin=https://lms.example.edu"></iframe>
+//
+// Query parameters: embed=1 turns it on; controls= lists the buttons shown under the clues, any of
+// check (Check letter/word/puzzle, with autocheck off), hint, reveal, undo (Undo and Redo) and timer
+// (a clock on show; the time is kept for events either way), or none; the default is
+// hint,reveal,undo. origin= is the host page's origin: events go only to it and commands are only
+// taken from it. Without it events go to any parent ('*') and commands are taken from whichever
+// page embeds the widget.
+//
+// Every message, both ways, is a plain object { api: 'neuroxcw', type, ... }.
+// Commands from the host (requestId, if given, comes back on the reply; for load that is the ready
+// event of the puzzle it builds, or an error):
+//   load         { seed?, level?, topics?, words?, title?, activityId?, actor? } builds a new puzzle:
+//                words is a list of { answer, clue } to use instead of the clue bank, seed a number
+//                or string, level 0–14. actor is the xAPI Agent for statements (mbox or account).
+//   getProgress  replies progress { filled, cells, wordsDone, words, completed, ms, reveals, errors }
+//   getStatement replies statement { statement }: xAPI, "completed" or, unfinished, "attempted"
+// Events from the widget:
+//   ready         { seed, level, title, words, across, down } each time a puzzle is up
+//   wordCompleted { number, direction, answer, clue, helped } when a word is right; helped if a hint
+//                 or reveal went into it
+//   revealed      { scope: 'letter' | 'word', words: [{ number, direction }] } for every hint given
+//   completed     { ms, score, maxScore, missed: [answers], statement }
+//   error         { message } for a command that could not be carried out
+
+const hostLetters = (typeof answerLetters==='function') ? answerLetters : require('./engine.js').answerLetters;
+const hostDisplay = (typeof answerDisplay==='function') ? answerDisplay : require('./engine.js').answerDisplay;
+const hostMaxGrid = (typeof MAX_GRID==='number') ? MAX_GRID : require('./engine.js').MAX_GRID;
+
+const EMBED_API = 'neuroxcw';
+const EMBED_CONTROLS = ['check', 'hint', 'reveal', 'undo', 'timer'];
+const EMBED_DEFAULT_CONTROLS = ['hint', 'reveal', 'undo'];
+const EMBED_MAX_WORDS = 80;
+
+// Options from the page's query string, or null outside embed mode
+function readEmbedOptions(search){
+  const q = new URLSearchParams(search || '');
+  const on = q.get('embed');
+  if (on===null || on==='0' || on==='false') return null;
+  const list = q.get('controls');
+  const controls = list===null ? EMBED_DEFAULT_CONTROLS.slice()
+    : list.split(',').map(s=>s.trim().toLowerCase()).filter((s, i, all)=>EMBED_CONTROLS.indexOf(s)!==-1 && all.indexOf(s)===i);
+  let origin = null;
+  try{ const o = q.get('origin'); if (o && new URL(o).origin===o) origin = o; }catch(_){}
+  return { controls, origin };
+}
+// Commands count only from the embedding page, and from its origin when one was given
+function isHostMessage(options, e, parent){
+  if (!e || e.source!==parent || !e.data || e.data.api!==EMBED_API) return false;
+  return !options.origin || e.origin===options.origin;
+}
+// The puzzle's link without the embed parameters, as an xAPI activity id
+const EMBED_PARAMS = ['embed', 'controls', 'origin'];
+function embedActivityId(link){
+  const url = new URL(link);
+  EMBED_PARAMS.forEach(k=>url.searchParams.delete(k));
+  return url.toString();
+}
+function postToHost(options, type, data){
+  if (typeof window==='undefined' || window.parent===window) return;
+  window.parent.postMessage(Object.assign({ api: EMBED_API, type }, data), options.origin || '*');
+}
+
+// A word list sent with load, as bank items; throws with a message for the host otherwise
+function readHostWords(list){
+  if (!Array.isArray(list) || !list.length) throw new Error('words should be a list of { answer, clue }.');
+  if (list.length > EMBED_MAX_WORDS) throw new Error('At most ' + EMBED_MAX_WORDS + ' words fit a puzzle.');
+  return list.map((x, i)=>{
+    const raw = x && typeof x.answer==='string' ? x.answer : '';
+    const answer = hostLetters(raw);
+    if (answer.length<2 || answer.length>hostMaxGrid) throw new Error('Word ' + (i+1) + ' needs an answer of 2 to ' + hostMaxGrid + ' letters.');
+    const clue = x && typeof x.clue==='string' ? x.clue.trim() : '';
+    if (!clue) throw new Error('Word ' + (i+1) + ' (' + answer + ') has no clue.');
+    const display = hostDisplay(raw, answer);
+    return Object.assign({ answer, clue }, display ? { display } : null);
+  });
+}
+
+// ---------- xAPI ----------
+// One statement per attempt, for a Learning Record Store. An actor without an identifier (mbox or
+// account) is not valid xAPI, so the solver is then an anonymous account on the page's host.
+const XAPI_VERBS = {
+  completed: 'http://adlnet.gov/expapi/verbs/completed',
+  attempted: 'http://adlnet.gov/expapi/verbs/attempted'
+};
+const XAPI_MISSED_EXT = 'https://neurologycrossword.me/xapi/missed';
+function readXapiActor(a, homePage){
+  const name = a && typeof a.name==='string' && a.name.trim() ? { name: a.name.trim().slice(0, 120) } : null;
+  if (a && typeof a.mbox==='string' && /^mailto:[^@\s]+@[^@\s]+$/.test(a.mbox)) return Object.assign({ objectType: 'Agent' }, name, { mbox: a.mbox });
+  const acct = a && a.account;
+  if (acct && typeof acct.homePage==='string' && typeof acct.name==='string' && acct.name){
+    return Object.assign({ objectType: 'Agent' }, name, { account: { homePage: acct.homePage, name: acct.name } });
+  }
+  return Object.assign({ objectType: 'Agent' }, name, { account: { homePage, name: 'anonymous' } });
+}
+// ISO 8601 duration, as xAPI wants it: 83400 ms → 'PT1M23.4S'
+function isoDuration(ms){
+  const total = Math.max(0, Math.round(ms || 0)) / 1000;
+  const h = Math.floor(total/3600), m = Math.floor(total/60) % 60;
+  const s = Math.round((total % 60) * 100) / 100;
+  return 'PT' + (h ? h + 'H' : '') + (m ? m + 'M' : '') + s + 'S';
+}
+// a: { actor, activityId, name, completed, ms, score, maxScore, missed, ts }
+function xapiStatement(a){
+  const verb = a.completed ? 'completed' : 'attempted';
+  const missed = a.missed || [];
+  return {
+    actor: a.actor,
+    verb: { id: XAPI_VERBS[verb], display: { 'en-US': verb } },
+    object: {
+      objectType: 'Activity',
+      id: a.activityId,
+      definition: { type: 'http://adlnet.gov/expapi/activities/assessment', name: { 'en-US': a.name } }
+    },
+    result: {
+      completion: !!a.completed,
+      success: !!a.completed && !missed.length,
+      duration: isoDuration(a.ms),
+      score: { raw: a.score, min: 0, max: a.maxScore, scaled: a.maxScore ? Math.round(a.score / a.maxScore * 1000) / 1000 : 0 },
+      extensions: { [XAPI_MISSED_EXT]: missed }
+    },
+    context: { platform: 'Neurology Crossword Puzzler', language: 'en-US' },
+    timestamp: new Date(a.ts).toISOString()
+  };
+}
+
+if (typeof module!=='undefined' && module.exports){
+  module.exports = {
+    EMBED_API, EMBED_CONTROLS, EMBED_DEFAULT_CONTROLS, EMBED_MAX_WORDS, EMBED_PARAMS,
+    readEmbedOptions, isHostMessage, embedActivityId, postToHost, readHostWords,
+    XAPI_VERBS, XAPI_MISSED_EXT, readXapiActor, isoDuration, xapiStatement
+  };
+}
@@ -0,0 +1,688 @@
+// Crossword engine: seeded RNG, clue bank parsing, word selection, grid sizing, placement rules,
+// numbering and the search-based generator. No DOM and no build step: index.html, bench.html and
+// generator-worker.js load it as a plain script, and Node loads it with require() (cli.js, tests).
+
+// ---------- RNG & helpers ----------
+function mulberry32(seed){ let t = seed >>> 0; return function(){ t += 0x6d2b79f5; let r = Math.imul(t ^ (t>>>15), 1|t); r ^= r + Math.imul(r ^ (r>>>7), 61|t); return ((r ^ (r>>>14))>>>0) / 4294967296; } }
+function hashStringToInt(str){ let h = 2166136261>>>0; for (let i=0;i<str.length;i++){ h ^= str.charCodeAt(i); h = Math.imul(h,16777619);} return h>>>0; }
+function shuffleInPlace(arr, rng){ for (let i=arr.length-1;i>0;i--){ const j=Math.floor(rng()*(i+1)); [arr[i],arr[j]]=[arr[j],arr[i]]; } }
+// Seed of the daily puzzle for a YYYY-MM-DD date
+function dailySeed(ymd){ return hashStringToInt('phoenix' + ymd); }
+
+const DIRS={ACROSS:'across',DOWN:'down'};
+const MAX_GRID = 35;
+
+// ---------- CSV ----------
+// Topic tags: lowercase, single-spaced; a cell may hold several separated by ; | or ,
+function normalizeTopic(t){ return String(t||'').trim().toLowerCase().replace(/\s+/g,' '); }
+function parseTopicList(raw){
+  const out=[];
+  String(raw||'').split(/[;|,]/).forEach(t=>{ const n=normalizeTopic(t); if (n && out.indexOf(n)===-1) out.push(n); });
+  return out;
+}
+// Multi-word answers: the grid holds the letters only (accents folded), and `display` keeps the
+// written form, e.g. "Bell's palsy" is BELLSPALSY in the grid and enumerates as (5,5)
+function answerLetters(text){
+  return String(text||'').normalize('NFD').replace(/[\u0300-\u036f]/g,'').toUpperCase().replace(/[^A-Z]/g,'');
+}
+// Word lengths with the separator after each: spaces and slashes enumerate as ",", dashes as "-",
+// other punctuation (apostrophes, full stops) not at all
+function answerWords(text){
+  const out=[];
+  let len=0, sep='';
+  for (const ch of String(text||'').normalize('NFD')){
+    if (/[A-Za-z]/.test(ch)){
+      if (sep && len){ out.push({ len, sep }); len=0; }
+      sep=''; len++;
+    }
+    else if (/[-\u2010-\u2014]/.test(ch)) sep='-';
+    else if (/[\s\/]/.test(ch) && sep!=='-') sep=',';
+  }
+  if (len) out.push({ len, sep:'' });
+  return out;
+}
+// "(5,5)" or "(4-1)" for a multi-word answer, '' for a single word
+function enumeration(text){
+  const words=answerWords(text);
+  return words.length>1 ? '(' + words.map(w=>w.len + w.sep).join('') + ')' : '';
+}
+// Letter counts before each word break: [5] for "Bell's palsy"
+function answerBreaks(text){
+  const out=[];
+  let at=0;
+  answerWords(text).forEach((w, i, all)=>{ at+=w.len; if (i<all.length-1) out.push(at); });
+  return out;
+}
+// An entry's written answer, when it says more than the grid letters do
+function answerDisplay(raw, letters){
+  const t=String(raw||'').trim().replace(/\s+/g,' ');
+  return t && t.toUpperCase()!==letters ? t : null;
+}
+
+const DIFFICULTY_FIELD = /^\s*[1-5](?:\.\d+)?\s*$/;
+// Columns: Answer, Clue[, Topic tags...][, Difficulty 1-5]. keepShort keeps 1–2 letter answers (for the editor).
+function parseCSVTwoCols(text, keepShort, delim=','){
+  const lines = text.split(/\r?\n/).filter(ln=>ln.trim().length>0);
+  const out = [];
+  for (let li=0; li<lines.length; li++){
+    const line = lines[li];
+    const fields=[]; let cur=""; let inQ=false;
+    for (let i=0;i<line.length;i++){
+      const ch=line[i];
+      if (ch=='"'){ if (inQ && line[i+1]=='"'){ cur+='"'; i++; } else { inQ=!inQ; } }
+      else if (ch===delim && !inQ){ fields.push(cur); cur=""; }
+      else { cur+=ch; }
+    }
+    fields.push(cur);
+    if (fields.length>=2){
+      const ans=answerLetters(fields[0]);
+      const clue=(fields[1]||"").trim();
+      if (/^ANSWER$/i.test(ans) && /^CLUE$/i.test(clue)) continue;
+      // A bare 1-5 number after the clue is a difficulty rating; anything else is topic tags
+      const extra=fields.slice(2);
+      const rated=extra.findIndex(f=>DIFFICULTY_FIELD.test(f));
+      const difficulty=rated===-1 ? null : Number(extra.splice(rated, 1)[0]);
+      const tags=parseTopicList(extra.join(';'));
+      const item={answer:ans, clue, tags};
+      const display=answerDisplay(fields[0], ans);
+      if (display) item.display=display;
+      if (difficulty!==null) item.difficulty=difficulty;
+      if (ans.length>=3 || (keepShort && ans.length)) out.push(item);
+    }
+  }
+  return out;
+}
+
+// Teaching notes: a sidecar JSON object keyed by answer, in grid letters or written out, each
+// { explanation, reference, image, alt } (a bare string is an explanation). Images are paths
+// relative to the page; anything with a URL scheme is dropped. Invalid JSON throws.
+function parseClueNotes(text){
+  let obj;
+  try{ obj = JSON.parse(text); }catch(_){ throw new Error('The notes file is not valid JSON.'); }
+  if (!obj || typeof obj!=='object' || Array.isArray(obj)) throw new Error('The notes file should be an object keyed by answer.');
+  const out = {};
+  const str = (v)=>typeof v==='string' ? v.trim() : '';
+  Object.keys(obj).forEach(k=>{
+    const key = answerLetters(k), v = obj[k];
+    if (!key) return;
+    const note = typeof v==='string' ? { explanation: v.trim() } : (v && typeof v==='object') ? {
+      explanation: str(v.explanation), reference: str(v.reference), image: str(v.image), alt: str(v.alt)
+    } : null;
+    if (!note) return;
+    if (note.image && (/^[a-z][a-z0-9+.-]*:/i.test(note.image) || /^\/\//.test(note.image))) note.image = '';
+    Object.keys(note).forEach(f=>{ if (!note[f]) delete note[f]; });
+    if (Object.keys(note).length) out[key] = note;
+  });
+  return out;
+}
+
+// Quote only when needed; the parser is line-based so newlines become spaces
+function csvField(v){
+  const s = String(v==null ? '' : v).replace(/\r?\n/g, ' ');
+  return /[",]|^\s|\s$/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+function bankToCSV(entries){
+  return entries.map(x=>{
+    const cols = [x.display || x.answer, x.clue];
+    const rated = typeof x.difficulty==='number';
+    if ((x.tags && x.tags.length) || rated) cols.push((x.tags||[]).join(';'));
+    if (rated) cols.push(x.difficulty);
+    return cols.map(csvField).join(',');
+  }).join('\n') + '\n';
+}
+
+// A spreadsheet runs a cell that starts with = + - @ (or a tab or CR before one) as a formula;
+// the ' makes it plain text
+function spreadsheetSafe(v){
+  const s = String(v==null ? '' : v);
+  return /^[=+\-@\t\r]/.test(s) ? "'" + s : s;
+}
+// Gradebook rows are { result, check } from pasted result codes. The student signs their own code,
+// so every field in it is theirs to set and goes through spreadsheetSafe.
+const RESULT_CHECKS = { valid:'ok', invalid:'EDITED', unknown:'unknown assignment', damaged:'damaged code' };
+function gradebookCSV(rows, titlesById){
+  const head = ['Student', 'Assignment', 'Submitted', 'Finished', 'Time', 'Seconds', 'Over time limit', 'Words', 'Revealed letters', 'Wrong letters', 'Score', 'Max score', 'Missed answers', 'Unsolved answers', 'Code check'];
+  const lines = [head.map(csvField).join(',')];
+  const list = (v)=>Array.isArray(v) ? v.join('; ') : '';
+  for (const row of rows){
+    const r = row.result || {};
+    const a = titlesById[r.a] || {};
+    const secs = typeof r.ms==='number' ? Math.round(r.ms/1000) : '';
+    const ts = typeof r.ts==='number' && isFinite(new Date(r.ts)) ? new Date(r.ts).toISOString() : '';
+    lines.push([
+      r.n || '', a.title || r.a || '', ts, r.c ? 'yes' : 'no',
+      secs==='' ? '' : Math.floor(secs/60) + ':' + String(secs%60).padStart(2,'0'), secs,
+      (a.limitMin && secs!=='' && secs > a.limitMin*60) ? 'yes' : '',
+      r.w!=null ? r.w : '', r.r!=null ? r.r : '', r.e!=null ? r.e : '', r.s!=null ? r.s : '', r.m!=null ? r.m : '',
+      list(r.x), list(r.u), RESULT_CHECKS[row.check]
+    ].map(v=>csvField(spreadsheetSafe(v))).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Tab-separated when the first row has a tab (spreadsheet copy/paste), else CSV
+function parseDeckText(text, keepShort){
+  const first = String(text||'').split(/\r?\n/).find(ln=>ln.trim().length>0) || '';
+  return parseCSVTwoCols(text, keepShort, first.indexOf('\t')!==-1 ? '\t' : ',');
+}
+
+// ---------- Grid sizing ----------
+// density: target share of the occupied bounding box that holds letters
+const SIZE_PRESETS = {
+  small: { base: 15, maxLen: 8, maxClues: 10, minPlaced: 6, density: 0.34 },
+  medium: { base: 21, maxLen: 14, maxClues: 16, minPlaced: 10, density: 0.28 },
+  large: { base: 31, maxLen: 35, maxClues: 20, minPlaced: 12, density: 0.22 }
+};
+// Map size level (0..14) or legacy 'small'|'medium'|'large' to preset values
+function presetFor(levelOrOpt){
+  const LEGACY = SIZE_PRESETS;
+  if (typeof levelOrOpt === 'string'){
+    return LEGACY[levelOrOpt] || LEGACY.medium;
+  }
+  let lvl = Number(levelOrOpt);
+  if (!isFinite(lvl)) lvl = 7;
+  lvl = Math.max(0, Math.min(14, Math.round(lvl)));
+  const lerp = (a,b,t)=> a + (b-a)*t;
+  const t = lvl/14;
+  const base   = Math.round(lerp(13, 35, t));
+  const maxLen = Math.round(lerp( 8, 35, t));
+  const maxClues = Math.round(lerp(10, 20, t));
+  const minPlaced = Math.round(lerp(6, 12, t));
+  const density = Math.round(lerp(0.36, 0.22, t)*100)/100;
+  return { base, maxLen, maxClues, minPlaced, density };
+}
+
+function computeGridSize(words, sizeOrPreset){
+  const preset = (typeof sizeOrPreset==='string' ? (SIZE_PRESETS[sizeOrPreset]||SIZE_PRESETS.medium) : (sizeOrPreset||SIZE_PRESETS.medium));
+  const MAX=MAX_GRID, MIN=13; const longest=Math.max(3, ...words.map(w=>w.answer.length));
+  let size=Math.max(preset.base, longest+2);
+  size=Math.min(MAX, Math.max(MIN,size));
+  return size;
+}
+
+// ---------- Word selection ----------
+function collectTopics(bank){
+  const counts={};
+  for (const x of bank){ for (const t of (x.tags||[])) counts[t]=(counts[t]||0)+1; }
+  return Object.keys(counts).map(t=>({topic:t, count:counts[t]})).sort((a,b)=>b.count-a.count || a.topic.localeCompare(b.topic));
+}
+function matchesTopics(item, topics){
+  if (!topics || !topics.length) return true;
+  const tags=item.tags||[];
+  for (let i=0;i<topics.length;i++){ if (tags.indexOf(topics[i])!==-1) return true; }
+  return false;
+}
+
+// difficulty (optional): { target: 1-5, rate(entry) -> 1-5, favor(entry) -> bool }. Without it the pick
+// is exactly what it always was, so old seeds keep their puzzles.
+function pickDailyWords(bank, rng, sizeOrPreset, topics, difficulty){
+  const preset = (typeof sizeOrPreset==='string' ? (SIZE_PRESETS[sizeOrPreset]||SIZE_PRESETS.medium) : (sizeOrPreset||SIZE_PRESETS.medium));
+  const pool=bank.slice().filter(x=>x.answer.length>=3 && x.answer.length<=preset.maxLen && matchesTopics(x, topics));
+  pool.sort((a,b)=>Math.abs(a.answer.length-7)-Math.abs(b.answer.length-7));
+  shuffleInPlace(pool,rng);
+  if (difficulty && typeof difficulty.target==='number'){
+    // Whole-point bands of distance from the target; the sort is stable, so the seed still decides
+    // within a band. Favored entries jump a band.
+    const rate = difficulty.rate || baseDifficulty;
+    const band = new Map();
+    for (const x of pool){
+      let d = Math.floor(Math.abs(rate(x) - difficulty.target));
+      if (difficulty.favor && difficulty.favor(x)) d = Math.max(0, d-1);
+      band.set(x, d);
+    }
+    pool.sort((a,b)=>band.get(a)-band.get(b));
+  }
+  const chosen=[]; const seen={};
+  for (let i=0;i<pool.length;i++){
+    if (chosen.length >= preset.maxClues) break;
+    const item=pool[i];
+    if (seen[item.answer]) continue;
+    chosen.push(item);
+    seen[item.answer]=1;
+  }
+  return chosen;
+}
+
+// ---------- Clue difficulty ----------
+// 1 (easy) to 5 (hard). An entry's own rating comes from its CSV column, else from answer length;
+// local solve stats per clue ({ seen, helped, wrong, letters, ms }) then pull it toward how this
+// player actually did.
+const DIFFICULTY_TARGETS = { easy: 1.5, medium: 3, hard: 4.5 };
+const DIFFICULTY_PRIOR_SOLVES = 3; // solves before the learned estimate outweighs the rating
+const DIFFICULTY_SLOW_MS = 10000;  // per letter; this slow counts as full trouble
+function clampDifficulty(n){ return Math.max(1, Math.min(5, n)); }
+function baseDifficulty(entry){
+  if (typeof entry.difficulty==='number') return clampDifficulty(entry.difficulty);
+  return Math.max(1, Math.min(4, 1.5 + (entry.answer.length-3)*0.25));
+}
+// 0 (always clean and quick) to 1 (always revealed); null before the first solve
+function clueTrouble(stat){
+  if (!stat || !(stat.seen>0)) return null;
+  const helped = (stat.helped||0) / stat.seen;
+  const wrong = stat.letters ? Math.min(1, 2*(stat.wrong||0)/stat.letters) : 0;
+  const slow = stat.letters ? Math.min(1, Math.max(0, (stat.ms||0)/stat.letters - 2000) / (DIFFICULTY_SLOW_MS-2000)) : 0;
+  return Math.min(1, 0.5*helped + 0.3*wrong + 0.2*slow);
+}
+function clueDifficulty(entry, stat){
+  const base = baseDifficulty(entry), trouble = clueTrouble(stat);
+  if (trouble===null) return base;
+  return (base*DIFFICULTY_PRIOR_SOLVES + (1 + 4*trouble)*stat.seen) / (DIFFICULTY_PRIOR_SOLVES + stat.seen);
+}
+// One solved placement: helped (revealed or hinted), wrong letters, ms spent on it
+function recordClueSolve(stat, solve){
+  const prev = stat || { seen:0, helped:0, wrong:0, letters:0, ms:0 };
+  return {
+    seen: prev.seen + 1,
+    helped: prev.helped + (solve.helped ? 1 : 0),
+    wrong: prev.wrong + (solve.wrong||0),
+    letters: prev.letters + (solve.letters||0),
+    ms: prev.ms + Math.max(0, solve.ms||0)
+  };
+}
+// Solved puzzles, oldest first, as { rating, perf }: the mean difficulty of the words and the share
+// of the score kept. Each one nudges the level toward where the player scored about 75%.
+function adaptiveTarget(results){
+  let level = DIFFICULTY_TARGETS.medium;
+  for (const x of results || []){
+    if (typeof x.rating!=='number' || typeof x.perf!=='number') continue;
+    level += 0.3 * (clampDifficulty(x.rating + 4*(x.perf - 0.75)) - level);
+  }
+  return clampDifficulty(level);
+}
+// Topics where this player has the most trouble, worst first; only topics with a few solves count,
+// and only those worse than the player's average
+function weakTopics(bank, statFor, limit){
+  const acc = {};
+  let total = 0, count = 0;
+  for (const x of bank){
+    const t = clueTrouble(statFor(x));
+    if (t===null) continue;
+    total += t; count++;
+    for (const tag of (x.tags||[])){
+      const a = acc[tag] || (acc[tag] = { topic: tag, sum: 0, n: 0 });
+      a.sum += t; a.n++;
+    }
+  }
+  if (!count) return [];
+  const mean = total/count;
+  return Object.keys(acc).map(k=>acc[k]).filter(a=>a.n>=3 && a.sum/a.n > mean)
+    .sort((a,b)=>b.sum/b.n - a.sum/a.n || a.topic.localeCompare(b.topic))
+    .slice(0, limit || 3).map(a=>a.topic);
+}
+
+// ---------- Placement rules ----------
+function makeEmptyGrid(size){ return Array.from({length:size},()=>Array(size).fill(null)); }
+function canPlace(word,row,col,dir,grid){
+  const size=grid.length, len=word.length;
+  if (dir===DIRS.ACROSS){
+    if (col<0||col+len>size||row<0||row>=size) return false;
+    if (col-1>=0 && grid[row][col-1]!==null) return false;
+    if (col+len<size && grid[row][col+len]!==null) return false;
+    for (let i=0;i<len;i++){
+      const r=row, c=col+i, cell=grid[r][c];
+      if (cell!==null && cell!==word[i]) return false;
+      if (cell===null){
+        if (r-1>=0 && grid[r-1][c]!==null) return false;
+        if (r+1<size && grid[r+1][c]!==null) return false;
+      }
+    }
+    return true;
+  } else {
+    if (row<0||row+len>size||col<0||col>=size) return false;
+    if (row-1>=0 && grid[row-1][col]!==null) return false;
+    if (row+len<size && grid[row+len][col]!==null) return false;
+    for (let i=0;i<len;i++){
+      const r=row+i, c=col, cell=grid[r][c];
+      if (cell!==null && cell!==word[i]) return false;
+      if (cell===null){
+        if (c-1>=0 && grid[r][c-1]!==null) return false;
+        if (c+1<size && grid[r][c+1]!==null) return false;
+      }
+    }
+    return true;
+  }
+}
+function placeWord(word,row,col,dir,grid){
+  for (let i=0;i<word.length;i++){
+    const r=dir===DIRS.ACROSS?row:row+i, c=dir===DIRS.ACROSS?col+i:col;
+    grid[r][c]=word[i];
+  }
+}
+
+// Clue numbers in reading order: a letter cell gets the next number when an across or down run of
+// 2+ letters starts there
+function numberGrid(grid){
+  const size=grid.length;
+  let num=1;
+  const numbers=Array.from({length:size},()=>Array(size).fill(null));
+  function isLetter(r,c){ return r>=0&&r<size&&c>=0&&c<size&&grid[r][c]!==null; }
+  for (let r=0;r<size;r++){
+    for (let c=0;c<size;c++){
+      if (!isLetter(r,c)) continue;
+      const startsAcross=!isLetter(r,c-1)&&isLetter(r,c)&&isLetter(r,c+1);
+      const startsDown=!isLetter(r-1,c)&&isLetter(r,c)&&isLetter(r+1,c);
+      if (startsAcross||startsDown) numbers[r][c]=num++;
+    }
+  }
+  return numbers;
+}
+
+// Number the start cells, stamp placement numbers and find the occupied bounds
+function finalizeLayout(grid, placements){
+  const size=grid.length;
+  const numbers=numberGrid(grid);
+  for (let pIndex=0;pIndex<placements.length;pIndex++){
+    const p=placements[pIndex];
+    p.number = numbers[p.row][p.col];
+  }
+
+  let minR=size, maxR=-1, minC=size, maxC=-1;
+  for (let r=0;r<size;r++){
+    for (let c=0;c<size;c++){
+      if (grid[r][c]!==null){
+        if (r<minR) minR=r;
+        if (r>maxR) maxR=r;
+        if (c<minC) minC=c;
+        if (c>maxC) maxC=c;
+      }
+    }
+  }
+  if (maxR===-1){ minR=0; maxR=size-1; minC=0; maxC=size-1; }
+
+  return { grid, placements, numbers, bounds:{minR,maxR,minC,maxC} };
+}
+
+// Symmetry helper: 180° rotational symmetry mismatches (block vs letter)
+function symmetryMismatches(g){
+  try{
+    const grid = g && g.grid ? g.grid : g;
+    if (!grid || !grid.length) return 0;
+    const n = grid.length, m = grid[0].length;
+    let mismatches = 0;
+    for (let r=0; r<n; r++){
+      for (let c=0; c<m; c++){
+        const mr = n-1-r, mc = m-1-c;
+        if (r>mr || (r===mr && c>mc)) continue; // count pairs once
+        const a = grid[r][c]!==null;
+        const b = grid[mr][mc]!==null;
+        if (a!==b) mismatches++;
+      }
+    }
+    return mismatches;
+  }catch(_){ return 0; }
+}
+
+// Every run of 2+ letters must be exactly one placement and vice versa; returns a list of problems
+function checkLayout(layout){
+  const grid = layout.grid, size = grid.length, problems = [];
+  const byStart = {};
+  for (const p of layout.placements){
+    const key = p.row + ',' + p.col + p.dir[0];
+    if (byStart[key]) problems.push('two entries start at ' + key);
+    byStart[key] = p;
+    for (let i=0;i<p.answer.length;i++){
+      const r = p.dir===DIRS.ACROSS ? p.row : p.row+i, c = p.dir===DIRS.ACROSS ? p.col+i : p.col;
+      if (!grid[r] || grid[r][c]!==p.answer[i]) problems.push(p.answer + ' does not match the grid at ' + r + ',' + c);
+    }
+  }
+  const letter = (r,c)=> r>=0 && r<size && c>=0 && c<size && grid[r][c]!==null;
+  let runs = 0;
+  for (let r=0;r<size;r++){
+    for (let c=0;c<size;c++){
+      if (!letter(r,c)) continue;
+      for (const dir of [DIRS.ACROSS, DIRS.DOWN]){
+        const dr = dir===DIRS.DOWN ? 1 : 0, dc = dir===DIRS.ACROSS ? 1 : 0;
+        if (letter(r-dr,c-dc) || !letter(r+dr,c+dc)) continue;
+        let len = 0; while (letter(r+dr*len, c+dc*len)) len++;
+        runs++;
+        const p = byStart[r + ',' + c + dir[0]];
+        if (!p) problems.push('unclued ' + dir + ' run at ' + r + ',' + c);
+        else if (p.answer.length!==len) problems.push(p.answer + ' runs into neighbouring letters');
+      }
+    }
+  }
+  if (runs!==layout.placements.length) problems.push(layout.placements.length + ' entries for ' + runs + ' runs');
+  return problems;
+}
+
+// ---------- Search-based generator ----------
+// Depth-first search with backtracking. Each step places the word with the fewest legal crossings,
+// trying its positions best-scored first (crossings, closeness to the density target,
+// symmetryMismatches). A dozen short randomized dives pick the best-scored layout; if none places
+// every word, an exhaustive pass also backtracks over which word goes next, so when a connected
+// layout of every word exists it is found given enough budget.
+// The budget counts placement checks rather than milliseconds so a seed gives the same puzzle on
+// every device; GEN_MAX_MS is only a safety stop for very slow machines.
+const GEN_MAX_STEPS = 250000;
+const GEN_MAX_MS = 3000;
+const GEN_DIVES = 12;
+
+function layoutScore(crossings, letters, area, sym, density){
+  return crossings*3 - sym - Math.abs(letters/Math.max(1,area) - density)*letters;
+}
+
+function searchLayout(list, size, goal, opts, rng, budget, root, exhaustive, stepLimit){
+  const grid=makeEmptyGrid(size);
+  const occ=new Uint8Array(size*size);          // bit 1: part of an across entry, bit 2: part of a down entry
+  const byLetter={};                              // letter -> cell indexes, in placement order
+  const placed=new Array(list.length).fill(false);
+  const stack=[];
+  const seen=new Set();
+  const tried=new Uint32Array(2*size*size);        // start (row,col,dir) already checked in this pass
+  let pass=0;
+  let letters=0, crossings=0, box=null, best=null;
+
+  function outOfBudget(){
+    if (budget.report) budget.report();
+    return budget.steps>=stepLimit || budget.clock()>budget.deadline;
+  }
+  function fits(word,row,col,dir){
+    budget.steps++;
+    if (!canPlace(word,row,col,dir,grid)) return false;
+    const bit = dir===DIRS.ACROSS ? 1 : 2;
+    for (let i=0;i<word.length;i++){
+      const idx = dir===DIRS.ACROSS ? row*size+col+i : (row+i)*size+col;
+      if (occ[idx] & bit) return false;            // would extend or overlap a parallel entry
+    }
+    return true;
+  }
+  function evaluate(i,row,col,dir){
+    const word=list[i].answer, len=word.length;
+    let cross=0, fresh=0, symDelta=0;
+    const endR = dir===DIRS.ACROSS ? row : row+len-1, endC = dir===DIRS.ACROSS ? col+len-1 : col;
+    const nb = box ? { minR:Math.min(box.minR,row), maxR:Math.max(box.maxR,endR), minC:Math.min(box.minC,col), maxC:Math.max(box.maxC,endC) } : { minR:row, maxR:endR, minC:col, maxC:endC };
+    for (let k=0;k<len;k++){
+      const r = dir===DIRS.ACROSS ? row : row+k, c = dir===DIRS.ACROSS ? col+k : col;
+      if (grid[r][c]!==null){ cross++; continue; }
+      fresh++;
+      const mr=size-1-r, mc=size-1-c;
+      if (mr===r && mc===c) continue;
+      const mirrorInWord = dir===DIRS.ACROSS ? (mr===row && mc>=col && mc<=endC) : (mc===col && mr>=row && mr<=endR);
+      if (mirrorInWord) continue;                 // both cells of the pair become letters together
+      symDelta += grid[mr][mc]!==null ? -1 : 1;
+    }
+    const area=(nb.maxR-nb.minR+1)*(nb.maxC-nb.minC+1);
+    const fill=(letters+fresh)/area;
+    const score = cross*3 - symDelta - Math.abs(fill-opts.density)*len*2 + rng()*0.75;
+    return { i, row, col, dir, cross, box:nb, score };
+  }
+  function candidates(i){
+    const word=list[i].answer, out=[];
+    pass++;
+    for (let k=0;k<word.length;k++){
+      const cells=byLetter[word[k]];
+      if (!cells) continue;
+      for (let j=0;j<cells.length;j++){
+        const idx=cells[j], o=occ[idx];
+        if (o===3) continue;
+        const r=(idx/size)|0, c=idx%size;
+        const dir = o===1 ? DIRS.DOWN : DIRS.ACROSS;
+        const row = dir===DIRS.DOWN ? r-k : r, col = dir===DIRS.DOWN ? c : c-k;
+        if (row<0 || col<0) continue;
+        const key = ((row*size+col)<<1) | (o===1 ? 1 : 0);
+        if (tried[key]===pass) continue;
+        tried[key]=pass;
+        if (fits(word,row,col,dir)) out.push({ i, row, col, dir });
+      }
+    }
+    return out;
+  }
+  function apply(m){
+    const word=list[m.i].answer, bit = m.dir===DIRS.ACROSS ? 1 : 2, fresh=[];
+    for (let k=0;k<word.length;k++){
+      const r = m.dir===DIRS.ACROSS ? m.row : m.row+k, c = m.dir===DIRS.ACROSS ? m.col+k : m.col, idx=r*size+c;
+      if (grid[r][c]===null){
+        grid[r][c]=word[k]; fresh.push(idx);
+        (byLetter[word[k]] || (byLetter[word[k]]=[])).push(idx);
+      }
+      occ[idx] |= bit;
+    }
+    stack.push({ m, fresh, box });
+    placed[m.i]=true; letters+=fresh.length; crossings+=m.cross; box=m.box;
+  }
+  function undo(){
+    const top=stack.pop(), m=top.m, word=list[m.i].answer, bit = m.dir===DIRS.ACROSS ? 1 : 2;
+    for (let k=0;k<word.length;k++){
+      const idx = m.dir===DIRS.ACROSS ? m.row*size+m.col+k : (m.row+k)*size+m.col;
+      occ[idx] &= ~bit;
+    }
+    for (let j=top.fresh.length-1;j>=0;j--){
+      const idx=top.fresh[j], r=(idx/size)|0, c=idx%size;
+      byLetter[grid[r][c]].pop();
+      grid[r][c]=null;
+    }
+    placed[m.i]=false; letters-=top.fresh.length; crossings-=m.cross; box=top.box;
+  }
+  function record(){
+    const area=(box.maxR-box.minR+1)*(box.maxC-box.minC+1);
+    const total=layoutScore(crossings, letters, area, symmetryMismatches(grid), opts.density);
+    if (!best || stack.length>best.count || (stack.length===best.count && total>best.total)){
+      best={ count:stack.length, total, moves:stack.map(s=>s.m) };
+    }
+  }
+  function stateKey(){ return stack.map(s=>s.m.i + '@' + s.m.row + ',' + s.m.col + s.m.dir[0]).sort().join('|'); }
+  // true = stop searching (goal reached or budget spent)
+  function dfs(){
+    record();
+    if (stack.length>=goal) return true;
+    if (outOfBudget()) return true;
+    const options=[];
+    for (let i=0;i<list.length;i++){
+      if (placed[i]) continue;
+      const c=candidates(i);
+      if (c.length) options.push(c);
+    }
+    if (!options.length) return false;
+    options.sort((a,b)=>a.length-b.length);
+    const branches = exhaustive ? options.length : 1;
+    for (let b=0;b<branches;b++){
+      // Score only the words actually branched on; positions are tried best first
+      const ranked=options[b].map(m=>evaluate(m.i, m.row, m.col, m.dir)).sort((x,y)=>y.score-x.score);
+      for (const m of ranked){
+        apply(m);
+        const key=stateKey();
+        if (!seen.has(key)){
+          seen.add(key);
+          if (dfs()){ undo(); return true; }
+        }
+        undo();
+      }
+    }
+    return false;
+  }
+
+  const first=list[root].answer, mid=Math.floor(size/2);
+  const across = root===0 || rng()<0.5;
+  const lead = Math.max(0, Math.min(size-first.length, mid-Math.floor(first.length/2)));
+  apply(evaluate(root, across ? mid : lead, across ? lead : mid, across ? DIRS.ACROSS : DIRS.DOWN));
+  dfs();
+  return best;
+}
+
+// Lays out every word it can; placements come back in placement order, numbered by finalizeLayout.
+// opts: { density, maxSteps, maxMs, onProgress(fraction) }
+function generateCrossword(words, seed, size, opts){
+  opts = Object.assign({ density: 0.28, maxSteps: GEN_MAX_STEPS, maxMs: GEN_MAX_MS }, opts||{});
+  const rng=mulberry32(seed);
+  const list=[], seenAnswers={};
+  for (const w of words){
+    if (!w || !w.answer || w.answer.length<2 || w.answer.length>size || seenAnswers[w.answer]) continue;
+    seenAnswers[w.answer]=1;
+    list.push(w);
+  }
+  if (!list.length) return finalizeLayout(makeEmptyGrid(size), []);
+  // Longest word first: it anchors the layout and is the hardest to fit later
+  shuffleInPlace(list, rng);
+  list.sort((a,b)=>b.answer.length-a.answer.length);
+
+  // A word sharing no letter with any other can never cross in, so no full layout has it
+  const letterSets=list.map(w=>new Set(w.answer));
+  const goal = list.length===1 ? 1 : list.filter((w,i)=>list.some((v,j)=>j!==i && Array.from(letterSets[i]).some(L=>letterSets[j].has(L)))).length;
+
+  const clock = (typeof performance!=='undefined' && performance.now) ? ()=>performance.now() : ()=>Date.now();
+  const budget={ steps:0, clock, deadline:clock()+opts.maxMs, report:null };
+  // Dives use at most a quarter of the step budget, the exhaustive pass the rest
+  let dives=0, shown=0;
+  if (opts.onProgress) budget.report=()=>{
+    const f=Math.min(1, Math.max(dives/GEN_DIVES*0.25, budget.steps/opts.maxSteps));
+    if (f-shown>=0.02){ shown=f; opts.onProgress(f); }
+  };
+  // Short randomized dives first (cheap, and they vary the layout); if none places every word,
+  // spend what is left of the budget on the exhaustive search.
+  const perTry=Math.floor(opts.maxSteps/(GEN_DIVES*4));
+  let best=null;
+  for (let t=0;t<GEN_DIVES && budget.steps<opts.maxSteps;t++){
+    const root = t===0 ? 0 : Math.floor(rng()*Math.min(3,list.length));
+    const alt=searchLayout(list, size, goal, opts, rng, budget, root, false, Math.min(opts.maxSteps, budget.steps+perTry));
+    if (!best || alt.count>best.count || (alt.count===best.count && alt.total>best.total)) best=alt;
+    dives++;
+  }
+  if (best.count<goal && budget.steps<opts.maxSteps){
+    const full=searchLayout(list, size, goal, opts, rng, budget, 0, true, opts.maxSteps);
+    if (full.count>best.count) best=full;
+  }
+
+  const grid=makeEmptyGrid(size);
+  const placements=best.moves.map(m=>{
+    const w=list[m.i];
+    placeWord(w.answer, m.row, m.col, m.dir, grid);
+    const p={ answer:w.answer, clue:w.clue, row:m.row, col:m.col, dir:m.dir };
+    if (w.display) p.display=w.display;
+    return p;
+  });
+  return finalizeLayout(grid, placements);
+}
+
+// A finished layout as plain data (the CLI's output, and what print.js lays out): cropped to the
+// occupied bounds, '#' marking a block
+function puzzleToJSON(layout, meta){
+  const b = layout.bounds;
+  const grid = [];
+  for (let r=b.minR; r<=b.maxR; r++){
+    let row = '';
+    for (let c=b.minC; c<=b.maxC; c++) row += layout.grid[r][c]===null ? '#' : layout.grid[r][c];
+    grid.push(row);
+  }
+  const entries = (dir)=>layout.placements
+    .filter(p=>p.dir===dir)
+    .sort((x,y)=>x.number-y.number)
+    .map(p=>Object.assign({ number:p.number, row:p.row-b.minR, col:p.col-b.minC, answer:p.answer, clue:p.clue }, p.display ? { display:p.display } : null));
+  return Object.assign({}, meta, {
+    rows: grid.length, cols: grid.length ? grid[0].length : 0,
+    grid,
+    across: entries(DIRS.ACROSS),
+    down: entries(DIRS.DOWN)
+  });
+}
+
+if (typeof module!=='undefined' && module.exports){
+  module.exports = {
+    mulberry32, hashStringToInt, shuffleInPlace, dailySeed, DIRS, MAX_GRID,
+    normalizeTopic, parseTopicList, answerLetters, answerWords, enumeration, answerBreaks, answerDisplay,
+    parseCSVTwoCols, parseClueNotes, csvField, bankToCSV, spreadsheetSafe, RESULT_CHECKS, gradebookCSV, parseDeckText,
+    SIZE_PRESETS, presetFor, computeGridSize, collectTopics, matchesTopics, pickDailyWords,
+    DIFFICULTY_TARGETS, baseDifficulty, clueTrouble, clueDifficulty, recordClueSolve, adaptiveTarget, weakTopics,
+    makeEmptyGrid, canPlace, placeWord, numberGrid, finalizeLayout, symmetryMismatches, checkLayout,
+    generateCrossword, GEN_MAX_STEPS, GEN_MAX_MS, puzzleToJSON
+  };
+}
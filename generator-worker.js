@@ -0,0 +1,14 @@
+// Runs generateCrossword off the main thread: one job per worker, posted as
+// { words, seed, size, opts }. The page terminates the worker to cancel a build.
+importScripts('engine.js');
+
+self.onmessage = function(e){
+  const job = e.data || {};
+  try{
+    const opts = Object.assign({}, job.opts, { onProgress: (value)=>self.postMessage({ type:'progress', value }) });
+    const layout = generateCrossword(job.words || [], job.seed>>>0, job.size, opts);
+    self.postMessage({ type:'done', layout });
+  }catch(err){
+    self.postMessage({ type:'error', message: (err && err.message) ? err.message : String(err) });
+  }
+};
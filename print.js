@@ -0,0 +1,426 @@
+// Printing: lays puzzles, answer keys and study sheets out as pages of plain drawing operations,
+// then writes those pages as a PDF (no dependencies; the standard Helvetica fonts) or as SVG for
+// the browser's own print dialog. Puzzles come in the shape engine.puzzleToJSON gives, plus a
+// label (seed, Swag, topics) and an optional link that rebuilds them. Loaded as a plain script
+// after engine.js, and with require() in Node (CLI and tests).
+
+// Word breaks and enumerations for multi-word answers come from engine.js
+const printBreaks = (typeof answerBreaks==='function') ? answerBreaks : require('./engine.js').answerBreaks;
+const printEnumeration = (typeof enumeration==='function') ? enumeration : require('./engine.js').enumeration;
+
+// Points; 'half' is half a letter sheet, two to a landscape sheet for two-up and booklets
+const PAPER = { letter: { w: 612, h: 792 }, half: { w: 396, h: 612 } };
+const PRINT_LAYOUTS = { standard: 'One puzzle per page', 'two-up': 'Two per sheet', booklet: 'Folded booklet' };
+
+// ---------- Text ----------
+// Helvetica and Helvetica-Bold advance widths (1/1000 em) for ' ' through '~'
+const HELVETICA_WIDTHS = [
+  278,278,355,556,556,889,667,191,333,333,389,584,278,333,278,278,556,556,556,556,556,556,556,556,
+  556,556,278,278,584,584,584,556,1015,667,667,722,722,667,611,778,722,278,500,667,556,833,722,778,
+  667,778,722,667,611,722,667,944,667,667,611,278,278,278,469,556,333,556,556,500,556,556,278,556,
+  556,222,222,500,222,833,556,556,556,556,333,500,278,556,500,722,500,500,500,334,260,334,584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278,333,474,556,556,889,722,238,333,333,389,584,278,333,278,278,556,556,556,556,556,556,556,556,
+  556,556,333,333,584,584,584,611,975,722,722,722,722,667,611,778,722,278,556,722,611,833,722,778,
+  667,778,722,667,611,722,667,944,667,667,611,333,278,333,584,556,333,556,611,556,611,556,333,611,
+  611,278,278,556,278,889,611,611,611,611,389,556,333,611,556,778,556,556,500,389,280,389,584
+];
+function textWidth(text, size, bold){
+  const table = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let w = 0;
+  for (const ch of String(text)){
+    const c = ch.charCodeAt(0);
+    w += (c>=32 && c<=126) ? table[c-32] : 556;
+  }
+  return w * size / 1000;
+}
+// Greedy line breaking; a word wider than the line is split wherever it has to be
+function wrapText(text, size, width, bold){
+  const lines = [];
+  let line = '';
+  for (const word of String(text).split(/\s+/).filter(Boolean)){
+    const next = line ? line + ' ' + word : word;
+    if (textWidth(next, size, bold) <= width){ line = next; continue; }
+    if (line) lines.push(line);
+    line = word;
+    while (textWidth(line, size, bold) > width && line.length > 1){
+      let cut = line.length - 1;
+      while (cut > 1 && textWidth(line.slice(0, cut), size, bold) > width) cut--;
+      lines.push(line.slice(0, cut));
+      line = line.slice(cut);
+    }
+  }
+  if (line) lines.push(line);
+  return lines.length ? lines : [''];
+}
+function fitText(text, size, width, bold){
+  let s = String(text);
+  if (textWidth(s, size, bold) <= width) return s;
+  while (s.length && textWidth(s + '…', size, bold) > width) s = s.slice(0, -1);
+  return s + '…';
+}
+
+// ---------- Page pieces ----------
+// A page is { w, h, ops }; ops are { t:'rect', x, y, w, h, fill, stroke }, { t:'line', x1, y1, x2,
+// y2, width } and { t:'text', x, y, size, text, bold, align }, with y growing down and text y on
+// the baseline.
+function pageMargin(paper){ return paper.w > 500 ? 40 : 26; }
+function textOp(x, y, size, s, bold, align){ return { t: 'text', x, y, size, text: String(s), bold: !!bold, align: align || 'left' }; }
+
+function pageHeader(page, left, right){
+  const m = pageMargin(page), size = page.w > 500 ? 12 : 10, small = page.w > 500 ? 8 : 7;
+  const rightW = Math.min(textWidth(right, small), (page.w - 2*m) * 0.55);
+  page.ops.push(textOp(m, m + size, size, fitText(left, size, page.w - 2*m - rightW - 12, true), true));
+  page.ops.push(textOp(page.w - m, m + size, small, fitText(right, small, rightW + 1), false, 'right'));
+  page.ops.push({ t: 'line', x1: m, y1: m + size + 5, x2: page.w - m, y2: m + size + 5, width: 0.75 });
+  return m + size + 14;
+}
+function pageFooter(page, left, right){
+  const m = pageMargin(page), size = 6.5, y = page.h - m/2;
+  if (left) page.ops.push(textOp(m, y, size, fitText(left, size, page.w - 2*m - 40)));
+  if (right) page.ops.push(textOp(page.w - m, y, size, right, false, 'right'));
+}
+
+function clueNumbers(puzzle){
+  const out = {};
+  for (const e of (puzzle.across || []).concat(puzzle.down || [])) out[e.row + ':' + e.col] = e.number;
+  return out;
+}
+function gridOps(puzzle, x, y, cell, answers){
+  const ops = [], nums = clueNumbers(puzzle);
+  puzzle.grid.forEach((row, r)=>{
+    for (let c=0;c<row.length;c++){
+      const cx = x + c*cell, cy = y + r*cell;
+      if (row[c]==='#') continue; // freeform grids are mostly block; leaving it white saves the ink
+      ops.push({ t: 'rect', x: cx, y: cy, w: cell, h: cell, stroke: 0.6 });
+      const n = nums[r + ':' + c];
+      if (n) ops.push(textOp(cx + cell*0.07, cy + cell*0.3, cell*0.28, n));
+      if (answers) ops.push(textOp(cx + cell/2, cy + cell*0.82, cell*0.58, row[c], true, 'center'));
+    }
+  });
+  // A heavy bar on the cell edge where one word of a multi-word answer ends
+  const bar = Math.max(1.5, cell*0.08);
+  const breaks = (list, across)=>(list || []).forEach(e=>{
+    if (!e.display) return;
+    printBreaks(e.display).forEach(at=>ops.push(across
+      ? { t: 'rect', x: x + (e.col+at)*cell - bar/2, y: y + e.row*cell, w: bar, h: cell, fill: true }
+      : { t: 'rect', x: x + e.col*cell, y: y + (e.row+at)*cell - bar/2, w: cell, h: bar, fill: true }));
+  });
+  breaks(puzzle.across, true);
+  breaks(puzzle.down, false);
+  return ops;
+}
+function gridCell(puzzle, width, height, most){
+  return Math.min(most, width / Math.max(1, puzzle.cols), height / Math.max(1, puzzle.rows));
+}
+
+// ---------- Flowing columns ----------
+// Blocks are { height(width), draw(x, y, width) -> ops, keepWithNext }. Fills columns top to
+// bottom, left to right; returns the ops placed and the index of the first block that did not fit.
+function flowBlocks(blocks, start, box, columns, gap){
+  const colW = (box.w - gap*(columns-1)) / columns;
+  const ops = [];
+  let i = start, col = 0, y = box.y;
+  while (i < blocks.length && col < columns){
+    const b = blocks[i];
+    let need = b.height(colW);
+    if (b.keepWithNext && blocks[i+1]) need += blocks[i+1].height(colW);
+    if (y + need > box.y + box.h && y > box.y){ col++; y = box.y; continue; }
+    const x = box.x + col*(colW + gap);
+    ops.push.apply(ops, b.draw(x, y, colW));
+    y += b.height(colW);
+    i++;
+  }
+  return { ops, next: i };
+}
+function headingBlock(label, size){
+  return {
+    keepWithNext: true,
+    height: ()=>size*1.9,
+    draw: (x, y)=>[textOp(x, y + size*1.3, size*1.1, label, true)]
+  };
+}
+function clueBlock(entry, size){
+  const gutter = size*2;
+  const text = entry.display && printEnumeration(entry.display) ? entry.clue + ' ' + printEnumeration(entry.display) : entry.clue;
+  const lines = (w)=>wrapText(text, size, w - gutter);
+  return {
+    height: (w)=>lines(w).length*size*1.25 + size*0.35,
+    draw: (x, y, w)=>[textOp(x + gutter - size*0.5, y + size, size, entry.number, true, 'right')]
+      .concat(lines(w).map((ln, k)=>textOp(x + gutter, y + size + k*size*1.25, size, ln)))
+  };
+}
+
+// ---------- Documents ----------
+// What rebuilds a puzzle: { seed, level, topics, difficulty, date } -> "2026-09-01 · Seed 42 · Swag 5 · …"
+function puzzleStamp(meta){
+  return [
+    meta.date || '',
+    meta.seed!==undefined && meta.seed!==null ? 'Seed ' + meta.seed : '',
+    meta.level!==undefined && meta.level!==null ? 'Swag ' + meta.level : '',
+    meta.topics && meta.topics.length ? 'Topics: ' + meta.topics.join(', ') : '',
+    meta.difficulty ? meta.difficulty.charAt(0).toUpperCase() + meta.difficulty.slice(1) : ''
+  ].filter(Boolean).join(' · ');
+}
+function puzzleTitle(opts, puzzle, i, count){
+  return (puzzle.title || opts.title || 'Neurology Crossword') + (count > 1 ? ' · ' + (i+1) + ' of ' + count : '');
+}
+function stampLine(opts, puzzle){ return [puzzle.label, opts.date].filter(Boolean).join(' · '); }
+
+// The puzzle with its clues, continued on further pages when the clues run long
+function puzzlePages(puzzle, paper, opts, i, count){
+  const pages = [];
+  const m = pageMargin(paper), big = paper.w > 500, size = big ? 8.5 : 6.8;
+  const page = { w: paper.w, h: paper.h, ops: [] };
+  const top = pageHeader(page, puzzleTitle(opts, puzzle, i, count), stampLine(opts, puzzle));
+  const contentH = paper.h - m - top;
+  const cell = gridCell(puzzle, paper.w - 2*m, contentH * (big ? 0.55 : 0.5), big ? 22 : 16);
+  const gw = cell * puzzle.cols, gh = cell * puzzle.rows;
+  page.ops.push.apply(page.ops, gridOps(puzzle, (paper.w - gw)/2, top, cell, false));
+  const blocks = [headingBlock('Across', size)].concat((puzzle.across||[]).map(e=>clueBlock(e, size)),
+    [headingBlock('Down', size)], (puzzle.down||[]).map(e=>clueBlock(e, size)));
+  const columns = big ? 3 : 2, gap = big ? 14 : 10;
+  let flow = flowBlocks(blocks, 0, { x: m, y: top + gh + 10, w: paper.w - 2*m, h: paper.h - m - (top + gh + 10) }, columns, gap);
+  page.ops.push.apply(page.ops, flow.ops);
+  pages.push(page);
+  while (flow.next < blocks.length){
+    const more = { w: paper.w, h: paper.h, ops: [] };
+    const y = pageHeader(more, puzzleTitle(opts, puzzle, i, count) + ' (continued)', stampLine(opts, puzzle));
+    const before = flow.next;
+    flow = flowBlocks(blocks, flow.next, { x: m, y, w: paper.w - 2*m, h: paper.h - m - y }, columns, gap);
+    if (flow.next===before) break; // a block taller than a whole column; should not happen
+    more.ops.push.apply(more.ops, flow.ops);
+    pages.push(more);
+  }
+  pages.forEach(p=>pageFooter(p, puzzle.link || '', ''));
+  return pages;
+}
+
+// Filled-in grids, several to a page, after all the puzzles
+function answerKeyPages(puzzles, paper, opts){
+  const pages = [];
+  const m = pageMargin(paper), big = paper.w > 500;
+  const across = big ? 2 : 1, down = 2, gap = 16;
+  const perPage = across*down;
+  for (let start=0; start<puzzles.length; start+=perPage){
+    const page = { w: paper.w, h: paper.h, ops: [] };
+    const top = pageHeader(page, (opts.title || 'Neurology Crossword') + ' · Answer key', opts.date || '');
+    const slotW = (paper.w - 2*m - gap*(across-1)) / across;
+    const slotH = (paper.h - m - top - gap*(down-1)) / down;
+    puzzles.slice(start, start + perPage).forEach((p, k)=>{
+      const x = m + (k % across)*(slotW + gap), y = top + Math.floor(k / across)*(slotH + gap);
+      const label = puzzleTitle(opts, p, start + k, puzzles.length);
+      page.ops.push(textOp(x, y + 9, 8, fitText(label, 8, slotW, true), true));
+      page.ops.push(textOp(x, y + 18, 6.5, fitText(p.label || '', 6.5, slotW)));
+      const cell = gridCell(p, slotW, slotH - 26, 16);
+      page.ops.push.apply(page.ops, gridOps(p, x + (slotW - cell*p.cols)/2, y + 24, cell, true));
+    });
+    pages.push(page);
+  }
+  return pages;
+}
+
+// Pages in print order on their sheets. Booklets pad to a multiple of four pages and are printed
+// double-sided, flipped on the short edge, then folded.
+function imposePages(pages, layout){
+  if (layout!=='two-up' && layout!=='booklet') return { w: PAPER.letter.w, h: PAPER.letter.h, sheets: pages.map(p=>p.ops) };
+  const half = PAPER.half, list = pages.slice();
+  let order;
+  if (layout==='booklet'){
+    while (list.length % 4) list.push({ w: half.w, h: half.h, ops: [] });
+    const n = list.length;
+    order = [];
+    for (let s=0; s<n/4; s++) order.push([n-1-2*s, 2*s], [2*s+1, n-2-2*s]);
+  } else {
+    order = [];
+    for (let k=0; k<list.length; k+=2) order.push([k, k+1]);
+  }
+  const sheets = order.map(pair=>{
+    const ops = [];
+    pair.forEach((idx, side)=>{
+      const p = list[idx];
+      if (!p) return;
+      for (const op of p.ops) ops.push(shiftOp(op, side*half.w));
+    });
+    ops.push({ t: 'line', x1: half.w, y1: 12, x2: half.w, y2: half.h - 12, width: 0.25, dash: true });
+    return ops;
+  });
+  return { w: PAPER.letter.h, h: PAPER.letter.w, sheets };
+}
+function shiftOp(op, dx){
+  const out = Object.assign({}, op);
+  if (op.t==='line'){ out.x1 += dx; out.x2 += dx; } else out.x += dx;
+  return out;
+}
+
+// An answer with its clue, plus any teaching notes: { answer, clue, note, explanation, reference }
+function studyBlock(item, size){
+  const small = size*0.9, tiny = size*0.8;
+  const lines = (w)=>({
+    clue: wrapText(item.clue, size, w),
+    explanation: item.explanation ? wrapText(item.explanation, small, w) : [],
+    reference: item.reference ? wrapText('Ref: ' + item.reference, tiny, w) : []
+  });
+  return {
+    height: (w)=>{
+      const l = lines(w);
+      return size*1.5 + l.clue.length*size*1.25 + l.explanation.length*small*1.25 + l.reference.length*tiny*1.25 + size*0.6;
+    },
+    draw: (x, y, w)=>{
+      const l = lines(w);
+      const ops = [textOp(x, y + size*1.2, size*1.1, item.answer, true)];
+      if (item.note) ops.push(textOp(x + w, y + size*1.2, size*0.85, fitText(item.note, size*0.85, w*0.45), false, 'right'));
+      let at = y + size*2.6;
+      l.clue.forEach(ln=>{ ops.push(textOp(x, at, size, ln)); at += size*1.25; });
+      l.explanation.forEach(ln=>{ ops.push(textOp(x, at, small, ln)); at += small*1.25; });
+      l.reference.forEach(ln=>{ ops.push(textOp(x, at, tiny, ln)); at += tiny*1.25; });
+      return ops;
+    }
+  };
+}
+// Blocks flowed over as many pages as they need, each headed with the title
+function flowPages(blocks, paper, title, opts){
+  const m = pageMargin(paper), big = paper.w > 500;
+  const pages = [];
+  let next = 0;
+  do {
+    const page = { w: paper.w, h: paper.h, ops: [] };
+    const top = pageHeader(page, title + (pages.length ? ' (continued)' : ''), opts.date || '');
+    const before = next;
+    const flow = flowBlocks(blocks, next, { x: m, y: top, w: paper.w - 2*m, h: paper.h - m - top }, big ? 2 : 1, 18);
+    page.ops.push.apply(page.ops, flow.ops);
+    next = flow.next;
+    pages.push(page);
+    if (next===before) break;
+  } while (next < blocks.length);
+  return pages;
+}
+
+// Teaching notes appendix: every entry that has notes, puzzle by puzzle. notes is keyed by the
+// grid answer ({ ANSWER: { explanation, reference } }); images stay on screen.
+function notesPages(puzzles, paper, opts){
+  const size = paper.w > 500 ? 9 : 7.5;
+  const blocks = [];
+  puzzles.forEach((p, i)=>{
+    const entries = [];
+    [['across', 'Across'], ['down', 'Down']].forEach(([key, dir])=>(p[key] || []).forEach(e=>{
+      const n = opts.notes[e.answer];
+      if (n && (n.explanation || n.reference)){
+        entries.push(studyBlock({ answer: (e.display || e.answer).toUpperCase(), clue: e.clue, note: e.number + ' ' + dir, explanation: n.explanation, reference: n.reference }, size));
+      }
+    }));
+    if (entries.length) blocks.push.apply(blocks, [headingBlock(puzzleTitle(opts, p, i, puzzles.length), size)].concat(entries));
+  });
+  return blocks.length ? flowPages(blocks, paper, (opts.title || 'Neurology Crossword') + ' · Teaching notes', opts) : [];
+}
+
+// puzzles: [{ grid, rows, cols, across, down, label, link, title }]
+// opts: { layout, answerKeys, notes, title, date }; notes (by answer) adds the appendix
+function buildPacket(puzzles, opts){
+  opts = opts || {};
+  const paper = (opts.layout==='two-up' || opts.layout==='booklet') ? PAPER.half : PAPER.letter;
+  let pages = [];
+  puzzles.forEach((p, i)=>{ pages = pages.concat(puzzlePages(p, paper, opts, i, puzzles.length)); });
+  if (opts.answerKeys) pages = pages.concat(answerKeyPages(puzzles, paper, opts));
+  if (opts.notes) pages = pages.concat(notesPages(puzzles, paper, opts));
+  pages.forEach((p, i)=>pageFooter(p, '', (i+1) + ' / ' + pages.length));
+  return imposePages(pages, opts.layout);
+}
+
+// Missed answers to study: [{ answer, clue, note, explanation, reference }]
+function buildStudySheet(items, opts){
+  opts = opts || {};
+  const paper = (opts.layout==='two-up' || opts.layout==='booklet') ? PAPER.half : PAPER.letter;
+  const size = paper.w > 500 ? 9 : 7.5;
+  const pages = flowPages(items.map(item=>studyBlock(item, size)), paper, opts.title || 'Study sheet', opts);
+  pages.forEach((p, i)=>pageFooter(p, '', (i+1) + ' / ' + pages.length));
+  return imposePages(pages, opts.layout);
+}
+
+// ---------- PDF ----------
+// WinAnsi bytes for the characters clue text actually uses; anything else prints as '?'
+const WIN_ANSI_EXTRA = { 0x2013: 0x96, 0x2014: 0x97, 0x2018: 0x91, 0x2019: 0x92, 0x201C: 0x93, 0x201D: 0x94, 0x2022: 0x95, 0x2026: 0x85, 0x20AC: 0x80 };
+function pdfText(s){
+  let out = '(';
+  for (const ch of String(s)){
+    const c = ch.codePointAt(0);
+    const b = (c>=32 && c<=126) ? c : (c>=0xA0 && c<=0xFF) ? c : (WIN_ANSI_EXTRA[c] || 63);
+    if (b===40 || b===41 || b===92) out += '\\' + String.fromCharCode(b);
+    else if (b>126) out += '\\' + b.toString(8);
+    else out += String.fromCharCode(b);
+  }
+  return out + ')';
+}
+function pdfNum(n){ return String(Math.round(n*100)/100); }
+function pdfContent(ops, h){
+  const out = [];
+  for (const op of ops){
+    if (op.t==='rect'){
+      const box = pdfNum(op.x) + ' ' + pdfNum(h - op.y - op.h) + ' ' + pdfNum(op.w) + ' ' + pdfNum(op.h) + ' re';
+      out.push(op.fill ? '0 g ' + box + ' f' : pdfNum(op.stroke || 0.5) + ' w 0 G ' + box + ' S');
+    } else if (op.t==='line'){
+      out.push((op.dash ? '[3 3] 0 d ' : '') + pdfNum(op.width || 0.5) + ' w 0.4 G ' + pdfNum(op.x1) + ' ' + pdfNum(h - op.y1) + ' m ' + pdfNum(op.x2) + ' ' + pdfNum(h - op.y2) + ' l S' + (op.dash ? ' [] 0 d' : ''));
+    } else if (op.t==='text'){
+      const w = textWidth(op.text, op.size, op.bold);
+      const x = op.align==='right' ? op.x - w : op.align==='center' ? op.x - w/2 : op.x;
+      out.push('0 g BT /' + (op.bold ? 'F2' : 'F1') + ' ' + pdfNum(op.size) + ' Tf ' + pdfNum(x) + ' ' + pdfNum(h - op.y) + ' Td ' + pdfText(op.text) + ' Tj ET');
+    }
+  }
+  return out.join('\n');
+}
+// doc: { w, h, sheets }; returns the file as bytes
+function toPDF(doc, info){
+  const objects = [];
+  const add = (body)=>{ objects.push(body); return objects.length; };
+  const catalog = add(null), pagesId = add(null);
+  const f1 = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const f2 = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const infoId = add('<< /Title ' + pdfText((info && info.title) || 'Neurology Crossword') + ' /Producer (Neurology Crossword Puzzler) >>');
+  const kids = [];
+  for (const ops of doc.sheets){
+    const stream = pdfContent(ops, doc.h);
+    const contents = add('<< /Length ' + stream.length + ' >>\nstream\n' + stream + '\nendstream');
+    kids.push(add('<< /Type /Page /Parent ' + pagesId + ' 0 R /Contents ' + contents + ' 0 R /Resources << /Font << /F1 ' + f1 + ' 0 R /F2 ' + f2 + ' 0 R >> >> >>'));
+  }
+  objects[catalog-1] = '<< /Type /Catalog /Pages ' + pagesId + ' 0 R >>';
+  objects[pagesId-1] = '<< /Type /Pages /Kids [' + kids.map(k=>k + ' 0 R').join(' ') + '] /Count ' + kids.length + ' /MediaBox [0 0 ' + pdfNum(doc.w) + ' ' + pdfNum(doc.h) + '] >>';
+  let out = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, i)=>{ offsets.push(out.length); out += (i+1) + ' 0 obj\n' + body + '\nendobj\n'; });
+  const xref = out.length;
+  out += 'xref\n0 ' + (objects.length+1) + '\n0000000000 65535 f \n' + offsets.map(o=>String(o).padStart(10, '0') + ' 00000 n \n').join('');
+  out += 'trailer\n<< /Size ' + (objects.length+1) + ' /Root ' + catalog + ' 0 R /Info ' + infoId + ' 0 R >>\nstartxref\n' + xref + '\n%%EOF\n';
+  const bytes = new Uint8Array(out.length);
+  for (let i=0;i<out.length;i++) bytes[i] = out.charCodeAt(i);
+  return bytes;
+}
+
+// ---------- SVG (browser printing) ----------
+function xmlText(s){ return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); }
+function sheetToSVG(ops, w, h){
+  const anchor = { left: 'start', center: 'middle', right: 'end' };
+  const body = ops.map(op=>{
+    if (op.t==='rect') return '<rect x="' + pdfNum(op.x) + '" y="' + pdfNum(op.y) + '" width="' + pdfNum(op.w) + '" height="' + pdfNum(op.h) + '" ' + (op.fill ? 'fill="#000"' : 'fill="none" stroke="#000" stroke-width="' + pdfNum(op.stroke || 0.5) + '"') + '/>';
+    if (op.t==='line') return '<line x1="' + pdfNum(op.x1) + '" y1="' + pdfNum(op.y1) + '" x2="' + pdfNum(op.x2) + '" y2="' + pdfNum(op.y2) + '" stroke="#666" stroke-width="' + pdfNum(op.width || 0.5) + '"' + (op.dash ? ' stroke-dasharray="3 3"' : '') + '/>';
+    return '<text x="' + pdfNum(op.x) + '" y="' + pdfNum(op.y) + '" font-size="' + pdfNum(op.size) + '"' + (op.bold ? ' font-weight="bold"' : '') + (op.align!=='left' ? ' text-anchor="' + anchor[op.align] + '"' : '') + '>' + xmlText(op.text) + '</text>';
+  });
+  return '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ' + pdfNum(w) + ' ' + pdfNum(h) + '" width="' + pdfNum(w/72) + 'in" height="' + pdfNum(h/72) + 'in" font-family="Helvetica, Arial, sans-serif">' + body.join('') + '</svg>';
+}
+// A whole document for an iframe: one sheet per printed page
+function toPrintHTML(doc, title){
+  const landscape = doc.w > doc.h;
+  return '<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"/><title>' + xmlText(title || 'Neurology Crossword') + '</title><style>'
+    + '@page { size: letter ' + (landscape ? 'landscape' : 'portrait') + '; margin: 0; }'
+    + 'html, body { margin: 0; padding: 0; background: #fff; }'
+    + 'svg { display: block; page-break-after: always; break-after: page; }'
+    + 'svg:last-child { page-break-after: auto; break-after: auto; }'
+    + '</style></head><body>' + doc.sheets.map(ops=>sheetToSVG(ops, doc.w, doc.h)).join('') + '</body></html>';
+}
+
+if (typeof module!=='undefined' && module.exports){
+  module.exports = {
+    PAPER, PRINT_LAYOUTS, textWidth, wrapText, fitText,
+    puzzleStamp, buildPacket, buildStudySheet, imposePages, toPDF, toPrintHTML, sheetToSVG
+  };
+}
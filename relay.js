@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+// Co-op relay: a tiny WebSocket server that forwards each message to the other players in the same
+// room (ws://host:port/?room=<key>). It keeps no puzzle state; players resync among themselves.
+// No dependencies, so it runs anywhere Node does:
+//   node relay.js --port 8787
+const http = require('http');
+const crypto = require('crypto');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE = 256*1024;
+const MAX_PER_ROOM = 32;
+
+// ---------- Frames ----------
+// Text, close, ping and pong only; clients must mask, the server never does
+function encodeFrame(opcode, payload, mask){
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload || ''), 'utf8');
+  const len = data.length;
+  const head = len<126 ? 2 : (len<65536 ? 4 : 10);
+  const out = Buffer.alloc(head + (mask ? 4 : 0) + len);
+  out[0] = 0x80 | opcode;
+  if (len<126) out[1] = len;
+  else if (len<65536){ out[1] = 126; out.writeUInt16BE(len, 2); }
+  else { out[1] = 127; out.writeUInt32BE(0, 2); out.writeUInt32BE(len, 6); }
+  if (mask){
+    out[1] |= 0x80;
+    const key = crypto.randomBytes(4);
+    key.copy(out, head);
+    for (let i=0;i<len;i++) out[head+4+i] = data[i] ^ key[i & 3];
+  } else data.copy(out, head);
+  return out;
+}
+
+// Pulls whole frames off the front of buf: { frames: [{ fin, opcode, payload }], rest }
+function decodeFrames(buf){
+  const frames = [];
+  let off = 0;
+  while (buf.length - off >= 2){
+    const b0 = buf[off], b1 = buf[off+1];
+    let len = b1 & 0x7f, head = 2;
+    if (len===126){ if (buf.length-off < 4) break; len = buf.readUInt16BE(off+2); head = 4; }
+    else if (len===127){
+      if (buf.length-off < 10) break;
+      if (buf.readUInt32BE(off+2)!==0) throw new Error('Frame too large');
+      len = buf.readUInt32BE(off+6); head = 10;
+    }
+    if (len > MAX_MESSAGE) throw new Error('Frame too large');
+    const masked = (b1 & 0x80)!==0;
+    const total = head + (masked ? 4 : 0) + len;
+    if (buf.length-off < total) break;
+    const payload = Buffer.from(buf.subarray(off+head+(masked ? 4 : 0), off+total));
+    if (masked){
+      const key = buf.subarray(off+head, off+head+4);
+      for (let i=0;i<len;i++) payload[i] ^= key[i & 3];
+    }
+    frames.push({ fin: (b0 & 0x80)!==0, opcode: b0 & 0x0f, payload });
+    off += total;
+  }
+  return { frames, rest: buf.subarray(off) };
+}
+
+// ---------- Server ----------
+function createRelay(){
+  const rooms = new Map();
+  const server = http.createServer((req, res)=>{
+    res.writeHead(200, { 'content-type': 'text/plain' });
+    res.end('Neurology Crossword co-op relay: ' + rooms.size + ' room' + (rooms.size===1 ? '' : 's') + ' open\n');
+  });
+
+  server.on('upgrade', (req, socket)=>{
+    const key = req.headers['sec-websocket-key'];
+    const room = new URL(req.url, 'http://relay/').searchParams.get('room');
+    if (!key || (req.headers.upgrade||'').toLowerCase()!=='websocket' || !room || room.length>64){
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    const peers = rooms.get(room) || new Set();
+    if (peers.size >= MAX_PER_ROOM){ socket.end('HTTP/1.1 503 Room Full\r\n\r\n'); return; }
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ' + accept + '\r\n\r\n');
+    socket.setNoDelay(true);
+    peers.add(socket);
+    rooms.set(room, peers);
+
+    let buf = Buffer.alloc(0), parts = [], partBytes = 0;
+    const leave = ()=>{
+      peers.delete(socket);
+      if (!peers.size) rooms.delete(room);
+    };
+    socket.on('data', (chunk)=>{
+      buf = Buffer.concat([buf, chunk]);
+      let decoded;
+      try{ decoded = decodeFrames(buf); }
+      catch(_){ socket.destroy(); return; }
+      buf = decoded.rest;
+      for (const f of decoded.frames){
+        if (f.opcode===0x8){ socket.end(encodeFrame(0x8, '')); return; }
+        if (f.opcode===0x9){ socket.write(encodeFrame(0xA, f.payload)); continue; }
+        if (f.opcode!==0x1 && f.opcode!==0x0) continue;
+        // MAX_MESSAGE holds for the whole message too, not just each of its frames
+        partBytes += f.payload.length;
+        if (partBytes > MAX_MESSAGE){ socket.destroy(); return; }
+        parts.push(f.payload);
+        if (!f.fin) continue;
+        const frame = encodeFrame(0x1, Buffer.concat(parts));
+        parts = []; partBytes = 0;
+        for (const other of peers) if (other!==socket && !other.destroyed) other.write(frame);
+      }
+    });
+    socket.on('end', ()=>socket.end()); // upgraded sockets are half-open; finish our side too
+    socket.on('close', leave);
+    socket.on('error', leave);
+  });
+  return server;
+}
+
+function main(argv){
+  const i = argv.indexOf('--port');
+  const port = Number(i>=0 ? argv[i+1] : (process.env.PORT || 8787));
+  if (!Number.isInteger(port) || port<0 || port>65535){ process.stderr.write('Usage: node relay.js [--port 8787]\n'); return 1; }
+  createRelay().listen(port, ()=>process.stderr.write('Co-op relay on ws://localhost:' + port + '\n'));
+  return 0;
+}
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2));
+
+module.exports = { createRelay, encodeFrame, decodeFrames, main };
@@ -0,0 +1,127 @@
+// Solve log: a timestamped record of everything the solver does to the grid, kept with the save
+// and exported with the puzzle. Undo/redo are read back out of it, and the replay viewer plays it.
+// Loaded as a plain script after engine.js, and with require() in Node (tests).
+//
+// A log is { start, events } with start in epoch ms and each event { t, k, ... }, t in ms since
+// start. Edits (k = 'letter', 'delete', 'reveal', 'undo', 'redo') carry cells: [[key, before,
+// after], ...] with key 'r:c' and '' for an empty cell; undo and redo also name the edit they
+// act on (of, its index). Cursor events are { k:'move', at:'r:c' } and { k:'dir', dir }.
+
+const SOLVE_LOG_EDITS = ['letter', 'delete', 'reveal', 'undo', 'redo'];
+const SOLVE_LOG_KINDS = SOLVE_LOG_EDITS.concat(['move', 'dir']);
+
+function newSolveLog(now){ return { start: now, events: [] }; }
+function logSolveEvent(log, ev, now){
+  const e = Object.assign({ t: Math.max(0, now - log.start) }, ev);
+  log.events.push(e);
+  return e;
+}
+
+// ---------- Undo / redo ----------
+// The stacks are rebuilt from the log, so they survive a reload along with it. A new edit clears
+// the redo stack, as in any editor.
+function undoStacks(events){
+  const undo = [], redo = [];
+  events.forEach((e, i)=>{
+    if (e.k==='undo'){ const at = undo.lastIndexOf(e.of); if (at!==-1) undo.splice(at, 1); redo.push(e.of); }
+    else if (e.k==='redo'){ const at = redo.lastIndexOf(e.of); if (at!==-1) redo.splice(at, 1); undo.push(e.of); }
+    else if (SOLVE_LOG_EDITS.indexOf(e.k)!==-1){ undo.push(i); redo.length = 0; }
+  });
+  return { undo, redo };
+}
+// The next step off one stack: the newest edit with a cell that is not locked and still holds what
+// the edit left (before, for a redo). Locked cells are confirmed right and stay as they are, and a
+// cell changed since, by a co-op partner whose letters are not in this log, is theirs now; an edit
+// made only of such cells is passed over. valueAt(key) is the cell's letter now, '' when empty.
+function stackStep(log, stack, locked, valueAt, kind, back){
+  for (let j=stack.length-1; j>=0; j--){
+    const cells = log.events[stack[j]].cells
+      .filter(w=>!(locked && locked.has(w[0])) && !(valueAt && valueAt(w[0])!==(back ? w[2] : w[1])))
+      .map(w=>back ? [w[0], w[2], w[1]] : w.slice());
+    if (cells.length) return { k: kind, of: stack[j], cells };
+  }
+  return null;
+}
+// The undo (or redo) event to log and apply next, or null when there is nothing to do
+function undoStep(log, locked, valueAt){ return stackStep(log, undoStacks(log.events).undo, locked, valueAt, 'undo', true); }
+function redoStep(log, locked, valueAt){ return stackStep(log, undoStacks(log.events).redo, locked, valueAt, 'redo', false); }
+
+// ---------- Replay ----------
+// Playback time of each event: the solve as it happened, with pauses (and days between sessions)
+// shortened to REPLAY_MAX_GAP_MS
+const REPLAY_MAX_GAP_MS = 2000;
+function replayTimes(events){
+  const out = [];
+  let at = 0, last = null;
+  for (const e of events){
+    if (last!==null) at += Math.min(REPLAY_MAX_GAP_MS, Math.max(0, e.t - last));
+    out.push(at);
+    last = e.t;
+  }
+  return out;
+}
+// Grid letters ({ key: letter }), cursor and revealed cells after every event up to playback ms
+function replayAt(log, ms, times){
+  times = times || replayTimes(log.events);
+  const letters = {}, revealed = new Set();
+  let active = null, dir = null, count = 0;
+  for (let i=0; i<log.events.length && times[i]<=ms; i++){
+    const e = log.events[i];
+    count = i + 1;
+    if (e.cells) e.cells.forEach(w=>{
+      if (w[2]) letters[w[0]] = w[2]; else delete letters[w[0]];
+      if (e.k==='reveal') revealed.add(w[0]);
+    });
+    if (e.k==='move') active = e.at;
+    else if (e.k==='dir') dir = e.dir;
+  }
+  return { letters, revealed, active, dir, count };
+}
+
+// ---------- Files ----------
+// Move every cell key by (dr, dc): exported grids are cropped to the puzzle's bounds
+function shiftSolveLog(log, dr, dc){
+  const shift = (key)=>{ const parts = key.split(':'); return (+parts[0] + dr) + ':' + (+parts[1] + dc); };
+  return {
+    start: log.start,
+    events: log.events.map(e=>{
+      const out = Object.assign({}, e);
+      if (e.cells) out.cells = e.cells.map(w=>[shift(w[0])].concat(w.slice(1)));
+      if (e.at) out.at = shift(e.at);
+      return out;
+    })
+  };
+}
+// A log read from a file or an old save: well-formed events only, in time order, or null
+function readSolveLog(raw){
+  if (!raw || typeof raw!=='object' || !Array.isArray(raw.events)) return null;
+  const isKey = (k)=>typeof k==='string' && /^\d+:\d+$/.test(k);
+  const isLetter = (v)=>typeof v==='string' && /^[A-Z]?$/.test(v);
+  const events = [], kept = {}; // index in raw.events → index in events
+  let last = 0;
+  raw.events.forEach((e, i)=>{
+    if (!e || typeof e!=='object' || SOLVE_LOG_KINDS.indexOf(e.k)===-1) return;
+    const t = Math.max(last, Math.round(+e.t) || 0);
+    let ev = null;
+    if (e.k==='move'){ if (isKey(e.at)) ev = { t, k: e.k, at: e.at }; }
+    else if (e.k==='dir'){ if (e.dir==='across' || e.dir==='down') ev = { t, k: e.k, dir: e.dir }; }
+    else if (Array.isArray(e.cells)){
+      const cells = e.cells.filter(w=>Array.isArray(w) && isKey(w[0]) && isLetter(w[1]) && isLetter(w[2])).map(w=>[w[0], w[1], w[2]]);
+      ev = { t, k: e.k, cells };
+      if (e.k==='undo' || e.k==='redo'){
+        const of = kept[e.of];
+        if (!(of>=0 && events[of].cells)) return;
+        ev.of = of;
+      }
+    }
+    if (ev){ kept[i] = events.length; events.push(ev); last = t; }
+  });
+  return { start: +raw.start || 0, events };
+}
+
+if (typeof module!=='undefined' && module.exports){
+  module.exports = {
+    SOLVE_LOG_EDITS, newSolveLog, logSolveEvent, undoStacks, undoStep, redoStep,
+    REPLAY_MAX_GAP_MS, replayTimes, replayAt, shiftSolveLog, readSolveLog
+  };
+}
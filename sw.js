@@ -0,0 +1,100 @@
+// Service worker. The app shell is precached once per build and served from the cache, so the site
+// opens offline; SHELL_VERSION is stamped by build.js, and a new value is what makes browsers
+// install the next version. The clue bank is cached separately: a copy on the server that differs
+// from the cached one is held as pending until the page asks to switch (a changed bank changes
+// which puzzle a seed builds, so that should not happen halfway through one). The teaching notes
+// only add to clues, so they come from the network when it answers and from the cache otherwise.
+
+const SHELL_FILES = [
+  './', 'index.html', 'app.css', 'app.js', 'engine.js', 'sync.js', 'solvelog.js', 'embed.js', 'print.js', 'generator-worker.js',
+  'vendor/react.production.min.js', 'vendor/react-dom.production.min.js',
+  'manifest.webmanifest', 'icons/icon.svg', 'icons/icon-192.png', 'icons/icon-512.png'
+];
+const SHELL_VERSION = '20a44aff407a';
+const SHELL_CACHE = 'neuroxcw-shell-' + SHELL_VERSION;
+const BANK_CACHE = 'neuroxcw-bank';
+const BANK_URL = new URL('crosswordclues.csv', self.registration.scope).href;
+const BANK_PENDING = BANK_URL + '?pending';
+const NOTES_URL = new URL('crosswordclues.notes.json', self.registration.scope).href;
+const INDEX_URL = new URL('index.html', self.registration.scope).href;
+
+self.addEventListener('install', (event)=>{
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache=>cache.addAll(SHELL_FILES.map(f=>new Request(f, { cache: 'reload' }))))
+      .then(()=>caches.open(BANK_CACHE))
+      .then(cache=>cache.match(BANK_URL).then(hit=>hit ? null : checkBank(cache, null)))
+  );
+  // The first install has no page to interrupt; updates wait for the page's go-ahead
+  if (!self.registration.active) self.skipWaiting();
+});
+
+self.addEventListener('activate', (event)=>{
+  event.waitUntil(
+    caches.keys()
+      .then(keys=>Promise.all(keys.filter(k=>k.indexOf('neuroxcw-shell-')===0 && k!==SHELL_CACHE).map(k=>caches.delete(k))))
+      .then(()=>self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event)=>{
+  const req = event.request;
+  if (req.method!=='GET') return;
+  const url = new URL(req.url);
+  if (url.origin!==self.location.origin) return;
+  if (url.origin + url.pathname===BANK_URL){ event.respondWith(serveBank(event)); return; }
+  if (url.origin + url.pathname===NOTES_URL){ event.respondWith(serveNotes(req)); return; }
+  // The app page under any ?seed=… query; other pages (dev.html, bench.html) go to the network
+  const scopePath = new URL(self.registration.scope).pathname;
+  if (req.mode==='navigate' && (url.pathname===scopePath || url.origin + url.pathname===INDEX_URL)){
+    event.respondWith(caches.match(INDEX_URL, { cacheName: SHELL_CACHE }).then(hit=>hit || fetch(req)));
+    return;
+  }
+  event.respondWith(caches.match(req, { cacheName: SHELL_CACHE }).then(hit=>hit || fetch(req)));
+});
+
+self.addEventListener('message', (event)=>{
+  const msg = event.data || {};
+  const reply = (m)=>{ if (event.source) event.source.postMessage(m); };
+  if (msg.type==='skip-waiting') self.skipWaiting();
+  else if (msg.type==='bank-status'){
+    event.waitUntil(caches.open(BANK_CACHE).then(cache=>cache.match(BANK_PENDING)).then(hit=>{ if (hit) reply({ type: 'bank-pending' }); }));
+  } else if (msg.type==='apply-bank'){
+    event.waitUntil(applyBank().then(()=>reply({ type: 'bank-applied' })));
+  }
+});
+
+// ---------- Clue bank ----------
+// Cached copy first, then a check against the server in the background
+function serveBank(event){
+  return caches.open(BANK_CACHE).then(cache=>cache.match(BANK_URL).then(current=>{
+    const check = checkBank(cache, current ? current.clone() : null);
+    if (current){ event.waitUntil(check); return current; }
+    return check.then(()=>cache.match(BANK_URL)).then(hit=>hit || fetch(event.request));
+  }));
+}
+// The first copy seen becomes current; a different one later is kept as pending and announced
+function checkBank(cache, current){
+  return fetch(BANK_URL, { cache: 'no-cache' }).then(res=>{
+    if (!res.ok) return null;
+    if (!current) return cache.put(BANK_URL, res);
+    return Promise.all([res.clone().text(), current.text()]).then(([fresh, old])=>{
+      if (fresh===old) return cache.delete(BANK_PENDING);
+      return cache.put(BANK_PENDING, res).then(()=>notifyPages({ type: 'bank-pending' }));
+    });
+  }).catch(()=>null); // offline: keep what we have
+}
+function applyBank(){
+  return caches.open(BANK_CACHE).then(cache=>cache.match(BANK_PENDING).then(pending=>{
+    if (!pending) return null;
+    return cache.put(BANK_URL, pending).then(()=>cache.delete(BANK_PENDING));
+  }));
+}
+function serveNotes(req){
+  return caches.open(BANK_CACHE).then(cache=>fetch(req, { cache: 'no-cache' })
+    .then(res=>{ if (res.ok) cache.put(NOTES_URL, res.clone()); return res; })
+    .catch(()=>cache.match(NOTES_URL).then(hit=>hit || Response.error())));
+}
+function notifyPages(msg){
+  return self.clients.matchAll({ type: 'window' }).then(list=>list.forEach(c=>c.postMessage(msg)));
+}
@@ -0,0 +1,111 @@
+// Co-op solving: the room key for a puzzle, the per-cell last-writer-wins clock, and the transports
+// that carry session messages between players. A transport is { send(msg), close(), onmessage, onstatus }
+// with plain-object messages; the page does not care which one it has. Loaded as a plain script after
+// engine.js, and with require() in Node (tests).
+
+const coopHash = (typeof hashStringToInt==='function') ? hashStringToInt : require('./engine.js').hashStringToInt;
+
+// ---------- Room keys ----------
+// Everyone on the same seed/level permalink (or the same fixed link) lands in the same room,
+// whatever host or path they opened it from
+const COOP_ROOM_PARAMS = ['seed', 'level', 'topic', 'deck', 'diff'];
+function coopRoomKey(link){
+  const url = new URL(String(link), 'http://localhost/');
+  const fixed = /[#&]xw=([^&]+)/.exec(url.hash || '');
+  let canon;
+  if (fixed) canon = 'xw=' + fixed[1];
+  else {
+    if (!url.searchParams.get('seed')) return null;
+    canon = COOP_ROOM_PARAMS.map(k=>k + '=' + (url.searchParams.get(k) || '')).join('&');
+  }
+  return 'xcw-' + coopHash(canon).toString(36);
+}
+
+// ---------- Last writer wins ----------
+// Each cell carries the { ts, peer } of its last write. Timestamps are wall-clock ms pushed past the
+// newest one seen, so a player with a slow clock still wins when they really typed later.
+function newerWrite(a, b){
+  if (!b) return true;
+  if (a.ts!==b.ts) return a.ts > b.ts;
+  return String(a.peer) > String(b.peer);
+}
+function coopClock(){
+  let last = 0;
+  return {
+    tick(){ last = Math.max(Date.now(), last+1); return last; },
+    seen(ts){ if (ts > last) last = ts; }
+  };
+}
+// Merge remote cell writes [[key, value, ts, peer], ...] into clocks; returns the ones that won
+function mergeCellWrites(clocks, writes, locked){
+  const won = [];
+  for (const w of writes || []){
+    if (!Array.isArray(w) || w.length<4) continue;
+    const key = w[0], stamp = { ts: +w[2] || 0, peer: String(w[3]) };
+    if (locked && locked.has(key)) continue; // a locked cell is already right
+    if (!newerWrite(stamp, clocks[key])) continue;
+    clocks[key] = stamp;
+    won.push({ key, value: typeof w[1]==='string' ? w[1] : '' });
+  }
+  return won;
+}
+
+const COOP_COLORS = ['#2563eb', '#db2777', '#059669', '#d97706', '#7c3aed', '#0891b2', '#dc2626', '#65a30d'];
+function coopColor(peer){ return COOP_COLORS[coopHash(String(peer)) % COOP_COLORS.length]; }
+function newPeerId(){ return Date.now().toString(36) + Math.random().toString(36).slice(2, 8); }
+
+// ---------- Transports ----------
+// Tabs of the same browser profile
+function createBroadcastTransport(room){
+  const channel = new BroadcastChannel('neuroxcw-coop-' + room);
+  const t = { onmessage: null, onstatus: null };
+  channel.onmessage = (e)=>{ if (t.onmessage && e.data && typeof e.data==='object') t.onmessage(e.data); };
+  t.send = (msg)=>channel.postMessage(msg);
+  t.close = ()=>channel.close();
+  setTimeout(()=>{ if (t.onstatus) t.onstatus('open'); }, 0);
+  return t;
+}
+
+// Any browser that can reach the relay (relay.js); reconnects with backoff until closed.
+// Messages sent while disconnected are dropped: the hello sent on every (re)connect resyncs.
+const COOP_RECONNECT_MS = [1000, 2000, 5000, 10000];
+function createWebSocketTransport(baseUrl, room){
+  const url = String(baseUrl).replace(/\/+$/, '') + '/?room=' + encodeURIComponent(room);
+  const t = { onmessage: null, onstatus: null };
+  let ws = null, closed = false, attempt = 0, timer = null;
+  const status = (s)=>{ if (t.onstatus) t.onstatus(s); };
+  function connect(){
+    status('connecting');
+    try{ ws = new WebSocket(url); }
+    catch(e){ status('error'); retry(); return; }
+    ws.onopen = ()=>{ attempt = 0; status('open'); };
+    ws.onmessage = (e)=>{
+      let msg;
+      try{ msg = JSON.parse(e.data); }catch(_){ return; }
+      if (t.onmessage && msg && typeof msg==='object') t.onmessage(msg);
+    };
+    ws.onclose = ()=>{ ws = null; if (!closed){ status('connecting'); retry(); } };
+    ws.onerror = ()=>{};
+  }
+  function retry(){
+    const wait = COOP_RECONNECT_MS[Math.min(attempt++, COOP_RECONNECT_MS.length-1)];
+    timer = setTimeout(connect, wait);
+  }
+  t.send = (msg)=>{ if (ws && ws.readyState===1) ws.send(JSON.stringify(msg)); };
+  t.close = ()=>{ closed = true; clearTimeout(timer); if (ws) ws.close(); status('closed'); };
+  connect();
+  return t;
+}
+
+// kind: 'tabs' or 'relay'
+function openCoopTransport(kind, room, relayUrl){
+  if (kind==='relay') return createWebSocketTransport(relayUrl, room);
+  return createBroadcastTransport(room);
+}
+
+if (typeof module!=='undefined' && module.exports){
+  module.exports = {
+    coopRoomKey, newerWrite, coopClock, mergeCellWrites, coopColor, newPeerId, COOP_COLORS,
+    createBroadcastTransport, createWebSocketTransport, openCoopTransport
+  };
+}
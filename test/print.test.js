@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const print = require('../print.js');
+
+// 3x3 corner: CAT across, CAB and TOE down
+const PUZZLE = {
+  rows: 3, cols: 3, grid: ['CAT', 'A#O', 'B#E'],
+  across: [{ number:1, row:0, col:0, answer:'CAT', clue:'Feline (3)' }],
+  down: [{ number:1, row:0, col:0, answer:'CAB', clue:'Taxi' }, { number:2, row:0, col:2, answer:'TOE', clue:'Digit' }],
+  label: 'Seed 1 · Swag 5'
+};
+const texts = (ops)=>ops.filter(o=>o.t==='text').map(o=>o.text);
+
+test('wrapText keeps every line inside the width', ()=>{
+  const clue = 'Loss of the ability to recognise faces despite intact vision, typically after fusiform lesions';
+  const lines = print.wrapText(clue, 9, 120);
+  assert.ok(lines.length > 1);
+  for (const ln of lines) assert.ok(print.textWidth(ln, 9) <= 120, ln);
+  assert.equal(lines.join(' '), clue);
+  assert.ok(print.wrapText('X'.repeat(80), 9, 50).every(ln=>print.textWidth(ln, 9) <= 50));
+  assert.equal(print.fitText('short', 9, 200), 'short');
+  assert.match(print.fitText(clue, 9, 100), /…$/);
+});
+
+test('puzzleStamp names what rebuilds a puzzle', ()=>{
+  assert.equal(print.puzzleStamp({ seed: 42, level: 5, topics: [] }), 'Seed 42 · Swag 5');
+  assert.equal(print.puzzleStamp({ date: '2026-10-19', seed: 7, level: 0, topics: ['stroke'], difficulty: 'hard' }),
+    '2026-10-19 · Seed 7 · Swag 0 · Topics: stroke · Hard');
+});
+
+test('buildPacket puts answer keys after the puzzles, stamped on every page', ()=>{
+  const five = [1, 2, 3, 4, 5].map(n=>Object.assign({}, PUZZLE, { label: 'Seed ' + n + ' · Swag 5' }));
+  const doc = print.buildPacket(five, { answerKeys: true, date: 'Printed 2026-10-19' });
+  assert.deepEqual([doc.w, doc.h], [612, 792]);
+  assert.equal(doc.sheets.length, 5 + 2); // four keys to a letter page
+  doc.sheets.slice(0, 5).forEach((ops, i)=>{
+    assert.ok(texts(ops).includes('Seed ' + (i+1) + ' · Swag 5 · Printed 2026-10-19'));
+    assert.ok(!texts(ops).includes('C'), 'puzzle pages have no letters');
+  });
+  assert.ok(texts(doc.sheets[5]).some(t=>/Answer key/.test(t)));
+  assert.ok(texts(doc.sheets[5]).includes('C'));
+  assert.equal(print.buildPacket(five, { answerKeys: false }).sheets.length, 5);
+});
+
+test('long clue lists continue on another page', ()=>{
+  const many = Array.from({ length: 90 }, (_, i)=>({ number: i+1, row: 0, col: 0, answer: 'CAT', clue: 'A rather long clue that needs a couple of lines in a narrow column ' + i }));
+  const doc = print.buildPacket([Object.assign({}, PUZZLE, { across: many })], {});
+  assert.ok(doc.sheets.length > 1);
+  assert.ok(texts(doc.sheets[1]).some(t=>/\(continued\)/.test(t)));
+  assert.ok(doc.sheets.some(ops=>texts(ops).some(x=>/ 89$/.test(x))), 'the last clue is printed');
+});
+
+test('booklets pad to a multiple of four and pair pages for folding', ()=>{
+  const pages = Array.from({ length: 6 }, (_, i)=>({ w: 396, h: 612, ops: [{ t:'text', x: 10, y: 10, size: 8, text: 'p' + (i+1), bold: false, align: 'left' }] }));
+  const doc = print.imposePages(pages, 'booklet');
+  assert.deepEqual([doc.w, doc.h], [792, 612]);
+  // 8 pages: sheet 1 carries pages 8 and 1, sheet 2 pages 2 and 7, and so on; 7 and 8 are blank
+  const order = doc.sheets.map(ops=>ops.filter(o=>o.t==='text').map(o=>o.text + (o.x >= 396 ? 'R' : 'L')));
+  assert.deepEqual(order, [['p1R'], ['p2L'], ['p6L', 'p3R'], ['p4L', 'p5R']]);
+  const twoUp = print.imposePages(pages, 'two-up');
+  assert.equal(twoUp.sheets.length, 3);
+});
+
+test('toPDF writes a well-formed file with escaped text', ()=>{
+  const doc = print.buildPacket([Object.assign({}, PUZZLE, { label: 'Seed (1) \\ · Swag 5' })], { answerKeys: true });
+  const pdf = Buffer.from(print.toPDF(doc, { title: 'Test' })).toString('latin1');
+  assert.match(pdf, /^%PDF-1\.4\n/);
+  assert.match(pdf, /%%EOF\n$/);
+  assert.ok(pdf.includes('(Seed \\(1\\) \\\\ \\267 Swag 5)'));
+  assert.equal((pdf.match(/\/Type \/Page /g) || []).length, doc.sheets.length);
+  // every xref offset points at its object
+  const start = Number(/startxref\n(\d+)/.exec(pdf)[1]);
+  const rows = pdf.slice(start).split('\n').slice(3).filter(r=>/^\d{10} 00000 n $/.test(r));
+  assert.ok(rows.length > 5);
+  rows.forEach((row, i)=>assert.ok(pdf.startsWith((i+1) + ' 0 obj', Number(row.slice(0, 10))), 'object ' + (i+1)));
+  for (const m of pdf.matchAll(/<< \/Length (\d+) >>\nstream\n/g)){
+    assert.equal(pdf.slice(m.index + m[0].length + Number(m[1]), m.index + m[0].length + Number(m[1]) + 10), '\nendstream');
+  }
+});
+
+test('study sheets list each answer with its clue', ()=>{
+  const items = [{ answer: 'ATAXIA', clue: 'Lack of coordination', note: 'Revealed' }, { answer: 'PTOSIS', clue: 'Drooping eyelid', note: '' }];
+  const doc = print.buildStudySheet(items, { title: 'Most missed answers' });
+  assert.equal(doc.sheets.length, 1);
+  const t = texts(doc.sheets[0]);
+  for (const s of ['Most missed answers', 'ATAXIA', 'Lack of coordination', 'Revealed', 'PTOSIS']) assert.ok(t.includes(s), s);
+  assert.match(print.toPrintHTML(doc, 'Sheet'), /<svg[^>]*viewBox="0 0 612 792"[\s\S]*PTOSIS/);
+});
+
+test('multi-word answers print their enumeration and a word-break bar', ()=>{
+  const two = {
+    rows: 1, cols: 6, grid: ['GABABS'],
+    across: [{ number:1, row:0, col:0, answer:'GABABS', display:'GABA-B s', clue:'Receptors' }], down: [], label: 'Seed 1'
+  };
+  const ops = print.buildPacket([two], { answerKeys: false }).sheets[0];
+  assert.ok(texts(ops).some(t=>/Receptors \(4-1,1\)$/.test(t)));
+  assert.equal(ops.filter(o=>o.t==='rect' && o.fill).length, 2);
+});
+
+test('a teaching notes appendix follows the answer keys', ()=>{
+  const notes = { TOE: { explanation: 'Digit of the foot', reference: 'Anatomy text' } };
+  const doc = print.buildPacket([PUZZLE], { answerKeys: true, notes });
+  assert.equal(doc.sheets.length, 3);
+  const t = texts(doc.sheets[2]);
+  for (const s of ['TOE', '2 Down', 'Digit', 'Digit of the foot', 'Ref: Anatomy text']) assert.ok(t.includes(s), s);
+  assert.equal(print.buildPacket([PUZZLE], { notes: {} }).sheets.length, 1);
+  const sheet = print.buildStudySheet([{ answer: 'TOE', clue: 'Digit', explanation: 'Digit of the foot' }], {});
+  assert.ok(texts(sheet.sheets[0]).includes('Digit of the foot'));
+});
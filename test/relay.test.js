@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const relay = require('../relay.js');
+
+// Minimal client: upgrade, then collect decoded text messages
+function connect(port, room){
+  return new Promise((resolve, reject)=>{
+    const key = crypto.randomBytes(16).toString('base64');
+    const req = http.request({ port, path: '/?room=' + encodeURIComponent(room), headers: {
+      Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Version': '13', 'Sec-WebSocket-Key': key
+    } });
+    req.on('upgrade', (res, socket)=>{
+      const expected = crypto.createHash('sha1').update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64');
+      if (res.headers['sec-websocket-accept']!==expected){ socket.destroy(); reject(new Error('Bad Sec-WebSocket-Accept')); return; }
+      const client = { socket, messages: [], send: (text)=>socket.write(relay.encodeFrame(0x1, text, true)) };
+      let buf = Buffer.alloc(0);
+      socket.on('data', (chunk)=>{
+        const decoded = relay.decodeFrames(Buffer.concat([buf, chunk]));
+        buf = decoded.rest;
+        for (const f of decoded.frames) if (f.opcode===0x1) client.messages.push(f.payload.toString('utf8'));
+      });
+      resolve(client);
+    });
+    req.on('response', (res)=>reject(new Error('HTTP ' + res.statusCode)));
+    req.on('error', reject);
+    req.end();
+  });
+}
+const wait = (ms)=>new Promise(r=>setTimeout(r, ms));
+
+test('frames round-trip, masked or not, short or long', ()=>{
+  for (const text of ['', 'hello', 'x'.repeat(300), 'y'.repeat(70000)]){
+    for (const mask of [false, true]){
+      const { frames, rest } = relay.decodeFrames(relay.encodeFrame(0x1, text, mask));
+      assert.equal(rest.length, 0);
+      assert.equal(frames.length, 1);
+      assert.equal(frames[0].payload.toString('utf8'), text);
+    }
+  }
+  const whole = relay.encodeFrame(0x1, 'split me', true);
+  const partial = relay.decodeFrames(whole.subarray(0, 5));
+  assert.equal(partial.frames.length, 0);
+  assert.equal(partial.rest.length, 5);
+});
+
+test('relay forwards to the rest of the room and nobody else', async ()=>{
+  const server = relay.createRelay();
+  await new Promise(r=>server.listen(0, r));
+  const port = server.address().port;
+  const clients = [];
+  try{
+    const a = await connect(port, 'xcw-1'), b = await connect(port, 'xcw-1'), c = await connect(port, 'xcw-2');
+    clients.push(a, b, c);
+    a.send(JSON.stringify({ t:'cells', cells:[['0:0', 'A', 1, 'a']] }));
+    await wait(100);
+    assert.deepEqual(b.messages.map(m=>JSON.parse(m).t), ['cells']);
+    assert.deepEqual(a.messages, []);
+    assert.deepEqual(c.messages, []);
+  }finally{
+    clients.forEach(cl=>cl.socket.destroy());
+    await new Promise(r=>server.close(r));
+  }
+});
+
+test('relay drops a client whose fragmented message outgrows the limit', async ()=>{
+  const server = relay.createRelay();
+  await new Promise(r=>server.listen(0, r));
+  const clients = [];
+  try{
+    const a = await connect(server.address().port, 'xcw-1'), b = await connect(server.address().port, 'xcw-1');
+    clients.push(a, b);
+    const closed = new Promise(r=>a.socket.on('close', r));
+    // non-final frames of 64 KB each: a text frame, then continuations, never a last one
+    for (let i=0; i<5; i++){
+      const frame = relay.encodeFrame(i ? 0x0 : 0x1, 'z'.repeat(64*1024), true);
+      frame[0] &= 0x7f;
+      a.socket.write(frame);
+    }
+    await Promise.race([closed, wait(2000).then(()=>{ throw new Error('socket still open'); })]);
+    assert.deepEqual(b.messages, []);
+  }finally{
+    clients.forEach(cl=>cl.socket.destroy());
+    await new Promise(r=>server.close(r));
+  }
+});
+
+test('relay refuses upgrades without a room', async ()=>{
+  const server = relay.createRelay();
+  await new Promise(r=>server.listen(0, r));
+  try{
+    await assert.rejects(connect(server.address().port, ''));
+  }finally{
+    await new Promise(r=>server.close(r));
+  }
+});
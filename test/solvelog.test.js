@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const log = require('../solvelog.js');
+
+// C, A, T typed across row 0, then the A deleted
+function typed(){
+  const l = log.newSolveLog(1000);
+  log.logSolveEvent(l, { k:'move', at:'0:0' }, 1000);
+  log.logSolveEvent(l, { k:'dir', dir:'across' }, 1000);
+  log.logSolveEvent(l, { k:'letter', cells:[['0:0', '', 'C']] }, 1500);
+  log.logSolveEvent(l, { k:'letter', cells:[['0:1', '', 'A']] }, 2000);
+  log.logSolveEvent(l, { k:'letter', cells:[['0:2', '', 'T']] }, 2500);
+  log.logSolveEvent(l, { k:'delete', cells:[['0:2', 'T', '']] }, 3000);
+  return l;
+}
+
+test('undo walks back through edits and redo replays them', ()=>{
+  const l = typed();
+  assert.equal(l.events[2].t, 500);
+  let step = log.undoStep(l, new Set());
+  assert.deepEqual(step, { k:'undo', of:5, cells:[['0:2', '', 'T']] });
+  log.logSolveEvent(l, step, 3500);
+  step = log.undoStep(l, new Set());
+  assert.deepEqual(step.cells, [['0:2', 'T', '']]);
+  log.logSolveEvent(l, step, 3600);
+  assert.deepEqual(log.undoStacks(l.events), { undo:[2, 3], redo:[5, 4] });
+  step = log.redoStep(l, new Set());
+  assert.deepEqual(step, { k:'redo', of:4, cells:[['0:2', '', 'T']] });
+  log.logSolveEvent(l, step, 3700);
+  // a new edit drops what was left to redo
+  log.logSolveEvent(l, { k:'letter', cells:[['1:0', '', 'B']] }, 3800);
+  assert.equal(log.redoStep(l, new Set()), null);
+});
+
+test('undo passes over locked cells', ()=>{
+  const l = typed();
+  log.logSolveEvent(l, { k:'reveal', cells:[['0:2', '', 'T']] }, 4000);
+  // the T is locked, so the reveal, the delete and the T itself are passed over
+  const step = log.undoStep(l, new Set(['0:2']));
+  assert.deepEqual(step, { k:'undo', of:3, cells:[['0:1', 'A', '']] });
+  assert.equal(log.undoStep(l, new Set(['0:0', '0:1', '0:2'])), null);
+});
+
+test('undo and redo leave cells a co-op partner has changed since', ()=>{
+  const l = typed();
+  // the partner (whose letters are not logged) has put an S where this player deleted the T
+  const grid = { '0:0':'C', '0:1':'A', '0:2':'S' };
+  const valueAt = (k)=>grid[k] || '';
+  let step = log.undoStep(l, new Set(), valueAt);
+  assert.deepEqual(step, { k:'undo', of:3, cells:[['0:1', 'A', '']] }, 'the delete and the T are passed over');
+  log.logSolveEvent(l, step, 3500);
+  grid['0:1'] = '';
+  assert.deepEqual(log.redoStep(l, new Set(), valueAt).cells, [['0:1', '', 'A']]);
+  grid['0:1'] = 'O';
+  assert.equal(log.redoStep(l, new Set(), valueAt), null, 'the partner filled it in again');
+});
+
+test('replayAt rebuilds the grid and cursor at any point, with long pauses cut short', ()=>{
+  const l = typed();
+  log.logSolveEvent(l, { k:'move', at:'1:0' }, 3000 + 86400000);
+  log.logSolveEvent(l, { k:'reveal', cells:[['1:0', '', 'B']] }, 3100 + 86400000);
+  const times = log.replayTimes(l.events);
+  assert.deepEqual(times, [0, 0, 500, 1000, 1500, 2000, 2000 + log.REPLAY_MAX_GAP_MS, 2100 + log.REPLAY_MAX_GAP_MS]);
+  const mid = log.replayAt(l, 1600, times);
+  assert.deepEqual(mid.letters, { '0:0':'C', '0:1':'A', '0:2':'T' });
+  assert.equal(mid.active, '0:0');
+  assert.equal(mid.dir, 'across');
+  assert.equal(mid.count, 5);
+  const end = log.replayAt(l, Infinity);
+  assert.deepEqual(end.letters, { '0:0':'C', '0:1':'A', '1:0':'B' });
+  assert.equal(end.active, '1:0');
+  assert.deepEqual(Array.from(end.revealed), ['1:0']);
+});
+
+test('logs survive a file: shifted for a cropped grid and checked on the way in', ()=>{
+  const l = typed();
+  log.logSolveEvent(l, log.undoStep(l, new Set()), 3500);
+  const moved = log.shiftSolveLog(l, -1, 2);
+  assert.equal(moved.events[0].at, '-1:2');
+  assert.deepEqual(moved.events[2].cells, [['-1:2', '', 'C']]);
+  assert.equal(l.events[0].at, '0:0', 'the original is untouched');
+  const raw = JSON.parse(JSON.stringify(l));
+  raw.events.splice(1, 0, { k:'launch', t:1 }, { k:'letter', t:2, cells:[['0:0', '', 'ab']] }, null);
+  raw.events[raw.events.length-1].of += 3;
+  const back = log.readSolveLog(raw);
+  // the bad letter keeps its event but loses the cell; the undo still names the delete
+  assert.equal(back.events.length, l.events.length + 1);
+  assert.deepEqual(back.events[1].cells, []);
+  assert.equal(back.events[back.events.length-1].of, 6);
+  assert.equal(back.events[6].k, 'delete');
+  assert.equal(log.readSolveLog({ events: 'no' }), null);
+  assert.equal(log.readSolveLog(null), null);
+});
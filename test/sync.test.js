@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sync = require('../sync.js');
+
+test('coopRoomKey follows the permalink, not the host', ()=>{
+  const a = sync.coopRoomKey('https://example.org/index.html?seed=42&level=5');
+  assert.match(a, /^xcw-[0-9a-z]+$/);
+  assert.equal(sync.coopRoomKey('http://localhost:8000/?level=5&seed=42'), a);
+  assert.notEqual(sync.coopRoomKey('http://localhost/?seed=42&level=6'), a);
+  assert.notEqual(sync.coopRoomKey('http://localhost/?seed=42&level=5&topic=stroke'), a);
+  assert.notEqual(sync.coopRoomKey('http://localhost/?seed=42&level=5&diff=hard'), a);
+  assert.equal(sync.coopRoomKey('http://localhost/#xw=z.abc&coop=tabs'), sync.coopRoomKey('https://example.org/#xw=z.abc'));
+  assert.equal(sync.coopRoomKey('http://localhost/'), null);
+});
+
+test('mergeCellWrites keeps the last writer per cell', ()=>{
+  const clocks = {};
+  assert.deepEqual(sync.mergeCellWrites(clocks, [['1:2', 'A', 10, 'p1']]), [{ key:'1:2', value:'A' }]);
+  // older write loses, newer wins, a tie goes to the larger peer id
+  assert.deepEqual(sync.mergeCellWrites(clocks, [['1:2', 'B', 9, 'p2']]), []);
+  assert.deepEqual(sync.mergeCellWrites(clocks, [['1:2', 'C', 10, 'p2']]), [{ key:'1:2', value:'C' }]);
+  assert.deepEqual(sync.mergeCellWrites(clocks, [['1:2', '', 11, 'p0']]), [{ key:'1:2', value:'' }]);
+  assert.deepEqual(clocks['1:2'], { ts:11, peer:'p0' });
+  // locked cells ignore writes
+  assert.deepEqual(sync.mergeCellWrites(clocks, [['3:3', 'X', 50, 'p1']], new Set(['3:3'])), []);
+});
+
+test('coopClock never goes backwards past a seen timestamp', ()=>{
+  const clock = sync.coopClock();
+  const far = Date.now() + 60000;
+  clock.seen(far);
+  const a = clock.tick(), b = clock.tick();
+  assert.ok(a > far && b > a);
+});
+
+test('broadcast transport reaches other tabs in the same room only', async ()=>{
+  const a = sync.createBroadcastTransport('room-1');
+  const b = sync.createBroadcastTransport('room-1');
+  const c = sync.createBroadcastTransport('room-2');
+  const got = [], other = [];
+  b.onmessage = (m)=>got.push(m);
+  c.onmessage = (m)=>other.push(m);
+  try{
+    a.send({ t:'cursor', r:1, c:2 });
+    await new Promise(r=>setTimeout(r, 50));
+    assert.deepEqual(got, [{ t:'cursor', r:1, c:2 }]);
+    assert.deepEqual(other, []);
+  }finally{
+    a.close(); b.close(); c.close();
+  }
+});